@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import taskService, { AssignedTask } from '../services/taskApi';
+import { useAuth } from '../context/AuthContext';
+
+interface AssignedTasksProps {
+  onEditTask: (task: AssignedTask) => void;
+}
+
+const Container = styled.div`
+  padding: 1.5rem;
+`;
+
+const Summary = styled.p`
+  color: #6B7280;
+  margin-bottom: 1rem;
+`;
+
+const AssignedCard = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 1rem;
+  width: 100%;
+  background-color: white;
+  border: none;
+  border-radius: 8px;
+  padding: 1rem;
+  margin-bottom: 1rem;
+  text-align: left;
+  cursor: pointer;
+  box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+
+  &:hover {
+    box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+  }
+`;
+
+const TaskTitle = styled.h3<{ completed: boolean }>`
+  font-weight: 500;
+  margin: 0 0 0.25rem;
+  color: ${props => (props.completed ? '#9CA3AF' : '#1F2937')};
+  text-decoration: ${props => (props.completed ? 'line-through' : 'none')};
+`;
+
+const Meta = styled.div`
+  font-size: 0.75rem;
+  color: #6B7280;
+`;
+
+const OwnerBadge = styled.span<{ shared: boolean }>`
+  flex-shrink: 0;
+  padding: 0.125rem 0.5rem;
+  border-radius: 9999px;
+  font-size: 0.75rem;
+  font-weight: 500;
+  background-color: ${props => (props.shared ? '#DBEAFE' : '#F3F4F6')};
+  color: ${props => (props.shared ? '#1D4ED8' : '#4B5563')};
+`;
+
+const LoadingIndicator = styled.div`
+  text-align: center;
+  padding: 2rem;
+  color: #6B7280;
+`;
+
+const ErrorMessage = styled.div`
+  color: #EF4444;
+  padding: 1rem;
+  background-color: #FEF2F2;
+  border-radius: 0.5rem;
+  margin-bottom: 1rem;
+`;
+
+// Own and shared tasks assigned to the current user, soonest due first
+const AssignedTasks: React.FC<AssignedTasksProps> = ({ onEditTask }) => {
+  const { user } = useAuth();
+  const [tasks, setTasks] = useState<AssignedTask[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchAssigned = async () => {
+      try {
+        const response = await taskService.getAssignedToMe({ limit: 100 });
+        setTasks(response.tasks);
+      } catch (err: any) {
+        console.error('Failed to fetch assigned tasks:', err);
+        setError('Failed to load the tasks assigned to you');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchAssigned();
+  }, []);
+
+  if (isLoading) {
+    return <LoadingIndicator>Loading assigned tasks...</LoadingIndicator>;
+  }
+
+  return (
+    <Container>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {tasks.length === 0 && !error && (
+        <Summary>No task is assigned to you.</Summary>
+      )}
+
+      {tasks.map(task => {
+        const isShared = task.userId !== user?.id;
+
+        return (
+          <AssignedCard key={task.id} type="button" onClick={() => onEditTask(task)}>
+            <div>
+              <TaskTitle completed={task.status === 'completed'}>{task.title}</TaskTitle>
+              <Meta>
+                {task.dueDate ? `Due ${new Date(task.dueDate).toLocaleString()}` : 'No due date'}
+              </Meta>
+            </div>
+            <OwnerBadge shared={isShared}>{isShared ? 'Shared with you' : 'Your task'}</OwnerBadge>
+          </AssignedCard>
+        );
+      })}
+    </Container>
+  );
+};
+
+export default AssignedTasks;
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import taskService, { Task } from '../services/taskApi';
+import shareService, { Share } from '../services/shareApi';
+import workspaceService, { WorkspaceMember } from '../services/workspaceApi';
+import { useAuth } from '../context/AuthContext';
+
+interface AssigneeSelectProps {
+  task: Task;
+  // Called with the assigned task, its version is the one to send next
+  onAssigned: (task: Task) => void;
+}
+
+const Select = styled.select`
+  width: 100%;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: white;
+  font-size: 0.875rem;
+
+  &:focus {
+    outline: none;
+    border-color: #3B82F6;
+    box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+  }
+`;
+
+const ErrorText = styled.p`
+  font-size: 0.8125rem;
+  color: #EF4444;
+  margin: 0.25rem 0 0;
+`;
+
+interface AssigneeOption {
+  value: string;
+  label: string;
+}
+
+// Tasks can be assigned to their owner, to the members of their workspace unless
+// it is the owner's personal one, and to the users they are shared with, directly
+// or through their project. Only the owner can list the shares
+const AssigneeSelect: React.FC<AssigneeSelectProps> = ({ task, onAssigned }) => {
+  const { user } = useAuth();
+  const [collaborators, setCollaborators] = useState<Share[]>([]);
+  const [members, setMembers] = useState<WorkspaceMember[]>([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const isOwner = !!user && task.userId === user.id;
+
+  useEffect(() => {
+    if (!isOwner) return;
+    let cancelled = false;
+
+    const fetchCollaborators = async () => {
+      try {
+        const [taskShares, projectShares] = await Promise.all([
+          shareService.getShares({ taskId: task.id }),
+          task.projectId ? shareService.getShares({ projectId: task.projectId }) : Promise.resolve([])
+        ]);
+        if (!cancelled) {
+          // Pending invitations can't be assigned yet
+          setCollaborators([...taskShares, ...projectShares].filter(share => share.userId));
+        }
+      } catch (err: any) {
+        console.error('Failed to fetch collaborators:', err);
+      }
+    };
+
+    fetchCollaborators();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOwner, task.id, task.projectId]);
+
+  const isPersonal = task.workspaceId === task.userId;
+
+  useEffect(() => {
+    if (isPersonal) return;
+    let cancelled = false;
+
+    const fetchMembers = async () => {
+      try {
+        const workspaceMembers = await workspaceService.getMembers(task.workspaceId);
+        if (!cancelled) {
+          setMembers(workspaceMembers);
+        }
+      } catch (err: any) {
+        // Users the task is shared with may not be members of its workspace
+        console.error('Failed to fetch workspace members:', err);
+      }
+    };
+
+    fetchMembers();
+    return () => {
+      cancelled = true;
+    };
+  }, [isPersonal, task.workspaceId]);
+
+  const options: AssigneeOption[] = [{ value: '', label: 'Unassigned' }];
+  const addOption = (value: string, label: string) => {
+    if (!options.some(option => option.value === value)) {
+      options.push({ value, label });
+    }
+  };
+  if (user) addOption(user.id, 'Me');
+  if (!isOwner) addOption(task.userId, 'Task owner');
+  members.forEach(member => addOption(member.user_id, member.full_name || member.email || 'Workspace member'));
+  collaborators.forEach(share => addOption(share.userId as string, share.email));
+  if (task.assigneeId) addOption(task.assigneeId, 'Someone else');
+
+  const handleChange = async (e: React.ChangeEvent<HTMLSelectElement>) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      onAssigned(await taskService.assignTask(task.id, task.version, e.target.value || null));
+    } catch (err: any) {
+      console.error('Failed to assign task:', err);
+      setError(err.response?.status === 412
+        ? 'This task was changed elsewhere. Please reopen it and try again.'
+        : err.response?.data?.message || 'Failed to assign the task');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Select
+        id="assigneeId"
+        value={task.assigneeId || ''}
+        disabled={isSaving}
+        onChange={handleChange}
+      >
+        {options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </Select>
+      {error && <ErrorText>{error}</ErrorText>}
+    </>
+  );
+};
+
+export default AssigneeSelect;
@@ -0,0 +1,273 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import { useTasks } from '../context/TaskContext';
+import taskService, { Task, TaskMove } from '../services/taskApi';
+import { formatDueDate, isOverdue } from '../utils/taskUtils';
+
+type Status = Task['status'];
+
+const columns: { status: Status; label: string }[] = [
+  { status: 'pending', label: 'To Do' },
+  { status: 'in_progress', label: 'In Progress' },
+  { status: 'completed', label: 'Completed' },
+];
+
+// Columns show up to this many tasks, like the first page of a list
+const COLUMN_LIMIT = 100;
+
+const priorityColors = {
+  high: '#EF4444',
+  medium: '#F59E0B',
+  low: '#10B981',
+};
+
+const Container = styled.div`
+  padding: 1.5rem;
+`;
+
+const ColumnsGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(3, minmax(220px, 1fr));
+  gap: 1rem;
+  align-items: start;
+`;
+
+const Column = styled.div<{ isTarget: boolean }>`
+  background-color: ${props => (props.isTarget ? '#EFF6FF' : '#F1F5F9')};
+  border-radius: 0.5rem;
+  padding: 0.75rem;
+  min-height: 12rem;
+  transition: background-color 0.15s;
+`;
+
+const ColumnHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-weight: 600;
+  font-size: 0.875rem;
+  color: #374151;
+  margin-bottom: 0.75rem;
+`;
+
+const Count = styled.span`
+  font-weight: normal;
+  color: #6B7280;
+`;
+
+const Card = styled.div<{ priority: Task['priority']; isDragging: boolean }>`
+  background-color: white;
+  border-radius: 0.375rem;
+  border-left: 3px solid ${props => priorityColors[props.priority]};
+  padding: 0.625rem 0.75rem;
+  margin-bottom: 0.5rem;
+  box-shadow: 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+  cursor: grab;
+  opacity: ${props => (props.isDragging ? 0.4 : 1)};
+`;
+
+const CardTitle = styled.div<{ completed: boolean }>`
+  font-size: 0.875rem;
+  font-weight: 500;
+  color: ${props => (props.completed ? '#9CA3AF' : '#1F2937')};
+  text-decoration: ${props => (props.completed ? 'line-through' : 'none')};
+`;
+
+const CardMeta = styled.div<{ overdue: boolean }>`
+  font-size: 0.75rem;
+  margin-top: 0.25rem;
+  color: ${props => (props.overdue ? '#DC2626' : '#6B7280')};
+`;
+
+const DropIndicator = styled.div`
+  height: 2px;
+  background-color: #2563EB;
+  border-radius: 1px;
+  margin: -0.3125rem 0 0.25rem;
+`;
+
+const LoadingIndicator = styled.div`
+  text-align: center;
+  padding: 2rem;
+  color: #6B7280;
+`;
+
+const ErrorMessage = styled.div`
+  color: #EF4444;
+  padding: 1rem;
+  background-color: #FEF2F2;
+  border-radius: 0.5rem;
+  margin-bottom: 1rem;
+`;
+
+interface BoardProps {
+  onEditTask: (task: Task) => void;
+}
+
+// Where a dragged task would land: before the task at index in the column
+interface DropTarget {
+  status: Status;
+  index: number;
+}
+
+const emptyBoard = (): Record<Status, Task[]> => ({ pending: [], in_progress: [], completed: [] });
+
+// Neighbors of a drop position, as the move endpoint expects them
+const moveFor = (column: Task[], draggedId: string, target: DropTarget): TaskMove => {
+  const others = column.filter(task => task.id !== draggedId);
+  const index = Math.min(
+    target.index - column.slice(0, target.index).filter(task => task.id === draggedId).length,
+    others.length
+  );
+
+  return {
+    status: target.status,
+    afterId: others[index - 1]?.id,
+    beforeId: others[index]?.id,
+  };
+};
+
+const Board: React.FC<BoardProps> = ({ onEditTask }) => {
+  const { moveTask, activeProjectId, error, tasks } = useTasks();
+  const [board, setBoard] = useState<Record<Status, Task[]>>(emptyBoard);
+  const [isLoading, setIsLoading] = useState(true);
+  const [draggedId, setDraggedId] = useState<string | null>(null);
+  const [dropTarget, setDropTarget] = useState<DropTarget | null>(null);
+
+  const fetchBoard = async () => {
+    try {
+      const responses = await Promise.all(columns.map(({ status }) => taskService.getAllTasks({
+        status,
+        projectId: activeProjectId || undefined,
+        sort: 'position',
+        order: 'asc',
+        limit: COLUMN_LIMIT,
+      })));
+
+      const next = emptyBoard();
+      columns.forEach(({ status }, index) => {
+        next[status] = responses[index].tasks;
+      });
+      setBoard(next);
+    } catch (err) {
+      console.error('Failed to fetch board:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Reload when tasks change elsewhere, e.g. after editing one in the form
+  useEffect(() => {
+    fetchBoard();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeProjectId, tasks]);
+
+  const findTask = (id: string) => columns
+    .map(({ status }) => board[status].find(task => task.id === id))
+    .find(Boolean);
+
+  const handleDragOverCard = (e: React.DragEvent, status: Status, index: number) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const below = e.clientY > rect.top + rect.height / 2;
+    setDropTarget({ status, index: below ? index + 1 : index });
+  };
+
+  const handleDragOverColumn = (e: React.DragEvent, status: Status) => {
+    e.preventDefault();
+    if (dropTarget?.status !== status) {
+      setDropTarget({ status, index: board[status].length });
+    }
+  };
+
+  const handleDrop = async (e: React.DragEvent) => {
+    e.preventDefault();
+    const task = draggedId ? findTask(draggedId) : undefined;
+    const target = dropTarget;
+    setDraggedId(null);
+    setDropTarget(null);
+    if (!task || !target) return;
+
+    const move = moveFor(board[target.status], task.id, target);
+    const column = board[task.status];
+    const position = column.findIndex(other => other.id === task.id);
+    const unchanged = target.status === task.status &&
+      move.afterId === column[position - 1]?.id &&
+      move.beforeId === column[position + 1]?.id;
+    if (unchanged) return;
+
+    // Show the move right away, the reload puts the board in server order
+    setBoard(current => {
+      const next = emptyBoard();
+      columns.forEach(({ status }) => {
+        next[status] = current[status].filter(other => other.id !== task.id);
+      });
+      const index = move.afterId ? next[target.status].findIndex(other => other.id === move.afterId) + 1 : 0;
+      next[target.status].splice(index, 0, { ...task, status: target.status });
+      return next;
+    });
+
+    await moveTask(task, move);
+    await fetchBoard();
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  if (isLoading) {
+    return <LoadingIndicator>Loading board...</LoadingIndicator>;
+  }
+
+  return (
+    <Container>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      <ColumnsGrid>
+        {columns.map(({ status, label }) => (
+          <Column
+            key={status}
+            isTarget={draggedId !== null && dropTarget?.status === status}
+            onDragOver={e => handleDragOverColumn(e, status)}
+            onDrop={handleDrop}
+          >
+            <ColumnHeader>
+              {label}
+              <Count>{board[status].length}</Count>
+            </ColumnHeader>
+
+            {board[status].map((task, index) => (
+              <React.Fragment key={task.id}>
+                {draggedId && dropTarget?.status === status && dropTarget.index === index && <DropIndicator />}
+                <Card
+                  draggable
+                  priority={task.priority}
+                  isDragging={task.id === draggedId}
+                  onDragStart={e => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    setDraggedId(task.id);
+                  }}
+                  onDragOver={e => handleDragOverCard(e, status, index)}
+                  onDragEnd={handleDragEnd}
+                  onClick={() => onEditTask(task)}
+                >
+                  <CardTitle completed={task.status === 'completed'}>{task.title}</CardTitle>
+                  {task.dueDate && (
+                    <CardMeta overdue={task.status !== 'completed' && isOverdue(task.dueDate)}>
+                      Due {formatDueDate(task.dueDate)}
+                    </CardMeta>
+                  )}
+                </Card>
+              </React.Fragment>
+            ))}
+            {draggedId && dropTarget?.status === status && dropTarget.index === board[status].length && <DropIndicator />}
+          </Column>
+        ))}
+      </ColumnsGrid>
+    </Container>
+  );
+};
+
+export default Board;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import styled from '@emotion/styled';
+import { Project } from '../services/projectApi';
+
+interface BulkActionBarProps {
+  count: number;
+  projects: Project[];
+  onComplete: () => void;
+  onDelete: () => void;
+  onSetPriority: (priority: 'low' | 'medium' | 'high') => void;
+  onSetDueDate: (dueDate: string | null) => void;
+  onMoveToProject: (projectId: string | null) => void;
+  onClear: () => void;
+}
+
+const Bar = styled.div`
+  position: sticky;
+  top: 0;
+  z-index: 10;
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 0.75rem;
+  padding: 0.75rem 1rem;
+  margin-bottom: 1rem;
+  background-color: #1F2937;
+  color: white;
+  border-radius: 0.5rem;
+  font-size: 0.875rem;
+`;
+
+const Count = styled.span`
+  font-weight: 600;
+  margin-right: auto;
+`;
+
+const ActionButton = styled.button<{ danger?: boolean }>`
+  padding: 0.375rem 0.75rem;
+  border: none;
+  border-radius: 0.375rem;
+  background-color: ${props => props.danger ? '#DC2626' : '#374151'};
+  color: white;
+  cursor: pointer;
+
+  &:hover {
+    background-color: ${props => props.danger ? '#B91C1C' : '#4B5563'};
+  }
+`;
+
+const ActionSelect = styled.select`
+  padding: 0.375rem 0.5rem;
+  border: none;
+  border-radius: 0.375rem;
+  background-color: #374151;
+  color: white;
+  cursor: pointer;
+`;
+
+const DateInput = styled.input`
+  padding: 0.3rem 0.5rem;
+  border: none;
+  border-radius: 0.375rem;
+  background-color: #374151;
+  color: white;
+  color-scheme: dark;
+`;
+
+const BulkActionBar: React.FC<BulkActionBarProps> = ({
+  count,
+  projects,
+  onComplete,
+  onDelete,
+  onSetPriority,
+  onSetDueDate,
+  onMoveToProject,
+  onClear
+}) => {
+  const [dueDate, setDueDate] = useState('');
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${count} selected task${count === 1 ? '' : 's'}?`)) {
+      onDelete();
+    }
+  };
+
+  return (
+    <Bar>
+      <Count>{count} selected</Count>
+
+      <ActionButton onClick={onComplete}>Complete</ActionButton>
+
+      <ActionSelect
+        value=""
+        aria-label="Set priority"
+        onChange={(e) => e.target.value && onSetPriority(e.target.value as 'low' | 'medium' | 'high')}
+      >
+        <option value="">Set priority…</option>
+        <option value="high">High</option>
+        <option value="medium">Medium</option>
+        <option value="low">Low</option>
+      </ActionSelect>
+
+      <DateInput
+        type="date"
+        value={dueDate}
+        aria-label="Due date"
+        onChange={(e) => setDueDate(e.target.value)}
+      />
+      <ActionButton
+        onClick={() => onSetDueDate(dueDate ? new Date(`${dueDate}T23:59:00`).toISOString() : null)}
+        title={dueDate ? 'Set the due date of the selected tasks' : 'Clear the due date of the selected tasks'}
+      >
+        {dueDate ? 'Set due date' : 'Clear due date'}
+      </ActionButton>
+
+      <ActionSelect
+        value=""
+        aria-label="Move to project"
+        onChange={(e) => e.target.value && onMoveToProject(e.target.value === 'none' ? null : e.target.value)}
+      >
+        <option value="">Move to…</option>
+        <option value="none">No project</option>
+        {projects.map(project => (
+          <option key={project.id} value={project.id}>{project.name}</option>
+        ))}
+      </ActionSelect>
+
+      <ActionButton danger onClick={handleDelete}>Delete</ActionButton>
+      <ActionButton onClick={onClear}>Cancel</ActionButton>
+    </Bar>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import styled from '@emotion/styled';
+import { authService, CalendarFeed } from '../services/api';
+
+const Container = styled.div`
+  padding: 0 1rem 1rem;
+  font-size: 0.875rem;
+`;
+
+const UrlInput = styled.input`
+  width: 100%;
+  box-sizing: border-box;
+  padding: 0.375rem 0.5rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  font-size: 0.75rem;
+  color: #4B5563;
+  margin-bottom: 0.5rem;
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  gap: 0.375rem;
+`;
+
+const SmallButton = styled.button`
+  flex: 1;
+  padding: 0.375rem 0.5rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: white;
+  color: #1F2937;
+  font-size: 0.75rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #F9FAFB;
+  }
+
+  &:disabled {
+    color: #9CA3AF;
+    cursor: default;
+  }
+`;
+
+const Hint = styled.div`
+  font-size: 0.75rem;
+  color: #4B5563;
+  margin-top: 0.25rem;
+`;
+
+// The feed token is only created once the user asks for the link
+const CalendarFeedLink: React.FC = () => {
+  const [feed, setFeed] = useState<CalendarFeed | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const load = async (rotate: boolean) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      setFeed(rotate ? await authService.rotateCalendarFeed() : await authService.getCalendarFeed());
+      if (rotate) setMessage('New link created. Calendars using the old link stop updating.');
+    } catch (err: any) {
+      console.error('Failed to load calendar feed:', err);
+      setMessage(err.response?.data?.message || 'Failed to load the calendar link.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRotate = () => {
+    if (window.confirm('Replace the calendar link? Calendars subscribed to the current link will stop updating.')) {
+      load(true);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!feed) return;
+    try {
+      await navigator.clipboard.writeText(authService.calendarFeedUrl(feed));
+      setMessage('Link copied. Subscribe to it in your calendar app.');
+    } catch (err) {
+      setMessage('Copy the link above and subscribe to it in your calendar app.');
+    }
+  };
+
+  if (!feed) {
+    return (
+      <Container>
+        <SmallButton style={{ width: '100%' }} disabled={busy} onClick={() => load(false)}>
+          {busy ? 'Loading...' : 'Show calendar link'}
+        </SmallButton>
+        {message && <Hint>{message}</Hint>}
+      </Container>
+    );
+  }
+
+  return (
+    <Container>
+      <UrlInput
+        readOnly
+        value={authService.calendarFeedUrl(feed)}
+        onFocus={e => e.target.select()}
+        aria-label="Calendar feed URL"
+      />
+      <ButtonRow>
+        <SmallButton disabled={busy} onClick={handleCopy}>Copy</SmallButton>
+        <SmallButton disabled={busy} onClick={handleRotate}>Reset link</SmallButton>
+      </ButtonRow>
+      <Hint>{message || 'Anyone with this link can see your due dates.'}</Hint>
+    </Container>
+  );
+};
+
+export default CalendarFeedLink;
@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import {
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isSameMonth,
+  isToday,
+  startOfMonth,
+  startOfWeek,
+} from 'date-fns';
+import { useTasks } from '../context/TaskContext';
+import taskService, { Task } from '../services/taskApi';
+import { isOverdue } from '../utils/taskUtils';
+
+type CalendarMode = 'month' | 'week';
+
+const WEEK_OPTIONS = { weekStartsOn: 1 as const };
+
+// A busy month is loaded page by page, up to this many tasks
+const MAX_PAGES = 10;
+
+const Container = styled.div`
+  padding: 1.5rem;
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-bottom: 1rem;
+`;
+
+const RangeTitle = styled.h2`
+  flex: 1;
+  font-size: 1.125rem;
+  font-weight: 600;
+  margin: 0;
+`;
+
+const ToolbarButton = styled.button<{ active?: boolean }>`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: ${props => (props.active ? '#EFF6FF' : 'white')};
+  color: ${props => (props.active ? '#2563EB' : '#1F2937')};
+  font-size: 0.875rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #F9FAFB;
+  }
+`;
+
+const Grid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(7, minmax(0, 1fr));
+  border-top: 1px solid #E5E7EB;
+  border-left: 1px solid #E5E7EB;
+  background-color: white;
+`;
+
+const WeekdayHeader = styled.div`
+  padding: 0.5rem;
+  font-size: 0.75rem;
+  font-weight: 600;
+  color: #6B7280;
+  text-transform: uppercase;
+  border-right: 1px solid #E5E7EB;
+  border-bottom: 1px solid #E5E7EB;
+`;
+
+const DayCell = styled.div<{ outside: boolean; isTarget: boolean; tall: boolean }>`
+  min-height: ${props => (props.tall ? '24rem' : '6.5rem')};
+  padding: 0.375rem;
+  border-right: 1px solid #E5E7EB;
+  border-bottom: 1px solid #E5E7EB;
+  background-color: ${props => (props.isTarget ? '#EFF6FF' : props.outside ? '#F9FAFB' : 'white')};
+  overflow: hidden;
+`;
+
+const DayNumber = styled.div<{ today: boolean; outside: boolean }>`
+  display: inline-block;
+  min-width: 1.5rem;
+  padding: 0.125rem 0.25rem;
+  border-radius: 9999px;
+  font-size: 0.75rem;
+  text-align: center;
+  margin-bottom: 0.25rem;
+  background-color: ${props => (props.today ? '#2563EB' : 'transparent')};
+  color: ${props => (props.today ? 'white' : props.outside ? '#9CA3AF' : '#374151')};
+`;
+
+const TaskChip = styled.div<{ overdue: boolean; completed: boolean }>`
+  padding: 0.125rem 0.375rem;
+  margin-bottom: 0.25rem;
+  border-radius: 0.25rem;
+  font-size: 0.75rem;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  cursor: grab;
+  background-color: ${props => (props.overdue ? '#FEE2E2' : props.completed ? '#F3F4F6' : '#DBEAFE')};
+  color: ${props => (props.overdue ? '#B91C1C' : props.completed ? '#9CA3AF' : '#1E40AF')};
+  text-decoration: ${props => (props.completed ? 'line-through' : 'none')};
+`;
+
+const LoadingIndicator = styled.div`
+  text-align: center;
+  padding: 2rem;
+  color: #6B7280;
+`;
+
+const ErrorMessage = styled.div`
+  color: #EF4444;
+  padding: 1rem;
+  background-color: #FEF2F2;
+  border-radius: 0.5rem;
+  margin-bottom: 1rem;
+`;
+
+interface CalendarViewProps {
+  onEditTask: (task: Task) => void;
+}
+
+const dayKey = (date: Date) => format(date, 'yyyy-MM-dd');
+
+// First and last day shown, whole weeks so the grid has no gaps
+const visibleRange = (anchor: Date, mode: CalendarMode) => (
+  mode === 'month'
+    ? { start: startOfWeek(startOfMonth(anchor), WEEK_OPTIONS), end: endOfWeek(endOfMonth(anchor), WEEK_OPTIONS) }
+    : { start: startOfWeek(anchor, WEEK_OPTIONS), end: endOfWeek(anchor, WEEK_OPTIONS) }
+);
+
+// The same time of day on another day, in local time
+const onDay = (dueDate: string, day: Date) => {
+  const due = new Date(dueDate);
+  const moved = new Date(day);
+  moved.setHours(due.getHours(), due.getMinutes(), due.getSeconds(), due.getMilliseconds());
+  return moved;
+};
+
+const CalendarView: React.FC<CalendarViewProps> = ({ onEditTask }) => {
+  const { rescheduleTask, activeProjectId, error, tasks } = useTasks();
+  const [mode, setMode] = useState<CalendarMode>('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [tasksByDay, setTasksByDay] = useState<Record<string, Task[]>>({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [draggedTask, setDraggedTask] = useState<Task | null>(null);
+  const [targetDay, setTargetDay] = useState<string | null>(null);
+
+  const { start, end } = visibleRange(anchor, mode);
+  const days: Date[] = eachDayOfInterval({ start, end });
+
+  const fetchDays = async () => {
+    try {
+      const found: Task[] = [];
+      let cursor: string | undefined;
+      for (let page = 0; page < MAX_PAGES; page++) {
+        const response = await taskService.getAllTasks({
+          dueFrom: start.toISOString(),
+          dueTo: end.toISOString(),
+          projectId: activeProjectId || undefined,
+          sort: 'dueDate',
+          order: 'asc',
+          limit: 100,
+          cursor,
+        });
+        found.push(...response.tasks);
+        if (!response.nextCursor) break;
+        cursor = response.nextCursor;
+      }
+
+      const grouped: Record<string, Task[]> = {};
+      for (const task of found) {
+        const key = dayKey(new Date(task.dueDate as string));
+        (grouped[key] = grouped[key] || []).push(task);
+      }
+      setTasksByDay(grouped);
+    } catch (err) {
+      console.error('Failed to fetch calendar tasks:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Reload when the range changes or tasks change elsewhere
+  useEffect(() => {
+    fetchDays();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [start.getTime(), end.getTime(), activeProjectId, tasks]);
+
+  const navigate = (step: number) => {
+    setAnchor(current => (mode === 'month' ? addMonths(current, step) : addWeeks(current, step)));
+  };
+
+  const handleDrop = async (e: React.DragEvent, day: Date) => {
+    e.preventDefault();
+    const task = draggedTask;
+    setDraggedTask(null);
+    setTargetDay(null);
+    if (!task || !task.dueDate || dayKey(new Date(task.dueDate)) === dayKey(day)) return;
+
+    await rescheduleTask(task, onDay(task.dueDate, day).toISOString());
+    await fetchDays();
+  };
+
+  const title = mode === 'month'
+    ? format(anchor, 'MMMM yyyy')
+    : `${format(start, 'MMM d')} – ${format(end, 'MMM d, yyyy')}`;
+
+  return (
+    <Container>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      <Toolbar>
+        <ToolbarButton onClick={() => navigate(-1)} aria-label="Previous">‹</ToolbarButton>
+        <ToolbarButton onClick={() => setAnchor(new Date())}>Today</ToolbarButton>
+        <ToolbarButton onClick={() => navigate(1)} aria-label="Next">›</ToolbarButton>
+        <RangeTitle>{title}</RangeTitle>
+        <ToolbarButton active={mode === 'month'} onClick={() => setMode('month')}>Month</ToolbarButton>
+        <ToolbarButton active={mode === 'week'} onClick={() => setMode('week')}>Week</ToolbarButton>
+      </Toolbar>
+
+      {isLoading ? (
+        <LoadingIndicator>Loading calendar...</LoadingIndicator>
+      ) : (
+        <Grid>
+          {days.slice(0, 7).map(day => (
+            <WeekdayHeader key={`header-${dayKey(day)}`}>{format(day, 'EEE')}</WeekdayHeader>
+          ))}
+
+          {days.map(day => {
+            const key = dayKey(day);
+            const outside = mode === 'month' && !isSameMonth(day, anchor);
+
+            return (
+              <DayCell
+                key={key}
+                outside={outside}
+                tall={mode === 'week'}
+                isTarget={draggedTask !== null && targetDay === key}
+                onDragOver={e => {
+                  e.preventDefault();
+                  if (targetDay !== key) setTargetDay(key);
+                }}
+                onDrop={e => handleDrop(e, day)}
+              >
+                <DayNumber today={isToday(day)} outside={outside}>{format(day, 'd')}</DayNumber>
+                {(tasksByDay[key] || []).map(task => {
+                  const completed = task.status === 'completed';
+                  return (
+                    <TaskChip
+                      key={task.id}
+                      draggable
+                      completed={completed}
+                      overdue={!completed && isOverdue(task.dueDate)}
+                      title={`${task.title} – ${format(new Date(task.dueDate as string), 'p')}`}
+                      onDragStart={e => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        setDraggedTask(task);
+                      }}
+                      onDragEnd={() => {
+                        setDraggedTask(null);
+                        setTargetDay(null);
+                      }}
+                      onClick={() => onEditTask(task)}
+                    >
+                      {mode === 'week' && `${format(new Date(task.dueDate as string), 'p')} `}
+                      {task.title}
+                    </TaskChip>
+                  );
+                })}
+              </DayCell>
+            );
+          })}
+        </Grid>
+      )}
+    </Container>
+  );
+};
+
+export default CalendarView;
@@ -0,0 +1,165 @@
+import React from 'react';
+import styled from '@emotion/styled';
+import { useTasks } from '../context/TaskContext';
+
+const Overlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  background-color: rgba(0, 0, 0, 0.5);
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  z-index: 1100;
+`;
+
+const Dialog = styled.div`
+  background-color: white;
+  border-radius: 0.5rem;
+  padding: 1.5rem;
+  width: 100%;
+  max-width: 480px;
+  box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05);
+`;
+
+const Title = styled.h2`
+  font-size: 1.125rem;
+  font-weight: 600;
+  margin: 0 0 0.5rem;
+`;
+
+const Message = styled.p`
+  font-size: 0.875rem;
+  color: #4B5563;
+  margin: 0 0 1rem;
+`;
+
+const ChangesTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.8125rem;
+  margin-bottom: 1.5rem;
+
+  th, td {
+    text-align: left;
+    padding: 0.375rem 0.5rem;
+    border-bottom: 1px solid #E5E7EB;
+  }
+
+  th {
+    color: #6B7280;
+    font-weight: 500;
+  }
+`;
+
+const ButtonGroup = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: 0.75rem;
+`;
+
+const Button = styled.button`
+  padding: 0.5rem 1rem;
+  border-radius: 0.375rem;
+  font-weight: 500;
+  cursor: pointer;
+`;
+
+const ReloadButton = styled(Button)`
+  background-color: white;
+  border: 1px solid #D1D5DB;
+
+  &:hover {
+    background-color: #F9FAFB;
+  }
+`;
+
+const OverwriteButton = styled(Button)`
+  background-color: #2563EB;
+  color: white;
+  border: none;
+
+  &:hover {
+    background-color: #1D4ED8;
+  }
+`;
+
+// Fields of the edit form that can differ from the latest version
+const comparedFields = ['title', 'description', 'priority', 'status', 'dueDate', 'remindBefore'] as const;
+
+const fieldLabels: Record<typeof comparedFields[number], string> = {
+  title: 'Title',
+  description: 'Description',
+  priority: 'Priority',
+  status: 'Status',
+  dueDate: 'Due date',
+  remindBefore: 'Reminder (minutes)',
+};
+
+const formatValue = (field: typeof comparedFields[number], value: unknown): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'dueDate') return new Date(value as string).toLocaleString();
+  return String(value);
+};
+
+const ConflictDialog: React.FC = () => {
+  const { conflict, resolveConflict } = useTasks();
+
+  if (!conflict) return null;
+
+  const { changes, serverTask } = conflict;
+  const differences = comparedFields.filter(field => {
+    const mine = changes[field];
+    if (mine === undefined) return false;
+    if (field === 'dueDate' && mine && serverTask.dueDate) {
+      return new Date(mine as string).getTime() !== new Date(serverTask.dueDate).getTime();
+    }
+    return String(mine ?? '') !== String(serverTask[field] ?? '');
+  });
+
+  return (
+    <Overlay>
+      <Dialog role="alertdialog" aria-labelledby="conflict-title">
+        <Title id="conflict-title">This task was changed elsewhere</Title>
+        <Message>
+          “{serverTask.title}” was updated in another tab or device after you started editing.
+          Keep your changes on top of the latest version, or reload it and discard your changes.
+        </Message>
+
+        {differences.length > 0 && (
+          <ChangesTable>
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Latest</th>
+                <th>Yours</th>
+              </tr>
+            </thead>
+            <tbody>
+              {differences.map(field => (
+                <tr key={field}>
+                  <td>{fieldLabels[field]}</td>
+                  <td>{formatValue(field, serverTask[field])}</td>
+                  <td>{formatValue(field, changes[field])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </ChangesTable>
+        )}
+
+        <ButtonGroup>
+          <ReloadButton onClick={() => resolveConflict('reload')}>
+            Reload latest
+          </ReloadButton>
+          <OverwriteButton onClick={() => resolveConflict('overwrite')}>
+            Keep my changes
+          </OverwriteButton>
+        </ButtonGroup>
+      </Dialog>
+    </Overlay>
+  );
+};
+
+export default ConflictDialog;
@@ -1,6 +1,7 @@
 import React from 'react';
 import styled from '@emotion/styled';
 import { useTasks } from '../context/TaskContext';
+import StatsCharts from './StatsCharts';
 
 const Container = styled.div`
   padding: 1.5rem;
@@ -89,7 +90,7 @@ const ErrorMessage = styled.div`
 `;
 
 const Dashboard: React.FC = () => {
-  const { tasks, isLoading, error, taskCounts } = useTasks();
+  const { tasks, isLoading, error, taskCounts, taskStats } = useTasks();
   
   // Get recent tasks (sorted by updatedAt)
   const recentTasks = [...tasks]
@@ -137,6 +138,13 @@ const Dashboard: React.FC = () => {
           <StatLabel>Completed</StatLabel>
         </StatCard>
       </StatsGrid>
+
+      {taskStats && (
+        <>
+          <SectionTitle>Insights</SectionTitle>
+          <StatsCharts stats={taskStats} />
+        </>
+      )}
       
       <SectionTitle>Recent Activity</SectionTitle>
       <RecentActivityContainer>
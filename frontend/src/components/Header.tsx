@@ -1,60 +1,184 @@
-import React, { useState } from 'react';
-import { Search, Menu, Plus, Bell, User } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import styled from '@emotion/styled';
+import { Search, Plus, X } from 'lucide-react';
+import { User } from '../services/api';
 
 interface HeaderProps {
-  onMenuClick: () => void;
+  title: string;
+  user: User;
   onAddTaskClick: () => void;
+  onLogout: () => void;
+  onSearch: (query: string) => void;
 }
 
-const Header: React.FC<HeaderProps> = ({ onMenuClick, onAddTaskClick }) => {
+const HeaderContainer = styled.header`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 1rem 1.5rem;
+  background-color: white;
+  border-bottom: 1px solid #E5E7EB;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 1.25rem;
+  font-weight: 600;
+`;
+
+const HeaderActions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+`;
+
+const SearchBox = styled.div`
+  position: relative;
+  display: flex;
+  align-items: center;
+
+  svg {
+    position: absolute;
+    color: #9CA3AF;
+  }
+
+  > svg:first-of-type {
+    left: 0.75rem;
+    pointer-events: none;
+  }
+`;
+
+const SearchInput = styled.input`
+  width: 16rem;
+  padding: 0.5rem 2rem 0.5rem 2.25rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+
+  &:focus {
+    outline: none;
+    border-color: #2563EB;
+    box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.1);
+  }
+`;
+
+const ClearButton = styled.button`
+  position: absolute;
+  right: 0.5rem;
+  display: flex;
+  padding: 0;
+  border: none;
+  background: none;
+  cursor: pointer;
+
+  svg {
+    position: static;
+  }
+`;
+
+const AddButton = styled.button`
+  display: flex;
+  align-items: center;
+  background-color: #2563EB;
+  color: white;
+  border: none;
+  padding: 0.5rem 1rem;
+  border-radius: 0.375rem;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #1D4ED8;
+  }
+
+  svg {
+    margin-right: 0.5rem;
+  }
+`;
+
+const LogoutButton = styled.button`
+  background-color: transparent;
+  color: #4B5563;
+  border: 1px solid #D1D5DB;
+  padding: 0.5rem 1rem;
+  border-radius: 0.375rem;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #F3F4F6;
+  }
+`;
+
+const UserInfo = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-right: 1rem;
+`;
+
+const UserAvatar = styled.div`
+  width: 2rem;
+  height: 2rem;
+  border-radius: 9999px;
+  background-color: #E5E7EB;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  color: #4B5563;
+  font-weight: 600;
+`;
+
+const UserName = styled.span`
+  font-weight: 500;
+`;
+
+// Wait for the user to stop typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+const Header: React.FC<HeaderProps> = ({ title, user, onAddTaskClick, onLogout, onSearch }) => {
   const [searchQuery, setSearchQuery] = useState('');
-  
+
+  useEffect(() => {
+    const timeout = setTimeout(() => onSearch(searchQuery.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);  // eslint-disable-line react-hooks/exhaustive-deps
+
   return (
-    <header className="bg-white border-b border-gray-200 sticky top-0 z-10">
-      <div className="flex items-center justify-between px-4 py-3">
-        <div className="flex items-center">
-          <button 
-            onClick={onMenuClick}
-            className="p-2 rounded-lg hover:bg-gray-100 md:hidden"
-          >
-            <Menu size={20} />
-          </button>
-          
-          <div className="relative ml-2 md:ml-0">
-            <div className="absolute inset-y-0 left-0 flex items-center pl-3 pointer-events-none">
-              <Search size={18} className="text-gray-400" />
-            </div>
-            <input
-              type="text"
-              placeholder="Search tasks..."
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              className="pl-10 pr-4 py-2 w-full md:w-64 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
-            />
-          </div>
-        </div>
-        
-        <div className="flex items-center space-x-2">
-          <button 
-            onClick={onAddTaskClick}
-            className="btn btn-primary flex items-center"
-          >
-            <Plus size={18} className="mr-1" />
-            <span className="hidden md:inline">Add Task</span>
-          </button>
-          
-          <button className="p-2 rounded-lg hover:bg-gray-100 relative">
-            <Bell size={20} />
-            <span className="absolute top-0 right-0 w-2 h-2 bg-red-500 rounded-full"></span>
-          </button>
-          
-          <div className="h-8 w-8 rounded-full bg-gray-200 flex items-center justify-center">
-            <User size={16} className="text-gray-600" />
-          </div>
-        </div>
-      </div>
-    </header>
+    <HeaderContainer>
+      <PageTitle>{title}</PageTitle>
+
+      <HeaderActions>
+        <SearchBox>
+          <Search size={18} />
+          <SearchInput
+            type="text"
+            placeholder="Search tasks..."
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setSearchQuery('')}
+          />
+          {searchQuery && (
+            <ClearButton onClick={() => setSearchQuery('')} title="Clear search">
+              <X size={16} />
+            </ClearButton>
+          )}
+        </SearchBox>
+
+        <UserInfo>
+          <UserAvatar>{user.full_name.charAt(0)}</UserAvatar>
+          <UserName>{user.full_name}</UserName>
+        </UserInfo>
+
+        <AddButton onClick={onAddTaskClick}>
+          <Plus size={16} />
+          Add Task
+        </AddButton>
+
+        <LogoutButton onClick={onLogout}>
+          Logout
+        </LogoutButton>
+      </HeaderActions>
+    </HeaderContainer>
   );
 };
 
-export default Header; 
\ No newline at end of file
+export default Header;
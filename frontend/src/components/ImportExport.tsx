@@ -0,0 +1,163 @@
+import React, { useRef, useState } from 'react';
+import styled from '@emotion/styled';
+import { useTasks } from '../context/TaskContext';
+import taskService, { ImportResponse, TransferFormat } from '../services/taskApi';
+
+const Container = styled.div`
+  padding: 0 1rem;
+  font-size: 0.875rem;
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  gap: 0.375rem;
+  margin-bottom: 0.5rem;
+`;
+
+const SmallButton = styled.button`
+  flex: 1;
+  padding: 0.375rem 0.5rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: white;
+  color: #1F2937;
+  font-size: 0.75rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #F9FAFB;
+  }
+
+  &:disabled {
+    color: #9CA3AF;
+    cursor: default;
+  }
+`;
+
+const Summary = styled.div`
+  font-size: 0.75rem;
+  color: #4B5563;
+  margin-top: 0.25rem;
+`;
+
+const RowError = styled.li`
+  color: #B91C1C;
+`;
+
+const ErrorList = styled.ul`
+  margin: 0.25rem 0 0;
+  padding-left: 1rem;
+  max-height: 6rem;
+  overflow-y: auto;
+`;
+
+const exportFormats: { format: TransferFormat; label: string }[] = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'ics', label: 'iCal' },
+];
+
+// The format of an import is taken from the file extension
+const formatOfFile = (name: string): TransferFormat | null => {
+  const extension = name.split('.').pop()?.toLowerCase();
+  if (extension === 'csv' || extension === 'json' || extension === 'ics') return extension;
+  return null;
+};
+
+const ImportExport: React.FC = () => {
+  const { importTasks } = useTasks();
+  const fileInput = useRef<HTMLInputElement>(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [result, setResult] = useState<ImportResponse | null>(null);
+
+  const handleExport = async (format: TransferFormat) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const blob = await taskService.exportTasks(format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err: any) {
+      console.error('Failed to export tasks:', err);
+      setMessage('Export failed. Please try again later.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const format = formatOfFile(file.name);
+    if (!format) {
+      setResult(null);
+      setMessage('Choose a .csv, .json or .ics file.');
+      return;
+    }
+
+    setBusy(true);
+    setMessage(null);
+    const response = await importTasks(format, await file.text());
+    setResult(response || null);
+    setBusy(false);
+  };
+
+  const rowErrors = result ? result.results.filter(row => !row.success) : [];
+
+  return (
+    <Container>
+      <ButtonRow>
+        {exportFormats.map(({ format, label }) => (
+          <SmallButton
+            key={format}
+            disabled={busy}
+            onClick={() => handleExport(format)}
+            title={`Export all tasks as ${label}`}
+          >
+            {label}
+          </SmallButton>
+        ))}
+      </ButtonRow>
+
+      <SmallButton
+        style={{ width: '100%' }}
+        disabled={busy}
+        onClick={() => fileInput.current?.click()}
+      >
+        {busy ? 'Working...' : 'Import from file…'}
+      </SmallButton>
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".csv,.json,.ics"
+        style={{ display: 'none' }}
+        onChange={handleFileChange}
+      />
+
+      {message && <Summary>{message}</Summary>}
+      {result && (
+        <Summary>
+          Imported {result.created} of {result.total}
+          {result.skipped > 0 && `, ${result.skipped} already existed`}
+          {result.failed > 0 && `, ${result.failed} failed`}.
+          {rowErrors.length > 0 && (
+            <ErrorList>
+              {rowErrors.map(row => (
+                <RowError key={row.row}>Row {row.row}: {row.error?.message}</RowError>
+              ))}
+            </ErrorList>
+          )}
+        </Summary>
+      )}
+    </Container>
+  );
+};
+
+export default ImportExport;
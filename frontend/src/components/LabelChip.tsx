@@ -0,0 +1,45 @@
+import React from 'react';
+import styled from '@emotion/styled';
+import { Label } from '../services/labelApi';
+
+interface LabelChipProps {
+  label: Label;
+  selected?: boolean;
+  onClick?: (label: Label) => void;
+}
+
+const Chip = styled.span<{ color: string; selected: boolean; clickable: boolean }>`
+  display: inline-flex;
+  align-items: center;
+  padding: 0.125rem 0.5rem;
+  border-radius: 9999px;
+  font-size: 0.75rem;
+  font-weight: 500;
+  border: 1px solid ${props => props.color};
+  background-color: ${props => props.selected ? props.color : 'transparent'};
+  color: ${props => props.selected ? 'white' : props.color};
+  cursor: ${props => props.clickable ? 'pointer' : 'default'};
+  user-select: none;
+`;
+
+export const LabelList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.375rem;
+`;
+
+const LabelChip: React.FC<LabelChipProps> = ({ label, selected = true, onClick }) => (
+  <Chip
+    color={label.color}
+    selected={selected}
+    clickable={!!onClick}
+    onClick={onClick ? (e) => {
+      e.stopPropagation();
+      onClick(label);
+    } : undefined}
+  >
+    {label.name}
+  </Chip>
+);
+
+export default LabelChip;
@@ -0,0 +1,167 @@
+import React from 'react';
+import styled from '@emotion/styled';
+
+// A small markdown renderer for comments: paragraphs, headings, lists, quotes,
+// fenced code, `code`, **bold**, *italic*, [links](https://...) and @email mentions.
+// Everything is rendered as React elements, raw HTML is shown as text.
+
+interface MarkdownProps {
+  text: string;
+}
+
+const Root = styled.div`
+  font-size: 0.875rem;
+  color: #1F2937;
+  line-height: 1.5;
+  overflow-wrap: anywhere;
+
+  p, ul, ol, pre, blockquote {
+    margin: 0 0 0.5rem;
+  }
+
+  > :last-child {
+    margin-bottom: 0;
+  }
+
+  ul, ol {
+    padding-left: 1.25rem;
+  }
+
+  h4 {
+    font-size: 0.9375rem;
+    font-weight: 600;
+    margin: 0 0 0.375rem;
+  }
+`;
+
+const CodeBlock = styled.pre`
+  padding: 0.5rem 0.75rem;
+  border-radius: 0.375rem;
+  background-color: #F3F4F6;
+  font-size: 0.8125rem;
+  overflow-x: auto;
+`;
+
+const InlineCode = styled.code`
+  padding: 0.0625rem 0.25rem;
+  border-radius: 0.25rem;
+  background-color: #F3F4F6;
+  font-size: 0.8125rem;
+`;
+
+const Quote = styled.blockquote`
+  padding-left: 0.75rem;
+  border-left: 3px solid #D1D5DB;
+  color: #4B5563;
+`;
+
+const Mention = styled.span`
+  color: #2563EB;
+  font-weight: 500;
+`;
+
+const INLINE_PATTERN = /`([^`\n]+)`|\*\*([^*\n]+)\*\*|\*([^*\s][^*\n]*)\*|_([^_\s][^_\n]*)_|\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)|@[\w.%+-]+@[a-z\d-]+(?:\.[a-z\d-]+)*\.[a-z]{2,}/gi;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*]|\d+\.)\s+/;
+const ORDERED_ITEM_PATTERN = /^\s*\d+\.\s+/;
+const HEADING_PATTERN = /^#{1,6}\s+/;
+
+const renderInline = (text: string, keyPrefix: string): React.ReactNode[] => {
+  const nodes: React.ReactNode[] = [];
+  let last = 0;
+  let index = 0;
+
+  for (const match of Array.from(text.matchAll(INLINE_PATTERN))) {
+    const [token, code, bold, italic, underscored, linkText, href] = match;
+    const start = match.index || 0;
+    const key = `${keyPrefix}-${index++}`;
+
+    // Like on the server, "name@example.com" is an address, not a mention
+    if (token.startsWith('@') && start > 0 && /[\w@.+-]/.test(text[start - 1])) {
+      continue;
+    }
+
+    nodes.push(text.slice(last, start));
+    if (code !== undefined) {
+      nodes.push(<InlineCode key={key}>{code}</InlineCode>);
+    } else if (bold !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(bold, key)}</strong>);
+    } else if (italic !== undefined || underscored !== undefined) {
+      nodes.push(<em key={key}>{renderInline((italic ?? underscored) as string, key)}</em>);
+    } else if (href !== undefined) {
+      nodes.push(<a key={key} href={href} target="_blank" rel="noopener noreferrer">{linkText}</a>);
+    } else {
+      nodes.push(<Mention key={key}>{token}</Mention>);
+    }
+    last = start + token.length;
+  }
+
+  nodes.push(text.slice(last));
+  return nodes;
+};
+
+// Lines joined with line breaks
+const renderLines = (lines: string[], keyPrefix: string): React.ReactNode[] => (
+  lines.flatMap((line, i) => [
+    ...(i > 0 ? [<br key={`${keyPrefix}-br-${i}`} />] : []),
+    ...renderInline(line, `${keyPrefix}-${i}`),
+  ])
+);
+
+const renderBlocks = (text: string): React.ReactNode[] => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks: React.ReactNode[] = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const key = `block-${blocks.length}`;
+
+    if (!line.trim()) {
+      i++;
+    } else if (line.trimStart().startsWith('```')) {
+      const code: string[] = [];
+      i++;
+      while (i < lines.length && !lines[i].trimStart().startsWith('```')) {
+        code.push(lines[i++]);
+      }
+      i++;
+      blocks.push(<CodeBlock key={key}><code>{code.join('\n')}</code></CodeBlock>);
+    } else if (HEADING_PATTERN.test(line)) {
+      blocks.push(<h4 key={key}>{renderInline(line.replace(HEADING_PATTERN, ''), key)}</h4>);
+      i++;
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      const ordered = ORDERED_ITEM_PATTERN.test(line);
+      const items: string[] = [];
+      while (i < lines.length && LIST_ITEM_PATTERN.test(lines[i])) {
+        items.push(lines[i++].replace(LIST_ITEM_PATTERN, ''));
+      }
+      const children = items.map((item, j) => <li key={`${key}-${j}`}>{renderInline(item, `${key}-${j}`)}</li>);
+      blocks.push(ordered ? <ol key={key}>{children}</ol> : <ul key={key}>{children}</ul>);
+    } else if (line.trimStart().startsWith('>')) {
+      const quoted: string[] = [];
+      while (i < lines.length && lines[i].trimStart().startsWith('>')) {
+        quoted.push(lines[i++].trimStart().replace(/^>\s?/, ''));
+      }
+      blocks.push(<Quote key={key}>{renderLines(quoted, key)}</Quote>);
+    } else {
+      const paragraph: string[] = [];
+      while (
+        i < lines.length &&
+        lines[i].trim() &&
+        !lines[i].trimStart().startsWith('```') &&
+        !HEADING_PATTERN.test(lines[i]) &&
+        !LIST_ITEM_PATTERN.test(lines[i]) &&
+        !lines[i].trimStart().startsWith('>')
+      ) {
+        paragraph.push(lines[i++]);
+      }
+      blocks.push(<p key={key}>{renderLines(paragraph, key)}</p>);
+    }
+  }
+
+  return blocks;
+};
+
+const Markdown: React.FC<MarkdownProps> = ({ text }) => <Root>{renderBlocks(text)}</Root>;
+
+export default Markdown;
@@ -0,0 +1,96 @@
+import React from 'react';
+import styled from '@emotion/styled';
+import { useTasks } from '../context/TaskContext';
+import { Task } from '../services/taskApi';
+import { formatDueDate } from '../utils/taskUtils';
+
+interface SearchResultsProps {
+  onEditTask: (task: Task) => void;
+}
+
+const Container = styled.div`
+  padding: 1.5rem;
+`;
+
+const Summary = styled.p`
+  color: #6B7280;
+  margin-bottom: 1rem;
+`;
+
+const ResultCard = styled.div`
+  background-color: white;
+  border-radius: 8px;
+  padding: 1rem;
+  margin-bottom: 1rem;
+  box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+  cursor: pointer;
+
+  &:hover {
+    box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+  }
+
+  mark {
+    background-color: #FEF3C7;
+    color: inherit;
+    border-radius: 2px;
+  }
+`;
+
+const ResultTitle = styled.h3`
+  font-weight: 500;
+  margin: 0 0 0.25rem;
+`;
+
+const Snippet = styled.p`
+  font-size: 0.875rem;
+  color: #4B5563;
+  margin: 0.25rem 0;
+`;
+
+const Meta = styled.div`
+  font-size: 0.75rem;
+  color: #6B7280;
+  margin-top: 0.5rem;
+`;
+
+// Render <mark> markers from the API as elements, never as raw HTML
+const Highlighted: React.FC<{ text: string }> = ({ text }) => (
+  <>
+    {text.split(/(<mark>.*?<\/mark>)/g).map((part, index) => {
+      const match = /^<mark>(.*)<\/mark>$/.exec(part);
+      return match ? <mark key={index}>{match[1]}</mark> : <React.Fragment key={index}>{part}</React.Fragment>;
+    })}
+  </>
+);
+
+const SearchResults: React.FC<SearchResultsProps> = ({ onEditTask }) => {
+  const { searchQuery, searchResults, isSearching } = useTasks();
+
+  return (
+    <Container>
+      <Summary>
+        {isSearching
+          ? 'Searching...'
+          : `${searchResults.length} result${searchResults.length === 1 ? '' : 's'} for "${searchQuery}"`}
+      </Summary>
+
+      {searchResults.map(result => (
+        <ResultCard key={result.id} onClick={() => onEditTask(result)}>
+          <ResultTitle>
+            <Highlighted text={result.titleHighlight} />
+          </ResultTitle>
+          {result.snippet && (
+            <Snippet>
+              <Highlighted text={result.snippet} />
+            </Snippet>
+          )}
+          <Meta>
+            {result.status.replace('_', ' ')} · {result.priority} priority · Due: {formatDueDate(result.dueDate)}
+          </Meta>
+        </ResultCard>
+      ))}
+    </Container>
+  );
+};
+
+export default SearchResults;
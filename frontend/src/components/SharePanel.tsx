@@ -0,0 +1,257 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import shareService, { Share, ShareResource, ShareRole } from '../services/shareApi';
+
+interface SharePanelProps {
+  resource: ShareResource;
+}
+
+const Container = styled.div`
+  margin-top: 2rem;
+  padding-top: 1rem;
+  border-top: 1px solid #E5E7EB;
+`;
+
+const Heading = styled.h3`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: #374151;
+  margin: 0 0 0.75rem;
+`;
+
+const List = styled.ul`
+  list-style: none;
+  margin: 0 0 0.75rem;
+  padding: 0;
+`;
+
+const Item = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  padding: 0.375rem 0;
+  font-size: 0.8125rem;
+  color: #4B5563;
+  border-bottom: 1px solid #F3F4F6;
+`;
+
+const Email = styled.span`
+  flex: 1;
+  min-width: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const Pending = styled.span`
+  font-size: 0.75rem;
+  color: #9CA3AF;
+`;
+
+const Select = styled.select`
+  padding: 0.25rem 0.375rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: white;
+  font-size: 0.8125rem;
+`;
+
+const RemoveButton = styled.button`
+  padding: 0 0.25rem;
+  border: none;
+  background: none;
+  color: #9CA3AF;
+  font-size: 1rem;
+  line-height: 1;
+  cursor: pointer;
+
+  &:hover {
+    color: #EF4444;
+  }
+`;
+
+const InviteRow = styled.form`
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const EmailInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  padding: 0.375rem 0.75rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  font-size: 0.8125rem;
+
+  &:focus {
+    outline: none;
+    border-color: #3B82F6;
+    box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+  }
+`;
+
+const InviteButton = styled.button`
+  padding: 0.375rem 0.875rem;
+  border: none;
+  border-radius: 0.375rem;
+  background-color: #2563EB;
+  color: white;
+  font-size: 0.8125rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #1D4ED8;
+  }
+
+  &:disabled {
+    background-color: #93C5FD;
+    cursor: default;
+  }
+`;
+
+const Muted = styled.p`
+  font-size: 0.8125rem;
+  color: #6B7280;
+  margin: 0 0 0.75rem;
+`;
+
+const ErrorText = styled.p`
+  font-size: 0.8125rem;
+  color: #EF4444;
+  margin: 0 0 0.5rem;
+`;
+
+const roleOptions: { value: ShareRole; label: string }[] = [
+  { value: 'viewer', label: 'Can view' },
+  { value: 'editor', label: 'Can edit' },
+];
+
+// Who a task or project is shared with, for its owner
+const SharePanel: React.FC<SharePanelProps> = ({ resource }) => {
+  const [shares, setShares] = useState<Share[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<ShareRole>('viewer');
+  const [isSaving, setIsSaving] = useState(false);
+  const resourceKey = 'taskId' in resource ? `task:${resource.taskId}` : `project:${resource.projectId}`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchShares = async () => {
+      setIsLoading(true);
+      try {
+        const response = await shareService.getShares(resource);
+        if (!cancelled) {
+          setShares(response);
+          setError(null);
+        }
+      } catch (err: any) {
+        console.error('Failed to fetch shares:', err);
+        if (!cancelled) setError('Failed to load who this is shared with');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchShares();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [resourceKey]);
+
+  // Sharing with an email again only changes the role
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const share = await shareService.share(resource, email.trim(), role);
+      setShares(current => current.some(s => s.id === share.id)
+        ? current.map(s => (s.id === share.id ? share : s))
+        : [...current, share]);
+      setEmail('');
+    } catch (err: any) {
+      console.error('Failed to share:', err);
+      setError(err.response?.data?.message || 'Failed to share');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (share: Share, newRole: ShareRole) => {
+    try {
+      const updated = await shareService.updateShare(resource, share.id, newRole);
+      setShares(current => current.map(s => (s.id === updated.id ? updated : s)));
+    } catch (err: any) {
+      console.error('Failed to update share:', err);
+      setError('Failed to change the role');
+    }
+  };
+
+  const handleRemove = async (share: Share) => {
+    if (!window.confirm(`Stop sharing with ${share.email}?`)) return;
+
+    try {
+      await shareService.deleteShare(resource, share.id);
+      setShares(current => current.filter(s => s.id !== share.id));
+    } catch (err: any) {
+      console.error('Failed to delete share:', err);
+      setError('Failed to stop sharing');
+    }
+  };
+
+  return (
+    <Container>
+      <Heading>Sharing</Heading>
+      {error && <ErrorText>{error}</ErrorText>}
+      {isLoading && <Muted>Loading...</Muted>}
+      {!isLoading && shares.length === 0 && <Muted>Only you can see this.</Muted>}
+      {!isLoading && shares.length > 0 && (
+        <List>
+          {shares.map(share => (
+            <Item key={share.id}>
+              <Email title={share.email}>{share.email}</Email>
+              {!share.userId && <Pending>pending</Pending>}
+              <Select
+                value={share.role}
+                aria-label={`Role of ${share.email}`}
+                onChange={e => handleRoleChange(share, e.target.value as ShareRole)}
+              >
+                {roleOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </Select>
+              <RemoveButton type="button" aria-label={`Stop sharing with ${share.email}`} onClick={() => handleRemove(share)}>
+                ×
+              </RemoveButton>
+            </Item>
+          ))}
+        </List>
+      )}
+
+      <InviteRow onSubmit={handleInvite}>
+        <EmailInput
+          type="email"
+          placeholder="Invite by email"
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+        />
+        <Select value={role} aria-label="Role" onChange={e => setRole(e.target.value as ShareRole)}>
+          {roleOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Select>
+        <InviteButton type="submit" disabled={isSaving || !email.trim()}>
+          Share
+        </InviteButton>
+      </InviteRow>
+    </Container>
+  );
+};
+
+export default SharePanel;
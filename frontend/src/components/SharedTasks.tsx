@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import shareService, { SharedTask } from '../services/shareApi';
+
+interface SharedTasksProps {
+  onEditTask: (task: SharedTask) => void;
+}
+
+const Container = styled.div`
+  padding: 1.5rem;
+`;
+
+const Summary = styled.p`
+  color: #6B7280;
+  margin-bottom: 1rem;
+`;
+
+const SharedCard = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 1rem;
+  width: 100%;
+  background-color: white;
+  border: none;
+  border-radius: 8px;
+  padding: 1rem;
+  margin-bottom: 1rem;
+  text-align: left;
+  cursor: pointer;
+  box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+
+  &:hover {
+    box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+  }
+`;
+
+const TaskTitle = styled.h3<{ completed: boolean }>`
+  font-weight: 500;
+  margin: 0 0 0.25rem;
+  color: ${props => (props.completed ? '#9CA3AF' : '#1F2937')};
+  text-decoration: ${props => (props.completed ? 'line-through' : 'none')};
+`;
+
+const Meta = styled.div`
+  font-size: 0.75rem;
+  color: #6B7280;
+`;
+
+const RoleBadge = styled.span<{ role: string }>`
+  flex-shrink: 0;
+  padding: 0.125rem 0.5rem;
+  border-radius: 9999px;
+  font-size: 0.75rem;
+  font-weight: 500;
+  background-color: ${props => (props.role === 'editor' ? '#DBEAFE' : '#F3F4F6')};
+  color: ${props => (props.role === 'editor' ? '#1D4ED8' : '#4B5563')};
+`;
+
+const LoadingIndicator = styled.div`
+  text-align: center;
+  padding: 2rem;
+  color: #6B7280;
+`;
+
+const ErrorMessage = styled.div`
+  color: #EF4444;
+  padding: 1rem;
+  background-color: #FEF2F2;
+  border-radius: 0.5rem;
+  margin-bottom: 1rem;
+`;
+
+// Opening the list also accepts pending invitations on the server
+const SharedTasks: React.FC<SharedTasksProps> = ({ onEditTask }) => {
+  const [tasks, setTasks] = useState<SharedTask[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchShared = async () => {
+      try {
+        const response = await shareService.getSharedWithMe({ limit: 100 });
+        setTasks(response.tasks);
+      } catch (err: any) {
+        console.error('Failed to fetch shared tasks:', err);
+        setError('Failed to load the tasks shared with you');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchShared();
+  }, []);
+
+  if (isLoading) {
+    return <LoadingIndicator>Loading shared tasks...</LoadingIndicator>;
+  }
+
+  return (
+    <Container>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {tasks.length === 0 && !error && (
+        <Summary>Nobody has shared a task with you yet.</Summary>
+      )}
+
+      {tasks.map(task => (
+        <SharedCard key={task.id} type="button" onClick={() => onEditTask(task)}>
+          <div>
+            <TaskTitle completed={task.status === 'completed'}>{task.title}</TaskTitle>
+            <Meta>
+              {task.dueDate ? `Due ${new Date(task.dueDate).toLocaleString()}` : 'No due date'}
+            </Meta>
+          </div>
+          <RoleBadge role={task.role}>{task.role === 'editor' ? 'Can edit' : 'Can view'}</RoleBadge>
+        </SharedCard>
+      ))}
+    </Container>
+  );
+};
+
+export default SharedTasks;
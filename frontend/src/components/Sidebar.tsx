@@ -1,6 +1,10 @@
-import React from 'react';
+import React, { useState } from 'react';
 import styled from '@emotion/styled';
 import { useTasks } from '../context/TaskContext';
+import ImportExport from './ImportExport';
+import CalendarFeedLink from './CalendarFeedLink';
+import TimeZoneSetting from './TimeZoneSetting';
+import WorkspaceSwitcher from './WorkspaceSwitcher';
 
 interface SidebarProps {
   activeView: string;
@@ -60,21 +64,175 @@ const Badge = styled.span`
   margin-left: auto;
 `;
 
+const SectionHeader = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  margin: 1.5rem 0 0.5rem;
+  padding: 0 1rem;
+  color: #6B7280;
+  font-size: 0.75rem;
+  font-weight: 600;
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+  
+  button {
+    border: none;
+    background: none;
+    color: #6B7280;
+    font-size: 1rem;
+    line-height: 1;
+    cursor: pointer;
+    
+    &:hover {
+      color: #2563EB;
+    }
+  }
+`;
+
+const ProjectDot = styled.span<{ color: string }>`
+  width: 0.5rem;
+  height: 0.5rem;
+  border-radius: 9999px;
+  background-color: ${props => props.color};
+  margin-right: 0.75rem;
+  flex-shrink: 0;
+`;
+
+const ProjectInput = styled.input`
+  width: 100%;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  font-size: 0.875rem;
+  margin-bottom: 0.5rem;
+  
+  &:focus {
+    outline: none;
+    border-color: #2563EB;
+  }
+`;
+
+const FilterItem = styled(NavItem)`
+  display: flex;
+  align-items: center;
+  
+  button:first-of-type {
+    flex: 1;
+    min-width: 0;
+  }
+`;
+
+const RemoveButton = styled.button`
+  && {
+    width: auto;
+    padding: 0.25rem 0.5rem;
+    background: none;
+    color: #9CA3AF;
+    font-size: 1rem;
+    line-height: 1;
+    
+    &:hover {
+      color: #EF4444;
+    }
+  }
+`;
+
+const FormError = styled.div`
+  color: #EF4444;
+  font-size: 0.75rem;
+  margin-bottom: 0.5rem;
+`;
+
+const FormHint = styled.div`
+  color: #6B7280;
+  font-size: 0.75rem;
+  margin-bottom: 0.5rem;
+`;
+
 const Sidebar: React.FC<SidebarProps> = ({ activeView, onViewChange }) => {
-  const { taskCounts } = useTasks();
+  const {
+    taskCounts,
+    projects,
+    activeProjectId,
+    setActiveProjectId,
+    addProject,
+    savedFilters,
+    addSavedFilter,
+    deleteSavedFilter
+  } = useTasks();
+  const [isAddingProject, setIsAddingProject] = useState(false);
+  const [projectName, setProjectName] = useState('');
+  const [isAddingFilter, setIsAddingFilter] = useState(false);
+  const [filterName, setFilterName] = useState('');
+  const [filterQuery, setFilterQuery] = useState('');
+  const [filterError, setFilterError] = useState<string | null>(null);
+  
+  const handleProjectSelect = (projectId: string | null) => {
+    setActiveProjectId(projectId);
+    if (activeView === 'dashboard') {
+      onViewChange('all');
+    }
+  };
+  
+  const handleProjectSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const name = projectName.trim();
+    if (name) {
+      await addProject(name);
+      onViewChange('all');
+    }
+    setProjectName('');
+    setIsAddingProject(false);
+  };
+  
+  const handleFilterSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const name = filterName.trim();
+    const query = filterQuery.trim();
+    if (!name || !query) {
+      setFilterError('Enter a name and a query.');
+      return;
+    }
+    
+    try {
+      const filter = await addSavedFilter(name, query);
+      onViewChange(`filter:${filter.id}`);
+      setFilterName('');
+      setFilterQuery('');
+      setFilterError(null);
+      setIsAddingFilter(false);
+    } catch (err: any) {
+      // Keep the form open so an invalid query can be corrected
+      setFilterError(err.response?.data?.message || 'Failed to save the filter.');
+    }
+  };
+  
+  const handleFilterDelete = async (filterId: string) => {
+    await deleteSavedFilter(filterId);
+    if (activeView === `filter:${filterId}`) {
+      onViewChange('all');
+    }
+  };
   
   const navItems = [
     { id: 'dashboard', label: 'Dashboard' },
     { id: 'all', label: 'All Tasks', count: taskCounts.all },
+    { id: 'board', label: 'Board' },
+    { id: 'calendar', label: 'Calendar' },
     { id: 'today', label: 'Today', count: taskCounts.today },
     { id: 'upcoming', label: 'Upcoming', count: taskCounts.upcoming },
     { id: 'overdue', label: 'Overdue', count: taskCounts.overdue },
-    { id: 'completed', label: 'Completed', count: taskCounts.completed }
+    { id: 'completed', label: 'Completed', count: taskCounts.completed },
+    { id: 'assigned', label: 'Assigned to Me' },
+    { id: 'shared', label: 'Shared with Me' },
+    { id: 'trash', label: 'Trash' }
   ];
   
   return (
     <SidebarContainer>
       <Logo>TaskMaster</Logo>
+      <WorkspaceSwitcher />
       
       <NavList>
         {navItems.map(item => (
@@ -88,6 +246,99 @@ const Sidebar: React.FC<SidebarProps> = ({ activeView, onViewChange }) => {
           </NavItem>
         ))}
       </NavList>
+      
+      <SectionHeader>
+        Filters
+        <button onClick={() => setIsAddingFilter(!isAddingFilter)} title="Add filter">+</button>
+      </SectionHeader>
+      
+      {isAddingFilter && (
+        <form onSubmit={handleFilterSubmit}>
+          <ProjectInput
+            autoFocus
+            value={filterName}
+            placeholder="Filter name"
+            onChange={(e) => setFilterName(e.target.value)}
+          />
+          <ProjectInput
+            value={filterQuery}
+            placeholder="priority:high due:this-week"
+            onChange={(e) => setFilterQuery(e.target.value)}
+          />
+          <FormHint>
+            Fields: status, priority, due, project, label. Use commas for alternatives and "-" to exclude.
+          </FormHint>
+          {filterError && <FormError>{filterError}</FormError>}
+          <button type="submit" hidden />
+        </form>
+      )}
+      
+      <NavList>
+        {savedFilters.map(filter => (
+          <FilterItem key={filter.id} active={activeView === `filter:${filter.id}`}>
+            <button onClick={() => onViewChange(`filter:${filter.id}`)} title={filter.query}>
+              {filter.name}
+              {filter.count !== undefined && filter.count > 0 && (
+                <Badge>{filter.count}</Badge>
+              )}
+            </button>
+            <RemoveButton onClick={() => handleFilterDelete(filter.id)} title="Delete filter" aria-label={`Delete ${filter.name}`}>
+              ×
+            </RemoveButton>
+          </FilterItem>
+        ))}
+      </NavList>
+      
+      <SectionHeader>
+        Projects
+        <button onClick={() => setIsAddingProject(!isAddingProject)} title="Add project">+</button>
+      </SectionHeader>
+      
+      {isAddingProject && (
+        <form onSubmit={handleProjectSubmit}>
+          <ProjectInput
+            autoFocus
+            value={projectName}
+            placeholder="Project name"
+            onChange={(e) => setProjectName(e.target.value)}
+            onBlur={() => !projectName && setIsAddingProject(false)}
+          />
+        </form>
+      )}
+      
+      <NavList>
+        <NavItem active={activeProjectId === null}>
+          <button onClick={() => handleProjectSelect(null)}>
+            All Projects
+          </button>
+        </NavItem>
+        {projects.map(project => (
+          <NavItem key={project.id} active={activeProjectId === project.id}>
+            <button onClick={() => handleProjectSelect(project.id)}>
+              <ProjectDot color={project.color || '#9CA3AF'} />
+              {project.name}
+              {project.counts.open > 0 && (
+                <Badge>{project.counts.open}</Badge>
+              )}
+            </button>
+          </NavItem>
+        ))}
+      </NavList>
+      
+      <SectionHeader>
+        Import / Export
+      </SectionHeader>
+      <ImportExport />
+
+      <SectionHeader>
+        Calendar
+      </SectionHeader>
+      <CalendarFeedLink />
+
+      <SectionHeader>
+        Time zone
+      </SectionHeader>
+      <TimeZoneSetting />
     </SidebarContainer>
   );
 };
@@ -0,0 +1,199 @@
+import React from 'react';
+import styled from '@emotion/styled';
+import { DailyCount, TaskStats } from '../services/taskApi';
+
+const Grid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+  gap: 1rem;
+  margin-bottom: 2rem;
+`;
+
+const Panel = styled.div`
+  background-color: white;
+  border-radius: 0.5rem;
+  padding: 1.25rem;
+  box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+`;
+
+const PanelTitle = styled.h3`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: #374151;
+  margin: 0 0 1rem;
+`;
+
+const Columns = styled.div`
+  display: flex;
+  align-items: flex-end;
+  gap: 0.25rem;
+  height: 6rem;
+`;
+
+const Column = styled.div<{ percent: number; color: string }>`
+  flex: 1;
+  height: ${props => props.percent}%;
+  min-height: 2px;
+  background-color: ${props => props.color};
+  border-radius: 0.125rem 0.125rem 0 0;
+`;
+
+const AxisLabels = styled.div`
+  display: flex;
+  justify-content: space-between;
+  color: #6B7280;
+  font-size: 0.75rem;
+  margin-top: 0.375rem;
+`;
+
+const BarRow = styled.div`
+  display: grid;
+  grid-template-columns: 4.5rem 1fr 3rem;
+  align-items: center;
+  gap: 0.5rem;
+  font-size: 0.75rem;
+  color: #4B5563;
+  margin-bottom: 0.5rem;
+`;
+
+const BarTrack = styled.div`
+  height: 0.5rem;
+  background-color: #F3F4F6;
+  border-radius: 9999px;
+  overflow: hidden;
+`;
+
+const BarFill = styled.div<{ percent: number; color: string }>`
+  height: 100%;
+  width: ${props => props.percent}%;
+  background-color: ${props => props.color};
+`;
+
+const Figures = styled.div`
+  display: flex;
+  gap: 1.5rem;
+`;
+
+const Figure = styled.div`
+  font-size: 1.5rem;
+  font-weight: bold;
+
+  span {
+    display: block;
+    font-size: 0.75rem;
+    font-weight: normal;
+    color: #6B7280;
+  }
+`;
+
+const priorityColors = {
+  high: '#EF4444',
+  medium: '#F59E0B',
+  low: '#10B981',
+};
+
+// Dates are YYYY-MM-DD days of the user's time zone, shown without conversion
+const shortDate = (date: string) => {
+  const [, month, day] = date.split('-').map(Number);
+  return `${month}/${day}`;
+};
+
+const DailyChart: React.FC<{ days: DailyCount[]; color: string }> = ({ days, color }) => {
+  const max = Math.max(1, ...days.map(day => day.count));
+
+  return (
+    <>
+      <Columns>
+        {days.map(day => (
+          <Column
+            key={day.date}
+            percent={(day.count / max) * 100}
+            color={color}
+            title={`${shortDate(day.date)}: ${day.count}`}
+          />
+        ))}
+      </Columns>
+      {days.length > 0 && (
+        <AxisLabels>
+          <span>{shortDate(days[0].date)}</span>
+          <span>Today</span>
+        </AxisLabels>
+      )}
+    </>
+  );
+};
+
+const formatHours = (hours: number | null) => {
+  if (hours === null) return '–';
+  return hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+};
+
+const StatsCharts: React.FC<{ stats: TaskStats }> = ({ stats }) => {
+  const openTotal = stats.byPriority.high + stats.byPriority.medium + stats.byPriority.low;
+
+  return (
+    <Grid>
+      <Panel>
+        <PanelTitle>Completed per day</PanelTitle>
+        <DailyChart days={stats.completedPerDay} color="#3B82F6" />
+      </Panel>
+
+      <Panel>
+        <PanelTitle>Overdue tasks</PanelTitle>
+        <DailyChart days={stats.overdueTrend} color="#EF4444" />
+      </Panel>
+
+      <Panel>
+        <PanelTitle>Completion rate</PanelTitle>
+        {stats.completionRate.map(window => (
+          <BarRow
+            key={window.days}
+            title={`${window.completed} of ${window.created} tasks created in the last ${window.days} days`}
+          >
+            <span>{window.days} days</span>
+            <BarTrack>
+              <BarFill percent={(window.rate || 0) * 100} color="#10B981" />
+            </BarTrack>
+            <span>{window.rate === null ? '–' : `${Math.round(window.rate * 100)}%`}</span>
+          </BarRow>
+        ))}
+      </Panel>
+
+      <Panel>
+        <PanelTitle>Open tasks by priority</PanelTitle>
+        {(['high', 'medium', 'low'] as const).map(priority => (
+          <BarRow key={priority}>
+            <span style={{ textTransform: 'capitalize' }}>{priority}</span>
+            <BarTrack>
+              <BarFill
+                percent={openTotal ? (stats.byPriority[priority] / openTotal) * 100 : 0}
+                color={priorityColors[priority]}
+              />
+            </BarTrack>
+            <span>{stats.byPriority[priority]}</span>
+          </BarRow>
+        ))}
+      </Panel>
+
+      <Panel>
+        <PanelTitle>Productivity</PanelTitle>
+        <Figures>
+          <Figure>
+            {stats.streak.current}
+            <span>day streak</span>
+          </Figure>
+          <Figure>
+            {stats.streak.longest}
+            <span>longest streak</span>
+          </Figure>
+          <Figure title="Average time from creating a task to completing it">
+            {formatHours(stats.averageCompletionHours)}
+            <span>to complete</span>
+          </Figure>
+        </Figures>
+      </Panel>
+    </Grid>
+  );
+};
+
+export default StatsCharts;
@@ -1,16 +1,22 @@
 import React from 'react';
 import styled from '@emotion/styled';
 import { Task } from '../services/taskApi';
+import LabelChip, { LabelList } from './LabelChip';
+import TaskTimer from './TaskTimer';
 
 interface TaskCardProps {
   task: Task;
   onComplete: (id: string) => void;
   onDelete: (id: string) => void;
   onEdit: (task: Task) => void;
+  // Shows a checkbox for multi-select when provided
+  onSelect?: (id: string, selected: boolean) => void;
+  selected?: boolean;
 }
 
-const Card = styled.div`
-  background-color: white;
+const Card = styled.div<{ selected?: boolean }>`
+  background-color: ${props => props.selected ? '#EFF6FF' : 'white'};
+  outline: ${props => props.selected ? '2px solid #2563EB' : 'none'};
   border-radius: 8px;
   padding: 1rem;
   margin-bottom: 1rem;
@@ -30,6 +36,19 @@ const CardHeader = styled.div`
   margin-bottom: 0.5rem;
 `;
 
+const TitleGroup = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+`;
+
+const Checkbox = styled.input`
+  width: 1rem;
+  height: 1rem;
+  margin: 0;
+  cursor: pointer;
+`;
+
 const Title = styled.h3<{ completed: boolean }>`
   font-weight: 500;
   margin: 0;
@@ -93,7 +112,7 @@ const Button = styled.button`
   }
 `;
 
-const StyledTaskCard: React.FC<TaskCardProps> = ({ task, onComplete, onDelete, onEdit }) => {
+const StyledTaskCard: React.FC<TaskCardProps> = ({ task, onComplete, onDelete, onEdit, onSelect, selected = false }) => {
   const isCompleted = task.status === 'completed';
   
   const formatDueDate = (dateString: string | null) => {
@@ -104,9 +123,20 @@ const StyledTaskCard: React.FC<TaskCardProps> = ({ task, onComplete, onDelete, o
   };
   
   return (
-    <Card onClick={() => onEdit(task)}>
+    <Card onClick={() => onEdit(task)} selected={selected}>
       <CardHeader>
-        <Title completed={isCompleted}>{task.title}</Title>
+        <TitleGroup>
+          {onSelect && (
+            <Checkbox
+              type="checkbox"
+              checked={selected}
+              aria-label={`Select ${task.title}`}
+              onClick={(e) => e.stopPropagation()}
+              onChange={(e) => onSelect(task.id, e.target.checked)}
+            />
+          )}
+          <Title completed={isCompleted}>{task.title}</Title>
+        </TitleGroup>
         <Badge priority={task.priority}>{task.priority}</Badge>
       </CardHeader>
       
@@ -114,9 +144,18 @@ const StyledTaskCard: React.FC<TaskCardProps> = ({ task, onComplete, onDelete, o
         <Description>{task.description}</Description>
       )}
       
+      {task.labels && task.labels.length > 0 && (
+        <LabelList>
+          {task.labels.map(label => (
+            <LabelChip key={label.id} label={label} />
+          ))}
+        </LabelList>
+      )}
+      
       <Footer>
         <div style={{ flex: 1 }}>Due: {formatDueDate(task.dueDate)}</div>
         <ButtonGroup>
+          <TaskTimer task={task} />
           <Button 
             onClick={(e) => {
               e.stopPropagation();
@@ -0,0 +1,233 @@
+import React, { useEffect, useRef, useState } from 'react';
+import styled from '@emotion/styled';
+import attachmentService, { Attachment, AttachmentUsage } from '../services/attachmentApi';
+
+interface TaskAttachmentsProps {
+  taskId: string;
+}
+
+const Container = styled.div`
+  margin-top: 2rem;
+  padding-top: 1rem;
+  border-top: 1px solid #E5E7EB;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  margin-bottom: 0.75rem;
+`;
+
+const Heading = styled.h3`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: #374151;
+  margin: 0;
+`;
+
+const UploadButton = styled.button`
+  padding: 0.25rem 0.75rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: white;
+  color: #1F2937;
+  font-size: 0.8125rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #F9FAFB;
+  }
+
+  &:disabled {
+    color: #9CA3AF;
+    cursor: default;
+  }
+`;
+
+const List = styled.ul`
+  list-style: none;
+  margin: 0 0 0.5rem;
+  padding: 0;
+`;
+
+const Item = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  padding: 0.375rem 0;
+  font-size: 0.8125rem;
+  color: #4B5563;
+  border-bottom: 1px solid #F3F4F6;
+`;
+
+const FileLink = styled.button`
+  flex: 1;
+  min-width: 0;
+  padding: 0;
+  border: none;
+  background: none;
+  color: #2563EB;
+  font-size: 0.8125rem;
+  text-align: left;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  cursor: pointer;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+const Size = styled.span`
+  font-size: 0.75rem;
+  color: #9CA3AF;
+`;
+
+const RemoveButton = styled.button`
+  padding: 0 0.25rem;
+  border: none;
+  background: none;
+  color: #9CA3AF;
+  font-size: 1rem;
+  line-height: 1;
+  cursor: pointer;
+
+  &:hover {
+    color: #EF4444;
+  }
+`;
+
+const Muted = styled.p`
+  font-size: 0.8125rem;
+  color: #6B7280;
+  margin: 0;
+`;
+
+const ErrorText = styled.p`
+  font-size: 0.8125rem;
+  color: #EF4444;
+  margin: 0 0 0.5rem;
+`;
+
+const formatSize = (bytes: number): string => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const TaskAttachments: React.FC<TaskAttachmentsProps> = ({ taskId }) => {
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [usage, setUsage] = useState<AttachmentUsage | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const fetchAttachments = async () => {
+    try {
+      const response = await attachmentService.getAttachments(taskId);
+      setAttachments(response.attachments);
+      setUsage(response.usage);
+    } catch (err: any) {
+      console.error('Failed to fetch attachments:', err);
+      setError('Failed to load attachments');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setIsLoading(true);
+    setError(null);
+    fetchAttachments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [taskId]);
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (usage && file.size > usage.maxFileSize) {
+      setError(`Files can be at most ${formatSize(usage.maxFileSize)}`);
+      return;
+    }
+
+    setIsUploading(true);
+    setError(null);
+    try {
+      await attachmentService.uploadAttachment(taskId, file);
+      await fetchAttachments();
+    } catch (err: any) {
+      console.error('Failed to upload attachment:', err);
+      setError(err.response?.data?.message || 'Upload failed. Please try again later.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment: Attachment) => {
+    try {
+      const blob = await attachmentService.downloadAttachment(taskId, attachment.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err: any) {
+      console.error('Failed to download attachment:', err);
+      setError('Download failed. Please try again later.');
+    }
+  };
+
+  const handleDelete = async (attachment: Attachment) => {
+    if (!window.confirm(`Delete "${attachment.filename}"?`)) return;
+
+    try {
+      await attachmentService.deleteAttachment(taskId, attachment.id);
+      await fetchAttachments();
+    } catch (err: any) {
+      console.error('Failed to delete attachment:', err);
+      setError('Failed to delete attachment');
+    }
+  };
+
+  return (
+    <Container>
+      <Header>
+        <Heading>Attachments</Heading>
+        <UploadButton type="button" disabled={isLoading || isUploading} onClick={() => fileInput.current?.click()}>
+          {isUploading ? 'Uploading...' : 'Attach file'}
+        </UploadButton>
+        <input ref={fileInput} type="file" hidden onChange={handleFileChange} />
+      </Header>
+
+      {error && <ErrorText>{error}</ErrorText>}
+      {isLoading && <Muted>Loading attachments...</Muted>}
+      {!isLoading && attachments.length === 0 && <Muted>No attachments yet.</Muted>}
+      {!isLoading && attachments.length > 0 && (
+        <List>
+          {attachments.map(attachment => (
+            <Item key={attachment.id}>
+              <FileLink type="button" title={attachment.filename} onClick={() => handleDownload(attachment)}>
+                {attachment.filename}
+              </FileLink>
+              <Size>{formatSize(attachment.size)}</Size>
+              <RemoveButton type="button" aria-label={`Delete ${attachment.filename}`} onClick={() => handleDelete(attachment)}>
+                ×
+              </RemoveButton>
+            </Item>
+          ))}
+        </List>
+      )}
+      {usage && (
+        <Muted>{formatSize(usage.used)} of {formatSize(usage.quota)} used</Muted>
+      )}
+    </Container>
+  );
+};
+
+export default TaskAttachments;
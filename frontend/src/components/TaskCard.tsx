@@ -8,6 +8,8 @@ import {
 } from '../utils/taskUtils';
 import { Check, Clock, Trash, Edit, AlertTriangle } from 'lucide-react';
 import { useTasks } from '../context/TaskContext';
+import LabelChip, { LabelList } from './LabelChip';
+import TaskTimer from './TaskTimer';
 
 interface TaskCardProps {
   task: Task;
@@ -91,6 +93,14 @@ const TaskCard: React.FC<TaskCardProps> = ({ task, onEdit }) => {
             </p>
           )}
           
+          {task.labels && task.labels.length > 0 && (
+            <LabelList className="mt-2">
+              {task.labels.map(label => (
+                <LabelChip key={label.id} label={label} />
+              ))}
+            </LabelList>
+          )}
+          
           <div className="flex items-center mt-2 text-xs text-gray-500">
             <div className={`flex items-center ${isTaskOverdue && !isCompleted ? 'text-danger' : ''}`}>
               {isTaskOverdue && !isCompleted ? (
@@ -102,6 +112,9 @@ const TaskCard: React.FC<TaskCardProps> = ({ task, onEdit }) => {
             </div>
             <span className="mx-2">•</span>
             <span>{formatRelativeTime(task.dueDate)}</span>
+            <div className="ml-auto">
+              <TaskTimer task={task} />
+            </div>
           </div>
         </div>
       </div>
@@ -0,0 +1,353 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import commentService, { Comment, CommentEdit } from '../services/commentApi';
+import { useAuth } from '../context/AuthContext';
+import Markdown from './Markdown';
+
+interface TaskCommentsProps {
+  taskId: string;
+}
+
+const Container = styled.div`
+  margin-top: 2rem;
+  padding-top: 1rem;
+  border-top: 1px solid #E5E7EB;
+`;
+
+const Heading = styled.h3`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: #374151;
+  margin: 0 0 0.75rem;
+`;
+
+const List = styled.ul`
+  list-style: none;
+  margin: 0 0 0.75rem;
+  padding: 0;
+  max-height: 20rem;
+  overflow-y: auto;
+`;
+
+const Item = styled.li`
+  padding: 0.5rem 0;
+  border-bottom: 1px solid #F3F4F6;
+`;
+
+const Meta = styled.div`
+  display: flex;
+  align-items: baseline;
+  gap: 0.5rem;
+  margin-bottom: 0.25rem;
+  font-size: 0.75rem;
+  color: #9CA3AF;
+`;
+
+const Author = styled.span`
+  font-size: 0.8125rem;
+  font-weight: 500;
+  color: #1F2937;
+`;
+
+const LinkButton = styled.button`
+  padding: 0;
+  border: none;
+  background: none;
+  color: #6B7280;
+  font-size: 0.75rem;
+  cursor: pointer;
+
+  &:hover {
+    color: #2563EB;
+    text-decoration: underline;
+  }
+`;
+
+const Actions = styled.span`
+  display: flex;
+  gap: 0.5rem;
+  margin-left: auto;
+`;
+
+const Edits = styled.div`
+  margin-top: 0.5rem;
+  padding-left: 0.75rem;
+  border-left: 2px solid #E5E7EB;
+`;
+
+const EditEntry = styled.div`
+  margin-bottom: 0.5rem;
+  opacity: 0.75;
+`;
+
+const TextArea = styled.textarea`
+  width: 100%;
+  min-height: 4.5rem;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  font-family: inherit;
+  font-size: 0.875rem;
+  resize: vertical;
+  box-sizing: border-box;
+
+  &:focus {
+    outline: none;
+    border-color: #3B82F6;
+    box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+  }
+`;
+
+const FormFooter = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 0.5rem;
+  margin-top: 0.375rem;
+`;
+
+const Hint = styled.span`
+  font-size: 0.75rem;
+  color: #9CA3AF;
+`;
+
+const SubmitButton = styled.button`
+  padding: 0.375rem 0.875rem;
+  border: none;
+  border-radius: 0.375rem;
+  background-color: #2563EB;
+  color: white;
+  font-size: 0.8125rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #1D4ED8;
+  }
+
+  &:disabled {
+    background-color: #93C5FD;
+    cursor: default;
+  }
+`;
+
+const Muted = styled.p`
+  font-size: 0.8125rem;
+  color: #6B7280;
+  margin: 0 0 0.75rem;
+`;
+
+const ErrorText = styled.p`
+  font-size: 0.8125rem;
+  color: #EF4444;
+  margin: 0 0 0.5rem;
+`;
+
+const TaskComments: React.FC<TaskCommentsProps> = ({ taskId }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState<Comment[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [draft, setDraft] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [edits, setEdits] = useState<Record<string, CommentEdit[]>>({});
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchComments = async () => {
+      setIsLoading(true);
+      try {
+        const response = await commentService.getComments(taskId, { limit: 100 });
+        if (!cancelled) {
+          setComments(response.comments);
+          setError(null);
+        }
+      } catch (err: any) {
+        console.error('Failed to fetch comments:', err);
+        if (!cancelled) setError('Failed to load comments');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchComments();
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId]);
+
+  const handleCreate = async () => {
+    if (!draft.trim()) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const comment = await commentService.createComment(taskId, draft);
+      setComments(current => [...current, comment]);
+      setDraft('');
+    } catch (err: any) {
+      console.error('Failed to create comment:', err);
+      setError(err.response?.data?.message || 'Failed to post comment');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUpdate = async (comment: Comment) => {
+    if (!editDraft.trim()) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const updated = await commentService.updateComment(taskId, comment.id, editDraft);
+      setComments(current => current.map(c => (c.id === updated.id ? updated : c)));
+      setEdits(current => {
+        const { [comment.id]: _, ...rest } = current;
+        return rest;
+      });
+      setEditingId(null);
+    } catch (err: any) {
+      console.error('Failed to update comment:', err);
+      setError(err.response?.data?.message || 'Failed to update comment');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (comment: Comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      await commentService.deleteComment(taskId, comment.id);
+      setComments(current => current.filter(c => c.id !== comment.id));
+    } catch (err: any) {
+      console.error('Failed to delete comment:', err);
+      setError('Failed to delete comment');
+    }
+  };
+
+  // Show or hide the earlier versions of an edited comment
+  const toggleEdits = async (comment: Comment) => {
+    if (edits[comment.id]) {
+      setEdits(current => {
+        const { [comment.id]: _, ...rest } = current;
+        return rest;
+      });
+      return;
+    }
+
+    try {
+      const commentEdits = await commentService.getCommentEdits(taskId, comment.id);
+      setEdits(current => ({ ...current, [comment.id]: commentEdits }));
+    } catch (err: any) {
+      console.error('Failed to fetch comment edits:', err);
+      setError('Failed to load edit history');
+    }
+  };
+
+  // Ctrl/Cmd+Enter submits
+  const submitOnShortcut = (submit: () => void) => (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      submit();
+    }
+  };
+
+  return (
+    <Container>
+      <Heading>Comments</Heading>
+      {error && <ErrorText>{error}</ErrorText>}
+      {isLoading && <Muted>Loading comments...</Muted>}
+      {!isLoading && comments.length === 0 && <Muted>No comments yet.</Muted>}
+      {!isLoading && comments.length > 0 && (
+        <List>
+          {comments.map(comment => {
+            const isOwn = user?.id === comment.authorId;
+            return (
+              <Item key={comment.id}>
+                <Meta>
+                  <Author>{comment.authorName || comment.authorEmail || 'Unknown user'}</Author>
+                  {new Date(comment.createdAt).toLocaleString()}
+                  {comment.editedAt && (
+                    <LinkButton
+                      type="button"
+                      title={`Edited ${new Date(comment.editedAt).toLocaleString()}`}
+                      onClick={() => toggleEdits(comment)}
+                    >
+                      (edited)
+                    </LinkButton>
+                  )}
+                  {isOwn && editingId !== comment.id && (
+                    <Actions>
+                      <LinkButton
+                        type="button"
+                        onClick={() => {
+                          setEditingId(comment.id);
+                          setEditDraft(comment.body);
+                        }}
+                      >
+                        Edit
+                      </LinkButton>
+                      <LinkButton type="button" onClick={() => handleDelete(comment)}>Delete</LinkButton>
+                    </Actions>
+                  )}
+                </Meta>
+
+                {editingId === comment.id ? (
+                  <>
+                    <TextArea
+                      value={editDraft}
+                      onChange={e => setEditDraft(e.target.value)}
+                      onKeyDown={submitOnShortcut(() => handleUpdate(comment))}
+                      autoFocus
+                    />
+                    <FormFooter>
+                      <LinkButton type="button" onClick={() => setEditingId(null)}>Cancel</LinkButton>
+                      <SubmitButton
+                        type="button"
+                        disabled={isSaving || !editDraft.trim()}
+                        onClick={() => handleUpdate(comment)}
+                      >
+                        Save
+                      </SubmitButton>
+                    </FormFooter>
+                  </>
+                ) : (
+                  <Markdown text={comment.body} />
+                )}
+
+                {edits[comment.id] && (
+                  <Edits>
+                    {edits[comment.id].map(edit => (
+                      <EditEntry key={edit.id}>
+                        <Meta>Replaced {new Date(edit.createdAt).toLocaleString()}</Meta>
+                        <Markdown text={edit.body} />
+                      </EditEntry>
+                    ))}
+                  </Edits>
+                )}
+              </Item>
+            );
+          })}
+        </List>
+      )}
+
+      <TextArea
+        placeholder="Write a comment..."
+        value={draft}
+        onChange={e => setDraft(e.target.value)}
+        onKeyDown={submitOnShortcut(handleCreate)}
+      />
+      <FormFooter>
+        <Hint>Markdown supported. Mention someone with @ and their email.</Hint>
+        <SubmitButton type="button" disabled={isSaving || !draft.trim()} onClick={handleCreate}>
+          Comment
+        </SubmitButton>
+      </FormFooter>
+    </Container>
+  );
+};
+
+export default TaskComments;
@@ -1,8 +1,16 @@
-import React from 'react';
+import React, { useState } from 'react';
 import styled from '@emotion/styled';
 import { useForm } from 'react-hook-form';
-import { Task } from '../services/taskApi';
+import taskService, { Task } from '../services/taskApi';
 import { useTasks } from '../context/TaskContext';
+import { useAuth } from '../context/AuthContext';
+import { SharedTask } from '../services/shareApi';
+import LabelChip, { LabelList } from './LabelChip';
+import TaskAttachments from './TaskAttachments';
+import TaskComments from './TaskComments';
+import TaskHistory from './TaskHistory';
+import SharePanel from './SharePanel';
+import AssigneeSelect from './AssigneeSelect';
 import { format } from 'date-fns';
 
 type Priority = 'low' | 'medium' | 'high';
@@ -93,6 +101,18 @@ const Input = styled.input<{ hasError?: boolean }>`
   }
 `;
 
+const QuickAdd = styled.div`
+  margin-bottom: 1.5rem;
+  padding-bottom: 1.5rem;
+  border-bottom: 1px solid #E5E7EB;
+`;
+
+const QuickAddHint = styled.p`
+  color: #6B7280;
+  font-size: 0.75rem;
+  margin-top: 0.25rem;
+`;
+
 const Textarea = styled.textarea<{ hasError?: boolean }>`
   width: 100%;
   padding: 0.5rem 0.75rem;
@@ -164,6 +184,19 @@ const DateTimeContainer = styled.div`
   gap: 1rem;
 `;
 
+const NewLabelInput = styled.input`
+  padding: 0.125rem 0.5rem;
+  border: 1px dashed #D1D5DB;
+  border-radius: 9999px;
+  font-size: 0.75rem;
+  width: 7rem;
+  
+  &:focus {
+    outline: none;
+    border-color: #2563EB;
+  }
+`;
+
 const ButtonGroup = styled.div`
   display: flex;
   justify-content: flex-end;
@@ -207,8 +240,19 @@ const reminderOptions = [
 ];
 
 const TaskForm: React.FC<TaskFormProps> = ({ isOpen, onClose, task }) => {
-  const { addTask, updateTask } = useTasks();
+  const { addTask, updateTask, labels, addLabel } = useTasks();
+  const { user } = useAuth();
   const isEditMode = !!task;
+  // Tasks shared with the user: labels are the owner's, viewers can't save
+  const isShared = !!task && !!user && task.userId !== user.id;
+  const isReadOnly = isShared && (task as SharedTask).role === 'viewer';
+  const [selectedLabelIds, setSelectedLabelIds] = useState<string[]>([]);
+  const [newLabelName, setNewLabelName] = useState('');
+  const [quickAddText, setQuickAddText] = useState('');
+  const [quickAddError, setQuickAddError] = useState<string | null>(null);
+  const [isParsing, setIsParsing] = useState(false);
+  // Assigning saves right away and bumps the version the form is based on
+  const [assignedTask, setAssignedTask] = useState<Task | undefined>(undefined);
   
   const {
     register,
@@ -232,6 +276,8 @@ const TaskForm: React.FC<TaskFormProps> = ({ isOpen, onClose, task }) => {
       setValue('dueDate', format(dueDate, 'yyyy-MM-dd'));
       setValue('dueTime', format(dueDate, 'HH:mm'));
       setValue('remindBefore', task.remindBefore || 30);
+      setSelectedLabelIds((task.labels || []).map(label => label.id));
+      setAssignedTask(undefined);
     } else {
       // Default values for new task
       const now = new Date();
@@ -239,9 +285,67 @@ const TaskForm: React.FC<TaskFormProps> = ({ isOpen, onClose, task }) => {
       setValue('dueTime', format(now, 'HH:mm'));
       setValue('priority', 'medium');
       setValue('remindBefore', 30);
+      setSelectedLabelIds([]);
     }
   }, [task, setValue]);
   
+  const toggleLabel = (labelId: string) => {
+    setSelectedLabelIds(current => current.includes(labelId)
+      ? current.filter(id => id !== labelId)
+      : [...current, labelId]);
+  };
+  
+  // Create a label from the inline input and select it right away
+  const handleNewLabelKeyDown = async (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    
+    const name = newLabelName.trim();
+    if (!name) return;
+    
+    const existing = labels.find(label => label.name.toLowerCase() === name.toLowerCase());
+    const label = existing || await addLabel(name);
+    if (label && !selectedLabelIds.includes(label.id)) {
+      setSelectedLabelIds(current => [...current, label.id]);
+    }
+    setNewLabelName('');
+  };
+  
+  // Quick add creates the task straight from the parsed text
+  const handleQuickAddKeyDown = async (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    
+    const text = quickAddText.trim();
+    if (!text || isParsing) return;
+    
+    setIsParsing(true);
+    setQuickAddError(null);
+    try {
+      const parsed = await taskService.parseTask(text);
+      if (!parsed.title) {
+        setQuickAddError('Add a title to the date and time.');
+        return;
+      }
+      
+      await addTask({
+        title: parsed.title,
+        dueDate: parsed.dueDate || undefined,
+        priority: parsed.priority || undefined,
+        remindBefore: parsed.remindBefore ?? undefined,
+        labelIds: selectedLabelIds,
+      });
+      setQuickAddText('');
+      onClose();
+      reset();
+    } catch (err: any) {
+      console.error('Failed to parse quick add:', err);
+      setQuickAddError(err.response?.data?.message || 'Could not read that task, please use the form below.');
+    } finally {
+      setIsParsing(false);
+    }
+  };
+  
   const onSubmit = (data: FormData) => {
     const { dueDate, dueTime, ...rest } = data;
     const dueDateObj = new Date(`${dueDate}T${dueTime}`);
@@ -250,11 +354,14 @@ const TaskForm: React.FC<TaskFormProps> = ({ isOpen, onClose, task }) => {
       updateTask(task.id, {
         ...rest,
         dueDate: dueDateObj.toISOString(),
+        labelIds: isShared ? undefined : selectedLabelIds,
+        version: (assignedTask || task).version,
       });
     } else {
       addTask({
         ...rest,
         dueDate: dueDateObj.toISOString(),
+        labelIds: selectedLabelIds,
       });
     }
     
@@ -268,7 +375,7 @@ const TaskForm: React.FC<TaskFormProps> = ({ isOpen, onClose, task }) => {
     <Overlay onClick={onClose}>
       <FormContainer onClick={e => e.stopPropagation()}>
         <FormHeader>
-          <FormTitle>{isEditMode ? 'Edit Task' : 'Create New Task'}</FormTitle>
+          <FormTitle>{isReadOnly ? 'Shared Task' : isEditMode ? 'Edit Task' : 'Create New Task'}</FormTitle>
           <CloseButton onClick={onClose}>
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
               <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -277,6 +384,30 @@ const TaskForm: React.FC<TaskFormProps> = ({ isOpen, onClose, task }) => {
           </CloseButton>
         </FormHeader>
         
+        {!isEditMode && (
+          <QuickAdd>
+            <Label htmlFor="quickAdd">Quick Add</Label>
+            <Input
+              id="quickAdd"
+              type="text"
+              value={quickAddText}
+              disabled={isParsing}
+              hasError={!!quickAddError}
+              placeholder="Pay rent tomorrow 5pm !high remind 1h before"
+              onChange={e => setQuickAddText(e.target.value)}
+              onKeyDown={handleQuickAddKeyDown}
+            />
+            {quickAddError ? (
+              <ErrorText>{quickAddError}</ErrorText>
+            ) : (
+              <QuickAddHint>
+                Press Enter to create. Understands dates (tomorrow, friday, May 3), times (5pm, 17:30),
+                !high / !medium / !low and "remind 30m before".
+              </QuickAddHint>
+            )}
+          </QuickAdd>
+        )}
+        
         <form onSubmit={handleSubmit(onSubmit)}>
           <FormGroup>
             <Label htmlFor="title">Task Title</Label>
@@ -365,15 +496,52 @@ const TaskForm: React.FC<TaskFormProps> = ({ isOpen, onClose, task }) => {
             </Input>
           </FormGroup>
           
+          {isEditMode && task && !isReadOnly && (
+            <FormGroup>
+              <Label htmlFor="assigneeId">Assignee</Label>
+              <AssigneeSelect task={assignedTask || task} onAssigned={setAssignedTask} />
+            </FormGroup>
+          )}
+          
+          {!isShared && (
+            <FormGroup>
+              <Label>Labels</Label>
+              <LabelList>
+                {labels.map(label => (
+                  <LabelChip
+                    key={label.id}
+                    label={label}
+                    selected={selectedLabelIds.includes(label.id)}
+                    onClick={() => toggleLabel(label.id)}
+                  />
+                ))}
+                <NewLabelInput
+                  type="text"
+                  placeholder="+ New label"
+                  value={newLabelName}
+                  onChange={(e) => setNewLabelName(e.target.value)}
+                  onKeyDown={handleNewLabelKeyDown}
+                />
+              </LabelList>
+            </FormGroup>
+          )}
+          
           <ButtonGroup>
             <CancelButton type="button" onClick={onClose}>
               Cancel
             </CancelButton>
-            <SubmitButton type="submit">
-              {isEditMode ? 'Update Task' : 'Create Task'}
-            </SubmitButton>
+            {!isReadOnly && (
+              <SubmitButton type="submit">
+                {isEditMode ? 'Update Task' : 'Create Task'}
+              </SubmitButton>
+            )}
           </ButtonGroup>
         </form>
+        
+        {isEditMode && task && !isShared && <SharePanel resource={{ taskId: task.id }} />}
+        {isEditMode && task && <TaskAttachments taskId={task.id} />}
+        {isEditMode && task && <TaskComments taskId={task.id} />}
+        {isEditMode && task && <TaskHistory taskId={task.id} />}
       </FormContainer>
     </Overlay>
   );
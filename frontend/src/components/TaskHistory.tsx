@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import taskService, { TaskHistoryEntry } from '../services/taskApi';
+
+interface TaskHistoryProps {
+  taskId: string;
+}
+
+const Container = styled.div`
+  margin-top: 2rem;
+  padding-top: 1rem;
+  border-top: 1px solid #E5E7EB;
+`;
+
+const Heading = styled.h3`
+  font-size: 0.875rem;
+  font-weight: 600;
+  color: #374151;
+  margin: 0 0 0.75rem;
+`;
+
+const Timeline = styled.ol`
+  list-style: none;
+  margin: 0;
+  padding: 0 0 0 1rem;
+  border-left: 2px solid #E5E7EB;
+  max-height: 16rem;
+  overflow-y: auto;
+`;
+
+const Entry = styled.li`
+  position: relative;
+  padding: 0 0 0.75rem 0.75rem;
+  font-size: 0.8125rem;
+  color: #4B5563;
+
+  &::before {
+    content: '';
+    position: absolute;
+    left: -1.3rem;
+    top: 0.3rem;
+    width: 0.5rem;
+    height: 0.5rem;
+    border-radius: 9999px;
+    background-color: #2563EB;
+  }
+`;
+
+const EntryTitle = styled.div`
+  font-weight: 500;
+  color: #1F2937;
+`;
+
+const EntryTime = styled.span`
+  margin-left: 0.5rem;
+  font-weight: 400;
+  font-size: 0.75rem;
+  color: #9CA3AF;
+`;
+
+const Change = styled.div`
+  margin-top: 0.125rem;
+`;
+
+const Muted = styled.p`
+  font-size: 0.8125rem;
+  color: #6B7280;
+  margin: 0;
+`;
+
+const actionLabels: Record<TaskHistoryEntry['action'], string> = {
+  created: 'Created',
+  updated: 'Updated',
+  status_changed: 'Status changed',
+  deleted: 'Moved to trash',
+  restored: 'Restored from trash',
+};
+
+const fieldLabels: Record<string, string> = {
+  dueDate: 'due date',
+  remindBefore: 'reminder',
+  completedAt: 'completed at',
+  recurrenceRule: 'repeat',
+  parentId: 'parent task',
+  projectId: 'project',
+};
+
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}T/;
+
+const formatValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === '') return 'none';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : 'none';
+  if (typeof value === 'string' && isoDatePattern.test(value)) {
+    return new Date(value).toLocaleString();
+  }
+  return String(value).replace('_', ' ');
+};
+
+const TaskHistory: React.FC<TaskHistoryProps> = ({ taskId }) => {
+  const [history, setHistory] = useState<TaskHistoryEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      setIsLoading(true);
+      try {
+        const response = await taskService.getTaskHistory(taskId);
+        if (!cancelled) {
+          setHistory(response.history);
+          setError(null);
+        }
+      } catch (err: any) {
+        console.error('Failed to fetch task history:', err);
+        if (!cancelled) setError('Failed to load history');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId]);
+
+  return (
+    <Container>
+      <Heading>History</Heading>
+      {isLoading && <Muted>Loading history...</Muted>}
+      {!isLoading && error && <Muted>{error}</Muted>}
+      {!isLoading && !error && history.length === 0 && <Muted>No changes recorded yet.</Muted>}
+      {!isLoading && !error && history.length > 0 && (
+        <Timeline>
+          {history.map(entry => (
+            <Entry key={entry.id}>
+              <EntryTitle>
+                {actionLabels[entry.action]}
+                <EntryTime>{new Date(entry.createdAt).toLocaleString()}</EntryTime>
+              </EntryTitle>
+              {entry.action !== 'created' && Object.entries(entry.changes).map(([field, change]) => (
+                <Change key={field}>
+                  {fieldLabels[field] || field}: {formatValue(change.from)} → {formatValue(change.to)}
+                </Change>
+              ))}
+            </Entry>
+          ))}
+        </Timeline>
+      )}
+    </Container>
+  );
+};
+
+export default TaskHistory;
@@ -1,8 +1,9 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import styled from '@emotion/styled';
 import { useTasks } from '../context/TaskContext';
 import StyledTaskCard from './StyledTaskCard';
-import { Task } from '../services/taskApi';
+import BulkActionBar from './BulkActionBar';
+import { Task, TaskSortField, BulkOperation } from '../services/taskApi';
 
 interface TaskListProps {
   filter: string;
@@ -19,6 +20,46 @@ const Title = styled.h1`
   margin-bottom: 1.5rem;
 `;
 
+const TitleRow = styled.div`
+  display: flex;
+  align-items: baseline;
+  justify-content: space-between;
+  gap: 1rem;
+`;
+
+const SortSelect = styled.select`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: white;
+  font-size: 0.875rem;
+  color: #374151;
+  
+  &:focus {
+    outline: none;
+    border-color: #2563EB;
+  }
+`;
+
+const TitleActions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.75rem;
+`;
+
+const SelectAllLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 0.375rem;
+  font-size: 0.875rem;
+  color: #374151;
+  cursor: pointer;
+`;
+
+const ScrollSentinel = styled.div`
+  height: 1px;
+`;
+
 const EmptyState = styled.div`
   display: flex;
   flex-direction: column;
@@ -68,6 +109,14 @@ const ErrorMessage = styled.div`
   margin-bottom: 1rem;
 `;
 
+const sortOptions: { value: TaskSortField; label: string }[] = [
+  { value: 'createdAt', label: 'Newest first' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'updatedAt', label: 'Recently updated' },
+  { value: 'title', label: 'Title' }
+];
+
 const getFilterTitle = (filter: string): string => {
   switch (filter) {
     case 'all':
@@ -90,8 +139,18 @@ const TaskList: React.FC<TaskListProps> = ({ filter, onEditTask }) => {
     tasks, 
     completeTask, 
     deleteTask, 
+    bulkUpdateTasks,
     isLoading, 
     error,
+    projects,
+    activeProjectId,
+    savedFilters,
+    setActiveFilter,
+    taskSort,
+    setTaskSort,
+    hasMoreTasks,
+    isLoadingMore,
+    loadMoreTasks,
     filteredTasks: {
       today,
       upcoming,
@@ -99,6 +158,40 @@ const TaskList: React.FC<TaskListProps> = ({ filter, onEditTask }) => {
       completed
     }
   } = useTasks();
+  const sentinelRef = useRef<HTMLDivElement>(null);
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set());
+  
+  // Selection belongs to the list on screen
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [filter, activeProjectId]);
+  
+  // Saved filters ("filter:<id>") are listed by the server like all tasks
+  const savedFilter = savedFilters.find(saved => filter === `filter:${saved.id}`);
+  const isSavedFilter = filter.startsWith('filter:');
+  
+  useEffect(() => {
+    setActiveFilter(isSavedFilter ? filter : 'all');
+  }, [filter]);  // eslint-disable-line react-hooks/exhaustive-deps
+  
+  // The full task list is paged by the server, load the next page near the bottom
+  const isPaged = filter === 'all' || isSavedFilter;
+  
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!isPaged || !hasMoreTasks || !sentinel) {
+      return;
+    }
+    
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) {
+        loadMoreTasks();
+      }
+    }, { rootMargin: '200px' });
+    
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [isPaged, hasMoreTasks, loadMoreTasks]);
   
   let currentTasks = tasks;
   
@@ -119,8 +212,18 @@ const TaskList: React.FC<TaskListProps> = ({ filter, onEditTask }) => {
       // Keep all tasks
   }
   
-  // Sort tasks: high priority first, then by due date
-  const sortedTasks = [...currentTasks].sort((a, b) => {
+  // Narrow the view down to the project selected in the sidebar
+  const activeProject = projects.find(project => project.id === activeProjectId);
+  if (activeProjectId) {
+    currentTasks = currentTasks.filter(task => task.projectId === activeProjectId);
+  }
+  const listTitle = savedFilter ? savedFilter.name : getFilterTitle(filter);
+  const title = activeProject
+    ? `${listTitle} · ${activeProject.name}`
+    : listTitle;
+  
+  // Paged lists keep the server order, others: high priority first, then by due date
+  const sortedTasks = isPaged ? currentTasks : [...currentTasks].sort((a, b) => {
     // First sort by priority
     const priorityOrder = { high: 0, medium: 1, low: 2 };
     const priorityDiff = priorityOrder[a.priority] - priorityOrder[b.priority];
@@ -134,10 +237,37 @@ const TaskList: React.FC<TaskListProps> = ({ filter, onEditTask }) => {
     return new Date(a.dueDate).getTime() - new Date(b.dueDate).getTime();
   });
   
+  const handleSelect = (id: string, selected: boolean) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (selected) {
+        next.add(id);
+      } else {
+        next.delete(id);
+      }
+      return next;
+    });
+  };
+  
+  const allSelected = sortedTasks.length > 0 && sortedTasks.every(task => selectedIds.has(task.id));
+  
+  const handleSelectAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(sortedTasks.map(task => task.id)));
+  };
+  
+  // Apply one action to every selected task in a single bulk request
+  const runBulk = async (toOperation: (taskId: string) => BulkOperation) => {
+    const result = await bulkUpdateTasks(Array.from(selectedIds).map(toOperation));
+    if (result) {
+      // Keep the tasks that failed selected so they can be retried
+      setSelectedIds(new Set(result.results.filter(item => !item.success).map(item => item.taskId)));
+    }
+  };
+  
   if (isLoading && tasks.length === 0) {
     return (
       <Container>
-        <Title>{getFilterTitle(filter)}</Title>
+        <Title>{title}</Title>
         <LoadingIndicator>Loading tasks...</LoadingIndicator>
       </Container>
     );
@@ -145,7 +275,41 @@ const TaskList: React.FC<TaskListProps> = ({ filter, onEditTask }) => {
   
   return (
     <Container>
-      <Title>{getFilterTitle(filter)}</Title>
+      <TitleRow>
+        <Title>{title}</Title>
+        <TitleActions>
+          {sortedTasks.length > 0 && (
+            <SelectAllLabel>
+              <input type="checkbox" checked={allSelected} onChange={handleSelectAll} />
+              Select all
+            </SelectAllLabel>
+          )}
+          {isPaged && (
+            <SortSelect
+              value={taskSort}
+              onChange={(e) => setTaskSort(e.target.value as TaskSortField)}
+              aria-label="Sort tasks"
+            >
+              {sortOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </SortSelect>
+          )}
+        </TitleActions>
+      </TitleRow>
+      
+      {selectedIds.size > 0 && (
+        <BulkActionBar
+          count={selectedIds.size}
+          projects={projects}
+          onComplete={() => runBulk(taskId => ({ action: 'complete', taskId }))}
+          onDelete={() => runBulk(taskId => ({ action: 'delete', taskId }))}
+          onSetPriority={(priority) => runBulk(taskId => ({ action: 'setPriority', taskId, priority }))}
+          onSetDueDate={(dueDate) => runBulk(taskId => ({ action: 'setDueDate', taskId, dueDate }))}
+          onMoveToProject={(projectId) => runBulk(taskId => ({ action: 'moveToProject', taskId, projectId }))}
+          onClear={() => setSelectedIds(new Set())}
+        />
+      )}
       
       {error && <ErrorMessage>{error}</ErrorMessage>}
       
@@ -159,6 +323,8 @@ const TaskList: React.FC<TaskListProps> = ({ filter, onEditTask }) => {
             onComplete={completeTask}
             onDelete={deleteTask}
             onEdit={onEditTask}
+            onSelect={handleSelect}
+            selected={selectedIds.has(task.id)}
           />
         ))
       ) : !isLoading && (
@@ -171,14 +337,19 @@ const TaskList: React.FC<TaskListProps> = ({ filter, onEditTask }) => {
               <line x1="3" y1="10" x2="21" y2="10"></line>
             </svg>
           </EmptyStateIcon>
-          <EmptyStateTitle>No {filter.toLowerCase()} tasks</EmptyStateTitle>
+          <EmptyStateTitle>{isSavedFilter ? 'No matching tasks' : `No ${filter.toLowerCase()} tasks`}</EmptyStateTitle>
           <EmptyStateText>
             {filter === 'all'
               ? 'You don\'t have any tasks yet. Create a new task to get started.'
-              : `You don't have any ${filter.toLowerCase()} tasks.`}
+              : isSavedFilter
+                ? `No tasks match ${savedFilter ? savedFilter.query : 'this filter'}.`
+                : `You don't have any ${filter.toLowerCase()} tasks.`}
           </EmptyStateText>
         </EmptyState>
       )}
+      
+      {isPaged && hasMoreTasks && !isLoading && <ScrollSentinel ref={sentinelRef} />}
+      {isLoadingMore && <LoadingIndicator>Loading more tasks...</LoadingIndicator>}
     </Container>
   );
 };
@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import { Play, Square } from 'lucide-react';
+import { Task } from '../services/taskApi';
+import { entrySeconds, formatDuration } from '../services/timeApi';
+import { useTasks } from '../context/TaskContext';
+
+interface TaskTimerProps {
+  task: Task;
+}
+
+const TimerButton = styled.button<{ running: boolean }>`
+  display: inline-flex;
+  align-items: center;
+  gap: 0.25rem;
+  padding: 0.125rem 0.5rem;
+  border: 1px solid ${props => (props.running ? '#FCA5A5' : '#D1D5DB')};
+  border-radius: 9999px;
+  background-color: ${props => (props.running ? '#FEF2F2' : 'white')};
+  color: ${props => (props.running ? '#B91C1C' : '#4B5563')};
+  font-size: 0.75rem;
+  font-variant-numeric: tabular-nums;
+  cursor: pointer;
+
+  &:hover {
+    border-color: ${props => (props.running ? '#EF4444' : '#2563EB')};
+  }
+
+  &:disabled {
+    cursor: default;
+    opacity: 0.6;
+  }
+`;
+
+// Start/stop button of the user's timer; while it runs on this task it shows the elapsed time
+const TaskTimer: React.FC<TaskTimerProps> = ({ task }) => {
+  const { runningTimer, startTimer, stopTimer } = useTasks();
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+  const isRunning = runningTimer?.taskId === task.id;
+
+  useEffect(() => {
+    if (!isRunning) return;
+
+    setNow(new Date());
+    const interval = window.setInterval(() => setNow(new Date()), 1000);
+    return () => window.clearInterval(interval);
+  }, [isRunning]);
+
+  // Completed tasks can't be tracked, completing stopped their timer
+  if (task.status === 'completed' && !isRunning) return null;
+
+  const handleClick = async (e: React.MouseEvent) => {
+    e.stopPropagation();
+    setBusy(true);
+    try {
+      await (isRunning ? stopTimer() : startTimer(task.id));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <TimerButton
+      type="button"
+      running={isRunning}
+      disabled={busy}
+      onClick={handleClick}
+      title={isRunning ? 'Stop the timer' : 'Start a timer on this task'}
+      aria-label={isRunning ? `Stop the timer on ${task.title}` : `Start a timer on ${task.title}`}
+    >
+      {isRunning && runningTimer ? (
+        <>
+          <Square size={10} fill="currentColor" />
+          {formatDuration(entrySeconds(runningTimer, now))}
+        </>
+      ) : (
+        <>
+          <Play size={10} fill="currentColor" />
+          Track
+        </>
+      )}
+    </TimerButton>
+  );
+};
+
+export default TaskTimer;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import styled from '@emotion/styled';
+import { useAuth } from '../context/AuthContext';
+import { browserTimeZone } from '../services/api';
+
+const Container = styled.div`
+  padding: 0 1rem 1rem;
+  font-size: 0.875rem;
+`;
+
+const Select = styled.select`
+  width: 100%;
+  box-sizing: border-box;
+  padding: 0.375rem 0.5rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: white;
+  font-size: 0.75rem;
+  color: #1F2937;
+`;
+
+const Hint = styled.div`
+  font-size: 0.75rem;
+  color: #4B5563;
+  margin-top: 0.25rem;
+`;
+
+const LinkButton = styled.button`
+  padding: 0;
+  border: none;
+  background: none;
+  color: #2563EB;
+  font-size: 0.75rem;
+  cursor: pointer;
+`;
+
+// Older browsers can't list their time zones, they offer the current ones only
+const timeZoneOptions = (current: string) => {
+  const { supportedValuesOf } = Intl as { supportedValuesOf?: (key: 'timeZone') => string[] };
+  const zones = new Set(supportedValuesOf ? supportedValuesOf('timeZone') : []);
+  zones.add('UTC');
+  zones.add(browserTimeZone());
+  zones.add(current);
+  return Array.from(zones).sort();
+};
+
+// "Today", "overdue" and reminder emails follow the time zone saved here
+const TimeZoneSetting: React.FC = () => {
+  const { user, updateTimezone } = useAuth();
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+
+  if (!user) return null;
+
+  const current = user.timezone || 'UTC';
+  const detected = browserTimeZone();
+
+  const save = async (timezone: string) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await updateTimezone(timezone);
+    } catch (err: any) {
+      console.error('Failed to update time zone:', err);
+      setMessage(err.response?.data?.message || 'Failed to update the time zone.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Container>
+      <Select
+        value={current}
+        disabled={busy}
+        onChange={e => save(e.target.value)}
+        aria-label="Time zone"
+      >
+        {timeZoneOptions(current).map(zone => (
+          <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+        ))}
+      </Select>
+      {message && <Hint>{message}</Hint>}
+      {!message && detected !== current && (
+        <Hint>
+          This device is set to {detected.replace(/_/g, ' ')}.{' '}
+          <LinkButton disabled={busy} onClick={() => save(detected)}>Use it</LinkButton>
+        </Hint>
+      )}
+    </Container>
+  );
+};
+
+export default TimeZoneSetting;
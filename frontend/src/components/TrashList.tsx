@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import { useTasks } from '../context/TaskContext';
+import taskService, { TrashedTask } from '../services/taskApi';
+
+const Container = styled.div`
+  padding: 1.5rem;
+`;
+
+const Summary = styled.p`
+  color: #6B7280;
+  margin-bottom: 1rem;
+`;
+
+const TrashCard = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 1rem;
+  background-color: white;
+  border-radius: 8px;
+  padding: 1rem;
+  margin-bottom: 1rem;
+  box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+`;
+
+const TaskTitle = styled.h3`
+  font-weight: 500;
+  margin: 0 0 0.25rem;
+  color: #4B5563;
+`;
+
+const Meta = styled.div`
+  font-size: 0.75rem;
+  color: #6B7280;
+`;
+
+const RestoreButton = styled.button`
+  flex-shrink: 0;
+  padding: 0.375rem 0.75rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: white;
+  color: #2563EB;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #EFF6FF;
+  }
+
+  &:disabled {
+    color: #9CA3AF;
+    cursor: default;
+  }
+`;
+
+const LoadingIndicator = styled.div`
+  text-align: center;
+  padding: 2rem;
+  color: #6B7280;
+`;
+
+const ErrorMessage = styled.div`
+  color: #EF4444;
+  padding: 1rem;
+  background-color: #FEF2F2;
+  border-radius: 0.5rem;
+  margin-bottom: 1rem;
+`;
+
+const TrashList: React.FC = () => {
+  const { restoreTask, error } = useTasks();
+  const [trash, setTrash] = useState<TrashedTask[]>([]);
+  const [retentionDays, setRetentionDays] = useState<number | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState<string | null>(null);
+
+  const fetchTrash = async () => {
+    try {
+      const response = await taskService.getTrash();
+      setTrash(response.tasks);
+      setRetentionDays(response.retentionDays);
+    } catch (err: any) {
+      console.error('Failed to fetch trash:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const handleRestore = async (id: string) => {
+    setRestoringId(id);
+    await restoreTask(id);
+    await fetchTrash();
+    setRestoringId(null);
+  };
+
+  if (isLoading) {
+    return <LoadingIndicator>Loading trash...</LoadingIndicator>;
+  }
+
+  return (
+    <Container>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      <Summary>
+        {trash.length === 0
+          ? 'The trash is empty.'
+          : `Deleted tasks are removed permanently after ${retentionDays} days.`}
+      </Summary>
+
+      {trash.map(task => (
+        <TrashCard key={task.id}>
+          <div>
+            <TaskTitle>{task.title}</TaskTitle>
+            <Meta>
+              Deleted {new Date(task.deletedAt).toLocaleDateString()} · removed permanently on {new Date(task.purgeAt).toLocaleDateString()}
+            </Meta>
+          </div>
+          <RestoreButton
+            onClick={() => handleRestore(task.id)}
+            disabled={restoringId !== null}
+          >
+            {restoringId === task.id ? 'Restoring...' : 'Restore'}
+          </RestoreButton>
+        </TrashCard>
+      ))}
+    </Container>
+  );
+};
+
+export default TrashList;
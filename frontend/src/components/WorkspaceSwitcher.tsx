@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled';
+import { useAuth } from '../context/AuthContext';
+import workspaceService, { Workspace } from '../services/workspaceApi';
+
+const Container = styled.div`
+  margin: -1rem 0 1.5rem;
+  font-size: 0.875rem;
+`;
+
+const Select = styled.select`
+  width: 100%;
+  box-sizing: border-box;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid #D1D5DB;
+  border-radius: 0.375rem;
+  background-color: white;
+  font-size: 0.875rem;
+  color: #1F2937;
+`;
+
+const Hint = styled.div`
+  font-size: 0.75rem;
+  color: #EF4444;
+  margin-top: 0.25rem;
+`;
+
+const NEW_WORKSPACE = 'new';
+
+// Switching issues a new access token; App reloads the tasks of the new workspace
+const WorkspaceSwitcher: React.FC = () => {
+  const { user, switchWorkspace } = useAuth();
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchWorkspaces = async () => {
+      try {
+        setWorkspaces(await workspaceService.getWorkspaces());
+      } catch (err: any) {
+        console.error('Failed to fetch workspaces:', err);
+        setMessage('Failed to load your workspaces.');
+      }
+    };
+
+    fetchWorkspaces();
+  }, []);
+
+  if (!user) return null;
+
+  const select = async (value: string) => {
+    let workspaceId = value;
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      if (value === NEW_WORKSPACE) {
+        const name = window.prompt('Name of the new workspace')?.trim();
+        if (!name) return;
+
+        const workspace = await workspaceService.createWorkspace(name);
+        setWorkspaces(current => [...current, workspace]);
+        workspaceId = workspace.id;
+      }
+
+      await switchWorkspace(workspaceId);
+    } catch (err: any) {
+      console.error('Failed to switch workspace:', err);
+      setMessage(err.response?.data?.message || 'Failed to switch the workspace.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Container>
+      {workspaces.length > 0 && (
+        <Select
+          value={user.workspace_id}
+          disabled={busy}
+          onChange={e => select(e.target.value)}
+          aria-label="Workspace"
+        >
+          {workspaces.map(workspace => (
+            <option key={workspace.id} value={workspace.id}>
+              {workspace.is_personal ? 'Personal' : workspace.name}
+            </option>
+          ))}
+          <option value={NEW_WORKSPACE}>New workspace…</option>
+        </Select>
+      )}
+      {message && <Hint>{message}</Hint>}
+    </Container>
+  );
+};
+
+export default WorkspaceSwitcher;
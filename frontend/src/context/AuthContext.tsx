@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authService, User } from '../services/api';
+import { authService, browserTimeZone, User } from '../services/api';
+import { workspaceService } from '../services/workspaceApi';
 
 interface AuthContextType {
   user: User | null;
@@ -8,6 +9,8 @@ interface AuthContextType {
   login: (email: string, password: string) => Promise<void>;
   register: (fullName: string, email: string, password: string) => Promise<void>;
   logout: () => Promise<void>;
+  updateTimezone: (timezone: string) => Promise<void>;
+  switchWorkspace: (workspaceId: string) => Promise<void>;
   error: string | null;
 }
 
@@ -60,7 +63,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       await authService.register({ 
         email, 
         password, 
-        full_name: fullName 
+        full_name: fullName,
+        timezone: browserTimeZone()
       });
       
       // After registration, log the user in
@@ -86,6 +90,14 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
   
+  const updateTimezone = async (timezone: string) => {
+    setUser(await authService.updatePreferences({ timezone }));
+  };
+
+  const switchWorkspace = async (workspaceId: string) => {
+    setUser(await workspaceService.switchWorkspace(workspaceId));
+  };
+
   return (
     <AuthContext.Provider 
       value={{
@@ -95,6 +107,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         login,
         register,
         logout,
+        updateTimezone,
+        switchWorkspace,
         error
       }}
     >
@@ -1,5 +1,31 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import taskService, { Task } from '../services/taskApi';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import taskService, {
+  Task,
+  SearchResult,
+  TaskSortField,
+  TasksResponse,
+  BulkOperation,
+  BulkResponse,
+  ImportResponse,
+  TransferFormat,
+  TaskStats,
+  TaskMove,
+  getConflictingTask
+} from '../services/taskApi';
+import projectService, { Project } from '../services/projectApi';
+import labelService, { Label } from '../services/labelApi';
+import savedFilterService, { SavedFilter } from '../services/savedFilterApi';
+import timeService, { TimeEntry } from '../services/timeApi';
+
+// Task fields plus the label IDs to attach when saving
+type TaskInput = Partial<Task> & { labelIds?: string[] };
+
+// An update rejected because the task changed elsewhere (another tab or device)
+export interface TaskConflict {
+  taskId: string;
+  changes: TaskInput;
+  serverTask: Task;
+}
 
 interface TaskContextType {
   tasks: Task[];
@@ -12,19 +38,48 @@ interface TaskContextType {
     overdue: number;
     completed: number;
   };
+  taskStats: TaskStats | null;
   filteredTasks: {
     today: Task[];
     upcoming: Task[];
     overdue: Task[];
     completed: Task[];
   };
-  addTask: (task: Partial<Task>) => Promise<void>;
-  updateTask: (id: string, updates: Partial<Task>) => Promise<void>;
+  addTask: (task: TaskInput) => Promise<void>;
+  updateTask: (id: string, updates: TaskInput) => Promise<void>;
   deleteTask: (id: string) => Promise<void>;
   completeTask: (id: string) => Promise<void>;
+  restoreTask: (id: string) => Promise<void>;
+  moveTask: (task: Task, move: TaskMove) => Promise<Task | undefined>;
+  rescheduleTask: (task: Task, dueDate: string) => Promise<Task | undefined>;
+  conflict: TaskConflict | null;
+  resolveConflict: (resolution: 'overwrite' | 'reload') => Promise<void>;
+  bulkUpdateTasks: (operations: BulkOperation[]) => Promise<BulkResponse | undefined>;
+  importTasks: (format: TransferFormat, content: string) => Promise<ImportResponse | undefined>;
   activeFilter: string;
   setActiveFilter: (filter: string) => void;
   fetchTasks: (filter?: string) => Promise<void>;
+  taskSort: TaskSortField;
+  setTaskSort: (sort: TaskSortField) => void;
+  hasMoreTasks: boolean;
+  isLoadingMore: boolean;
+  loadMoreTasks: () => Promise<void>;
+  projects: Project[];
+  activeProjectId: string | null;
+  setActiveProjectId: (projectId: string | null) => void;
+  addProject: (name: string, color?: string) => Promise<void>;
+  labels: Label[];
+  addLabel: (name: string, color?: string) => Promise<Label | undefined>;
+  savedFilters: SavedFilter[];
+  addSavedFilter: (name: string, query: string) => Promise<SavedFilter>;
+  deleteSavedFilter: (id: string) => Promise<void>;
+  searchQuery: string;
+  searchResults: SearchResult[];
+  isSearching: boolean;
+  searchTasks: (query: string) => Promise<void>;
+  runningTimer: TimeEntry | null;
+  startTimer: (taskId: string) => Promise<void>;
+  stopTimer: () => Promise<void>;
 }
 
 const TaskContext = createContext<TaskContextType | undefined>(undefined);
@@ -34,6 +89,23 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
   const [isLoading, setIsLoading] = useState<boolean>(false);
   const [error, setError] = useState<string | null>(null);
   const [activeFilter, setActiveFilter] = useState<string>('all');
+  const [taskSort, setTaskSort] = useState<TaskSortField>('createdAt');
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState<boolean>(false);
+  // Bumped on every fresh fetch so pages of a previous list are dropped
+  const taskListVersion = useRef<number>(0);
+  const loadingMore = useRef<boolean>(false);
+  const [projects, setProjects] = useState<Project[]>([]);
+  const [activeProjectId, setActiveProjectId] = useState<string | null>(null);
+  const [labels, setLabels] = useState<Label[]>([]);
+  const [savedFilters, setSavedFilters] = useState<SavedFilter[]>([]);
+  const [searchQuery, setSearchQuery] = useState<string>('');
+  const [searchResults, setSearchResults] = useState<SearchResult[]>([]);
+  const [isSearching, setIsSearching] = useState<boolean>(false);
+  const latestSearch = useRef<string>('');
+  const [conflict, setConflict] = useState<TaskConflict | null>(null);
+  // One timer runs at a time for the user, across tasks and devices
+  const [runningTimer, setRunningTimer] = useState<TimeEntry | null>(null);
   const [taskCounts, setTaskCounts] = useState({
     all: 0,
     today: 0,
@@ -41,6 +113,7 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
     overdue: 0,
     completed: 0
   });
+  const [taskStats, setTaskStats] = useState<TaskStats | null>(null);
   const [filteredTasks, setFilteredTasks] = useState<{
     today: Task[];
     upcoming: Task[];
@@ -53,17 +126,58 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
     completed: []
   });
 
-  // Fetch task counts for the dashboard
+  // Fetch task counts and statistics for the dashboard
   const fetchTaskCounts = async () => {
     try {
-      const counts = await taskService.getTaskCounts();
-      setTaskCounts(counts);
+      const stats = await taskService.getTaskStats();
+      setTaskStats(stats);
+      setTaskCounts(taskService.taskCountsOf(stats));
     } catch (err: any) {
       console.error('Failed to fetch task counts:', err);
       setError('Failed to fetch task counts. Please try again later.');
     }
   };
 
+  // Fetch projects with their task counts for the sidebar
+  const fetchProjects = async () => {
+    try {
+      const response = await projectService.getProjects();
+      setProjects(response.projects);
+    } catch (err: any) {
+      console.error('Failed to fetch projects:', err);
+    }
+  };
+
+  // Fetch the user's labels for chips and pickers
+  const fetchLabels = async () => {
+    try {
+      setLabels(await labelService.getLabels());
+    } catch (err: any) {
+      console.error('Failed to fetch labels:', err);
+    }
+  };
+
+  // Fetch saved filters with their task counts for the sidebar
+  const fetchSavedFilters = async () => {
+    try {
+      setSavedFilters(await savedFilterService.getSavedFilters());
+    } catch (err: any) {
+      console.error('Failed to fetch saved filters:', err);
+    }
+  };
+
+  // Fetch the running timer, it may have been started on another device
+  const fetchRunningTimer = async () => {
+    try {
+      setRunningTimer(await timeService.getTimer());
+    } catch (err: any) {
+      console.error('Failed to fetch the running timer:', err);
+    }
+  };
+
+  // Completing a task stops its timer on the server
+  const refreshRunningTimer = () => (runningTimer ? fetchRunningTimer() : Promise.resolve());
+
   // Fetch filtered tasks for different views
   const fetchFilteredTasks = async () => {
     try {
@@ -89,59 +203,114 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
+  // Fetch one page of tasks for a filter, cursor continues a previous page
+  // Saved filters are selected as "filter:<id>"
+  const fetchTaskPage = (filter: string, projectId: string | null, cursor?: string): Promise<TasksResponse> => {
+    if (filter.startsWith('filter:')) {
+      return savedFilterService.getSavedFilterTasks(filter.slice('filter:'.length), {
+        projectId: projectId || undefined,
+        sort: taskSort,
+        cursor
+      });
+    }
+
+    switch (filter) {
+      case 'all':
+        return taskService.getAllTasks({
+          projectId: projectId || undefined,
+          sort: taskSort,
+          cursor
+        });
+      case 'today':
+        return taskService.getTasksDueToday();
+      case 'upcoming':
+        return taskService.getAllTasks({ 
+          status: 'pending',
+          cursor
+        });
+      case 'overdue':
+        return taskService.getOverdueTasks();
+      case 'completed':
+        return taskService.getTasksByStatus('completed', { cursor });
+      default:
+        return taskService.getAllTasks({ sort: taskSort, cursor });
+    }
+  };
+
   // Fetch tasks based on the active filter
-  const fetchTasks = async (filter = activeFilter) => {
+  const fetchTasks = async (filter = activeFilter, projectId = activeProjectId) => {
+    const version = ++taskListVersion.current;
     setIsLoading(true);
     setError(null);
     
     try {
-      let response;
+      const response = await fetchTaskPage(filter, projectId);
       
-      switch (filter) {
-        case 'all':
-          response = await taskService.getAllTasks();
-          break;
-        case 'today':
-          response = await taskService.getTasksDueToday();
-          break;
-        case 'upcoming':
-          response = await taskService.getAllTasks({ 
-            status: 'pending'
-          });
-          break;
-        case 'overdue':
-          response = await taskService.getOverdueTasks();
-          break;
-        case 'completed':
-          response = await taskService.getTasksByStatus('completed');
-          break;
-        default:
-          response = await taskService.getAllTasks();
+      if (version === taskListVersion.current) {
+        setTasks(response.tasks);
+        setNextCursor(response.nextCursor ?? null);
       }
-      
-      setTasks(response.tasks);
     } catch (err: any) {
       console.error('Failed to fetch tasks:', err);
       setError('Failed to fetch tasks. Please try again later.');
       setTasks([]);
+      setNextCursor(null);
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Append the next page of the current list (infinite scroll)
+  const loadMoreTasks = async () => {
+    // The ref also guards against callers holding a stale isLoadingMore
+    if (!nextCursor || loadingMore.current || isLoading) {
+      return;
+    }
+
+    const version = taskListVersion.current;
+    loadingMore.current = true;
+    setIsLoadingMore(true);
+
+    try {
+      const response = await fetchTaskPage(activeFilter, activeProjectId, nextCursor);
+
+      if (version === taskListVersion.current) {
+        setTasks(prev => {
+          const seen = new Set(prev.map(task => task.id));
+          return [...prev, ...response.tasks.filter(task => !seen.has(task.id))];
+        });
+        setNextCursor(response.nextCursor ?? null);
+      }
+    } catch (err: any) {
+      console.error('Failed to load more tasks:', err);
+      setError('Failed to load more tasks. Please try again later.');
+    } finally {
+      loadingMore.current = false;
+      setIsLoadingMore(false);
+    }
+  };
+
   // Initial data fetch
   useEffect(() => {
     fetchTaskCounts();
     fetchFilteredTasks();
+    fetchProjects();
+    fetchLabels();
     fetchTasks();
+    fetchRunningTimer();
   }, []);  // eslint-disable-line react-hooks/exhaustive-deps
 
-  // Fetch tasks when filter changes
+  // Saved filter counts follow every change to the tasks
+  useEffect(() => {
+    fetchSavedFilters();
+  }, [tasks]);  // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Fetch tasks when filter, project or sort order changes
   useEffect(() => {
-    fetchTasks(activeFilter);
-  }, [activeFilter]);  // eslint-disable-line react-hooks/exhaustive-deps
+    fetchTasks(activeFilter, activeProjectId);
+  }, [activeFilter, activeProjectId, taskSort]);  // eslint-disable-line react-hooks/exhaustive-deps
 
-  const addTask = async (taskData: Partial<Task>) => {
+  const addTask = async (taskData: TaskInput) => {
     setIsLoading(true);
     setError(null);
     
@@ -153,14 +322,18 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
         dueDate: taskData.dueDate === null ? undefined : taskData.dueDate,
         priority: taskData.priority || 'medium',
         status: taskData.status || 'pending',
-        remindBefore: taskData.remindBefore === null ? undefined : taskData.remindBefore
+        remindBefore: taskData.remindBefore === null ? undefined : taskData.remindBefore,
+        // New tasks go into the selected project unless one is given
+        projectId: taskData.projectId !== undefined ? taskData.projectId : activeProjectId,
+        labelIds: taskData.labelIds
       });
       
       // Refresh tasks, filtered tasks and counts
       await Promise.all([
         fetchTasks(),
         fetchFilteredTasks(),
-        fetchTaskCounts()
+        fetchTaskCounts(),
+        fetchProjects()
       ]);
     } catch (err: any) {
       console.error('Failed to add task:', err);
@@ -170,7 +343,7 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
-  const updateTask = async (id: string, updates: Partial<Task>) => {
+  const updateTask = async (id: string, updates: TaskInput) => {
     setIsLoading(true);
     setError(null);
     
@@ -182,20 +355,34 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
         dueDate: updates.dueDate === null ? undefined : updates.dueDate,
         priority: updates.priority,
         status: updates.status,
-        remindBefore: updates.remindBefore === null ? undefined : updates.remindBefore
+        remindBefore: updates.remindBefore === null ? undefined : updates.remindBefore,
+        projectId: updates.projectId,
+        labelIds: updates.labelIds
       };
       
-      await taskService.updateTask(id, sanitizedUpdates);
+      // The version the changes are based on, read the task when we haven't loaded it
+      const knownTask = [...tasks, ...searchResults].find(task => task.id === id);
+      const version = updates.version ?? knownTask?.version ?? (await taskService.getTask(id)).version;
+      
+      await taskService.updateTask(id, version, sanitizedUpdates);
       
       // Refresh tasks, filtered tasks and counts
       await Promise.all([
         fetchTasks(),
         fetchFilteredTasks(),
-        fetchTaskCounts()
+        fetchTaskCounts(),
+        fetchProjects(),
+        refreshRunningTimer()
       ]);
     } catch (err: any) {
-      console.error('Failed to update task:', err);
-      setError('Failed to update task. Please try again later.');
+      const serverTask = getConflictingTask(err);
+      if (serverTask) {
+        // Let the user choose between their changes and the latest version
+        setConflict({ taskId: id, changes: updates, serverTask });
+      } else {
+        console.error('Failed to update task:', err);
+        setError('Failed to update task. Please try again later.');
+      }
     } finally {
       setIsLoading(false);
     }
@@ -212,7 +399,8 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
       await Promise.all([
         fetchTasks(),
         fetchFilteredTasks(),
-        fetchTaskCounts()
+        fetchTaskCounts(),
+        fetchProjects()
       ]);
     } catch (err: any) {
       console.error('Failed to delete task:', err);
@@ -222,6 +410,111 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
+  const bulkUpdateTasks = async (operations: BulkOperation[]) => {
+    setIsLoading(true);
+    setError(null);
+    
+    try {
+      const result = await taskService.bulkUpdateTasks(operations);
+      
+      // Refresh tasks, filtered tasks and counts
+      await Promise.all([
+        fetchTasks(),
+        fetchFilteredTasks(),
+        fetchTaskCounts(),
+        fetchProjects(),
+        refreshRunningTimer()
+      ]);
+      
+      // Set after the refresh, which clears the error
+      if (result.failed > 0) {
+        setError(`${result.failed} of ${operations.length} changes could not be applied.`);
+      }
+      
+      return result;
+    } catch (err: any) {
+      console.error('Failed to update tasks:', err);
+      setError('Failed to update tasks. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Board moves return the moved task; the board reloads its columns itself
+  const moveTask = async (task: Task, move: TaskMove) => {
+    setError(null);
+
+    try {
+      const moved = await taskService.moveTask(task.id, task.version, move);
+
+      // Status changes show up in the lists and counts
+      if (moved.status !== task.status) {
+        await Promise.all([
+          fetchTasks(),
+          fetchFilteredTasks(),
+          fetchTaskCounts(),
+          fetchProjects()
+        ]);
+      }
+
+      return moved;
+    } catch (err: any) {
+      if (getConflictingTask(err)) {
+        setError('This task was changed elsewhere. The board has been reloaded, please try again.');
+      } else {
+        console.error('Failed to move task:', err);
+        setError(err.response?.data?.message || 'Failed to move task. Please try again later.');
+      }
+    }
+  };
+
+  // Calendar drops change only the due date; the calendar reloads its days itself
+  const rescheduleTask = async (task: Task, dueDate: string) => {
+    setError(null);
+
+    try {
+      const updated = await taskService.updateTaskDueDate(task.id, task.version, dueDate);
+
+      // Due dates decide the today, upcoming and overdue lists
+      await Promise.all([
+        fetchTasks(),
+        fetchFilteredTasks(),
+        fetchTaskCounts()
+      ]);
+
+      return updated;
+    } catch (err: any) {
+      if (getConflictingTask(err)) {
+        setError('This task was changed elsewhere. The calendar has been reloaded, please try again.');
+      } else {
+        console.error('Failed to reschedule task:', err);
+        setError(err.response?.data?.message || 'Failed to reschedule task. Please try again later.');
+      }
+    }
+  };
+
+  const importTasks = async (format: TransferFormat, content: string) => {
+    setError(null);
+    
+    try {
+      const result = await taskService.importTasks(format, content);
+      
+      // Refresh tasks, filtered tasks and counts
+      await Promise.all([
+        fetchTasks(),
+        fetchFilteredTasks(),
+        fetchTaskCounts(),
+        fetchProjects(),
+        fetchLabels()
+      ]);
+      
+      return result;
+    } catch (err: any) {
+      console.error('Failed to import tasks:', err);
+      setError(err.response?.data?.message || 'Failed to import tasks. Please try again later.');
+    }
+  };
+
   const completeTask = async (id: string) => {
     setIsLoading(true);
     setError(null);
@@ -233,7 +526,9 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
       await Promise.all([
         fetchTasks(),
         fetchFilteredTasks(),
-        fetchTaskCounts()
+        fetchTaskCounts(),
+        fetchProjects(),
+        refreshRunningTimer()
       ]);
     } catch (err: any) {
       console.error('Failed to complete task:', err);
@@ -243,6 +538,142 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
+  const restoreTask = async (id: string) => {
+    setError(null);
+    
+    try {
+      await taskService.restoreTask(id);
+      
+      // Refresh tasks, filtered tasks and counts
+      await Promise.all([
+        fetchTasks(),
+        fetchFilteredTasks(),
+        fetchTaskCounts(),
+        fetchProjects()
+      ]);
+    } catch (err: any) {
+      console.error('Failed to restore task:', err);
+      setError('Failed to restore task. Please try again later.');
+    }
+  };
+
+  // 'overwrite' reapplies the rejected changes on top of the latest version,
+  // 'reload' drops them and shows the latest version
+  const resolveConflict = async (resolution: 'overwrite' | 'reload') => {
+    if (!conflict) return;
+    setConflict(null);
+    
+    if (resolution === 'overwrite') {
+      await updateTask(conflict.taskId, { ...conflict.changes, version: conflict.serverTask.version });
+      return;
+    }
+    
+    await Promise.all([
+      fetchTasks(),
+      fetchFilteredTasks(),
+      fetchTaskCounts(),
+      fetchProjects()
+    ]);
+  };
+
+  const addProject = async (name: string, color?: string) => {
+    setError(null);
+    
+    try {
+      const project = await projectService.createProject({ name, color });
+      await fetchProjects();
+      setActiveProjectId(project.id);
+    } catch (err: any) {
+      console.error('Failed to add project:', err);
+      setError('Failed to add project. Please try again later.');
+    }
+  };
+
+  const searchTasks = async (query: string) => {
+    setSearchQuery(query);
+    latestSearch.current = query;
+    
+    if (!query) {
+      setSearchResults([]);
+      return;
+    }
+    
+    setIsSearching(true);
+    try {
+      const response = await taskService.searchTasks(query);
+      // Ignore responses for queries the user has already typed past
+      if (latestSearch.current === query) {
+        setSearchResults(response.tasks);
+      }
+    } catch (err: any) {
+      console.error('Failed to search tasks:', err);
+      setSearchResults([]);
+    } finally {
+      if (latestSearch.current === query) {
+        setIsSearching(false);
+      }
+    }
+  };
+
+  const addLabel = async (name: string, color?: string) => {
+    setError(null);
+    
+    try {
+      const label = await labelService.createLabel({ name, color });
+      setLabels(current => [...current, label].sort((a, b) => a.name.localeCompare(b.name)));
+      return label;
+    } catch (err: any) {
+      console.error('Failed to add label:', err);
+      setError('Failed to add label. Please try again later.');
+      return undefined;
+    }
+  };
+
+  // Errors are left to the caller, the form shows the server's message
+  // (e.g. an invalid query)
+  const addSavedFilter = async (name: string, query: string) => {
+    const filter = await savedFilterService.createSavedFilter({ name, query });
+    await fetchSavedFilters();
+    return filter;
+  };
+
+  const deleteSavedFilter = async (id: string) => {
+    setError(null);
+
+    try {
+      await savedFilterService.deleteSavedFilter(id);
+      setSavedFilters(current => current.filter(filter => filter.id !== id));
+    } catch (err: any) {
+      console.error('Failed to delete saved filter:', err);
+      setError('Failed to delete saved filter. Please try again later.');
+    }
+  };
+
+  // Starting a timer while another one runs is rejected by the server
+  const startTimer = async (taskId: string) => {
+    setError(null);
+    
+    try {
+      setRunningTimer(await timeService.startTimer(taskId));
+    } catch (err: any) {
+      console.error('Failed to start timer:', err);
+      setError(err.response?.data?.message || 'Failed to start the timer. Please try again later.');
+      await fetchRunningTimer();
+    }
+  };
+
+  const stopTimer = async () => {
+    setError(null);
+    
+    try {
+      await timeService.stopTimer();
+    } catch (err: any) {
+      console.error('Failed to stop timer:', err);
+      setError('Failed to stop the timer. Please try again later.');
+    }
+    await fetchRunningTimer();
+  };
+
   return (
     <TaskContext.Provider
       value={{
@@ -250,14 +681,43 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
         isLoading,
         error,
         taskCounts,
+        taskStats,
         filteredTasks,
         addTask,
         updateTask,
         deleteTask,
         completeTask,
+        restoreTask,
+        moveTask,
+        rescheduleTask,
+        conflict,
+        resolveConflict,
+        bulkUpdateTasks,
+        importTasks,
         activeFilter,
         setActiveFilter,
-        fetchTasks
+        fetchTasks,
+        taskSort,
+        setTaskSort,
+        hasMoreTasks: nextCursor !== null,
+        isLoadingMore,
+        loadMoreTasks,
+        projects,
+        activeProjectId,
+        setActiveProjectId,
+        addProject,
+        labels,
+        addLabel,
+        savedFilters,
+        addSavedFilter,
+        deleteSavedFilter,
+        searchQuery,
+        searchResults,
+        isSearching,
+        searchTasks,
+        runningTimer,
+        startTimer,
+        stopTimer
       }}
     >
       {children}
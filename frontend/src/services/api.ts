@@ -83,14 +83,27 @@ export interface User {
   full_name: string;
   roles: string[];
   email_verified: boolean;
+  timezone: string;
+  // Active workspace, tasks and projects are listed for it
+  workspace_id: string;
+  workspace_role: 'owner' | 'admin' | 'member';
   last_login: string;
   created_at: string;
 }
 
+// IANA time zone of the browser, e.g. Europe/Berlin
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Secret feed token, the feed itself is served by the gateway at feed_path
+export interface CalendarFeed {
+  token: string;
+  feed_path: string;
+}
+
 // Auth service methods
 export const authService = {
   // Register a new user
-  register: async (userData: { email: string; password: string; full_name: string }) => {
+  register: async (userData: { email: string; password: string; full_name: string; timezone?: string }) => {
     const response = await api.post('/user-service/auth/register', userData);
     return response.data;
   },
@@ -116,6 +129,29 @@ export const authService = {
     return response.data;
   },
   
+  // Update preferences of the current user. The returned access token carries
+  // the new time zone, so it replaces the stored one.
+  updatePreferences: async (preferences: { timezone: string }): Promise<User> => {
+    const response = await api.patch<{ user: User; access_token: string }>('/user-service/auth/me', preferences);
+    localStorage.setItem('access_token', response.data.access_token);
+    return response.data.user;
+  },
+
+  // Get the calendar feed of the current user, created on first use
+  getCalendarFeed: async (): Promise<CalendarFeed> => {
+    const response = await api.get<CalendarFeed>('/user-service/auth/calendar-feed');
+    return response.data;
+  },
+
+  // Replace the feed token, invalidating subscriptions to the old URL
+  rotateCalendarFeed: async (): Promise<CalendarFeed> => {
+    const response = await api.post<CalendarFeed>('/user-service/auth/calendar-feed/rotate');
+    return response.data;
+  },
+
+  // Full URL to subscribe to in a calendar app
+  calendarFeedUrl: (feed: CalendarFeed) => `${API_BASE_URL}${feed.feed_path}`,
+
   // Logout user
   logout: async () => {
     try {
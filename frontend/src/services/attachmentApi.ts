@@ -0,0 +1,56 @@
+import api from './api';
+
+// Attachment interfaces
+export interface Attachment {
+  id: string;
+  taskId: string;
+  filename: string;
+  contentType: string;
+  size: number;
+  createdAt: string;
+}
+
+export interface AttachmentUsage {
+  used: number;
+  quota: number;
+  maxFileSize: number;
+}
+
+export interface AttachmentsResponse {
+  attachments: Attachment[];
+  usage: AttachmentUsage;
+}
+
+// Attachment service methods
+export const attachmentService = {
+  // Get the attachments of a task with the current storage usage
+  getAttachments: async (taskId: string): Promise<AttachmentsResponse> => {
+    const response = await api.get<AttachmentsResponse>(`/task-service/api/tasks/${taskId}/attachments`);
+    return response.data;
+  },
+
+  // Upload a file to a task
+  uploadAttachment: async (taskId: string, file: File): Promise<Attachment> => {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await api.post<Attachment>(`/task-service/api/tasks/${taskId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  // Download the content of an attachment
+  downloadAttachment: async (taskId: string, attachmentId: string): Promise<Blob> => {
+    const response = await api.get<Blob>(`/task-service/api/tasks/${taskId}/attachments/${attachmentId}`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  // Delete an attachment
+  deleteAttachment: async (taskId: string, attachmentId: string): Promise<void> => {
+    await api.delete(`/task-service/api/tasks/${taskId}/attachments/${attachmentId}`);
+  }
+};
+
+export default attachmentService;
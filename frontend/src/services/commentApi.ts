@@ -0,0 +1,64 @@
+import api from './api';
+
+// Comment interfaces
+export interface Comment {
+  id: string;
+  taskId: string;
+  authorId: string;
+  authorEmail: string | null;
+  authorName: string | null;
+  body: string;
+  mentions: string[];
+  editedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CommentEdit {
+  id: string;
+  commentId: string;
+  body: string;
+  createdAt: string;
+}
+
+export interface CommentsResponse {
+  taskId: string;
+  comments: Comment[];
+  total: number;
+  limit: number;
+  offset: number;
+}
+
+// Comment service methods
+export const commentService = {
+  // Get the comments of a task, oldest first
+  getComments: async (taskId: string, params?: { limit?: number; offset?: number }): Promise<CommentsResponse> => {
+    const response = await api.get<CommentsResponse>(`/task-service/api/tasks/${taskId}/comments`, { params });
+    return response.data;
+  },
+
+  // Comment on a task, @email mentions notify the mentioned users
+  createComment: async (taskId: string, body: string): Promise<Comment> => {
+    const response = await api.post<Comment>(`/task-service/api/tasks/${taskId}/comments`, { body });
+    return response.data;
+  },
+
+  // Edit one of your comments
+  updateComment: async (taskId: string, commentId: string, body: string): Promise<Comment> => {
+    const response = await api.put<Comment>(`/task-service/api/tasks/${taskId}/comments/${commentId}`, { body });
+    return response.data;
+  },
+
+  // Delete one of your comments
+  deleteComment: async (taskId: string, commentId: string): Promise<void> => {
+    await api.delete(`/task-service/api/tasks/${taskId}/comments/${commentId}`);
+  },
+
+  // Earlier versions of an edited comment, newest first
+  getCommentEdits: async (taskId: string, commentId: string): Promise<CommentEdit[]> => {
+    const response = await api.get<{ edits: CommentEdit[] }>(`/task-service/api/tasks/${taskId}/comments/${commentId}/edits`);
+    return response.data.edits;
+  }
+};
+
+export default commentService;
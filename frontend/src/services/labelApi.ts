@@ -0,0 +1,36 @@
+import api from './api';
+
+// Label interfaces
+export interface Label {
+  id: string;
+  name: string;
+  color: string;
+}
+
+// Label service methods
+export const labelService = {
+  // Get all labels of the current user
+  getLabels: async (): Promise<Label[]> => {
+    const response = await api.get<{ labels: Label[] }>('/task-service/api/labels');
+    return response.data.labels;
+  },
+
+  // Create a new label
+  createLabel: async (labelData: { name: string; color?: string }): Promise<Label> => {
+    const response = await api.post<Label>('/task-service/api/labels', labelData);
+    return response.data;
+  },
+
+  // Rename or recolor a label
+  updateLabel: async (labelId: string, labelData: { name?: string; color?: string }): Promise<Label> => {
+    const response = await api.put<Label>(`/task-service/api/labels/${labelId}`, labelData);
+    return response.data;
+  },
+
+  // Delete a label (removes it from all tasks)
+  deleteLabel: async (labelId: string): Promise<void> => {
+    await api.delete(`/task-service/api/labels/${labelId}`);
+  }
+};
+
+export default labelService;
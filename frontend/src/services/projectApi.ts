@@ -0,0 +1,61 @@
+import api from './api';
+
+// Project interfaces
+export interface ProjectCounts {
+  total: number;
+  completed: number;
+  open: number;
+}
+
+export interface Project {
+  id: string;
+  userId: string;
+  workspaceId: string;
+  name: string;
+  description: string | null;
+  color: string | null;
+  counts: ProjectCounts;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ProjectsResponse {
+  projects: Project[];
+  inbox: ProjectCounts;
+}
+
+// Project service methods
+export const projectService = {
+  // Get all projects with per-project task counts
+  getProjects: async (): Promise<ProjectsResponse> => {
+    const response = await api.get<ProjectsResponse>('/task-service/api/projects');
+    return response.data;
+  },
+
+  // Create a new project
+  createProject: async (projectData: {
+    name: string;
+    description?: string;
+    color?: string;
+  }): Promise<Project> => {
+    const response = await api.post<Project>('/task-service/api/projects', projectData);
+    return response.data;
+  },
+
+  // Update a project
+  updateProject: async (projectId: string, projectData: {
+    name?: string;
+    description?: string;
+    color?: string;
+  }): Promise<Project> => {
+    const response = await api.put<Project>(`/task-service/api/projects/${projectId}`, projectData);
+    return response.data;
+  },
+
+  // Delete a project (its tasks are moved to the inbox)
+  deleteProject: async (projectId: string): Promise<void> => {
+    await api.delete(`/task-service/api/projects/${projectId}`);
+  }
+};
+
+export default projectService;
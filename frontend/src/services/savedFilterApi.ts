@@ -0,0 +1,67 @@
+import api from './api';
+import { TasksResponse, TaskSortField } from './taskApi';
+
+// Saved filter interfaces
+export interface SavedFilter {
+  id: string;
+  name: string;
+  // Filter query, e.g. "priority:high due:this-week status:pending"
+  query: string;
+  // Number of tasks the filter matches, only in lists
+  count?: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SavedFilterTaskParams {
+  projectId?: string;
+  sort?: TaskSortField;
+  order?: 'asc' | 'desc';
+  cursor?: string;
+  limit?: number;
+}
+
+// Saved filter service methods
+export const savedFilterService = {
+  // Get all saved filters with their task counts
+  getSavedFilters: async (): Promise<SavedFilter[]> => {
+    const response = await api.get<{ filters: SavedFilter[] }>('/task-service/api/filters');
+    return response.data.filters;
+  },
+
+  // Get a page of the tasks matching a saved filter
+  getSavedFilterTasks: async (filterId: string, params?: SavedFilterTaskParams): Promise<TasksResponse> => {
+    const query = new URLSearchParams();
+
+    if (params) {
+      if (params.projectId) query.append('projectId', params.projectId);
+      if (params.sort) query.append('sort', params.sort);
+      if (params.order) query.append('order', params.order);
+      if (params.cursor) query.append('cursor', params.cursor);
+      if (params.limit) query.append('limit', params.limit.toString());
+    }
+
+    const queryString = query.toString() ? `?${query.toString()}` : '';
+    const response = await api.get<TasksResponse>(`/task-service/api/filters/${filterId}/tasks${queryString}`);
+    return response.data;
+  },
+
+  // Save a new filter, the query is validated by the server
+  createSavedFilter: async (filterData: { name: string; query: string }): Promise<SavedFilter> => {
+    const response = await api.post<SavedFilter>('/task-service/api/filters', filterData);
+    return response.data;
+  },
+
+  // Rename a saved filter or change its query
+  updateSavedFilter: async (filterId: string, filterData: { name?: string; query?: string }): Promise<SavedFilter> => {
+    const response = await api.put<SavedFilter>(`/task-service/api/filters/${filterId}`, filterData);
+    return response.data;
+  },
+
+  // Delete a saved filter (its tasks are not affected)
+  deleteSavedFilter: async (filterId: string): Promise<void> => {
+    await api.delete(`/task-service/api/filters/${filterId}`);
+  }
+};
+
+export default savedFilterService;
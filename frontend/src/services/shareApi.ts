@@ -0,0 +1,74 @@
+import api from './api';
+import { Task } from './taskApi';
+
+// Share interfaces
+export type ShareRole = 'viewer' | 'editor';
+
+export interface Share {
+  id: string;
+  taskId: string | null;
+  projectId: string | null;
+  ownerId: string;
+  email: string;
+  // null while the invitation is pending
+  userId: string | null;
+  role: ShareRole;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SharesResponse {
+  shares: Share[];
+}
+
+export interface SharedTask extends Task {
+  role: ShareRole;
+}
+
+export interface SharedTasksResponse {
+  tasks: SharedTask[];
+  total: number;
+  limit: number;
+  offset: number;
+}
+
+// Shares of a task or a project
+export type ShareResource = { taskId: string } | { projectId: string };
+
+const sharesUrl = (resource: ShareResource): string => ('taskId' in resource
+  ? `/task-service/api/tasks/${resource.taskId}/shares`
+  : `/task-service/api/projects/${resource.projectId}/shares`);
+
+// Share service methods
+export const shareService = {
+  // Get the tasks other users shared with the current user
+  getSharedWithMe: async (params?: { limit?: number; offset?: number }): Promise<SharedTasksResponse> => {
+    const response = await api.get<SharedTasksResponse>('/task-service/api/tasks/shared', { params });
+    return response.data;
+  },
+
+  // Get the users a task or project is shared with
+  getShares: async (resource: ShareResource): Promise<Share[]> => {
+    const response = await api.get<SharesResponse>(sharesUrl(resource));
+    return response.data.shares;
+  },
+
+  // Share with a user by email; sharing with the same email again changes the role
+  share: async (resource: ShareResource, email: string, role: ShareRole): Promise<Share> => {
+    const response = await api.post<Share>(sharesUrl(resource), { email, role });
+    return response.data;
+  },
+
+  // Change the role of a share
+  updateShare: async (resource: ShareResource, shareId: string, role: ShareRole): Promise<Share> => {
+    const response = await api.put<Share>(`${sharesUrl(resource)}/${shareId}`, { role });
+    return response.data;
+  },
+
+  // Stop sharing with a user
+  deleteShare: async (resource: ShareResource, shareId: string): Promise<void> => {
+    await api.delete(`${sharesUrl(resource)}/${shareId}`);
+  }
+};
+
+export default shareService;
@@ -1,9 +1,11 @@
 import api from './api';
+import { Label } from './labelApi';
 
 // Task interfaces
 export interface Task {
   id: string;
   userId: string;
+  workspaceId: string;
   title: string;
   description: string | null;
   status: 'pending' | 'in_progress' | 'completed';
@@ -11,6 +13,14 @@ export interface Task {
   dueDate: string | null;
   remindBefore: number | null;
   completedAt: string | null;
+  projectId: string | null;
+  // The owner or a user the task is shared with; reminded instead of the owner
+  assigneeId: string | null;
+  labels?: Label[];
+  // Order within the status column on the board
+  position: number;
+  // Incremented on every update, sent back as If-Match
+  version: number;
   createdAt: string;
   updatedAt: string;
 }
@@ -19,15 +29,198 @@ export interface TasksResponse {
   tasks: Task[];
   total: number;
   limit: number;
+  offset?: number;
+  // Cursor of the next page for GET /tasks, null on the last page
+  nextCursor?: string | null;
+}
+
+// Tasks shared with the user carry their role on them
+export interface AssignedTask extends Task {
+  role?: 'viewer' | 'editor';
+}
+
+export interface AssignedTasksResponse {
+  tasks: AssignedTask[];
+  total: number;
+  limit: number;
+  offset: number;
+}
+
+export type TaskSortField = 'createdAt' | 'dueDate' | 'priority' | 'updatedAt' | 'title' | 'position';
+
+// Target of a board move: the column and the tasks to end up between,
+// without neighbors the task goes to the end of the column
+export interface TaskMove {
+  status: Task['status'];
+  afterId?: string;
+  beforeId?: string;
+}
+
+// Search hits carry a relevance rank and text with matches wrapped in <mark></mark>
+export interface SearchResult extends Task {
+  rank: number;
+  titleHighlight: string;
+  snippet: string;
+}
+
+export interface SearchResponse {
+  query: string;
+  tasks: SearchResult[];
+  total: number;
+  limit: number;
   offset: number;
 }
 
+export interface SearchFilters {
+  status?: string;
+  priority?: string;
+  dueFrom?: string;
+  dueTo?: string;
+  limit?: number;
+  offset?: number;
+}
+
 export interface TaskFilters {
   status?: string;
   priority?: string;
   search?: string;
+  projectId?: string;
+  labels?: string[];
+  match?: 'all' | 'any';
+  // ISO timestamps, both ends inclusive
+  dueFrom?: string;
+  dueTo?: string;
+  sort?: TaskSortField;
+  order?: 'asc' | 'desc';
+  cursor?: string;
   limit?: number;
-  offset?: number;
+}
+
+// Deleted tasks stay restorable until purgeAt
+export interface TrashedTask extends Task {
+  deletedAt: string;
+  purgeAt: string;
+}
+
+export interface TrashResponse {
+  tasks: TrashedTask[];
+  total: number;
+  retentionDays: number;
+  limit: number;
+  offset: number;
+}
+
+// Task fields recognized in quick-add text, null when not mentioned
+export interface ParsedTask {
+  title: string;
+  dueDate: string | null;
+  priority: 'low' | 'medium' | 'high' | null;
+  remindBefore: number | null;
+  matches: { type: 'date' | 'time' | 'priority' | 'reminder'; text: string }[];
+}
+
+export type TransferFormat = 'csv' | 'json' | 'ics';
+
+export interface DailyCount {
+  date: string;
+  count: number;
+}
+
+// Counts and productivity metrics, days are in the user's time zone
+export interface TaskStats {
+  timezone: string;
+  total: number;
+  byStatus: Record<'pending' | 'in_progress' | 'completed', number>;
+  byPriority: Record<'low' | 'medium' | 'high', number>;
+  dueToday: number;
+  overdue: number;
+  completionRate: { days: number; created: number; completed: number; rate: number | null }[];
+  averageCompletionHours: number | null;
+  completedPerDay: DailyCount[];
+  overdueTrend: DailyCount[];
+  streak: { current: number; longest: number };
+}
+
+export interface ImportRowResult {
+  row: number;
+  externalId: string | null;
+  success: boolean;
+  // A task with this external id already existed
+  skipped?: boolean;
+  taskId?: string;
+  error?: { code: string; message: string };
+}
+
+export interface ImportResponse {
+  total: number;
+  created: number;
+  skipped: number;
+  failed: number;
+  results: ImportRowResult[];
+}
+
+// Body of a 412 response: the task changed since the version the update was based on
+export interface VersionConflict {
+  code: 'PRECONDITION_FAILED';
+  message: string;
+  details: {
+    currentVersion: number;
+    task: Task;
+  };
+}
+
+// The current server task when an update failed on a version conflict
+export const getConflictingTask = (err: any): Task | null => {
+  if (err?.response?.status !== 412) return null;
+  return (err.response.data as VersionConflict).details?.task ?? null;
+};
+
+// If-Match header for updates based on a task version
+const ifMatch = (version: number) => ({ 'If-Match': `"${version}"` });
+
+export type TaskHistoryAction = 'created' | 'updated' | 'status_changed' | 'deleted' | 'restored';
+
+export interface TaskHistoryEntry {
+  id: string;
+  taskId: string;
+  actorId: string;
+  action: TaskHistoryAction;
+  changes: Record<string, { from: unknown; to: unknown }>;
+  createdAt: string;
+}
+
+export interface TaskHistoryResponse {
+  taskId: string;
+  history: TaskHistoryEntry[];
+  total: number;
+  limit: number;
+  offset: number;
+}
+
+// One entry of POST /tasks/bulk, the extra field depends on the action
+export type BulkOperation =
+  | { action: 'complete'; taskId: string; override?: boolean }
+  | { action: 'delete'; taskId: string }
+  | { action: 'setPriority'; taskId: string; priority: 'low' | 'medium' | 'high' }
+  | { action: 'setDueDate'; taskId: string; dueDate: string | null }
+  | { action: 'moveToProject'; taskId: string; projectId: string | null };
+
+export interface BulkOperationResult {
+  index: number;
+  taskId: string;
+  action: BulkOperation['action'];
+  success: boolean;
+  task?: Task | null;
+  error?: {
+    code: string;
+    message: string;
+  };
+}
+
+export interface BulkResponse {
+  results: BulkOperationResult[];
+  succeeded: number;
+  failed: number;
 }
 
 // Task service methods
@@ -40,8 +233,15 @@ export const taskService = {
       if (filters.status) params.append('status', filters.status);
       if (filters.priority) params.append('priority', filters.priority);
       if (filters.search) params.append('search', filters.search);
+      if (filters.projectId) params.append('projectId', filters.projectId);
+      if (filters.labels && filters.labels.length) params.append('labels', filters.labels.join(','));
+      if (filters.match) params.append('match', filters.match);
+      if (filters.dueFrom) params.append('dueFrom', filters.dueFrom);
+      if (filters.dueTo) params.append('dueTo', filters.dueTo);
+      if (filters.sort) params.append('sort', filters.sort);
+      if (filters.order) params.append('order', filters.order);
+      if (filters.cursor) params.append('cursor', filters.cursor);
       if (filters.limit) params.append('limit', filters.limit.toString());
-      if (filters.offset) params.append('offset', filters.offset.toString());
     }
     
     const queryString = params.toString() ? `?${params.toString()}` : '';
@@ -49,14 +249,32 @@ export const taskService = {
     return response.data;
   },
   
+  // Full-text search across title and description
+  searchTasks: async (query: string, filters?: SearchFilters): Promise<SearchResponse> => {
+    const params = new URLSearchParams();
+    params.append('q', query);
+    
+    if (filters) {
+      if (filters.status) params.append('status', filters.status);
+      if (filters.priority) params.append('priority', filters.priority);
+      if (filters.dueFrom) params.append('dueFrom', filters.dueFrom);
+      if (filters.dueTo) params.append('dueTo', filters.dueTo);
+      if (filters.limit) params.append('limit', filters.limit.toString());
+      if (filters.offset) params.append('offset', filters.offset.toString());
+    }
+    
+    const response = await api.get<SearchResponse>(`/task-service/api/tasks/search?${params.toString()}`);
+    return response.data;
+  },
+  
   // Get tasks by status
-  getTasksByStatus: async (status: string, options?: { limit?: number, offset?: number }): Promise<TasksResponse> => {
+  getTasksByStatus: async (status: string, options?: { limit?: number, cursor?: string }): Promise<TasksResponse> => {
     const params = new URLSearchParams();
     params.append('status', status);
     
     if (options) {
       if (options.limit) params.append('limit', options.limit.toString());
-      if (options.offset) params.append('offset', options.offset.toString());
+      if (options.cursor) params.append('cursor', options.cursor);
     }
     
     const queryString = `?${params.toString()}`;
@@ -106,21 +324,33 @@ export const taskService = {
     priority?: 'low' | 'medium' | 'high';
     status?: 'pending' | 'in_progress' | 'completed';
     remindBefore?: number;
+    projectId?: string | null;
+    labelIds?: string[];
   }): Promise<Task> => {
     const response = await api.post<Task>('/task-service/api/tasks', taskData);
     return response.data;
   },
   
-  // Update a task
-  updateTask: async (taskId: string, taskData: {
+  // Get a single task
+  getTask: async (taskId: string): Promise<Task> => {
+    const response = await api.get<Task>(`/task-service/api/tasks/${taskId}`);
+    return response.data;
+  },
+  
+  // Update a task, version is the one the changes are based on
+  updateTask: async (taskId: string, version: number, taskData: {
     title?: string;
     description?: string;
     dueDate?: string;
     priority?: 'low' | 'medium' | 'high';
     status?: 'pending' | 'in_progress' | 'completed';
     remindBefore?: number;
+    projectId?: string | null;
+    labelIds?: string[];
   }): Promise<Task> => {
-    const response = await api.put<Task>(`/task-service/api/tasks/${taskId}`, taskData);
+    const response = await api.put<Task>(`/task-service/api/tasks/${taskId}`, taskData, {
+      headers: ifMatch(version)
+    });
     return response.data;
   },
   
@@ -129,6 +359,24 @@ export const taskService = {
     await api.delete(`/task-service/api/tasks/${taskId}`);
   },
   
+  // Get deleted tasks
+  getTrash: async (): Promise<TrashResponse> => {
+    const response = await api.get<TrashResponse>('/task-service/api/tasks/trash');
+    return response.data;
+  },
+  
+  // Restore a deleted task
+  restoreTask: async (taskId: string): Promise<Task> => {
+    const response = await api.post<Task>(`/task-service/api/tasks/${taskId}/restore`);
+    return response.data;
+  },
+  
+  // Get the change history of a task
+  getTaskHistory: async (taskId: string): Promise<TaskHistoryResponse> => {
+    const response = await api.get<TaskHistoryResponse>(`/task-service/api/tasks/${taskId}/history`);
+    return response.data;
+  },
+  
   // Mark task as completed
   markTaskAsCompleted: async (taskId: string): Promise<Task> => {
     const response = await api.put<Task>(`/task-service/api/tasks/${taskId}/complete`);
@@ -141,41 +389,86 @@ export const taskService = {
     return response.data;
   },
   
+  // Download all tasks as a file
+  exportTasks: async (format: TransferFormat): Promise<Blob> => {
+    const response = await api.get<Blob>('/task-service/api/tasks/export', {
+      params: { format },
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+  
+  // Parse quick-add text like "Pay rent tomorrow 5pm !high" in the browser's time zone
+  parseTask: async (text: string): Promise<ParsedTask> => {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const response = await api.post<ParsedTask>('/task-service/api/tasks/parse', { text, timezone });
+    return response.data;
+  },
+  
+  // Import tasks from the text of a CSV, JSON or iCalendar file
+  importTasks: async (format: TransferFormat, content: string): Promise<ImportResponse> => {
+    const response = await api.post<ImportResponse>('/task-service/api/tasks/import', { format, content });
+    return response.data;
+  },
+  
+  // Apply operations to many tasks in one request
+  bulkUpdateTasks: async (operations: BulkOperation[]): Promise<BulkResponse> => {
+    const response = await api.post<BulkResponse>('/task-service/api/tasks/bulk', { operations });
+    return response.data;
+  },
+  
+  // Move a task to a column and position on the board
+  moveTask: async (taskId: string, version: number, move: TaskMove): Promise<Task> => {
+    const response = await api.patch<Task>(`/task-service/api/tasks/${taskId}/move`, move, {
+      headers: ifMatch(version)
+    });
+    return response.data;
+  },
+
+  // Change only the due date of a task
+  updateTaskDueDate: async (taskId: string, version: number, dueDate: string): Promise<Task> => {
+    const response = await api.patch<Task>(`/task-service/api/tasks/${taskId}/due-date`, { dueDate }, {
+      headers: ifMatch(version)
+    });
+    return response.data;
+  },
+
+  // Assign a task to its owner, a workspace member or a collaborator, null unassigns it
+  assignTask: async (taskId: string, version: number, assigneeId: string | null): Promise<Task> => {
+    const response = await api.patch<Task>(`/task-service/api/tasks/${taskId}/assign`, { assigneeId }, {
+      headers: ifMatch(version)
+    });
+    return response.data;
+  },
+
+  // Get own and shared tasks assigned to the current user, soonest due first
+  getAssignedToMe: async (options?: { status?: Task['status'], limit?: number, offset?: number }): Promise<AssignedTasksResponse> => {
+    const response = await api.get<AssignedTasksResponse>('/task-service/api/tasks/assigned-to-me', { params: options });
+    return response.data;
+  },
+
   // Update task priority
-  updateTaskPriority: async (taskId: string, priority: 'low' | 'medium' | 'high'): Promise<Task> => {
-    const response = await api.put<Task>(`/task-service/api/tasks/${taskId}/priority`, { priority });
-    return response.data;
-  },
-  
-  // Get task counts for dashboard
-  getTaskCounts: async (): Promise<{
-    all: number;
-    today: number;
-    upcoming: number;
-    overdue: number;
-    completed: number;
-  }> => {
-    const [all, today, overdue, completed] = await Promise.all([
-      taskService.getAllTasks({ limit: 1 }),
-      taskService.getTasksDueToday({ limit: 1 }),
-      taskService.getOverdueTasks({ limit: 1 }),
-      taskService.getTasksByStatus('completed', { limit: 1 })
-    ]);
-    
-    // For upcoming, we need to filter tasks with due dates in the future
-    const upcoming = await taskService.getAllTasks({ 
-      limit: 1,
-      status: 'pending'
+  updateTaskPriority: async (taskId: string, version: number, priority: 'low' | 'medium' | 'high'): Promise<Task> => {
+    const response = await api.patch<Task>(`/task-service/api/tasks/${taskId}/priority`, { priority }, {
+      headers: ifMatch(version)
     });
-    
-    return {
-      all: all.total,
-      today: today.total,
-      upcoming: upcoming.total,
-      overdue: overdue.total,
-      completed: completed.total
-    };
-  }
+    return response.data;
+  },
+  
+  // Get task counts and productivity metrics
+  getTaskStats: async (): Promise<TaskStats> => {
+    const response = await api.get<TaskStats>('/task-service/api/tasks/stats');
+    return response.data;
+  },
+
+  // Task counts for the dashboard and sidebar, upcoming are the pending tasks
+  taskCountsOf: (stats: TaskStats) => ({
+    all: stats.total,
+    today: stats.dueToday,
+    upcoming: stats.byStatus.pending,
+    overdue: stats.overdue,
+    completed: stats.byStatus.completed
+  })
 };
 
 export default taskService; 
\ No newline at end of file
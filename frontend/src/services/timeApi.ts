@@ -0,0 +1,109 @@
+import api from './api';
+
+// Time tracking interfaces
+export interface TimeEntry {
+  id: string;
+  taskId: string;
+  userId: string;
+  startedAt: string;
+  // null while the timer is running
+  endedAt: string | null;
+  note: string | null;
+  // Only on the running timer
+  task?: { id: string; title: string };
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TimeEntriesResponse {
+  taskId: string;
+  entries: TimeEntry[];
+  totalSeconds: number;
+  byUser: { userId: string; seconds: number }[];
+  total: number;
+  limit: number;
+  offset: number;
+}
+
+export interface TimeEntryInput {
+  startedAt: string;
+  endedAt: string;
+  note?: string | null;
+}
+
+export interface TimeReport {
+  from: string;
+  to: string;
+  timezone: string;
+  totalSeconds: number;
+  byDay: { date: string; seconds: number }[];
+  byTask: { taskId: string; title: string | null; seconds: number }[];
+}
+
+// Seconds tracked by an entry, running entries up to now
+export const entrySeconds = (entry: TimeEntry, now: Date = new Date()): number => {
+  const end = entry.endedAt ? new Date(entry.endedAt) : now;
+  return Math.max(0, Math.floor((end.getTime() - new Date(entry.startedAt).getTime()) / 1000));
+};
+
+// 5:07 for minutes and seconds, 1:05:07 from an hour on
+export const formatDuration = (seconds: number): string => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+    : `${minutes}:${rest}`;
+};
+
+// Time tracking service methods
+export const timeService = {
+  // Get the current user's running timer, null when none is running
+  getTimer: async (): Promise<TimeEntry | null> => {
+    const response = await api.get<{ timer: TimeEntry | null }>('/task-service/api/tasks/timer');
+    return response.data.timer;
+  },
+
+  // Start a timer on a task; fails with 409 while another one is running
+  startTimer: async (taskId: string, note?: string): Promise<TimeEntry> => {
+    const response = await api.post<TimeEntry>(`/task-service/api/tasks/${taskId}/timer/start`, { note });
+    return response.data;
+  },
+
+  // Stop the running timer, whichever task it runs on
+  stopTimer: async (): Promise<TimeEntry> => {
+    const response = await api.post<TimeEntry>('/task-service/api/tasks/timer/stop');
+    return response.data;
+  },
+
+  // Get the time entries of a task with its totals
+  getTimeEntries: async (taskId: string, params?: { limit?: number; offset?: number }): Promise<TimeEntriesResponse> => {
+    const response = await api.get<TimeEntriesResponse>(`/task-service/api/tasks/${taskId}/time-entries`, { params });
+    return response.data;
+  },
+
+  // Add time to a task manually
+  createTimeEntry: async (taskId: string, entry: TimeEntryInput): Promise<TimeEntry> => {
+    const response = await api.post<TimeEntry>(`/task-service/api/tasks/${taskId}/time-entries`, entry);
+    return response.data;
+  },
+
+  // Change one of your time entries
+  updateTimeEntry: async (taskId: string, entryId: string, changes: Partial<TimeEntryInput>): Promise<TimeEntry> => {
+    const response = await api.put<TimeEntry>(`/task-service/api/tasks/${taskId}/time-entries/${entryId}`, changes);
+    return response.data;
+  },
+
+  // Delete one of your time entries
+  deleteTimeEntry: async (taskId: string, entryId: string): Promise<void> => {
+    await api.delete(`/task-service/api/tasks/${taskId}/time-entries/${entryId}`);
+  },
+
+  // Get the time you tracked per day and per task, dates as YYYY-MM-DD
+  getTimeReport: async (params?: { from?: string; to?: string }): Promise<TimeReport> => {
+    const response = await api.get<TimeReport>('/task-service/api/tasks/time-report', { params });
+    return response.data;
+  }
+};
+
+export default timeService;
@@ -0,0 +1,57 @@
+import api, { User } from './api';
+
+// Workspace interfaces
+export type WorkspaceRole = 'owner' | 'admin' | 'member';
+
+export interface Workspace {
+  id: string;
+  name: string;
+  // The personal workspace has the user's id and no other members
+  is_personal: boolean;
+  role: WorkspaceRole;
+  created_at: string;
+}
+
+export interface WorkspacesResponse {
+  workspaces: Workspace[];
+}
+
+export interface WorkspaceMember {
+  id: string;
+  user_id: string;
+  email: string | null;
+  full_name: string | null;
+  role: WorkspaceRole;
+  created_at: string;
+}
+
+// Workspace service methods
+export const workspaceService = {
+  // Get the workspaces the current user is a member of, the personal one first
+  getWorkspaces: async (): Promise<Workspace[]> => {
+    const response = await api.get<WorkspacesResponse>('/user-service/workspaces');
+    return response.data.workspaces;
+  },
+
+  // Create a workspace owned by the current user
+  createWorkspace: async (name: string): Promise<Workspace> => {
+    const response = await api.post<Workspace>('/user-service/workspaces', { name });
+    return response.data;
+  },
+
+  // Get the members of a workspace the current user is a member of
+  getMembers: async (workspaceId: string): Promise<WorkspaceMember[]> => {
+    const response = await api.get<{ members: WorkspaceMember[] }>(`/user-service/workspaces/${workspaceId}/members`);
+    return response.data.members;
+  },
+
+  // Make a workspace the active one. The returned access token carries it,
+  // so it replaces the stored one.
+  switchWorkspace: async (workspaceId: string): Promise<User> => {
+    const response = await api.post<{ user: User; access_token: string }>(`/user-service/workspaces/${workspaceId}/switch`);
+    localStorage.setItem('access_token', response.data.access_token);
+    return response.data.user;
+  }
+};
+
+export default workspaceService;
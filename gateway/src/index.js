@@ -43,7 +43,9 @@ class APIGateway {
       },
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-User-ID']
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-User-ID', 'If-Match'],
+      // Task versions for optimistic concurrency control
+      exposedHeaders: ['ETag']
     }));
 
     // Body parsing middleware
@@ -85,6 +87,7 @@ class APIGateway {
           'POST /user-service/auth/register',
           'POST /user-service/auth/login', 
           'POST /user-service/auth/refresh',
+          'GET /calendar/{token}.ics',
           'GET /*/health'
         ],
         timestamp: new Date().toISOString()
@@ -96,6 +99,20 @@ class APIGateway {
     this.app.use('/user-service/auth/login', proxyMiddleware.optionalAuthProxy());
     this.app.use('/user-service/auth/refresh', proxyMiddleware.optionalAuthProxy());
     
+    // iCalendar feeds - authenticated by the secret token in the URL
+    this.app.get('/calendar/:token.ics', proxyMiddleware.calendarFeedProxy());
+
+    // Feed tokens are only resolved by the gateway itself, users only by the other services
+    const internalOnly = (req, res) => {
+      res.status(404).json({
+        error: 'Not Found',
+        message: `Route ${req.method} ${req.originalUrl} not found`,
+        timestamp: new Date().toISOString()
+      });
+    };
+    this.app.use('/user-service/auth/calendar-feed/:token/user', internalOnly);
+    this.app.use('/user-service/auth/users', internalOnly);
+    
     // Public health check endpoints for all services
     this.app.use('/*/health', proxyMiddleware.optionalAuthProxy());
     
@@ -198,6 +215,7 @@ class APIGateway {
         console.log(`  POST http://localhost:${this.port}/user-service/auth/register`);
         console.log(`  POST http://localhost:${this.port}/user-service/auth/login`);
         console.log(`  POST http://localhost:${this.port}/user-service/auth/refresh`);
+        console.log(`  GET  http://localhost:${this.port}/calendar/<token>.ics`);
         console.log(`  GET  http://localhost:${this.port}/user-service/health`);
         console.log(`  GET  http://localhost:${this.port}/task-service/health`);
         console.log('');
@@ -0,0 +1,74 @@
+const axios = require('axios');
+const jwtAuth = require('./jwtAuth');
+const dnsResolver = require('../services/dnsResolver');
+const proxyService = require('../services/proxyService');
+
+// Calendar apps can't send a JWT, so iCalendar feed URLs carry a secret token
+// that the user service resolves to the owner of the feed
+class CalendarFeedAuthMiddleware {
+  constructor() {
+    this.feedPath = '/task-service/api/tasks/calendar.ics';
+    this.timeout = 5000;
+  }
+
+  async resolveToken(token) {
+    const serviceInfo = await dnsResolver.resolveService('user-service.local');
+    const url = proxyService.buildTargetUrl(
+      serviceInfo.ip,
+      serviceInfo.port,
+      `/auth/calendar-feed/${encodeURIComponent(token)}/user`
+    );
+
+    try {
+      const response = await axios.get(url, { timeout: this.timeout });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      // Never trust user headers sent by the client
+      Object.keys(req.headers)
+        .filter(header => header.startsWith('x-user-') || header.startsWith('x-workspace-'))
+        .forEach(header => delete req.headers[header]);
+      delete req.headers.authorization;
+
+      let user;
+      try {
+        user = await this.resolveToken(req.params.token);
+      } catch (error) {
+        console.error('Calendar feed token resolution failed:', error.message);
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Cannot verify calendar feed',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Calendar feed not found'
+        });
+      }
+
+      req.user = user;
+      jwtAuth.addUserHeaders(req, user);
+
+      // The proxy routes by the original URL
+      req.url = this.feedPath;
+      req.originalUrl = this.feedPath;
+
+      console.log(`📅 Calendar feed requested for user: ${user.email} (${user.id})`);
+
+      next();
+    };
+  }
+}
+
+module.exports = new CalendarFeedAuthMiddleware();
@@ -64,6 +64,12 @@ class JWTAuthMiddleware {
     req.headers['x-user-full-name'] = user.full_name;
     req.headers['x-user-roles'] = Array.isArray(user.roles) ? user.roles.join(',') : user.roles;
     req.headers['x-user-email-verified'] = user.email_verified ? 'true' : 'false';
+    // Tokens issued before time zones were introduced carry none
+    req.headers['x-user-timezone'] = user.timezone || 'UTC';
+    // Services scope their data to this workspace. Tokens issued before workspaces
+    // were introduced, and calendar feeds, use the personal one, which has the user's id
+    req.headers['x-workspace-id'] = user.workspace_id || user.sub || user.id;
+    req.headers['x-workspace-role'] = user.workspace_id ? user.workspace_role : 'owner';
     
     // Add additional metadata
     req.headers['x-gateway-authenticated'] = 'true';
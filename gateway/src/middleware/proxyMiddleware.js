@@ -1,4 +1,5 @@
 const jwtAuth = require('./jwtAuth');
+const calendarFeedAuth = require('./calendarFeedAuth');
 const dnsResolver = require('../services/dnsResolver');
 const proxyService = require('../services/proxyService');
 
@@ -155,6 +156,14 @@ class ProxyMiddleware {
     ];
   }
 
+  // Middleware authenticating iCalendar feeds by the token in their URL
+  calendarFeedProxy() {
+    return [
+      calendarFeedAuth.middleware(),
+      this.proxy()
+    ];
+  }
+
   // Get gateway statistics
   getStats() {
     return {
@@ -37,6 +37,23 @@ class ProxyService {
     return remainingPath ? `${baseUrl}${remainingPath}` : baseUrl;
   }
 
+  // Multipart bodies (file uploads) are not parsed by the gateway, they are
+  // streamed to the service as they arrive
+  isStreamedBody(req) {
+    return req.is('multipart/form-data') === 'multipart/form-data';
+  }
+
+  // Downloads (Content-Disposition: attachment, whatever their type) and responses
+  // other than JSON and text are streamed back to the client as sent, instead of
+  // being buffered and decoded
+  isStreamedResponse(headers) {
+    if (/^\s*attachment/i.test(headers['content-disposition'] || '')) {
+      return true;
+    }
+    const contentType = headers['content-type'];
+    return Boolean(contentType) && !/json|^text\/|xml|javascript/i.test(contentType);
+  }
+
   async forwardRequest(req, targetUrl) {
     const requestId = uuidv4();
     
@@ -47,6 +64,10 @@ class ProxyService {
       return await this.forwardWithNativeHttp(req, targetUrl, requestId);
       
     } catch (error) {
+      // A streamed body has been consumed and cannot be sent again
+      if (this.isStreamedBody(req)) {
+        throw error;
+      }
       console.error(`[${requestId}] Native HTTP failed, trying axios fallback:`, error.message);
       return await this.forwardWithAxios(req, targetUrl, requestId);
     }
@@ -84,7 +105,11 @@ class ProxyService {
 
       // Prepare request body
       let postData = '';
-      if (['POST', 'PUT', 'PATCH'].includes(req.method.toUpperCase())) {
+      const streamBody = this.isStreamedBody(req);
+      if (streamBody) {
+        // content-type (with the boundary) and content-length are passed on as sent
+        console.log(`[${requestId}] Streaming multipart body`);
+      } else if (['POST', 'PUT', 'PATCH'].includes(req.method.toUpperCase())) {
         if (req.get('content-type') && req.get('content-type').includes('application/json')) {
           postData = JSON.stringify(req.body);
           forwardHeaders['content-type'] = 'application/json';
@@ -126,13 +151,30 @@ class ProxyService {
         const duration = Date.now() - this.activeRequests.get(requestId).startTime;
         console.log(`[${requestId}] Response received: ${proxyRes.statusCode} (${duration}ms)`);
 
-        let body = '';
+        if (this.isStreamedResponse(proxyRes.headers)) {
+          proxyRes.on('end', () => this.activeRequests.delete(requestId));
+          proxyRes.on('error', (error) => {
+            console.error(`[${requestId}] Response stream error:`, error.message);
+            this.activeRequests.delete(requestId);
+          });
+
+          resolve({
+            status: proxyRes.statusCode,
+            headers: proxyRes.headers,
+            data: proxyRes,
+            requestId
+          });
+          return;
+        }
+
+        const chunks = [];
         proxyRes.on('data', (chunk) => {
-          body += chunk;
+          chunks.push(chunk);
         });
 
         proxyRes.on('end', () => {
           this.activeRequests.delete(requestId);
+          const body = Buffer.concat(chunks).toString('utf8');
           
           // Parse response body if JSON
           let responseData = body;
@@ -180,6 +222,12 @@ class ProxyService {
         console.log(`[${requestId}] Request connection closed`);
       });
 
+      if (streamBody) {
+        // pipe() ends the request once the upload is complete
+        req.pipe(proxyReq);
+        return;
+      }
+
       // Send request body
       if (postData) {
         proxyReq.write(postData);
@@ -17,6 +17,7 @@ const env = {
   RABBITMQ_URL: process.env.RABBITMQ_URL || 'amqp://localhost:5672',
   RABBITMQ_EXCHANGE: process.env.RABBITMQ_EXCHANGE || 'reminder-events',
   RABBITMQ_QUEUE: process.env.RABBITMQ_QUEUE || 'notification-service-queue',
+  TASK_EVENTS_EXCHANGE: process.env.TASK_EVENTS_EXCHANGE || 'task-events',
 
   // Gmail SMTP Configuration
   EMAIL_SERVICE: process.env.EMAIL_SERVICE || 'gmail',
@@ -32,6 +33,12 @@ const env = {
   REGISTRY_ENABLED: process.env.REGISTRY_ENABLED === 'true',
   HEARTBEAT_INTERVAL: parseInt(process.env.HEARTBEAT_INTERVAL) || 30000,
 
+  // User Service, where recipients' emails are looked up. USER_SERVICE_URL skips
+  // the registry, e.g. http://localhost:3001 in development
+  USER_SERVICE_URL: process.env.USER_SERVICE_URL,
+  USER_SERVICE_NAME: process.env.USER_SERVICE_NAME || 'user-service',
+  USER_SERVICE_TIMEOUT_MS: parseInt(process.env.USER_SERVICE_TIMEOUT_MS) || 3000,
+
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   LOG_FILE: process.env.LOG_FILE || 'logs/notification.log',
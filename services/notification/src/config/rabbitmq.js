@@ -2,6 +2,9 @@ const amqp = require('amqplib');
 const env = require('./env');
 const { logger } = require('./logger');
 
+const COMMENT_ROUTING_KEYS = ['task.comment.created', 'task.comment.updated'];
+const ASSIGNMENT_ROUTING_KEYS = ['task.assigned'];
+
 class RabbitMQManager {
   constructor() {
     this.connection = null;
@@ -60,10 +63,22 @@ class RabbitMQManager {
         'reminder.reminder_triggered'
       );
 
+      // Comment and assignment events from the task service, for emails to
+      // mentioned users and assignees
+      await this.channel.assertExchange(env.TASK_EVENTS_EXCHANGE, 'topic', {
+        durable: true
+      });
+
+      for (const routingKey of [...COMMENT_ROUTING_KEYS, ...ASSIGNMENT_ROUTING_KEYS]) {
+        await this.channel.bindQueue(env.RABBITMQ_QUEUE, env.TASK_EVENTS_EXCHANGE, routingKey);
+      }
+
       logger.info('✅ RabbitMQ exchange and queue setup completed', {
         exchange: env.RABBITMQ_EXCHANGE,
         queue: env.RABBITMQ_QUEUE,
-        routingKey: 'reminder.reminder_triggered'
+        routingKey: 'reminder.reminder_triggered',
+        taskEventsExchange: env.TASK_EVENTS_EXCHANGE,
+        taskRoutingKeys: [...COMMENT_ROUTING_KEYS, ...ASSIGNMENT_ROUTING_KEYS]
       });
     } catch (error) {
       logger.error('❌ Failed to setup RabbitMQ exchange and queue:', { error: error.message });
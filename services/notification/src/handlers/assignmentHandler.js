@@ -0,0 +1,75 @@
+const emailService = require('../services/emailService');
+const { logger } = require('../config/logger');
+
+class AssignmentHandler {
+  constructor() {
+    this.eventHandlers = {
+      'task.assigned': this.handleTaskAssigned.bind(this)
+    };
+  }
+
+  /**
+   * Main event processor for assignment events
+   */
+  async processEvent(eventType, eventData) {
+    try {
+      logger.info('🔄 Processing assignment event', { eventType });
+
+      const handler = this.eventHandlers[eventType];
+
+      if (!handler) {
+        logger.warn('⚠️ No handler found for event', { eventType });
+        return;
+      }
+
+      await handler(eventData);
+      logger.info('✅ Successfully processed assignment event', { eventType });
+
+    } catch (error) {
+      logger.error('❌ Error processing assignment event', {
+        error: error.message,
+        eventType
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Email the assignee of a task. The task service doesn't publish the event
+   * when someone assigns a task to themselves. The email is skipped when the
+   * assignee's address can't be found in the user service.
+   */
+  async handleTaskAssigned(eventData) {
+    const { data } = eventData;
+
+    if (!data || !data.taskId || !data.assigneeId) {
+      throw new Error('Invalid task.assigned event data');
+    }
+
+    logger.info('📧 Sending assignment email', {
+      taskId: data.taskId,
+      assigneeId: data.assigneeId
+    });
+
+    return emailService.sendAssignmentEmail({
+      assigneeId: data.assigneeId,
+      taskId: data.taskId,
+      title: data.title,
+      description: data.description,
+      priority: data.priority,
+      dueDate: data.dueDate,
+      timezone: data.timezone,
+      assignedByName: data.assignedByName,
+      assignedByEmail: data.assignedByEmail
+    });
+  }
+
+  /**
+   * Get supported event types
+   */
+  getSupportedEvents() {
+    return Object.keys(this.eventHandlers);
+  }
+}
+
+module.exports = new AssignmentHandler();
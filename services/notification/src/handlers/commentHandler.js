@@ -0,0 +1,111 @@
+const emailService = require('../services/emailService');
+const { logger } = require('../config/logger');
+
+class CommentHandler {
+  constructor() {
+    this.eventHandlers = {
+      'task.comment.created': this.handleMentions.bind(this),
+      'task.comment.updated': this.handleMentions.bind(this)
+    };
+  }
+
+  /**
+   * Main event processor for comment events
+   */
+  async processEvent(eventType, eventData) {
+    try {
+      logger.info('🔄 Processing comment event', { eventType });
+
+      const handler = this.eventHandlers[eventType];
+
+      if (!handler) {
+        logger.warn('⚠️ No handler found for event', { eventType });
+        return;
+      }
+
+      await handler(eventData);
+      logger.info('✅ Successfully processed comment event', { eventType });
+
+    } catch (error) {
+      logger.error('❌ Error processing comment event', {
+        error: error.message,
+        eventType
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Email every user mentioned in the comment. The task service only lists the
+   * mentioned users who can see the task ({ userId, email }), for
+   * task.comment.updated only those mentioned for the first time. Users without
+   * an email are looked up in the user service, or skipped when that fails.
+   */
+  async handleMentions(eventData) {
+    const { data } = eventData;
+
+    if (!data || !data.commentId || !data.taskId || !Array.isArray(data.mentionedUsers)) {
+      throw new Error(`Invalid ${eventData.type} event data`);
+    }
+
+    if (data.mentionedUsers.length === 0) {
+      return [];
+    }
+
+    logger.info('📧 Sending mention emails', {
+      commentId: data.commentId,
+      taskId: data.taskId,
+      recipients: data.mentionedUsers.length
+    });
+
+    // One failed address doesn't keep the others from being notified
+    const results = [];
+    let failures = 0;
+    for (const { userId, email } of data.mentionedUsers) {
+      const address = email || await emailService.getUserEmail(userId);
+
+      if (!address) {
+        logger.warn('⚠️ Skipping mention email, no email found for user', {
+          commentId: data.commentId,
+          userId
+        });
+        continue;
+      }
+
+      try {
+        results.push(await emailService.sendMentionEmail({
+          email: address,
+          taskId: data.taskId,
+          taskTitle: data.taskTitle,
+          commentId: data.commentId,
+          authorName: data.authorName,
+          authorEmail: data.authorEmail,
+          body: data.body,
+          edited: eventData.type === 'task.comment.updated'
+        }));
+      } catch (error) {
+        failures++;
+        logger.error('❌ Failed to send mention email', {
+          error: error.message,
+          commentId: data.commentId,
+          userId
+        });
+      }
+    }
+
+    if (failures > 0 && results.length === 0) {
+      throw new Error(`No mention email could be sent for comment ${data.commentId}`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Get supported event types
+   */
+  getSupportedEvents() {
+    return Object.keys(this.eventHandlers);
+  }
+}
+
+module.exports = new CommentHandler();
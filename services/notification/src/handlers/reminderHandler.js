@@ -63,7 +63,8 @@ class ReminderHandler {
         userId: data.userId,
         taskId: data.taskId,
         dueDate: data.dueDate,
-        message: data.message || `Your task is due at ${new Date(data.dueDate).toLocaleString()}`,
+        timezone: data.timezone || 'UTC',
+        message: data.message || `Your task is due at ${emailService.formatDueDate(data.dueDate, data.timezone)}`,
         title: data.title || data.taskTitle || 'Untitled Task',
         description: data.description || data.taskDescription || null,
         priority: data.priority || data.taskPriority || 'medium',
@@ -72,7 +73,11 @@ class ReminderHandler {
 
       // Send reminder email
       const result = await emailService.sendReminderEmail(emailData);
-      
+
+      if (result.skipped) {
+        return result;
+      }
+
       logger.info('✅ Reminder email sent successfully', {
         reminderId: data.reminderId,
         taskId: data.taskId,
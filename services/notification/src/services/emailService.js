@@ -4,6 +4,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const env = require('../config/env');
 const { logger } = require('../config/logger');
+const userDirectory = require('./userDirectory');
 
 class EmailService {
   constructor() {
@@ -57,6 +58,20 @@ class EmailService {
         'utf8'
       );
       this.templates.set('reminder', handlebars.compile(reminderTemplate));
+
+      // Load mention template
+      const mentionTemplate = await fs.readFile(
+        path.join(templatesDir, 'mention.html'),
+        'utf8'
+      );
+      this.templates.set('mention', handlebars.compile(mentionTemplate));
+
+      // Load assignment template
+      const assignmentTemplate = await fs.readFile(
+        path.join(templatesDir, 'assignment.html'),
+        'utf8'
+      );
+      this.templates.set('assignment', handlebars.compile(assignmentTemplate));
       
       logger.info('✅ Email templates loaded successfully');
     } catch (error) {
@@ -67,24 +82,17 @@ class EmailService {
 
   async sendReminderEmail(reminderData) {
     try {
-      const { userId, taskId, dueDate, message, title, description, priority, status } = reminderData;
+      const { userId, taskId, dueDate, timezone, message, title, description, priority, status } = reminderData;
 
-      // Get user email (you'll need to implement this based on your user service)
       const userEmail = await this.getUserEmail(userId);
-      
+
       if (!userEmail) {
-        throw new Error(`No email found for user ${userId}`);
+        logger.warn('⚠️ Skipping reminder email, no email found for user', { userId, taskId });
+        return { success: false, skipped: true };
       }
 
       // Format due date
-      const formattedDueDate = new Date(dueDate).toLocaleString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
+      const formattedDueDate = this.formatDueDate(dueDate, timezone);
 
       // Prepare email content
       const subject = `⏰ Task Reminder: ${title || 'Your task is due soon!'}`;
@@ -145,6 +153,166 @@ class EmailService {
     }
   }
 
+  // Mentions are addressed to the email given by the comment handler
+  async sendMentionEmail(mentionData) {
+    try {
+      const { email, taskId, taskTitle, commentId, authorName, authorEmail, body, edited } = mentionData;
+
+      const author = authorName || authorEmail || 'Someone';
+      const title = taskTitle || 'Untitled Task';
+      const subject = `💬 ${author} mentioned you on "${title}"`;
+
+      // The comment is shown as written (markdown source), always HTML-escaped
+      let html;
+      if (this.templates.has('mention')) {
+        html = this.templates.get('mention')({
+          author,
+          taskTitle: title,
+          body,
+          edited,
+          taskId,
+          commentId
+        });
+      } else {
+        html = this.createFallbackMentionHTML(author, title, body);
+      }
+
+      const result = await this.transporter.sendMail({
+        from: {
+          name: 'To-Do App',
+          address: env.EMAIL_FROM
+        },
+        to: email,
+        subject,
+        html,
+        headers: {
+          'X-Task-ID': taskId,
+          'X-Comment-ID': commentId,
+          'X-Notification-Type': 'mention'
+        }
+      });
+
+      logger.info('✅ Mention email sent successfully', {
+        messageId: result.messageId,
+        taskId,
+        commentId,
+        email
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        email
+      };
+
+    } catch (error) {
+      logger.error('❌ Failed to send mention email:', {
+        error: error.message,
+        taskId: mentionData.taskId,
+        commentId: mentionData.commentId
+      });
+      throw error;
+    }
+  }
+
+  // The assignee's email is looked up in the user service like for reminders
+  async sendAssignmentEmail(assignmentData) {
+    try {
+      const {
+        assigneeId,
+        taskId,
+        title,
+        description,
+        priority,
+        dueDate,
+        timezone,
+        assignedByName,
+        assignedByEmail
+      } = assignmentData;
+
+      const email = await this.getUserEmail(assigneeId);
+
+      if (!email) {
+        logger.warn('⚠️ Skipping assignment email, no email found for user', { assigneeId, taskId });
+        return { success: false, skipped: true };
+      }
+
+      const assigner = assignedByName || assignedByEmail || 'Someone';
+      const taskTitle = title || 'Untitled Task';
+      const formattedDueDate = dueDate ? this.formatDueDate(dueDate, timezone) : null;
+      const subject = `📌 ${assigner} assigned you "${taskTitle}"`;
+
+      let html;
+      if (this.templates.has('assignment')) {
+        html = this.templates.get('assignment')({
+          assigner,
+          title: taskTitle,
+          description: description || null,
+          priority: priority || 'medium',
+          dueDate: formattedDueDate,
+          taskId
+        });
+      } else {
+        html = this.createFallbackAssignmentHTML(assigner, taskTitle, description, formattedDueDate);
+      }
+
+      const result = await this.transporter.sendMail({
+        from: {
+          name: 'To-Do App',
+          address: env.EMAIL_FROM
+        },
+        to: email,
+        subject,
+        html,
+        headers: {
+          'X-Task-ID': taskId,
+          'X-User-ID': assigneeId,
+          'X-Notification-Type': 'assignment'
+        }
+      });
+
+      logger.info('✅ Assignment email sent successfully', {
+        messageId: result.messageId,
+        assigneeId,
+        taskId,
+        email
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        email
+      };
+
+    } catch (error) {
+      logger.error('❌ Failed to send assignment email:', {
+        error: error.message,
+        assigneeId: assignmentData.assigneeId,
+        taskId: assignmentData.taskId
+      });
+      throw error;
+    }
+  }
+
+  // Due dates are shown in the time zone of the user, UTC when it is unknown
+  formatDueDate(dueDate, timezone = 'UTC') {
+    const options = {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    };
+
+    try {
+      return new Date(dueDate).toLocaleString('en-US', { ...options, timeZone: timezone });
+    } catch (error) {
+      return new Date(dueDate).toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+    }
+  }
+
   createFallbackReminderHTML(message, formattedDueDate, title, description, priority) {
     const priorityColor = priority === 'high' ? '#dc3545' : priority === 'medium' ? '#ffc107' : '#28a745';
     const priorityText = priority === 'high' ? '🔴 High' : priority === 'medium' ? '🟡 Medium' : '🟢 Low';
@@ -193,20 +361,60 @@ class EmailService {
     `;
   }
 
+  createFallbackMentionHTML(author, taskTitle, body) {
+    const escape = handlebars.escapeExpression;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>You were mentioned</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <p><strong>${escape(author)}</strong> mentioned you in a comment on <strong>${escape(taskTitle)}</strong>:</p>
+        <div style="white-space: pre-wrap; background: #f9f9f9; padding: 15px; border-left: 3px solid #4CAF50;">${escape(body)}</div>
+        <p style="color: #666; font-size: 12px;">This is an automated notification from your To-Do App.</p>
+      </body>
+      </html>
+    `;
+  }
+
+  createFallbackAssignmentHTML(assigner, taskTitle, description, formattedDueDate) {
+    const escape = handlebars.escapeExpression;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Task assigned to you</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <p><strong>${escape(assigner)}</strong> assigned you <strong>${escape(taskTitle)}</strong>.</p>
+        ${description ? `<div style="white-space: pre-wrap; background: #f9f9f9; padding: 15px; border-left: 3px solid #4CAF50;">${escape(description)}</div>` : ''}
+        ${formattedDueDate ? `<p><strong>Due Date:</strong> ${escape(formattedDueDate)}</p>` : ''}
+        <p style="color: #666; font-size: 12px;">This is an automated notification from your To-Do App.</p>
+      </body>
+      </html>
+    `;
+  }
+
+  // The user's email from the user service, null when it can't be found
   async getUserEmail(userId) {
     try {
-      // TODO: Implement user service API call
-      // For now, return a placeholder email for testing
-      // In production, you would call the user service API:
-      // const response = await axios.get(`${USER_SERVICE_URL}/api/users/${userId}`);
-      // return response.data.email;
-      
-      logger.warn('⚠️ Using placeholder email - implement user service integration', { userId });
-      return 'nqkhai22@clc.fitus.edu.vn'; // Placeholder for testing
-      
+      const user = await userDirectory.findUser(userId);
+
+      if (!user || !user.email) {
+        logger.warn('⚠️ User not found in the user service', { userId });
+        return null;
+      }
+
+      return user.email;
+
     } catch (error) {
       logger.error('❌ Failed to get user email:', { error: error.message, userId });
-      throw error;
+      return null;
     }
   }
 
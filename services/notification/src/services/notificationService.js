@@ -1,5 +1,7 @@
 const emailService = require('./emailService');
 const reminderHandler = require('../handlers/reminderHandler');
+const commentHandler = require('../handlers/commentHandler');
+const assignmentHandler = require('../handlers/assignmentHandler');
 const { logger } = require('../config/logger');
 
 class NotificationService {
@@ -43,6 +45,15 @@ class NotificationService {
         case 'REMINDER_TRIGGERED':
           await reminderHandler.processEvent(eventData.type, eventData);
           break;
+
+        case 'task.comment.created':
+        case 'task.comment.updated':
+          await commentHandler.processEvent(eventData.type, eventData);
+          break;
+
+        case 'task.assigned':
+          await assignmentHandler.processEvent(eventData.type, eventData);
+          break;
           
         default:
           logger.warn('⚠️ Unknown event type', { eventType: eventData.type, routingKey });
@@ -76,7 +87,13 @@ class NotificationService {
         timestamp: new Date().toISOString(),
         components: {
           emailService: emailStatus,
-          reminderHandler: handlerStatus
+          reminderHandler: handlerStatus,
+          commentHandler: {
+            supportedEvents: commentHandler.getSupportedEvents()
+          },
+          assignmentHandler: {
+            supportedEvents: assignmentHandler.getSupportedEvents()
+          }
         }
       };
       
@@ -0,0 +1,40 @@
+const axios = require('axios');
+const env = require('../config/env');
+
+async function resolveUserServiceUrl() {
+  if (env.USER_SERVICE_URL) {
+    return env.USER_SERVICE_URL;
+  }
+
+  const response = await axios.get(`${env.SERVICE_REGISTRY_URL}/resolve/${env.USER_SERVICE_NAME}`, {
+    timeout: env.USER_SERVICE_TIMEOUT_MS
+  });
+  const [instance] = response.data.instances;
+  return `http://${instance.ip}:${instance.port}`;
+}
+
+// A user of the user service with their email, null when there is no such active
+// user. Throws when the user service can't be reached
+async function findUser(userId) {
+  const baseUrl = await resolveUserServiceUrl();
+
+  try {
+    const { data } = await axios.get(`${baseUrl}/auth/users/${encodeURIComponent(userId)}`, {
+      timeout: env.USER_SERVICE_TIMEOUT_MS
+    });
+    return {
+      id: data.id,
+      email: data.email,
+      fullName: data.full_name
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  findUser
+};
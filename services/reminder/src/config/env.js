@@ -19,7 +19,7 @@ module.exports = {
   REMINDER_EVENTS_EXCHANGE: process.env.REMINDER_EVENTS_EXCHANGE || 'reminder-events',
   EXCHANGE_TYPE: process.env.EXCHANGE_TYPE || 'topic',
   QUEUE_NAME: process.env.QUEUE_NAME || 'reminder-service-task-events',
-  TASK_ROUTING_KEYS: (process.env.TASK_ROUTING_KEYS || 'task.created,task.updated,task.completed,task.deleted').split(','),
+  TASK_ROUTING_KEYS: (process.env.TASK_ROUTING_KEYS || 'task.created,task.updated,task.completed,task.deleted,task.batch').split(','),
   QUEUE_DURABLE: process.env.QUEUE_DURABLE !== 'false',
   MESSAGE_PERSISTENT: process.env.MESSAGE_PERSISTENT !== 'false',
   PREFETCH_COUNT: parseInt(process.env.PREFETCH_COUNT) || 1,
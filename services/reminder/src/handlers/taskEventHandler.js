@@ -6,7 +6,8 @@ class TaskEventHandler {
       'task.created': this.handleTaskCreated.bind(this),
       'task.updated': this.handleTaskUpdated.bind(this),
       'task.completed': this.handleTaskCompleted.bind(this),
-      'task.deleted': this.handleTaskDeleted.bind(this)
+      'task.deleted': this.handleTaskDeleted.bind(this),
+      'task.batch': this.handleTaskBatch.bind(this)
     };
   }
 
@@ -32,9 +33,29 @@ class TaskEventHandler {
     }
   }
 
+  /**
+   * Handle task batch event (bulk operations)
+   * Processes each contained event in order with its own handler
+   */
+  async handleTaskBatch(eventData) {
+    const { events } = eventData;
+
+    if (!Array.isArray(events)) {
+      throw new Error('Invalid task batch event data');
+    }
+
+    for (const event of events) {
+      await this.processEvent(event.type, {
+        ...eventData,
+        type: event.type,
+        data: event.data
+      });
+    }
+  }
+
   /**
    * Handle task created event
-   * Creates a new reminder if task has a due date
+   * Creates reminders for the owner and the collaborators if task has a due date
    */
   async handleTaskCreated(eventData) {
     try {
@@ -52,6 +73,12 @@ class TaskEventHandler {
         return;
       }
 
+      // Blocked tasks get their reminder once their dependencies are completed
+      if (data.blocked) {
+        console.log(`⚠️ Task ${taskId} is blocked by open dependencies, skipping reminder creation`);
+        return;
+      }
+
       console.log('🔍 Task event data received:', {
         taskId,
         title: data.title,
@@ -68,12 +95,16 @@ class TaskEventHandler {
         title: data.title,
         description: data.description,
         priority: data.priority || 'medium',
-        status: data.status || 'pending'
+        status: data.status || 'pending',
+        timezone: data.timezone || 'UTC',
+        assigneeId: data.assigneeId || null,
+        collaboratorIds: data.collaboratorIds || []
       };
 
       console.log('🔍 Task data being passed to reminder service:', taskData);
 
-      await reminderService.createReminder(taskData);
+      // Restored tasks are published as task.created again, so sync rather than add
+      await reminderService.syncReminders(taskData);
       
     } catch (error) {
       console.error('❌ Error handling task created event:', error.message);
@@ -83,7 +114,8 @@ class TaskEventHandler {
 
   /**
    * Handle task updated event
-   * Updates existing reminder or creates new one
+   * Updates existing reminders or creates new ones for the assignee and the collaborators,
+   * removes them while the task is blocked
    */
   async handleTaskUpdated(eventData) {
     try {
@@ -102,6 +134,13 @@ class TaskEventHandler {
         return;
       }
 
+      // Suppress reminders while the task is blocked by open dependencies
+      if (data.blocked) {
+        console.log(`⚠️ Task ${taskId} is blocked by open dependencies, deleting reminder`);
+        await reminderService.deleteReminder(taskId);
+        return;
+      }
+
       const taskData = {
         id: taskId,
         userId: data.userId,
@@ -110,10 +149,13 @@ class TaskEventHandler {
         title: data.title,
         description: data.description,
         priority: data.priority || 'medium',
-        status: data.status || 'pending'
+        status: data.status || 'pending',
+        timezone: data.timezone || 'UTC',
+        assigneeId: data.assigneeId || null,
+        collaboratorIds: data.collaboratorIds || []
       };
 
-      await reminderService.updateReminder(taskData);
+      await reminderService.syncReminders(taskData);
       
     } catch (error) {
       console.error('❌ Error handling task updated event:', error.message);
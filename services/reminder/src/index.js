@@ -215,6 +215,7 @@ class ReminderServiceApp {
         logger.info('  - task.updated');
         logger.info('  - task.completed');
         logger.info('  - task.deleted');
+        logger.info('  - task.batch');
         logger.info('Publishing to:');
         logger.info('  - reminder.reminder_triggered');
         logger.info('  - reminder.reminder_created');
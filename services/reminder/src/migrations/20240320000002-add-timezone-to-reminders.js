@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('reminders', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC',
+      comment: 'IANA time zone of the user, used to format the due date in notifications'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('reminders', 'timezone');
+  }
+};
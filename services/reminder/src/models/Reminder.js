@@ -75,6 +75,12 @@ module.exports = (sequelize) => {
         isIn: [['pending', 'in_progress', 'completed']]
       }
     },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC',
+      comment: 'IANA time zone of the user, used to format the due date in notifications'
+    },
     createdAt: {
       type: DataTypes.DATE,
       allowNull: false,
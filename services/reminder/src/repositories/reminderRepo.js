@@ -15,7 +15,8 @@ class ReminderRepository {
       taskTitle: reminderData.taskTitle,
       taskDescription: reminderData.taskDescription,
       taskPriority: reminderData.taskPriority,
-      taskStatus: reminderData.taskStatus
+      taskStatus: reminderData.taskStatus,
+      timezone: reminderData.timezone || 'UTC'
     };
     
     console.log('🔍 Repository creating reminder with:', reminderRecord);
@@ -33,6 +34,35 @@ class ReminderRepository {
     });
   }
 
+  // One reminder per recipient: the owner and everyone the task is shared with
+  async findAllByTaskId(taskId) {
+    return Reminder.findAll({
+      where: { taskId }
+    });
+  }
+
+  async updateById(id, updateData) {
+    const [updatedRowsCount] = await Reminder.update(updateData, {
+      where: { id }
+    });
+
+    if (updatedRowsCount === 0) {
+      return null;
+    }
+
+    return this.findById(id);
+  }
+
+  // Remove the reminders of users who are no longer recipients
+  async deleteByTaskIdExcept(taskId, userIds) {
+    return Reminder.destroy({
+      where: {
+        taskId,
+        userId: { [Op.notIn]: userIds }
+      }
+    });
+  }
+
   async updateByTaskId(taskId, updateData) {
     const [updatedRowsCount] = await Reminder.update(updateData, {
       where: { taskId }
@@ -23,7 +23,8 @@ class ReminderService {
         title,
         description,
         priority = 'medium',
-        status = 'pending'
+        status = 'pending',
+        timezone = 'UTC'
       } = taskData;
       
       if (!taskId || !userId || !dueDate) {
@@ -41,7 +42,8 @@ class ReminderService {
         taskTitle: title,
         taskDescription: description,
         taskPriority: priority,
-        taskStatus: status
+        taskStatus: status,
+        timezone
       };
 
       const reminder = await reminderRepo.create(reminderData);
@@ -59,15 +61,7 @@ class ReminderService {
    */
   async updateReminder(taskData) {
     try {
-      const { 
-        id: taskId, 
-        dueDate, 
-        remindBefore = 30,
-        title,
-        description,
-        priority,
-        status
-      } = taskData;
+      const { id: taskId, title } = taskData;
       
       if (!taskId) {
         throw new ValidationError('Missing taskId for reminder update');
@@ -80,39 +74,89 @@ class ReminderService {
         return await this.createReminder(taskData);
       }
 
-      const updates = {};
+      const updatedReminder = await reminderRepo.updateByTaskId(taskId, this.buildReminderUpdates(existing, taskData));
+      
+      logger.info(`✅ Updated reminder for task "${title || taskId}"`);
+      return updatedReminder;
+    } catch (error) {
+      logger.error('❌ Error updating reminder:', error.message);
+      throw error;
+    }
+  }
 
-      if (dueDate) {
-        updates.dueDate = new Date(dueDate);
-        updates.reminderTime = this.calculateReminderTime(dueDate, remindBefore);
-        updates.sent = false; // Reset sent status if due date changed
-      }
+  /**
+   * Bring the reminders of a task in line with a task event: the assignee (the
+   * owner while unassigned) and each collaborator the task is shared with
+   * (collaboratorIds) get a reminder.
+   * Missing reminders are created, those of users who lost access are deleted
+   */
+  async syncReminders(taskData) {
+    try {
+      const { id: taskId, userId, assigneeId, collaboratorIds = [], title } = taskData;
 
-      if (remindBefore !== undefined) {
-        updates.remindBefore = remindBefore;
-        updates.reminderTime = this.calculateReminderTime(
-          updates.dueDate || existing.dueDate, 
-          remindBefore
-        );
-        updates.sent = false; // Reset sent status if reminder time changed
+      if (!taskId || !userId) {
+        throw new ValidationError('Missing taskId or userId for reminder sync');
       }
 
-      // Update task details
-      if (title !== undefined) updates.taskTitle = title;
-      if (description !== undefined) updates.taskDescription = description;
-      if (priority !== undefined) updates.taskPriority = priority;
-      if (status !== undefined) updates.taskStatus = status;
+      const recipientIds = [...new Set([assigneeId || userId, ...collaboratorIds])];
+      const existing = await reminderRepo.findAllByTaskId(taskId);
+      const removed = await reminderRepo.deleteByTaskIdExcept(taskId, recipientIds);
 
-      const updatedReminder = await reminderRepo.updateByTaskId(taskId, updates);
-      
-      logger.info(`✅ Updated reminder for task "${title || taskId}"`);
-      return updatedReminder;
+      const reminders = [];
+      for (const recipientId of recipientIds) {
+        const reminder = existing.find(candidate => candidate.userId === recipientId);
+        reminders.push(reminder
+          ? await reminderRepo.updateById(reminder.id, this.buildReminderUpdates(reminder, taskData))
+          : await this.createReminder({ ...taskData, userId: recipientId }));
+      }
+
+      logger.info(`✅ Synced ${reminders.length} reminder(s) for task "${title || taskId}", removed ${removed}`);
+      return reminders;
     } catch (error) {
-      logger.error('❌ Error updating reminder:', error.message);
+      logger.error('❌ Error syncing reminders:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Changes to apply to an existing reminder for new task data
+   */
+  buildReminderUpdates(existing, taskData) {
+    const {
+      dueDate,
+      remindBefore = 30,
+      title,
+      description,
+      priority,
+      status,
+      timezone
+    } = taskData;
+
+    const updates = {};
+
+    // Every task event carries the whole task, so a reminder is only moved (and
+    // sent again) when its due date or remindBefore actually differ
+    const dueDateChanged = Boolean(dueDate) &&
+      (!existing.dueDate || new Date(dueDate).getTime() !== new Date(existing.dueDate).getTime());
+    const remindBeforeChanged = remindBefore !== undefined && remindBefore !== existing.remindBefore;
+
+    if (dueDateChanged || remindBeforeChanged) {
+      updates.dueDate = dueDate ? new Date(dueDate) : existing.dueDate;
+      updates.remindBefore = remindBefore;
+      updates.reminderTime = this.calculateReminderTime(updates.dueDate, remindBefore);
+      updates.sent = false; // Reset sent status, the reminder time changed
+    }
+
+    // Update task details
+    if (title !== undefined) updates.taskTitle = title;
+    if (description !== undefined) updates.taskDescription = description;
+    if (priority !== undefined) updates.taskPriority = priority;
+    if (status !== undefined) updates.taskStatus = status;
+    if (timezone !== undefined) updates.timezone = timezone;
+
+    return updates;
+  }
+
   /**
    * Delete reminder for completed/deleted task
    */
@@ -183,6 +227,19 @@ class ReminderService {
     }
   }
 
+  /**
+   * Format a due date as local time of the user, e.g. "Mar 21, 2024, 5:00 PM CET"
+   */
+  formatDueDate(dueDate, timezone) {
+    const options = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+    try {
+      return new Date(dueDate).toLocaleString('en-US', { ...options, timeZone: timezone });
+    } catch (error) {
+      // Unknown time zone names throw a RangeError
+      return new Date(dueDate).toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+    }
+  }
+
   /**
    * Trigger a specific reminder
    */
@@ -201,13 +258,17 @@ class ReminderService {
         task_status: reminder.task_status
       });
 
+      const timezone = reminder.timezone || 'UTC';
+      const dueDate = reminder.dueDate || reminder.due_date;
+
       // Publish reminder event with task details
       const eventData = {
         reminderId: reminder.id,
         taskId: reminder.taskId || reminder.task_id,
         userId: reminder.userId || reminder.user_id,
-        dueDate: reminder.dueDate || reminder.due_date,
-        message: `Task reminder: Your task "${reminder.taskTitle || reminder.task_title || 'Untitled'}" is due at ${(reminder.dueDate || reminder.due_date).toLocaleString()}`,
+        dueDate,
+        timezone,
+        message: `Task reminder: Your task "${reminder.taskTitle || reminder.task_title || 'Untitled'}" is due at ${this.formatDueDate(dueDate, timezone)}`,
         title: reminder.taskTitle || reminder.task_title,
         description: reminder.taskDescription || reminder.task_description,
         priority: reminder.taskPriority || reminder.task_priority || 'medium',
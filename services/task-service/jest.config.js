@@ -0,0 +1,16 @@
+module.exports = {
+  testEnvironment: 'node',
+  rootDir: '.',
+  testMatch: [
+    '**/tests/**/*.test.js'
+  ],
+  collectCoverageFrom: [
+    'src/**/*.js',
+    '!src/index.js',
+    '!src/migrations/**',
+    '!src/config/**'
+  ],
+  coverageDirectory: 'coverage',
+  verbose: true,
+  clearMocks: true
+};
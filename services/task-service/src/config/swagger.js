@@ -76,6 +76,69 @@ const options = {
               description: 'Minutes before due date to send reminder',
               example: 30
             },
+            recurrenceRule: {
+              type: 'string',
+              nullable: true,
+              description: 'RRULE-style recurrence rule',
+              example: 'FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0'
+            },
+            seriesId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Recurring series this task belongs to'
+            },
+            recurrenceId: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Originally scheduled time of this occurrence'
+            },
+            timezone: {
+              type: 'string',
+              nullable: true,
+              description: 'IANA time zone of the user when the due date was set, used for reminders',
+              example: 'Europe/Berlin'
+            },
+            position: {
+              type: 'number',
+              description: 'Order within the status column on the board, set by PATCH /api/tasks/{id}/move',
+              example: 2048
+            },
+            parentId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Parent task when this task is a subtask'
+            },
+            projectId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Project the task belongs to, null for the inbox'
+            },
+            assigneeId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'User the task is assigned to, set by PATCH /api/tasks/{id}/assign'
+            },
+            workspaceId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Workspace the task was created in; the personal workspace has the owner\'s user ID'
+            },
+            version: {
+              type: 'integer',
+              description: 'Incremented on every update, returned as ETag',
+              example: 3
+            },
+            labels: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Label'
+              }
+            },
             created_at: {
               type: 'string',
               format: 'date-time',
@@ -138,6 +201,29 @@ const options = {
               type: 'integer',
               description: 'Minutes before due date to send reminder',
               example: 30
+            },
+            recurrenceRule: {
+              type: 'string',
+              description: 'RRULE-style recurrence rule (requires a due date)',
+              example: 'FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0'
+            },
+            parentId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Create the task as a subtask of this task'
+            },
+            projectId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Project to add the task to'
+            },
+            labelIds: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'uuid'
+              },
+              description: 'Labels to attach to the task'
             }
           },
           example: {
@@ -184,6 +270,25 @@ const options = {
               type: 'integer',
               description: 'Minutes before due date to send reminder',
               example: 45
+            },
+            projectId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Move the task to this project, null moves it to the inbox'
+            },
+            labelIds: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'uuid'
+              },
+              description: 'Replaces the labels of the task'
+            },
+            completeSubtasks: {
+              type: 'boolean',
+              description: 'When completing the task, also complete its open subtasks',
+              example: false
             }
           },
           example: {
@@ -225,6 +330,855 @@ const options = {
             dueDate: '2024-03-25T14:00:00.000Z'
           }
         },
+        Project: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Project ID',
+              example: '7d9f2c1e-3b4a-4c5d-8e6f-1a2b3c4d5e6f'
+            },
+            userId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Owner of the project'
+            },
+            workspaceId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Workspace the project was created in'
+            },
+            name: {
+              type: 'string',
+              description: 'Project name, unique per user within a workspace',
+              example: 'Release 2.0'
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              description: 'Project description'
+            },
+            color: {
+              type: 'string',
+              nullable: true,
+              description: 'Hex color used in the UI',
+              example: '#2563EB'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ProjectCounts: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              example: 12
+            },
+            completed: {
+              type: 'integer',
+              example: 5
+            },
+            open: {
+              type: 'integer',
+              example: 7
+            }
+          }
+        },
+        ProjectRequest: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Project name, required when creating',
+              example: 'Home'
+            },
+            description: {
+              type: 'string',
+              description: 'Project description',
+              example: 'Chores and errands'
+            },
+            color: {
+              type: 'string',
+              description: 'Hex color used in the UI',
+              example: '#16A34A'
+            }
+          },
+          example: {
+            name: 'Home',
+            description: 'Chores and errands',
+            color: '#16A34A'
+          }
+        },
+        Label: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Label ID'
+            },
+            name: {
+              type: 'string',
+              description: 'Label name, unique per user',
+              example: 'urgent'
+            },
+            color: {
+              type: 'string',
+              description: 'Hex color of the label chip',
+              example: '#DC2626'
+            }
+          }
+        },
+        LabelRequest: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Label name (max 50 characters, no commas)',
+              example: 'urgent'
+            },
+            color: {
+              type: 'string',
+              description: 'Hex color of the label chip',
+              example: '#DC2626'
+            }
+          },
+          example: {
+            name: 'urgent',
+            color: '#DC2626'
+          }
+        },
+        SavedFilter: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Saved filter ID'
+            },
+            name: {
+              type: 'string',
+              description: 'Filter name, unique per user',
+              example: 'Important this week'
+            },
+            query: {
+              type: 'string',
+              description: 'Filter query',
+              example: 'priority:high due:this-week status:pending'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        SavedFilterRequest: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Filter name (max 100 characters)',
+              example: 'Important this week'
+            },
+            query: {
+              type: 'string',
+              description: 'Terms separated by spaces, all of which must match. A term is field:value with ' +
+                'comma-separated alternatives, a leading "-" negates it and other words match the title. ' +
+                'Fields: status (pending, in_progress, completed, open), priority (high, medium, low), ' +
+                'due (today, tomorrow, overdue, this-week, next-week, this-month, next-7-days, none, ' +
+                'a day like 2024-05-01 or a range like 2024-05-01..2024-05-31), project and label ' +
+                '(names, quoted when they contain spaces; project:none for tasks without a project).',
+              example: 'priority:high due:this-week status:pending'
+            }
+          },
+          example: {
+            name: 'Important this week',
+            query: 'priority:high due:this-week status:pending'
+          }
+        },
+        Attachment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Attachment ID'
+            },
+            taskId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            filename: {
+              type: 'string',
+              description: 'Name of the uploaded file',
+              example: 'screenshot.png'
+            },
+            contentType: {
+              type: 'string',
+              example: 'image/png'
+            },
+            size: {
+              type: 'integer',
+              description: 'Size in bytes',
+              example: 48213
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        AttachmentUsage: {
+          type: 'object',
+          properties: {
+            used: {
+              type: 'integer',
+              description: 'Bytes stored by the user'
+            },
+            quota: {
+              type: 'integer',
+              description: 'Bytes the user may store'
+            },
+            maxFileSize: {
+              type: 'integer',
+              description: 'Largest file accepted, in bytes'
+            }
+          }
+        },
+        Comment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Comment ID'
+            },
+            taskId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            authorId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'User who wrote the comment'
+            },
+            authorEmail: {
+              type: 'string',
+              nullable: true
+            },
+            authorName: {
+              type: 'string',
+              nullable: true
+            },
+            body: {
+              type: 'string',
+              description: 'Markdown',
+              example: 'Blocked on the API keys, @alice@example.com can you help?'
+            },
+            mentions: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'email'
+              },
+              description: 'Email addresses mentioned in the body'
+            },
+            editedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Last edit, null if the comment was never edited'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        CommentRequest: {
+          type: 'object',
+          required: ['body'],
+          properties: {
+            body: {
+              type: 'string',
+              maxLength: 10000,
+              description: 'Markdown, mention users with @ and their email address'
+            }
+          },
+          example: {
+            body: 'Blocked on the API keys, @alice@example.com can you help?'
+          }
+        },
+        CommentEdit: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            commentId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            body: {
+              type: 'string',
+              description: 'Body of the comment before the edit'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the body was replaced'
+            }
+          }
+        },
+        TimeEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Time entry ID'
+            },
+            taskId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            userId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'User who tracked the time'
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-03-21T09:00:00.000Z'
+            },
+            endedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Null while the timer is running',
+              example: '2024-03-21T10:30:00.000Z'
+            },
+            note: {
+              type: 'string',
+              nullable: true,
+              example: 'Client call'
+            },
+            task: {
+              type: 'object',
+              description: 'Only on the running timer',
+              properties: {
+                id: {
+                  type: 'string',
+                  format: 'uuid'
+                },
+                title: {
+                  type: 'string'
+                }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        TimeEntryRequest: {
+          type: 'object',
+          required: ['startedAt', 'endedAt'],
+          properties: {
+            startedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'After startedAt, at most 24 hours later and not in the future'
+            },
+            note: {
+              type: 'string',
+              maxLength: 500,
+              nullable: true
+            }
+          },
+          example: {
+            startedAt: '2024-03-21T09:00:00.000Z',
+            endedAt: '2024-03-21T10:30:00.000Z',
+            note: 'Client call'
+          }
+        },
+        TimeReport: {
+          type: 'object',
+          properties: {
+            from: {
+              type: 'string',
+              format: 'date',
+              example: '2024-03-15'
+            },
+            to: {
+              type: 'string',
+              format: 'date',
+              example: '2024-03-21'
+            },
+            timezone: {
+              type: 'string',
+              example: 'Europe/Berlin'
+            },
+            totalSeconds: {
+              type: 'integer',
+              example: 27000
+            },
+            byDay: {
+              type: 'array',
+              description: 'Every day of the period, oldest first',
+              items: {
+                type: 'object',
+                properties: {
+                  date: {
+                    type: 'string',
+                    format: 'date'
+                  },
+                  seconds: {
+                    type: 'integer'
+                  }
+                }
+              }
+            },
+            byTask: {
+              type: 'array',
+              description: 'Tasks with the most time first',
+              items: {
+                type: 'object',
+                properties: {
+                  taskId: {
+                    type: 'string',
+                    format: 'uuid'
+                  },
+                  title: {
+                    type: 'string',
+                    nullable: true
+                  },
+                  seconds: {
+                    type: 'integer'
+                  }
+                }
+              }
+            }
+          }
+        },
+        Share: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            taskId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Shared task, includes its subtasks'
+            },
+            projectId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Shared project, includes its tasks'
+            },
+            ownerId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            email: {
+              type: 'string',
+              format: 'email'
+            },
+            userId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Null while the invitation is pending'
+            },
+            role: {
+              type: 'string',
+              enum: ['viewer', 'editor']
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ShareRequest: {
+          type: 'object',
+          required: ['email'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Email of the user to share with'
+            },
+            role: {
+              type: 'string',
+              enum: ['viewer', 'editor'],
+              default: 'viewer',
+              description: 'Viewers can read and comment, editors can also change the task'
+            }
+          },
+          example: {
+            email: 'alice@example.com',
+            role: 'editor'
+          }
+        },
+        TaskHistoryEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            taskId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            actorId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'User who made the change'
+            },
+            action: {
+              type: 'string',
+              enum: ['created', 'updated', 'status_changed', 'deleted', 'restored']
+            },
+            changes: {
+              type: 'object',
+              description: 'Changed fields with their old and new value',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  from: {},
+                  to: {}
+                }
+              },
+              example: {
+                status: { from: 'pending', to: 'completed' }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ExportedTask: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            externalId: {
+              type: 'string',
+              nullable: true,
+              description: 'ID in the tool the task was imported from'
+            },
+            title: {
+              type: 'string'
+            },
+            description: {
+              type: 'string',
+              nullable: true
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'in_progress', 'completed']
+            },
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high']
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            remindBefore: {
+              type: 'integer',
+              nullable: true
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            recurrenceRule: {
+              type: 'string',
+              nullable: true
+            },
+            labels: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Label names'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ImportRowResult: {
+          type: 'object',
+          properties: {
+            row: {
+              type: 'integer',
+              description: 'Position of the row in the file, starting at 1 (header excluded)'
+            },
+            externalId: {
+              type: 'string',
+              nullable: true
+            },
+            success: {
+              type: 'boolean'
+            },
+            skipped: {
+              type: 'boolean',
+              description: 'A task with this external id already exists'
+            },
+            taskId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'The created task'
+            },
+            error: {
+              $ref: '#/components/schemas/Error'
+            }
+          }
+        },
+        ParsedTask: {
+          type: 'object',
+          properties: {
+            title: {
+              type: 'string',
+              description: 'Text left after removing the recognized phrases',
+              example: 'Pay rent'
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high'],
+              nullable: true
+            },
+            remindBefore: {
+              type: 'integer',
+              nullable: true,
+              description: 'Minutes before the due date'
+            },
+            matches: {
+              type: 'array',
+              description: 'Recognized phrases',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['date', 'time', 'priority', 'reminder']
+                  },
+                  text: {
+                    type: 'string',
+                    example: 'tomorrow'
+                  }
+                }
+              }
+            }
+          }
+        },
+        DailyCount: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              format: 'date',
+              example: '2024-03-21'
+            },
+            count: {
+              type: 'integer'
+            }
+          }
+        },
+        TaskStats: {
+          type: 'object',
+          properties: {
+            timezone: {
+              type: 'string',
+              example: 'Europe/Berlin'
+            },
+            total: {
+              type: 'integer'
+            },
+            byStatus: {
+              type: 'object',
+              properties: {
+                pending: { type: 'integer' },
+                in_progress: { type: 'integer' },
+                completed: { type: 'integer' }
+              }
+            },
+            byPriority: {
+              type: 'object',
+              description: 'Open tasks by priority',
+              properties: {
+                low: { type: 'integer' },
+                medium: { type: 'integer' },
+                high: { type: 'integer' }
+              }
+            },
+            dueToday: {
+              type: 'integer',
+              description: 'Open tasks due today'
+            },
+            overdue: {
+              type: 'integer',
+              description: 'Open tasks due before today'
+            },
+            completionRate: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  days: { type: 'integer', example: 7 },
+                  created: { type: 'integer', description: 'Tasks created in the window' },
+                  completed: { type: 'integer', description: 'Of those, tasks completed by now' },
+                  rate: { type: 'number', nullable: true, example: 0.75 }
+                }
+              }
+            },
+            averageCompletionHours: {
+              type: 'number',
+              nullable: true,
+              description: 'Mean time from creation to completion'
+            },
+            completedPerDay: {
+              type: 'array',
+              description: 'Completed tasks on each of the last 14 days, oldest first',
+              items: {
+                $ref: '#/components/schemas/DailyCount'
+              }
+            },
+            overdueTrend: {
+              type: 'array',
+              description: 'Tasks overdue at the end of each of the last 14 days, oldest first',
+              items: {
+                $ref: '#/components/schemas/DailyCount'
+              }
+            },
+            streak: {
+              type: 'object',
+              description: 'Consecutive days with at least one completed task',
+              properties: {
+                current: { type: 'integer' },
+                longest: { type: 'integer' }
+              }
+            }
+          }
+        },
+        BulkOperation: {
+          type: 'object',
+          required: ['action', 'taskId'],
+          properties: {
+            action: {
+              type: 'string',
+              enum: ['complete', 'delete', 'setPriority', 'setDueDate', 'moveToProject'],
+              description: 'Operation to apply'
+            },
+            taskId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Task to apply the operation to'
+            },
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high'],
+              description: 'New priority for setPriority'
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'New due date for setDueDate, null clears it'
+            },
+            projectId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Target project for moveToProject, null moves the task to the inbox'
+            },
+            override: {
+              type: 'boolean',
+              description: 'Complete the task even if it is blocked by open dependencies'
+            }
+          }
+        },
+        BulkOperationResult: {
+          type: 'object',
+          properties: {
+            index: {
+              type: 'integer',
+              description: 'Position of the operation in the request'
+            },
+            taskId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            action: {
+              type: 'string'
+            },
+            success: {
+              type: 'boolean'
+            },
+            task: {
+              $ref: '#/components/schemas/Task'
+            },
+            error: {
+              $ref: '#/components/schemas/Error'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -237,6 +1191,65 @@ const options = {
               description: 'Error message'
             }
           }
+        },
+        VersionConflict: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              example: 'PRECONDITION_FAILED'
+            },
+            message: {
+              type: 'string',
+              example: 'Task was modified by another request'
+            },
+            details: {
+              type: 'object',
+              properties: {
+                currentVersion: {
+                  type: 'integer',
+                  example: 4
+                },
+                task: {
+                  $ref: '#/components/schemas/Task'
+                }
+              }
+            }
+          }
+        }
+      },
+      parameters: {
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          required: true,
+          schema: {
+            type: 'string'
+          },
+          description: 'ETag of the task version the change is based on, or * to skip the check',
+          example: '"3"'
+        }
+      },
+      responses: {
+        PreconditionFailed: {
+          description: 'The task was changed since the given version',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/VersionConflict'
+              }
+            }
+          }
+        },
+        PreconditionRequired: {
+          description: 'If-Match header is missing',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error'
+              }
+            }
+          }
         }
       }
     }
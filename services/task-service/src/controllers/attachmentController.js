@@ -0,0 +1,79 @@
+const attachmentService = require('../services/attachmentService');
+const { receiveFile } = require('../middlewares/upload');
+
+// List the attachments of a task with the user's storage usage
+const getAttachments = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const result = await attachmentService.getAttachments(userId, req.params.id, { workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upload a file (multipart/form-data, field "file") to a task
+const uploadAttachment = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const attachment = await attachmentService.addAttachment(
+      userId,
+      req.params.id,
+      (limits) => receiveFile(req, res, limits),
+      { workspaceId }
+    );
+    res.status(201).json(attachment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download an attachment under its original file name
+const downloadAttachment = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const { attachment, stream } = await attachmentService.getAttachmentFile(
+      userId,
+      req.params.id,
+      req.params.attachmentId,
+      { workspaceId }
+    );
+
+    // attachment() guesses the type from the file name, the stored type wins
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    stream.on('error', (error) => {
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete an attachment and its file
+const deleteAttachment = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    await attachmentService.deleteAttachment(userId, req.params.id, req.params.attachmentId, { workspaceId });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
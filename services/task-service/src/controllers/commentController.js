@@ -0,0 +1,68 @@
+const commentService = require('../services/commentService');
+
+// List the comments of a task, oldest first
+const getComments = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const { limit, offset } = req.query;
+
+    const result = await commentService.getComments(userId, req.params.id, { limit, offset, workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Comment on a task, @email mentions notify the mentioned users
+const createComment = async (req, res, next) => {
+  try {
+    const comment = await commentService.createComment(req.user, req.params.id, req.body);
+    res.status(201).json(comment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Edit a comment (author only)
+const updateComment = async (req, res, next) => {
+  try {
+    const comment = await commentService.updateComment(
+      req.user,
+      req.params.id,
+      req.params.commentId,
+      req.body
+    );
+    res.json(comment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a comment (author only)
+const deleteComment = async (req, res, next) => {
+  try {
+    await commentService.deleteComment(req.user, req.params.id, req.params.commentId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Earlier versions of an edited comment
+const getCommentEdits = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const result = await commentService.getCommentEdits(userId, req.params.id, req.params.commentId, { workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  getCommentEdits
+};
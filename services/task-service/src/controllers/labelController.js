@@ -0,0 +1,52 @@
+const labelService = require('../services/labelService');
+
+// Get all labels for a user
+const getLabels = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    const labels = await labelService.getLabels(userId);
+    res.json({ labels });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a label
+const createLabel = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    const label = await labelService.createLabel(userId, req.body);
+    res.status(201).json(label);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update (rename or recolor) a label
+const updateLabel = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    const label = await labelService.updateLabel(userId, req.params.id, req.body);
+    res.json(label);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a label and remove it from all tasks
+const deleteLabel = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    await labelService.deleteLabel(userId, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel
+};
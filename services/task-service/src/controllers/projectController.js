@@ -0,0 +1,64 @@
+const projectService = require('../services/projectService');
+
+// Get all projects with task counts
+const getProjects = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const result = await projectService.getProjects(userId, workspaceId);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a project
+const getProject = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const project = await projectService.getProject(userId, req.params.id, { workspaceId });
+    res.json(project);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a project
+const createProject = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const project = await projectService.createProject(userId, req.body, workspaceId);
+    res.status(201).json(project);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a project
+const updateProject = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId, workspaceRole } = req.user;
+    const project = await projectService.updateProject(userId, req.params.id, req.body, { workspaceId, workspaceRole });
+    res.json(project);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a project
+const deleteProject = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId, workspaceRole } = req.user;
+    await projectService.deleteProject(userId, req.params.id, { workspaceId, workspaceRole });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+};
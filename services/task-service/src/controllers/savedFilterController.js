@@ -0,0 +1,87 @@
+const savedFilterService = require('../services/savedFilterService');
+
+// Get all saved filters with task counts
+const getFilters = async (req, res, next) => {
+  try {
+    const { id: userId, timezone, workspaceId } = req.user;
+    const result = await savedFilterService.getFilters(userId, { timezone, workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a saved filter
+const getFilter = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    const filter = await savedFilterService.getFilter(userId, req.params.id);
+    res.json(filter);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the tasks matching a saved filter
+const getFilterTasks = async (req, res, next) => {
+  try {
+    const { id: userId, timezone, workspaceId } = req.user;
+    const { projectId, sort, order, cursor, limit } = req.query;
+
+    const result = await savedFilterService.getFilterTasks(userId, req.params.id, {
+      projectId,
+      timezone,
+      sort,
+      order,
+      cursor,
+      limit,
+      workspaceId
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a saved filter
+const createFilter = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    const filter = await savedFilterService.createFilter(userId, req.body);
+    res.status(201).json(filter);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a saved filter
+const updateFilter = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    const filter = await savedFilterService.updateFilter(userId, req.params.id, req.body);
+    res.json(filter);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a saved filter
+const deleteFilter = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    await savedFilterService.deleteFilter(userId, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFilters,
+  getFilter,
+  getFilterTasks,
+  createFilter,
+  updateFilter,
+  deleteFilter
+};
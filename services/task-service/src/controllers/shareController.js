@@ -0,0 +1,109 @@
+const shareService = require('../services/shareService');
+
+// Shares live under /api/tasks/:id/shares and /api/projects/:id/shares
+const taskResource = (req) => ({ taskId: req.params.id });
+const projectResource = (req) => ({ projectId: req.params.id });
+
+// Tasks other users shared with the current user; accepts pending invitations
+const getSharedWithMe = async (req, res, next) => {
+  try {
+    const { limit, offset } = req.query;
+
+    const result = await shareService.getSharedWithMe(req.user, { limit, offset });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the users a task is shared with (owner only)
+const getTaskShares = async (req, res, next) => {
+  try {
+    const result = await shareService.getShares(req.user.id, taskResource(req));
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Share a task with a user by email, or change their role if already shared
+const shareTask = async (req, res, next) => {
+  try {
+    const { share, created } = await shareService.shareResource(req.user, taskResource(req), req.body);
+    res.status(created ? 201 : 200).json(share);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change the role of a task share
+const updateTaskShare = async (req, res, next) => {
+  try {
+    const share = await shareService.updateShare(req.user.id, taskResource(req), req.params.shareId, req.body);
+    res.json(share);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stop sharing a task with a user
+const deleteTaskShare = async (req, res, next) => {
+  try {
+    await shareService.deleteShare(req.user.id, taskResource(req), req.params.shareId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the users a project is shared with (owner only)
+const getProjectShares = async (req, res, next) => {
+  try {
+    const result = await shareService.getShares(req.user.id, projectResource(req));
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Share a project with a user by email, or change their role if already shared
+const shareProject = async (req, res, next) => {
+  try {
+    const { share, created } = await shareService.shareResource(req.user, projectResource(req), req.body);
+    res.status(created ? 201 : 200).json(share);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change the role of a project share
+const updateProjectShare = async (req, res, next) => {
+  try {
+    const share = await shareService.updateShare(req.user.id, projectResource(req), req.params.shareId, req.body);
+    res.json(share);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stop sharing a project with a user
+const deleteProjectShare = async (req, res, next) => {
+  try {
+    await shareService.deleteShare(req.user.id, projectResource(req), req.params.shareId);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSharedWithMe,
+  getTaskShares,
+  shareTask,
+  updateTaskShare,
+  deleteTaskShare,
+  getProjectShares,
+  shareProject,
+  updateProjectShare,
+  deleteProjectShare
+};
@@ -1,22 +1,45 @@
+const { Readable, pipeline } = require('stream');
 const taskService = require('../services/taskService');
+const taskTransferService = require('../services/taskTransferService');
+const taskStatsService = require('../services/taskStatsService');
 const { publishEvent } = require('../config/rabbitmq');
 const { logger } = require('../config/logger');
 const { NotFoundError, ValidationError } = require('../utils/errors');
+const { formatETag } = require('../utils/etag');
+
+// Blocked tasks can be started/completed anyway with ?override=true or { override: true }
+const isOverride = (req) => req.query.override === 'true' || req.body?.override === true;
+
+// Send a task with its version as ETag, clients send it back in If-Match
+const sendTask = (res, task) => {
+  res.set('ETag', formatETag(task.version));
+  res.json(task);
+};
 
 // Get all tasks for a user
 const getAllTasks = async (req, res, next) => {
   try {
 
     
-    const { id: userId } = req.user;
-    const { status, priority, search, limit, offset } = req.query;
+    const { id: userId, timezone, workspaceId } = req.user;
+    const { status, priority, search, projectId, labels, match, dueFrom, dueTo, filter, sort, order, cursor, limit } = req.query;
 
     const result = await taskService.getAllTasks(userId, {
       status,
       priority,
       search,
+      projectId,
+      labels,
+      match,
+      dueFrom,
+      dueTo,
+      filter,
+      timezone,
+      sort,
+      order,
+      cursor,
       limit,
-      offset
+      workspaceId
     });
 
     res.json(result);
@@ -25,13 +48,106 @@ const getAllTasks = async (req, res, next) => {
   }
 };
 
+// Full-text search across title and description
+const searchTasks = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const { q, status, priority, dueFrom, dueTo, limit, offset } = req.query;
+
+    const result = await taskService.searchTasks(userId, {
+      q,
+      status,
+      priority,
+      dueFrom,
+      dueTo,
+      limit,
+      offset,
+      workspaceId
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Apply a list of operations to many tasks at once
+const bulkUpdateTasks = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId, workspaceRole } = req.user;
+    const { operations } = req.body;
+
+    const result = await taskService.bulkUpdate(userId, operations, { workspaceId, workspaceRole });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Export the tasks of the active workspace as CSV, JSON or iCalendar, streamed as a download
+const exportTasks = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const { contentType, filename, chunks } = taskTransferService.exportTasks(userId, req.query.format, workspaceId);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    // Headers are sent with the first chunk, later errors can only abort the response
+    pipeline(Readable.from(chunks), res, (error) => {
+      if (error) {
+        logger.error('Task export failed', { userId, error: error.message });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// iCalendar feed of due dates, polled by calendar apps through the gateway
+const getCalendarFeed = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    const { contentType, chunks } = taskTransferService.calendarFeed(userId);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': 'inline; filename="tasks.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+
+    pipeline(Readable.from(chunks), res, (error) => {
+      if (error) {
+        logger.error('Calendar feed failed', { userId, error: error.message });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Import tasks from a CSV, JSON or iCalendar file into the active workspace
+const importTasks = async (req, res, next) => {
+  try {
+    const { id: userId, timezone, workspaceId } = req.user;
+    const { format, content } = req.body;
+
+    const result = await taskTransferService.importTasks(userId, { format, content, timezone, workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get overdue tasks
 const getOverdueTasks = async (req, res, next) => {
   try {
-    const { id: userId } = req.user;
+    const { id: userId, timezone, workspaceId } = req.user;
     const { limit, offset } = req.query;
 
-    const result = await taskService.getOverdueTasks(userId, { limit, offset });
+    const result = await taskService.getOverdueTasks(userId, { limit, offset, timezone, workspaceId });
     res.json(result);
   } catch (error) {
     next(error);
@@ -41,34 +157,125 @@ const getOverdueTasks = async (req, res, next) => {
 // Get tasks due today
 const getTasksDueToday = async (req, res, next) => {
   try {
-    const { id: userId } = req.user;
+    const { id: userId, timezone, workspaceId } = req.user;
     const { limit, offset } = req.query;
 
-    const result = await taskService.getTasksDueToday(userId, { limit, offset });
+    const result = await taskService.getTasksDueToday(userId, { limit, offset, timezone, workspaceId });
     res.json(result);
   } catch (error) {
     next(error);
   }
 };
 
-// Create a new task
+// Get task counts and productivity metrics
+const getTaskStats = async (req, res, next) => {
+  try {
+    const { id: userId, timezone, workspaceId } = req.user;
+
+    res.json(await taskStatsService.getStats(userId, { timezone, workspaceId }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get tasks in the trash of the active workspace
+const getTrash = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const { limit, offset } = req.query;
+
+    const result = await taskService.getTrash(userId, { limit, offset, workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore a task from the trash
+const restoreTask = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId, workspaceRole } = req.user;
+    const task = await taskService.restoreTask(userId, req.params.id, { workspaceId, workspaceRole });
+    res.json(task);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the change history of a task
+const getTaskHistory = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const { limit, offset } = req.query;
+
+    const result = await taskService.getTaskHistory(userId, req.params.id, { limit, offset, workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a new task in the active workspace
 const createTask = async (req, res, next) => {
   try {
-    const { id: userId } = req.user;
-    const task = await taskService.createTask(userId, req.body);
+    const { id: userId, timezone, workspaceId } = req.user;
+    const task = await taskService.createTask(userId, { ...req.body, timezone, workspaceId });
     res.status(201).json(task);
   } catch (error) {
     next(error);
   }
 };
 
+// Parse quick-add text into task fields without creating the task
+const parseTask = async (req, res, next) => {
+  try {
+    const { text, timezone } = req.body;
+    res.json(taskService.parseTaskText(text, timezone || req.user.timezone));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single task
+const getTaskById = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const task = await taskService.getTaskById(userId, req.params.id, { workspaceId });
+    sendTask(res, task);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update a task
 const updateTask = async (req, res, next) => {
   try {
-    const { id: userId } = req.user;
+    const { id: userId, timezone, workspaceId, workspaceRole } = req.user;
     const taskId = req.params.id;
-    const task = await taskService.updateTask(userId, taskId, req.body);
-    res.json(task);
+    const task = await taskService.updateTask(userId, taskId, req.body, {
+      expectedVersion: req.expectedVersion,
+      timezone,
+      workspaceId,
+      workspaceRole
+    });
+    sendTask(res, task);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update this and all future occurrences of a recurring task
+const updateFutureOccurrences = async (req, res, next) => {
+  try {
+    const { id: userId, timezone, workspaceId, workspaceRole } = req.user;
+    const taskId = req.params.id;
+    const task = await taskService.updateFutureOccurrences(userId, taskId, req.body, {
+      expectedVersion: req.expectedVersion,
+      timezone,
+      workspaceId,
+      workspaceRole
+    });
+    sendTask(res, task);
   } catch (error) {
     next(error);
   }
@@ -77,9 +284,9 @@ const updateTask = async (req, res, next) => {
 // Delete a task
 const deleteTask = async (req, res, next) => {
   try {
-    const { id: userId } = req.user;
+    const { id: userId, workspaceId, workspaceRole } = req.user;
     const taskId = req.params.id;
-    await taskService.deleteTask(userId, taskId);
+    await taskService.deleteTask(userId, taskId, { workspaceId, workspaceRole });
     res.status(204).send();
   } catch (error) {
     next(error);
@@ -89,9 +296,14 @@ const deleteTask = async (req, res, next) => {
 // Mark task as completed
 const markTaskAsCompleted = async (req, res, next) => {
   try {
-    const { id: userId } = req.user;
+    const { id: userId, workspaceId, workspaceRole } = req.user;
     const taskId = req.params.id;
-    const task = await taskService.markTaskAsCompleted(userId, taskId);
+    const task = await taskService.markTaskAsCompleted(userId, taskId, {
+      completeSubtasks: req.body?.completeSubtasks === true,
+      override: isOverride(req),
+      workspaceId,
+      workspaceRole
+    });
     res.json(task);
   } catch (error) {
     next(error);
@@ -101,9 +313,13 @@ const markTaskAsCompleted = async (req, res, next) => {
 // Mark task as in progress
 const markTaskAsInProgress = async (req, res, next) => {
   try {
-    const { id: userId } = req.user;
+    const { id: userId, workspaceId, workspaceRole } = req.user;
     const taskId = req.params.id;
-    const task = await taskService.markTaskAsInProgress(userId, taskId);
+    const task = await taskService.markTaskAsInProgress(userId, taskId, {
+      override: isOverride(req),
+      workspaceId,
+      workspaceRole
+    });
     res.json(task);
   } catch (error) {
     next(error);
@@ -113,11 +329,15 @@ const markTaskAsInProgress = async (req, res, next) => {
 // Update task priority
 const updateTaskPriority = async (req, res, next) => {
   try {
-    const { id: userId } = req.user;
+    const { id: userId, workspaceId, workspaceRole } = req.user;
     const taskId = req.params.id;
     const { priority } = req.body;
-    const task = await taskService.updateTaskPriority(userId, taskId, priority);
-    res.json(task);
+    const task = await taskService.updateTaskPriority(userId, taskId, priority, {
+      expectedVersion: req.expectedVersion,
+      workspaceId,
+      workspaceRole
+    });
+    sendTask(res, task);
   } catch (error) {
     next(error);
   }
@@ -126,11 +346,156 @@ const updateTaskPriority = async (req, res, next) => {
 // Update task due date
 const updateTaskDueDate = async (req, res, next) => {
   try {
-    const { id: userId } = req.user;
+    const { id: userId, timezone, workspaceId, workspaceRole } = req.user;
     const taskId = req.params.id;
     const { dueDate } = req.body;
-    const task = await taskService.updateTaskDueDate(userId, taskId, dueDate);
-    res.json(task);
+    const task = await taskService.updateTaskDueDate(userId, taskId, dueDate, {
+      expectedVersion: req.expectedVersion,
+      timezone,
+      workspaceId,
+      workspaceRole
+    });
+    sendTask(res, task);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Move a task to a status column and position on the board
+const moveTask = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId, workspaceRole } = req.user;
+    const taskId = req.params.id;
+    const { status, afterId, beforeId } = req.body;
+    const task = await taskService.moveTask(userId, taskId, {
+      status,
+      afterId,
+      beforeId,
+      override: isOverride(req)
+    }, {
+      expectedVersion: req.expectedVersion,
+      workspaceId,
+      workspaceRole
+    });
+    sendTask(res, task);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Assign a task to its owner, a workspace member or a collaborator, assigneeId null unassigns it
+const assignTask = async (req, res, next) => {
+  try {
+    const { workspaceId, workspaceRole } = req.user;
+    const task = await taskService.assignTask(req.user, req.params.id, req.body.assigneeId, {
+      expectedVersion: req.expectedVersion,
+      workspaceId,
+      workspaceRole
+    });
+    sendTask(res, task);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the tasks assigned to the current user
+const getAssignedToMe = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const { status, limit, offset } = req.query;
+
+    const result = await taskService.getAssignedToMe(userId, { status, limit, offset, workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get subtasks of a task with progress
+const getSubtasks = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const taskId = req.params.id;
+    const result = await taskService.getSubtasks(userId, taskId, { workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a subtask
+const createSubtask = async (req, res, next) => {
+  try {
+    const { id: userId, timezone, workspaceId } = req.user;
+    const taskId = req.params.id;
+    const subtask = await taskService.createSubtask(userId, taskId, { ...req.body, timezone, workspaceId });
+    res.status(201).json(subtask);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a subtask
+const updateSubtask = async (req, res, next) => {
+  try {
+    const { id: userId, timezone, workspaceId, workspaceRole } = req.user;
+    const { id: taskId, subtaskId } = req.params;
+    const subtask = await taskService.updateSubtask(userId, taskId, subtaskId, req.body, {
+      expectedVersion: req.expectedVersion,
+      timezone,
+      workspaceId,
+      workspaceRole
+    });
+    sendTask(res, subtask);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a subtask
+const deleteSubtask = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId, workspaceRole } = req.user;
+    const { id: taskId, subtaskId } = req.params;
+    await taskService.deleteSubtask(userId, taskId, subtaskId, { workspaceId, workspaceRole });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the tasks blocking a task
+const getBlockedBy = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const taskId = req.params.id;
+    const result = await taskService.getBlockedBy(userId, taskId, { workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a dependency (task cannot start until dependsOnId is completed)
+const addDependency = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const taskId = req.params.id;
+    const { dependsOnId } = req.body;
+    const dependency = await taskService.addDependency(userId, taskId, dependsOnId, { workspaceId });
+    res.status(201).json(dependency);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a dependency
+const removeDependency = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const { id: taskId, dependsOnId } = req.params;
+    await taskService.removeDependency(userId, taskId, dependsOnId, { workspaceId });
+    res.status(204).send();
   } catch (error) {
     next(error);
   }
@@ -138,13 +503,35 @@ const updateTaskDueDate = async (req, res, next) => {
 
 module.exports = {
   getAllTasks,
+  searchTasks,
+  bulkUpdateTasks,
+  exportTasks,
+  parseTask,
+  getCalendarFeed,
+  importTasks,
   getOverdueTasks,
   getTasksDueToday,
+  getTaskStats,
+  getTrash,
+  restoreTask,
+  getTaskHistory,
+  getTaskById,
   createTask,
   updateTask,
+  updateFutureOccurrences,
   deleteTask,
   markTaskAsCompleted,
   markTaskAsInProgress,
   updateTaskPriority,
-  updateTaskDueDate
+  updateTaskDueDate,
+  moveTask,
+  assignTask,
+  getAssignedToMe,
+  getSubtasks,
+  createSubtask,
+  updateSubtask,
+  deleteSubtask,
+  getBlockedBy,
+  addDependency,
+  removeDependency
 }; 
\ No newline at end of file
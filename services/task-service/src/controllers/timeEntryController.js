@@ -0,0 +1,104 @@
+const timeTrackingService = require('../services/timeTrackingService');
+
+// The current user's running timer, null when none is running
+const getTimer = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    const timer = await timeTrackingService.getTimer(userId);
+    res.json({ timer });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start a timer on a task, only one can run at a time
+const startTimer = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const entry = await timeTrackingService.startTimer(userId, req.params.id, req.body || {}, { workspaceId });
+    res.status(201).json(entry);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stop the current user's running timer
+const stopTimer = async (req, res, next) => {
+  try {
+    const { id: userId } = req.user;
+    const entry = await timeTrackingService.stopTimer(userId);
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Time tracked per day and per task over a period
+const getTimeReport = async (req, res, next) => {
+  try {
+    const { id: userId, timezone } = req.user;
+    const { from, to } = req.query;
+
+    const result = await timeTrackingService.getTimeReport(userId, { from, to, timezone });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the time entries of a task with its totals
+const getTimeEntries = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const { limit, offset } = req.query;
+
+    const result = await timeTrackingService.getTimeEntries(userId, req.params.id, { limit, offset, workspaceId });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add time to a task manually
+const createTimeEntry = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const entry = await timeTrackingService.createTimeEntry(userId, req.params.id, req.body, { workspaceId });
+    res.status(201).json(entry);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a time entry (only the user who tracked it)
+const updateTimeEntry = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    const entry = await timeTrackingService.updateTimeEntry(userId, req.params.id, req.params.entryId, req.body, { workspaceId });
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a time entry (only the user who tracked it)
+const deleteTimeEntry = async (req, res, next) => {
+  try {
+    const { id: userId, workspaceId } = req.user;
+    await timeTrackingService.deleteTimeEntry(userId, req.params.id, req.params.entryId, { workspaceId });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTimer,
+  startTimer,
+  stopTimer,
+  getTimeReport,
+  getTimeEntries,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry
+};
@@ -0,0 +1,26 @@
+const workspaceService = require('../services/workspaceService');
+const { logger } = require('../config/logger');
+
+// Events of the user service the task service acts on, by routing key
+const handlers = {
+  'workspace.deleted': async ({ data }) => {
+    if (!data || !data.workspaceId) {
+      logger.warn('Ignoring workspace.deleted event without a workspaceId');
+      return;
+    }
+    await workspaceService.releaseWorkspace(data.workspaceId);
+  }
+};
+
+async function handleWorkspaceEvent(routingKey, event) {
+  const handler = handlers[routingKey];
+  if (!handler) {
+    logger.warn('No handler for workspace event', { routingKey });
+    return;
+  }
+  await handler(event);
+}
+
+module.exports = {
+  handleWorkspaceEvent
+};
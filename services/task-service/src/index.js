@@ -5,11 +5,16 @@ const swaggerUi = require('swagger-ui-express');
 const { sequelize } = require('./models');
 const { setupRabbitMQ } = require('./config/rabbitmq');
 const rabbitmqManager = require('./messaging/rabbitmq');
+const { handleWorkspaceEvent } = require('./events/workspaceEvents');
 const { registerService, startHeartbeat } = require('./services/serviceRegistry');
+const { startTrashPurge } = require('./services/trashPurge');
 const { logger } = require('./config/logger');
 const { handleError } = require('./utils/errors');
 const swaggerSpecs = require('./config/swagger');
 const taskRoutes = require('./routes/tasks');
+const projectRoutes = require('./routes/projects');
+const labelRoutes = require('./routes/labels');
+const filterRoutes = require('./routes/filters');
 const healthRoutes = require('./routes/health');
 const { extractUserFromHeaders } = require('./middlewares/auth');
 
@@ -18,6 +23,8 @@ const PORT = process.env.PORT || 3002;
 
 // Middleware
 app.use(cors());
+// Imports send whole files as JSON, every other route keeps the default limit
+app.use('/api/tasks/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(extractUserFromHeaders);
 
@@ -26,8 +33,7 @@ app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
     method: req.method,
     path: req.path,
-    query: req.query,
-    body: req.method !== 'GET' ? req.body : undefined,
+    query: req.query, // Bodies are not logged, they hold task content and whole imported files
     userId: req.user?.id
   });
   next();
@@ -150,6 +156,9 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
 
 // Routes
 app.use('/api/tasks', taskRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/filters', filterRoutes);
 app.use('/health', healthRoutes);
 
 // 404 handler
@@ -194,6 +203,9 @@ async function startServer() {
     await rabbitmqManager.connect();
     logger.info('RabbitMQ Manager initialized for event publishing');
 
+    // Move the tasks of deleted workspaces back to their owners
+    await rabbitmqManager.subscribeToWorkspaceEvents(handleWorkspaceEvent);
+
     // Register service with service registry
     await registerService(PORT);
     logger.info('Service registered with service registry');
@@ -202,6 +214,9 @@ async function startServer() {
     startHeartbeat(PORT);
     logger.info('Heartbeat started');
 
+    // Permanently delete tasks whose trash retention period has passed
+    startTrashPurge();
+
     // Start server
     app.listen(PORT, () => {
       logger.info(`Task service listening on port ${PORT}`);
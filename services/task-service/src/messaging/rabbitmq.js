@@ -5,8 +5,12 @@ class RabbitMQManager {
   constructor() {
     this.connection = null;
     this.channel = null;
+    this.consumeChannel = null;
     this.EXCHANGE_NAME = 'task-events';
     this.EXCHANGE_TYPE = 'topic'; // Changed to topic for routing
+    // The user service publishes workspace events to its own exchange
+    this.AUTH_EVENTS_EXCHANGE = process.env.AUTH_EVENTS_EXCHANGE || 'auth.events';
+    this.WORKSPACE_EVENTS_QUEUE = process.env.WORKSPACE_EVENTS_QUEUE || 'task-service.workspace-events';
   }
 
   async connect() {
@@ -20,12 +24,14 @@ class RabbitMQManager {
           logger.error('RabbitMQ connection error:', err);
           this.connection = null;
           this.channel = null;
+          this.consumeChannel = null;
         });
 
         this.connection.on('close', () => {
           logger.warn('RabbitMQ connection closed');
           this.connection = null;
           this.channel = null;
+          this.consumeChannel = null;
         });
       }
       return this.connection;
@@ -55,53 +61,174 @@ class RabbitMQManager {
     }
   }
 
+  // Task fields carried by every task event
+  buildEventData(data) {
+    return {
+      taskId: data.taskId || data.id,
+      userId: data.userId,
+      assigneeId: data.assigneeId || null, // Reminders go to the assignee instead of the owner
+      title: data.title,
+      description: data.description,
+      priority: data.priority,
+      dueDate: data.dueDate,
+      remindBefore: data.remindBefore || 30, // Default 30 minutes
+      timezone: data.timezone || 'UTC', // Reminders and emails show the due date in this zone
+      status: data.status,
+      blocked: data.blocked || false, // Open dependencies; reminders are suppressed while blocked
+      collaboratorIds: data.collaboratorIds || [], // Users the task is shared with, reminded like the owner
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt
+    };
+  }
+
+  // Every event goes through here: the message ({ type, data } or { type, events })
+  // is stamped with the service and the time and published persistently under
+  // routingKey. Throws when the channel doesn't take it
+  async #publish(routingKey, payload) {
+    const ch = await this.getChannel();
+
+    const eventMessage = {
+      ...payload,
+      service: 'task-service',
+      timestamp: new Date().toISOString()
+    };
+
+    const success = ch.publish(
+      this.EXCHANGE_NAME,
+      routingKey,
+      Buffer.from(JSON.stringify(eventMessage)),
+      { persistent: true }
+    );
+
+    if (!success) {
+      throw new Error(`Failed to publish ${routingKey} to RabbitMQ`);
+    }
+
+    return eventMessage;
+  }
+
   async publishReminderEvent(eventType, data) {
     try {
-      const ch = await this.getChannel();
-      
-      // Create the event message according to the specified format
-      const eventMessage = {
+      // Use eventType as routing key (task.created, task.updated, etc.)
+      await this.#publish(eventType, {
+        type: eventType,
+        data: this.buildEventData(data)
+      });
+
+      logger.info('Event published to RabbitMQ', {
+        exchange: this.EXCHANGE_NAME,
+        routingKey: eventType,
+        eventType,
+        taskId: data.taskId || data.id,
+        userId: data.userId
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to publish event to RabbitMQ:', {
+        error: error.message,
+        eventType,
+        taskId: data.taskId || data.id
+      });
+      throw error;
+    }
+  }
+
+  // Publish many task events as one task.batch message, e.g. for bulk operations
+  async publishEventBatch(events) {
+    if (!events.length) {
+      return true;
+    }
+
+    try {
+      await this.#publish('task.batch', {
+        type: 'task.batch',
+        events: events.map(event => ({
+          type: event.type,
+          data: this.buildEventData(event.data)
+        }))
+      });
+
+      logger.info('Event batch published to RabbitMQ', {
+        exchange: this.EXCHANGE_NAME,
+        routingKey: 'task.batch',
+        eventCount: events.length
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to publish event batch to RabbitMQ:', {
+        error: error.message,
+        eventCount: events.length
+      });
+      throw error;
+    }
+  }
+
+  // Comment events carry the comment and the title of its task, e.g. for
+  // emails to the mentioned users who can see the task
+  async publishCommentEvent(eventType, data) {
+    try {
+      const { data: comment } = await this.#publish(eventType, {
         type: eventType,
         data: {
-          taskId: data.taskId || data.id,
+          commentId: data.commentId,
+          taskId: data.taskId,
+          taskTitle: data.taskTitle,
           userId: data.userId,
-          title: data.title,
-          description: data.description,
-          priority: data.priority,
-          dueDate: data.dueDate,
-          remindBefore: data.remindBefore || 30, // Default 30 minutes
-          status: data.status,
-          createdAt: data.createdAt,
-          updatedAt: data.updatedAt
-        },
-        service: 'task-service',
-        timestamp: new Date().toISOString()
-      };
-
-      const success = ch.publish(
-        this.EXCHANGE_NAME,
-        eventType, // Use eventType as routing key (task.created, task.updated, etc.)
-        Buffer.from(JSON.stringify(eventMessage)),
-        { persistent: true }
-      );
-
-      if (success) {
-        logger.info('Event published to RabbitMQ', {
-          exchange: this.EXCHANGE_NAME,
-          routingKey: eventType,
-          eventType,
-          taskId: data.taskId || data.id,
-          userId: data.userId
-        });
-      } else {
-        throw new Error('Failed to publish event to RabbitMQ');
-      }
+          authorId: data.authorId,
+          authorEmail: data.authorEmail,
+          authorName: data.authorName,
+          body: data.body,
+          mentionedUsers: data.mentionedUsers || [],
+          createdAt: data.createdAt
+        }
+      });
+
+      logger.info('Comment event published to RabbitMQ', {
+        exchange: this.EXCHANGE_NAME,
+        routingKey: eventType,
+        commentId: data.commentId,
+        taskId: data.taskId,
+        mentionCount: comment.mentionedUsers.length
+      });
 
       return true;
     } catch (error) {
-      logger.error('Failed to publish event to RabbitMQ:', {
+      logger.error('Failed to publish comment event to RabbitMQ:', {
         error: error.message,
         eventType,
+        commentId: data.commentId
+      });
+      throw error;
+    }
+  }
+
+  // task.assigned carries the task and who assigned it to whom, e.g. for an
+  // email to the assignee
+  async publishAssignmentEvent(data) {
+    try {
+      const { data: assignment } = await this.#publish('task.assigned', {
+        type: 'task.assigned',
+        data: {
+          ...this.buildEventData(data),
+          assignedById: data.assignedById,
+          assignedByEmail: data.assignedByEmail,
+          assignedByName: data.assignedByName
+        }
+      });
+
+      logger.info('Assignment event published to RabbitMQ', {
+        exchange: this.EXCHANGE_NAME,
+        routingKey: 'task.assigned',
+        taskId: assignment.taskId,
+        assigneeId: assignment.assigneeId
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to publish assignment event to RabbitMQ:', {
+        error: error.message,
         taskId: data.taskId || data.id
       });
       throw error;
@@ -112,8 +239,43 @@ class RabbitMQManager {
     return this.publishReminderEvent(eventType, taskData);
   }
 
+  // Consumes workspace.deleted from the user service. Failed messages are
+  // requeued, handling one again is harmless
+  async subscribeToWorkspaceEvents(onMessage) {
+    const conn = await this.connect();
+    this.consumeChannel = await conn.createChannel();
+
+    await this.consumeChannel.assertExchange(this.AUTH_EVENTS_EXCHANGE, 'topic', { durable: true });
+    await this.consumeChannel.assertQueue(this.WORKSPACE_EVENTS_QUEUE, { durable: true });
+    await this.consumeChannel.bindQueue(this.WORKSPACE_EVENTS_QUEUE, this.AUTH_EVENTS_EXCHANGE, 'workspace.deleted');
+    await this.consumeChannel.prefetch(1);
+
+    await this.consumeChannel.consume(this.WORKSPACE_EVENTS_QUEUE, async (msg) => {
+      if (!msg) {
+        return;
+      }
+
+      try {
+        await onMessage(msg.fields.routingKey, JSON.parse(msg.content.toString()));
+        this.consumeChannel.ack(msg);
+      } catch (error) {
+        logger.error('Failed to process workspace event:', {
+          error: error.message,
+          routingKey: msg.fields.routingKey
+        });
+        this.consumeChannel.nack(msg, false, !(error instanceof SyntaxError));
+      }
+    });
+
+    logger.info('Subscribed to workspace events', { exchange: this.AUTH_EVENTS_EXCHANGE });
+  }
+
   async close() {
     try {
+      if (this.consumeChannel) {
+        await this.consumeChannel.close();
+        this.consumeChannel = null;
+      }
       if (this.channel) {
         await this.channel.close();
         this.channel = null;
@@ -1,4 +1,7 @@
 const { logger } = require('../config/logger');
+const { validate: isUuid } = require('uuid');
+const { isValidTimeZone } = require('../utils/timezone');
+const { resolveWorkspaceRole } = require('../utils/workspaceAccess');
 
 // Define public paths that don't require authentication
 const PUBLIC_PATHS = [
@@ -37,6 +40,9 @@ const extractUserFromHeaders = (req, res, next) => {
   const userFullName = req.headers['x-user-full-name'];
   const userRoles = req.headers['x-user-roles'];
   const emailVerified = req.headers['x-user-email-verified'];
+  const userTimezone = req.headers['x-user-timezone'];
+  const workspaceId = req.headers['x-workspace-id'];
+  const workspaceRole = req.headers['x-workspace-role'];
 
   logger.info('Authentication middleware - received headers', {
     method: req.method,
@@ -68,12 +74,20 @@ const extractUserFromHeaders = (req, res, next) => {
     });
   }
 
+  const activeWorkspaceId = isUuid(workspaceId) ? workspaceId : userId;
+
   req.user = {
     id: userId,
     email: userEmail,
     fullName: userFullName,
     roles: userRoles,
-    emailVerified: emailVerified
+    emailVerified: emailVerified,
+    // Day boundaries (due today, overdue) and parsed dates follow the user's time zone
+    timezone: isValidTimeZone(userTimezone) ? userTimezone : 'UTC',
+    // Tasks and projects are shared within the active workspace, the personal one
+    // has the user's id. The role decides who may delete them, see utils/workspaceAccess
+    workspaceId: activeWorkspaceId,
+    workspaceRole: resolveWorkspaceRole(userId, activeWorkspaceId, workspaceRole)
   };
 
 
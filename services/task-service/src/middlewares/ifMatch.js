@@ -0,0 +1,22 @@
+const { parseIfMatch } = require('../utils/etag');
+const { PreconditionRequiredError } = require('../utils/errors');
+
+// Updates must say which version of the task they were made against,
+// the expected version is passed on as req.expectedVersion
+const requireIfMatch = (req, res, next) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    return next(new PreconditionRequiredError('If-Match header with the task ETag is required'));
+  }
+
+  try {
+    req.expectedVersion = parseIfMatch(header);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireIfMatch
+};
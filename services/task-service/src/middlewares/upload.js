@@ -0,0 +1,38 @@
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+
+// Multer storage engine writing uploads straight to the attachment storage
+const storageEngine = {
+  _handleFile(req, file, cb) {
+    const storageKey = `${req.user.id}/${uuidv4()}`;
+    storage.save(storageKey, file.stream)
+      .then(({ size }) => cb(null, { storageKey, size }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    storage.remove(file.storageKey).then(() => cb(null), cb);
+  }
+};
+
+// Receive the multipart "file" field of a request, at most maxBytes long.
+// Resolves with multer's file (originalname, mimetype, size, storageKey),
+// undefined when there is none; rejects with a MulterError over a limit,
+// after the partial file has been removed
+const receiveFile = (req, res, { maxBytes }) => new Promise((resolve, reject) => {
+  const upload = multer({
+    storage: storageEngine,
+    defParamCharset: 'utf8', // File names are sent as UTF-8 by browsers
+    limits: {
+      fileSize: maxBytes,
+      files: 1
+    }
+  }).single('file');
+
+  upload(req, res, (error) => (error ? reject(error) : resolve(req.file)));
+});
+
+module.exports = {
+  receiveFile
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('task_series', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'User ID from the user service, no foreign key constraint'
+      },
+      recurrenceRule: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'RRULE-style recurrence rule, e.g. FREQ=WEEKLY;BYDAY=MO;BYHOUR=9'
+      },
+      startDate: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'Anchor (DTSTART) used to compute occurrences'
+      },
+      occurrenceCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Number of occurrences generated so far'
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      priority: {
+        type: Sequelize.ENUM('low', 'medium', 'high'),
+        defaultValue: 'medium',
+        allowNull: false
+      },
+      remindBefore: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        defaultValue: 30
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('task_series', ['userId'], {
+      name: 'task_series_user_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('task_series');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_task_series_priority";');
+  }
+};
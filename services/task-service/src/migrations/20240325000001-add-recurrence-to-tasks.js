@@ -0,0 +1,39 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tasks', 'recurrenceRule', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'RRULE-style recurrence rule copied from the series'
+    });
+
+    await queryInterface.addColumn('tasks', 'seriesId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'task_series',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Recurring series this task is an occurrence of'
+    });
+
+    await queryInterface.addColumn('tasks', 'recurrenceId', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Originally scheduled time of this occurrence'
+    });
+
+    await queryInterface.addIndex('tasks', ['seriesId'], {
+      name: 'tasks_series_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('tasks', 'tasks_series_id_idx');
+    await queryInterface.removeColumn('tasks', 'recurrenceId');
+    await queryInterface.removeColumn('tasks', 'seriesId');
+    await queryInterface.removeColumn('tasks', 'recurrenceRule');
+  }
+};
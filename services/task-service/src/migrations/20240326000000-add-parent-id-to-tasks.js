@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tasks', 'parentId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Parent task when this task is a subtask'
+    });
+
+    await queryInterface.addIndex('tasks', ['parentId'], {
+      name: 'tasks_parent_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('tasks', 'tasks_parent_id_idx');
+    await queryInterface.removeColumn('tasks', 'parentId');
+  }
+};
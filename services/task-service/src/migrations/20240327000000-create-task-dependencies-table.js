@@ -0,0 +1,61 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('task_dependencies', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'User ID from the user service, no foreign key constraint'
+      },
+      taskId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'tasks',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Task that is blocked'
+      },
+      dependsOnId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'tasks',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Task that must be completed first'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('task_dependencies', ['taskId', 'dependsOnId'], {
+      name: 'task_dependencies_task_depends_on_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('task_dependencies', ['dependsOnId'], {
+      name: 'task_dependencies_depends_on_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('task_dependencies');
+  }
+};
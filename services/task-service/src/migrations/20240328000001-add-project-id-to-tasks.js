@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tasks', 'projectId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Project the task belongs to, null for the inbox'
+    });
+
+    await queryInterface.addIndex('tasks', ['projectId'], {
+      name: 'tasks_project_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('tasks', 'tasks_project_id_idx');
+    await queryInterface.removeColumn('tasks', 'projectId');
+  }
+};
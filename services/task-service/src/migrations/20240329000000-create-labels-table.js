@@ -0,0 +1,47 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('labels', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'User ID from the user service, no foreign key constraint'
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      color: {
+        type: Sequelize.STRING(7),
+        allowNull: false,
+        defaultValue: '#6B7280',
+        comment: 'Hex color used for the label chip'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('labels', ['userId', 'name'], {
+      name: 'labels_user_id_name_unique',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('labels');
+  }
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('task_labels', {
+      taskId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        primaryKey: true,
+        references: {
+          model: 'tasks',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      labelId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        primaryKey: true,
+        references: {
+          model: 'labels',
+          key: 'id'
+        },
+        onDelete: 'CASCADE' // Deleting a label removes it from all tasks
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('task_labels', ['labelId'], {
+      name: 'task_labels_label_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('task_labels');
+  }
+};
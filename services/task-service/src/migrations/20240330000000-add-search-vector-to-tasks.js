@@ -0,0 +1,26 @@
+'use strict';
+
+// Full-text search on title (weight A) and description (weight B).
+// The column is generated by PostgreSQL, so it is not part of the Task model,
+// which creates it after sync() instead (see utils/searchVector).
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE tasks
+      ADD COLUMN "searchVector" tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+      ) STORED;
+    `);
+
+    await queryInterface.sequelize.query(
+      'CREATE INDEX tasks_search_vector_idx ON tasks USING GIN ("searchVector");'
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS tasks_search_vector_idx;');
+    await queryInterface.removeColumn('tasks', 'searchVector');
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tasks', 'deletedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Set when the task is moved to the trash'
+    });
+
+    await queryInterface.addIndex('tasks', ['deletedAt'], {
+      name: 'tasks_deleted_at_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('tasks', 'tasks_deleted_at_idx');
+    await queryInterface.removeColumn('tasks', 'deletedAt');
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('task_history', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      taskId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'tasks',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Task the entry belongs to, removed when the task is purged'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Owner of the task, no foreign key constraint'
+      },
+      actorId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'User who made the change, no foreign key constraint'
+      },
+      action: {
+        type: Sequelize.ENUM('created', 'updated', 'status_changed', 'deleted', 'restored'),
+        allowNull: false
+      },
+      changes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Changed fields as { field: { from, to } }'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('task_history', ['taskId', 'createdAt'], {
+      name: 'task_history_task_id_created_at_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('task_history');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_task_history_action";');
+  }
+};
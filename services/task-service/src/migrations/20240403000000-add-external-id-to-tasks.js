@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tasks', 'externalId', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'ID of the task in the tool it was imported from'
+    });
+
+    await queryInterface.addIndex('tasks', ['userId', 'externalId'], {
+      name: 'tasks_user_id_external_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('tasks', 'tasks_user_id_external_id_idx');
+    await queryInterface.removeColumn('tasks', 'externalId');
+  }
+};
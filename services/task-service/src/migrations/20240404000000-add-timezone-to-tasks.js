@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tasks', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'IANA time zone of the owner when the due date was set'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('tasks', 'timezone');
+  }
+};
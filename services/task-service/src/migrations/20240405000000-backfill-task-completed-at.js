@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // completedAt was never written before; the last update is the best estimate
+    await queryInterface.sequelize.query(
+      'UPDATE "tasks" SET "completedAt" = "updatedAt" WHERE "status" = \'completed\' AND "completedAt" IS NULL'
+    );
+
+    await queryInterface.addIndex('tasks', ['userId', 'completedAt'], {
+      name: 'tasks_user_id_completed_at_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('tasks', 'tasks_user_id_completed_at_idx');
+  }
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tasks', 'position', {
+      type: Sequelize.DOUBLE,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Manual order within a status column, fractional so moves touch one row'
+    });
+
+    // Existing tasks keep their creation order, spaced 1024 apart
+    await queryInterface.sequelize.query(`
+      UPDATE "tasks" SET "position" = ordered."rank" * 1024
+      FROM (
+        SELECT "id", ROW_NUMBER() OVER (PARTITION BY "userId", "status" ORDER BY "createdAt", "id") AS "rank"
+        FROM "tasks"
+      ) AS ordered
+      WHERE "tasks"."id" = ordered."id"
+    `);
+
+    await queryInterface.addIndex('tasks', ['userId', 'status', 'position'], {
+      name: 'tasks_user_id_status_position_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('tasks', 'tasks_user_id_status_position_idx');
+    await queryInterface.removeColumn('tasks', 'position');
+  }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('saved_filters', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'User ID from the user service, no foreign key constraint'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      query: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'Filter query, e.g. priority:high due:this-week status:pending'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('saved_filters', ['userId', 'name'], {
+      name: 'saved_filters_user_id_name_unique',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('saved_filters');
+  }
+};
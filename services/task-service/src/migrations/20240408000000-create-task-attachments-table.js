@@ -0,0 +1,70 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('task_attachments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      taskId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'tasks',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Task the file is attached to, the row is removed when the task is purged'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Owner of the task, no foreign key constraint'
+      },
+      filename: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Name of the uploaded file, used for downloads'
+      },
+      contentType: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        defaultValue: 'application/octet-stream'
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Size in bytes, counted towards the user quota'
+      },
+      storageKey: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true,
+        comment: 'Key of the file in the attachment storage'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('task_attachments', ['taskId', 'createdAt'], {
+      name: 'task_attachments_task_id_created_at_idx'
+    });
+    await queryInterface.addIndex('task_attachments', ['userId'], {
+      name: 'task_attachments_user_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('task_attachments');
+  }
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('task_comments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      taskId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'tasks',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Task the comment belongs to, removed when the task is purged'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Owner of the task, no foreign key constraint'
+      },
+      authorId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'User who wrote the comment, no foreign key constraint'
+      },
+      authorEmail: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      authorName: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'Markdown'
+      },
+      mentions: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Email addresses mentioned in the body'
+      },
+      editedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Last time the body was changed, null if never edited'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('task_comments', ['taskId', 'createdAt'], {
+      name: 'task_comments_task_id_created_at_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('task_comments');
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('task_comment_edits', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      commentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'task_comments',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Comment the edit belongs to, removed with the comment'
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'Body of the comment before the edit'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: 'When the body was replaced'
+      }
+    });
+
+    await queryInterface.addIndex('task_comment_edits', ['commentId', 'createdAt'], {
+      name: 'task_comment_edits_comment_id_created_at_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('task_comment_edits');
+  }
+};
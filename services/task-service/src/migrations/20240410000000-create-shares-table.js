@@ -0,0 +1,89 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('shares', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      taskId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'tasks',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Shared task, removed when the task is purged'
+      },
+      projectId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'projects',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Shared project, removed with the project'
+      },
+      ownerId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Owner of the task or project, no foreign key constraint'
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Invited user, lowercased'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        comment: 'Invited user once known, null while the invitation is pending'
+      },
+      role: {
+        type: Sequelize.ENUM('viewer', 'editor'),
+        allowNull: false,
+        defaultValue: 'viewer'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // A share is for exactly one task or one project
+    await queryInterface.sequelize.query(`
+      ALTER TABLE shares ADD CONSTRAINT shares_one_resource_check
+      CHECK (("taskId" IS NULL) <> ("projectId" IS NULL))
+    `);
+
+    await queryInterface.addIndex('shares', ['taskId', 'email'], {
+      name: 'shares_task_id_email_unique',
+      unique: true
+    });
+    await queryInterface.addIndex('shares', ['projectId', 'email'], {
+      name: 'shares_project_id_email_unique',
+      unique: true
+    });
+    await queryInterface.addIndex('shares', ['userId'], {
+      name: 'shares_user_id_idx'
+    });
+    await queryInterface.addIndex('shares', ['email'], {
+      name: 'shares_email_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('shares');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_shares_role";');
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('tasks', 'assigneeId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      comment: 'User the task is assigned to: the owner or a collaborator, no foreign key constraint'
+    });
+
+    await queryInterface.addIndex('tasks', ['assigneeId'], {
+      name: 'tasks_assignee_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('tasks', 'tasks_assignee_id_idx');
+    await queryInterface.removeColumn('tasks', 'assigneeId');
+  }
+};
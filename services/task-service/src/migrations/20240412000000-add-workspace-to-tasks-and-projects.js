@@ -0,0 +1,44 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ['tasks', 'projects']) {
+      await queryInterface.addColumn(table, 'workspaceId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        comment: 'Workspace ID from the user service, no foreign key constraint'
+      });
+
+      // Existing rows belong to their owner's personal workspace, whose id is the user id
+      await queryInterface.sequelize.query(`UPDATE ${table} SET "workspaceId" = "userId"`);
+
+      await queryInterface.changeColumn(table, 'workspaceId', {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Workspace ID from the user service, no foreign key constraint'
+      });
+    }
+
+    await queryInterface.addIndex('tasks', ['userId', 'workspaceId'], {
+      name: 'tasks_user_id_workspace_id_idx'
+    });
+
+    // Project names are unique within a workspace
+    await queryInterface.removeIndex('projects', 'projects_user_id_name_unique');
+    await queryInterface.addIndex('projects', ['userId', 'workspaceId', 'name'], {
+      name: 'projects_user_id_workspace_id_name_unique',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('projects', 'projects_user_id_workspace_id_name_unique');
+    await queryInterface.addIndex('projects', ['userId', 'name'], {
+      name: 'projects_user_id_name_unique',
+      unique: true
+    });
+    await queryInterface.removeIndex('tasks', 'tasks_user_id_workspace_id_idx');
+    await queryInterface.removeColumn('projects', 'workspaceId');
+    await queryInterface.removeColumn('tasks', 'workspaceId');
+  }
+};
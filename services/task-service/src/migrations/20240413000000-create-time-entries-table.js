@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('time_entries', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      taskId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'tasks',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'Task the time was spent on, removed when the task is purged'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'User who tracked the time, no foreign key constraint'
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      endedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Null while the timer is running'
+      },
+      note: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('time_entries', ['taskId', 'startedAt'], {
+      name: 'time_entries_task_id_started_at_idx'
+    });
+
+    await queryInterface.addIndex('time_entries', ['userId', 'startedAt'], {
+      name: 'time_entries_user_id_started_at_idx'
+    });
+
+    // One running timer per user
+    await queryInterface.addIndex('time_entries', ['userId'], {
+      name: 'time_entries_user_id_running_unique',
+      unique: true,
+      where: {
+        endedAt: null
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('time_entries');
+  }
+};
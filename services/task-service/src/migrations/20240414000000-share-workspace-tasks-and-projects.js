@@ -0,0 +1,64 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    // Members read the whole workspace, and the board orders each column per workspace
+    await queryInterface.removeIndex('tasks', 'tasks_user_id_workspace_id_idx');
+    await queryInterface.addIndex('tasks', ['workspaceId', 'status', 'position'], {
+      name: 'tasks_workspace_id_status_position_idx'
+    });
+
+    // Project names become unique per workspace instead of per member, so
+    // members' projects with the same name get the first numbered suffix that
+    // no other project of the workspace already has
+    const [projects] = await queryInterface.sequelize.query(
+      'SELECT id, "workspaceId", name FROM projects ORDER BY "workspaceId", name, "createdAt", id'
+    );
+    const namesByWorkspace = new Map();
+    for (const { workspaceId, name } of projects) {
+      if (!namesByWorkspace.has(workspaceId)) {
+        namesByWorkspace.set(workspaceId, new Set());
+      }
+      namesByWorkspace.get(workspaceId).add(name);
+    }
+
+    const seen = new Set();
+    for (const { id, workspaceId, name } of projects) {
+      const key = JSON.stringify([workspaceId, name]);
+      if (!seen.has(key)) {
+        seen.add(key);
+        continue;
+      }
+
+      const names = namesByWorkspace.get(workspaceId);
+      let suffix = 2;
+      while (names.has(`${name.slice(0, 240)} (${suffix})`)) {
+        suffix++;
+      }
+      const renamed = `${name.slice(0, 240)} (${suffix})`;
+      names.add(renamed);
+
+      await queryInterface.sequelize.query('UPDATE projects SET name = :name WHERE id = :id', {
+        replacements: { name: renamed, id }
+      });
+    }
+
+    await queryInterface.removeIndex('projects', 'projects_user_id_workspace_id_name_unique');
+    await queryInterface.addIndex('projects', ['workspaceId', 'name'], {
+      name: 'projects_workspace_id_name_unique',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('projects', 'projects_workspace_id_name_unique');
+    await queryInterface.addIndex('projects', ['userId', 'workspaceId', 'name'], {
+      name: 'projects_user_id_workspace_id_name_unique',
+      unique: true
+    });
+    await queryInterface.removeIndex('tasks', 'tasks_workspace_id_status_position_idx');
+    await queryInterface.addIndex('tasks', ['userId', 'workspaceId'], {
+      name: 'tasks_user_id_workspace_id_idx'
+    });
+  }
+};
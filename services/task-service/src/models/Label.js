@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Label = sequelize.define('Label', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'userId',
+      comment: 'User ID from the user service, no foreign key constraint'
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 50]
+      }
+    },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      defaultValue: '#6B7280',
+      validate: {
+        is: /^#[0-9a-fA-F]{6}$/
+      },
+      comment: 'Hex color used for the label chip'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'labels',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      {
+        name: 'labels_user_id_name_unique',
+        unique: true,
+        fields: ['userId', 'name']
+      }
+    ]
+  });
+
+  Label.associate = (models) => {
+    Label.belongsToMany(models.Task, {
+      through: models.TaskLabel,
+      as: 'tasks',
+      foreignKey: 'labelId',
+      otherKey: 'taskId'
+    });
+  };
+
+  return Label;
+};
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Project = sequelize.define('Project', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'userId',
+      comment: 'User ID from the user service, no foreign key constraint'
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'workspaceId',
+      comment: 'Workspace ID from the user service, no foreign key constraint'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 255]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: true,
+      validate: {
+        is: /^#[0-9a-fA-F]{6}$/
+      },
+      comment: 'Hex color used in the UI, e.g. #2563EB'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'projects',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      {
+        name: 'projects_workspace_id_name_unique',
+        unique: true,
+        fields: ['workspaceId', 'name']
+      }
+    ]
+  });
+
+  Project.associate = () => {};
+
+  return Project;
+};
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SavedFilter = sequelize.define('SavedFilter', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'userId',
+      comment: 'User ID from the user service, no foreign key constraint'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    query: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Filter query, e.g. priority:high due:this-week status:pending'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'saved_filters',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      {
+        name: 'saved_filters_user_id_name_unique',
+        unique: true,
+        fields: ['userId', 'name']
+      }
+    ]
+  });
+
+  SavedFilter.associate = () => {};
+
+  return SavedFilter;
+};
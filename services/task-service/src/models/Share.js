@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // A task or project shared with another user. Exactly one of taskId and
+  // projectId is set; sharing a task includes its subtasks, sharing a project
+  // every task in it.
+  const Share = sequelize.define('Share', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    taskId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'taskId',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    projectId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'projectId',
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'ownerId',
+      comment: 'Owner of the task or project, no foreign key constraint'
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        isEmail: true
+      },
+      comment: 'Invited user, lowercased'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'userId',
+      comment: 'Invited user once known, null while the invitation is pending'
+    },
+    role: {
+      type: DataTypes.ENUM('viewer', 'editor'),
+      allowNull: false,
+      defaultValue: 'viewer'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'shares',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      {
+        name: 'shares_task_id_email_unique',
+        unique: true,
+        fields: ['taskId', 'email']
+      },
+      {
+        name: 'shares_project_id_email_unique',
+        unique: true,
+        fields: ['projectId', 'email']
+      },
+      {
+        name: 'shares_user_id_idx',
+        fields: ['userId']
+      },
+      {
+        name: 'shares_email_idx',
+        fields: ['email']
+      }
+    ]
+  });
+
+  Share.associate = () => {};
+
+  return Share;
+};
@@ -1,6 +1,8 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const rabbitmq = require('../messaging/rabbitmq');
 const { logger } = require('../config/logger');
+const { diffFields, actionForChanges } = require('../utils/history');
+const { ensureSearchVector } = require('../utils/searchVector');
 
 module.exports = (sequelize) => {
   const Task = sequelize.define('Task', {
@@ -15,6 +17,12 @@ module.exports = (sequelize) => {
       field: 'userId', // Explicitly map to camelCase column name
       comment: 'User ID from the user service, no foreign key constraint'
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'workspaceId',
+      comment: 'Workspace ID from the user service, no foreign key constraint'
+    },
     title: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -54,6 +62,82 @@ module.exports = (sequelize) => {
       allowNull: true,
       field: 'completedAt' // Explicitly map to camelCase column name
     },
+    recurrenceRule: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'recurrenceRule',
+      comment: 'RRULE-style recurrence rule copied from the series'
+    },
+    seriesId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'seriesId',
+      references: {
+        model: 'task_series',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Recurring series this task is an occurrence of'
+    },
+    recurrenceId: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'recurrenceId',
+      comment: 'Originally scheduled time of this occurrence'
+    },
+    parentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'parentId',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Parent task when this task is a subtask'
+    },
+    projectId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'projectId',
+      references: {
+        model: 'projects',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Project the task belongs to, null for the inbox'
+    },
+    externalId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'externalId',
+      comment: 'ID of the task in the tool it was imported from'
+    },
+    // Reminders and emails show the due date in this zone
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'timezone',
+      comment: 'IANA time zone of the owner when the due date was set'
+    },
+    position: {
+      type: DataTypes.DOUBLE,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Manual order within a status column, fractional so moves touch one row'
+    },
+    assigneeId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'assigneeId',
+      comment: 'User the task is assigned to: the owner, a workspace member or a collaborator, no foreign key constraint'
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Incremented on every update, exposed as the ETag'
+    },
     createdAt: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -65,10 +149,17 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: DataTypes.NOW,
       field: 'updatedAt' // Explicitly map to camelCase column name
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'deletedAt', // Explicitly map to camelCase column name
+      comment: 'Set when the task is moved to the trash'
     }
   }, {
     tableName: 'tasks',
     timestamps: true,
+    paranoid: true, // destroy() moves tasks to the trash, queries skip trashed tasks
     underscored: false, // Keep camelCase field names
     indexes: [
       {
@@ -86,145 +177,353 @@ module.exports = (sequelize) => {
       {
         name: 'tasks_due_date_idx',
         fields: ['dueDate']
+      },
+      {
+        name: 'tasks_series_id_idx',
+        fields: ['seriesId']
+      },
+      {
+        name: 'tasks_parent_id_idx',
+        fields: ['parentId']
+      },
+      {
+        name: 'tasks_project_id_idx',
+        fields: ['projectId']
+      },
+      {
+        name: 'tasks_deleted_at_idx',
+        fields: ['deletedAt']
+      },
+      {
+        name: 'tasks_user_id_external_id_idx',
+        fields: ['userId', 'externalId']
+      },
+      {
+        name: 'tasks_user_id_completed_at_idx',
+        fields: ['userId', 'completedAt']
+      },
+      {
+        name: 'tasks_user_id_status_position_idx',
+        fields: ['userId', 'status', 'position']
+      },
+      {
+        name: 'tasks_assignee_id_idx',
+        fields: ['assigneeId']
+      },
+      {
+        name: 'tasks_workspace_id_status_position_idx',
+        fields: ['workspaceId', 'status', 'position']
       }
     ]
   });
 
-  // No associations needed as we're following microservices principles
-  Task.associate = () => {};
+  // Only associations within this service; users live in the user service
+  Task.associate = (models) => {
+    Task.belongsToMany(models.Label, {
+      through: models.TaskLabel,
+      as: 'labels',
+      foreignKey: 'taskId',
+      otherKey: 'labelId'
+    });
+  };
+
+  // A task is blocked while any task it depends on is still open
+  const isBlocked = async (task) => {
+    const dependencies = await sequelize.models.TaskDependency.findAll({
+      where: { taskId: task.id },
+      attributes: ['dependsOnId']
+    });
+    if (!dependencies.length) {
+      return false;
+    }
+
+    const openBlockers = await Task.count({
+      where: {
+        id: dependencies.map(dependency => dependency.dependsOnId),
+        status: { [Op.ne]: 'completed' }
+      }
+    });
+    return openBlockers > 0;
+  };
+
+  Task.isBlocked = isBlocked;
+
+  // Users who accepted a share of the task, its parent task or its project
+  const collaboratorIds = async (task) => {
+    const resources = [{ taskId: task.id }];
+    if (task.parentId) {
+      resources.push({ taskId: task.parentId });
+    }
+    if (task.projectId) {
+      resources.push({ projectId: task.projectId });
+    }
+
+    const shares = await sequelize.models.Share.findAll({
+      where: {
+        [Op.or]: resources,
+        userId: { [Op.ne]: null }
+      },
+      attributes: ['userId']
+    });
+    return [...new Set(shares.map(share => share.userId))].filter(userId => userId !== task.userId);
+  };
+
+  Task.collaboratorIds = collaboratorIds;
+
+  // completedAt is set when a task becomes completed and cleared when it is reopened.
+  // Model.update with individualHooks runs beforeUpdate on every affected task.
+  const trackCompletion = (task) => {
+    if (task.status === 'completed') {
+      if (!task.completedAt) {
+        task.setDataValue('completedAt', new Date());
+      }
+    } else if (task.completedAt) {
+      task.setDataValue('completedAt', null);
+    }
+  };
+
+  Task.addHook('beforeCreate', trackCompletion);
+  Task.addHook('beforeUpdate', trackCompletion);
+
+  // Audit trail: one task_history row per change, written in the transaction of the change,
+  // so a change whose history can't be written fails as a whole.
+  // The actor defaults to the owner unless the caller passes { actorId }.
+  const recordHistory = async (task, action, changes, options) => {
+    await sequelize.models.TaskHistory.create({
+      taskId: task.id,
+      userId: task.userId,
+      actorId: options.actorId || task.userId,
+      action,
+      changes
+    }, {
+      transaction: options.transaction
+    });
+  };
+
+  // Inside a transaction events wait for the commit, so a change that is rolled
+  // back (e.g. a failed import row or a stale update) is never announced
+  const afterCommit = async (options, publish) => {
+    if (options.transaction) {
+      options.transaction.afterCommit(publish);
+    } else {
+      await publish();
+    }
+  };
 
   // Sequelize Hooks for Event Publishing
+  // Callers passing { skipEvents: true } publish the events themselves (bulk operations),
+  // history is recorded either way
   
   // Hook: After Create - Publish task.created event
   Task.addHook('afterCreate', async (task, options) => {
-    try {
-      console.log('🔍 Task model data before publishing:', {
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        priority: task.priority,
-        status: task.status
-      });
-
-      await rabbitmq.publishReminderEvent('task.created', {
-        id: task.id,
-        taskId: task.id,
-        userId: task.userId,
-        title: task.title,
-        description: task.description,
-        priority: task.priority,
-        dueDate: task.dueDate,
-        remindBefore: task.remindBefore || 30,
-        status: task.status,
-        createdAt: task.createdAt,
-        updatedAt: task.updatedAt
-      });
-      
-      logger.info('Published task.created event', {
-        taskId: task.id,
-        userId: task.userId,
-        title: task.title
-      });
-    } catch (error) {
-      logger.error('Failed to publish task.created event:', {
-        error: error.message,
-        taskId: task.id,
-        userId: task.userId
-      });
-      // Don't throw error to avoid interrupting the task creation
+    await recordHistory(task, 'created', diffFields({}, task.dataValues), options);
+
+    if (options.skipEvents) {
+      return;
     }
+
+    await afterCommit(options, async () => {
+      try {
+        await rabbitmq.publishReminderEvent('task.created', {
+          id: task.id,
+          taskId: task.id,
+          userId: task.userId,
+          assigneeId: task.assigneeId,
+          title: task.title,
+          description: task.description,
+          priority: task.priority,
+          dueDate: task.dueDate,
+          remindBefore: task.remindBefore || 30,
+          timezone: task.timezone,
+          status: task.status,
+          collaboratorIds: await collaboratorIds(task),
+          createdAt: task.createdAt,
+          updatedAt: task.updatedAt
+        });
+      
+        logger.info('Published task.created event', {
+          taskId: task.id,
+          userId: task.userId,
+          title: task.title
+        });
+      } catch (error) {
+        logger.error('Failed to publish task.created event:', {
+          error: error.message,
+          taskId: task.id,
+          userId: task.userId
+        });
+        // Don't throw error to avoid interrupting the task creation
+      }
+    });
   });
 
   // Hook: After Update - Publish task.updated or task.completed events
   Task.addHook('afterUpdate', async (task, options) => {
-    try {
-      const wasCompleted = task._previousDataValues?.status !== 'completed' && task.status === 'completed';
-      
-      if (wasCompleted) {
-                 // Publish specific task.completed event when status changes to completed
-         await rabbitmq.publishReminderEvent('task.completed', {
-           id: task.id,
-           taskId: task.id,
-           userId: task.userId,
-           title: task.title,
-           description: task.description,
-           priority: task.priority,
-           dueDate: task.dueDate,
-           remindBefore: task.remindBefore || 30,
-           status: task.status,
-           createdAt: task.createdAt,
-           updatedAt: task.updatedAt,
-           completedAt: task.completedAt || new Date()
-         });
+    const changes = diffFields(task._previousDataValues, task.dataValues);
+    if (Object.keys(changes).length) {
+      await recordHistory(task, actionForChanges(changes), changes, options);
+    }
+
+    if (options.skipEvents) {
+      return;
+    }
+
+    // The previous values are gone once the update is committed
+    const wasCompleted = task._previousDataValues?.status !== 'completed' && task.status === 'completed';
+
+    await afterCommit(options, async () => {
+      try {
+        if (wasCompleted) {
+          // Publish specific task.completed event when status changes to completed
+          await rabbitmq.publishReminderEvent('task.completed', {
+            id: task.id,
+            taskId: task.id,
+            userId: task.userId,
+            assigneeId: task.assigneeId,
+            title: task.title,
+            description: task.description,
+            priority: task.priority,
+            dueDate: task.dueDate,
+            remindBefore: task.remindBefore || 30,
+            timezone: task.timezone,
+            status: task.status,
+            createdAt: task.createdAt,
+            updatedAt: task.updatedAt,
+            completedAt: task.completedAt || new Date()
+          });
+        
+          logger.info('Published task.completed event', {
+            taskId: task.id,
+            userId: task.userId,
+            title: task.title
+          });
+        } else {
+          // Publish general task.updated event for other changes
+          await rabbitmq.publishReminderEvent('task.updated', {
+            id: task.id,
+            taskId: task.id,
+            userId: task.userId,
+            assigneeId: task.assigneeId,
+            title: task.title,
+            description: task.description,
+            priority: task.priority,
+            dueDate: task.dueDate,
+            remindBefore: task.remindBefore || 30,
+            timezone: task.timezone,
+            status: task.status,
+            blocked: await isBlocked(task),
+            collaboratorIds: await collaboratorIds(task),
+            createdAt: task.createdAt,
+            updatedAt: task.updatedAt
+          });
         
-        logger.info('Published task.completed event', {
+          logger.info('Published task.updated event', {
+            taskId: task.id,
+            userId: task.userId,
+            title: task.title,
+            wasCompleted
+          });
+        }
+      } catch (error) {
+        logger.error('Failed to publish task update event:', {
+          error: error.message,
+          taskId: task.id,
+          userId: task.userId
+        });
+        // Don't throw error to avoid interrupting the task update
+      }
+    });
+  });
+
+  // Hook: After Destroy - Publish task.deleted event
+  Task.addHook('afterDestroy', async (task, options) => {
+    await recordHistory(task, 'deleted', {}, options);
+
+    if (options.skipEvents) {
+      return;
+    }
+
+    await afterCommit(options, async () => {
+      try {
+        await rabbitmq.publishReminderEvent('task.deleted', {
+          id: task.id,
           taskId: task.id,
           userId: task.userId,
-          title: task.title
+          assigneeId: task.assigneeId,
+          title: task.title,
+          description: task.description,
+          priority: task.priority,
+          dueDate: task.dueDate,
+          remindBefore: task.remindBefore || 30,
+          timezone: task.timezone,
+          status: task.status,
+          createdAt: task.createdAt,
+          updatedAt: task.updatedAt
         });
-      } else {
-                 // Publish general task.updated event for other changes
-         await rabbitmq.publishReminderEvent('task.updated', {
-           id: task.id,
-           taskId: task.id,
-           userId: task.userId,
-           title: task.title,
-           description: task.description,
-           priority: task.priority,
-           dueDate: task.dueDate,
-           remindBefore: task.remindBefore || 30,
-           status: task.status,
-           createdAt: task.createdAt,
-           updatedAt: task.updatedAt
-         });
         
-        logger.info('Published task.updated event', {
+        logger.info('Published task.deleted event', {
           taskId: task.id,
           userId: task.userId,
-          title: task.title,
-          wasCompleted
+          title: task.title
+        });
+      } catch (error) {
+        logger.error('Failed to publish task.deleted event:', {
+          error: error.message,
+          taskId: task.id,
+          userId: task.userId
         });
+        // Don't throw error to avoid interrupting the task deletion
       }
-    } catch (error) {
-      logger.error('Failed to publish task update event:', {
-        error: error.message,
-        taskId: task.id,
-        userId: task.userId
-      });
-      // Don't throw error to avoid interrupting the task update
-    }
+    });
   });
 
-  // Hook: After Destroy - Publish task.deleted event
-  Task.addHook('afterDestroy', async (task, options) => {
-    try {
-      await rabbitmq.publishReminderEvent('task.deleted', {
-        id: task.id,
-        taskId: task.id,
-        userId: task.userId,
-        title: task.title,
-        description: task.description,
-        priority: task.priority,
-        dueDate: task.dueDate,
-        remindBefore: task.remindBefore || 30,
-        status: task.status,
-        createdAt: task.createdAt,
-        updatedAt: task.updatedAt
-      });
-      
-      logger.info('Published task.deleted event', {
-        taskId: task.id,
-        userId: task.userId,
-        title: task.title
-      });
-    } catch (error) {
-      logger.error('Failed to publish task.deleted event:', {
-        error: error.message,
-        taskId: task.id,
-        userId: task.userId
-      });
-      // Don't throw error to avoid interrupting the task deletion
+  // Hook: After Restore - Publish task.created so consumers rebuild their state (e.g. reminders)
+  Task.addHook('afterRestore', async (task, options) => {
+    await recordHistory(task, 'restored', {}, options);
+
+    if (options.skipEvents) {
+      return;
     }
+
+    await afterCommit(options, async () => {
+      try {
+        await rabbitmq.publishReminderEvent('task.created', {
+          id: task.id,
+          taskId: task.id,
+          userId: task.userId,
+          assigneeId: task.assigneeId,
+          title: task.title,
+          description: task.description,
+          priority: task.priority,
+          dueDate: task.dueDate,
+          remindBefore: task.remindBefore || 30,
+          timezone: task.timezone,
+          status: task.status,
+          blocked: await isBlocked(task),
+          collaboratorIds: await collaboratorIds(task),
+          createdAt: task.createdAt,
+          updatedAt: task.updatedAt
+        });
+
+        logger.info('Published task.created event for restored task', {
+          taskId: task.id,
+          userId: task.userId,
+          title: task.title
+        });
+      } catch (error) {
+        logger.error('Failed to publish task.created event for restored task:', {
+          error: error.message,
+          taskId: task.id,
+          userId: task.userId
+        });
+        // Don't throw error to avoid interrupting the restore
+      }
+    });
+  });
+
+  // Hook: After Sync - sync() creates the table without the generated search column
+  Task.addHook('afterSync', async (options) => {
+    await ensureSearchVector(sequelize, { logging: options.logging });
   });
 
   return Task;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaskAttachment = sequelize.define('TaskAttachment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    taskId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'taskId',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'userId',
+      comment: 'Owner of the task, no foreign key constraint'
+    },
+    filename: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    contentType: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      defaultValue: 'application/octet-stream',
+      field: 'contentType'
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Size in bytes, counted towards the user quota'
+    },
+    storageKey: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      field: 'storageKey',
+      comment: 'Key of the file in the attachment storage'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'task_attachments',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      {
+        name: 'task_attachments_task_id_created_at_idx',
+        fields: ['taskId', 'createdAt']
+      },
+      {
+        name: 'task_attachments_user_id_idx',
+        fields: ['userId']
+      }
+    ]
+  });
+
+  TaskAttachment.associate = () => {};
+
+  return TaskAttachment;
+};
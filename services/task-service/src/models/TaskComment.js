@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaskComment = sequelize.define('TaskComment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    taskId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'taskId',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'userId',
+      comment: 'Owner of the task, no foreign key constraint'
+    },
+    authorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'authorId',
+      comment: 'User who wrote the comment, no foreign key constraint'
+    },
+    authorEmail: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'authorEmail'
+    },
+    authorName: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      field: 'authorName'
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      },
+      comment: 'Markdown'
+    },
+    mentions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Email addresses mentioned in the body'
+    },
+    editedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'editedAt'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'task_comments',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      {
+        name: 'task_comments_task_id_created_at_idx',
+        fields: ['taskId', 'createdAt']
+      }
+    ]
+  });
+
+  TaskComment.associate = () => {};
+
+  return TaskComment;
+};
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaskCommentEdit = sequelize.define('TaskCommentEdit', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    commentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'commentId',
+      references: {
+        model: 'task_comments',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Body of the comment before the edit'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    }
+  }, {
+    tableName: 'task_comment_edits',
+    timestamps: true,
+    updatedAt: false, // Edits are never changed
+    underscored: false,
+    indexes: [
+      {
+        name: 'task_comment_edits_comment_id_created_at_idx',
+        fields: ['commentId', 'createdAt']
+      }
+    ]
+  });
+
+  TaskCommentEdit.associate = () => {};
+
+  return TaskCommentEdit;
+};
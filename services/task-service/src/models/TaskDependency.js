@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaskDependency = sequelize.define('TaskDependency', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'userId',
+      comment: 'User ID from the user service, no foreign key constraint'
+    },
+    taskId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'taskId',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Task that is blocked'
+    },
+    dependsOnId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'dependsOnId',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Task that must be completed first'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'task_dependencies',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      {
+        name: 'task_dependencies_task_depends_on_unique',
+        unique: true,
+        fields: ['taskId', 'dependsOnId']
+      },
+      {
+        name: 'task_dependencies_depends_on_id_idx',
+        fields: ['dependsOnId']
+      }
+    ]
+  });
+
+  TaskDependency.associate = () => {};
+
+  return TaskDependency;
+};
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaskHistory = sequelize.define('TaskHistory', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    taskId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'taskId',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'userId',
+      comment: 'Owner of the task, no foreign key constraint'
+    },
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'actorId',
+      comment: 'User who made the change, no foreign key constraint'
+    },
+    action: {
+      type: DataTypes.ENUM('created', 'updated', 'status_changed', 'deleted', 'restored'),
+      allowNull: false
+    },
+    changes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Changed fields as { field: { from, to } }'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    }
+  }, {
+    tableName: 'task_history',
+    timestamps: true,
+    updatedAt: false, // History entries are never changed
+    underscored: false,
+    indexes: [
+      {
+        name: 'task_history_task_id_created_at_idx',
+        fields: ['taskId', 'createdAt']
+      }
+    ]
+  });
+
+  TaskHistory.associate = () => {};
+
+  return TaskHistory;
+};
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaskLabel = sequelize.define('TaskLabel', {
+    taskId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      primaryKey: true,
+      field: 'taskId',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    labelId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      primaryKey: true,
+      field: 'labelId',
+      references: {
+        model: 'labels',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    }
+  }, {
+    tableName: 'task_labels',
+    timestamps: true,
+    updatedAt: false,
+    underscored: false
+  });
+
+  TaskLabel.associate = () => {};
+
+  return TaskLabel;
+};
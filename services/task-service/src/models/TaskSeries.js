@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaskSeries = sequelize.define('TaskSeries', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'userId',
+      comment: 'User ID from the user service, no foreign key constraint'
+    },
+    recurrenceRule: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      field: 'recurrenceRule',
+      comment: 'RRULE-style recurrence rule, e.g. FREQ=WEEKLY;BYDAY=MO;BYHOUR=9'
+    },
+    startDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'startDate',
+      comment: 'Anchor (DTSTART) used to compute occurrences'
+    },
+    occurrenceCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'occurrenceCount',
+      comment: 'Number of occurrences generated so far'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'isActive'
+    },
+    // Template copied into each generated occurrence
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 255]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    priority: {
+      type: DataTypes.ENUM('low', 'medium', 'high'),
+      defaultValue: 'medium',
+      allowNull: false
+    },
+    remindBefore: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: 30,
+      field: 'remindBefore'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'task_series',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      {
+        name: 'task_series_user_id_idx',
+        fields: ['userId']
+      }
+    ]
+  });
+
+  TaskSeries.associate = () => {};
+
+  return TaskSeries;
+};
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TimeEntry = sequelize.define('TimeEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    taskId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'taskId',
+      references: {
+        model: 'tasks',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'userId',
+      comment: 'User who tracked the time, no foreign key constraint'
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'startedAt'
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'endedAt',
+      comment: 'Null while the timer is running'
+    },
+    note: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'createdAt'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updatedAt'
+    }
+  }, {
+    tableName: 'time_entries',
+    timestamps: true,
+    underscored: false,
+    indexes: [
+      {
+        name: 'time_entries_task_id_started_at_idx',
+        fields: ['taskId', 'startedAt']
+      },
+      {
+        name: 'time_entries_user_id_started_at_idx',
+        fields: ['userId', 'startedAt']
+      },
+      {
+        name: 'time_entries_user_id_running_unique',
+        unique: true,
+        fields: ['userId'],
+        where: {
+          endedAt: null
+        }
+      }
+    ]
+  });
+
+  TimeEntry.associate = (models) => {
+    TimeEntry.belongsTo(models.Task, {
+      as: 'task',
+      foreignKey: 'taskId',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return TimeEntry;
+};
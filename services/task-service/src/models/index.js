@@ -22,6 +22,18 @@ const db = {
 
 // Load models
 db.Task = require('./Task')(sequelize);
+db.TaskSeries = require('./TaskSeries')(sequelize);
+db.TaskDependency = require('./TaskDependency')(sequelize);
+db.Project = require('./Project')(sequelize);
+db.Label = require('./Label')(sequelize);
+db.TaskLabel = require('./TaskLabel')(sequelize);
+db.TaskHistory = require('./TaskHistory')(sequelize);
+db.SavedFilter = require('./SavedFilter')(sequelize);
+db.TaskAttachment = require('./TaskAttachment')(sequelize);
+db.TaskComment = require('./TaskComment')(sequelize);
+db.TaskCommentEdit = require('./TaskCommentEdit')(sequelize);
+db.Share = require('./Share')(sequelize);
+db.TimeEntry = require('./TimeEntry')(sequelize);
 
 // Run associations if they exist
 Object.keys(db).forEach(modelName => {
@@ -0,0 +1,95 @@
+const { TaskAttachment, sequelize } = require('../models');
+const { Op, literal } = require('sequelize');
+
+class AttachmentRepository {
+  async create(attachmentData, options = {}) {
+    return TaskAttachment.create({
+      taskId: attachmentData.taskId,
+      userId: attachmentData.userId,
+      filename: attachmentData.filename,
+      contentType: attachmentData.contentType,
+      size: attachmentData.size,
+      storageKey: attachmentData.storageKey
+    }, options);
+  }
+
+  // Create the attachment unless it takes its owner's usage above quota. Uploads of
+  // one owner take turns on a transaction-level advisory lock, so concurrent uploads
+  // can't all pass the check. Returns the usage before the upload and the
+  // attachment, which is null when it doesn't fit
+  async createWithinQuota(attachmentData, quota) {
+    return sequelize.transaction(async (transaction) => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:lockKey))', {
+        replacements: { lockKey: `attachments:${attachmentData.userId}` },
+        transaction
+      });
+
+      const used = await this.sumSizeByUser(attachmentData.userId, { transaction });
+      if (used + attachmentData.size > quota) {
+        return { used, attachment: null };
+      }
+      return { used, attachment: await this.create(attachmentData, { transaction }) };
+    });
+  }
+
+  async findById(id, taskId, userId) {
+    return TaskAttachment.findOne({
+      where: {
+        id,
+        taskId,
+        userId: userId
+      }
+    });
+  }
+
+  async findAllByTask(taskId, userId) {
+    return TaskAttachment.findAll({
+      where: {
+        taskId,
+        userId: userId
+      },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  // Bytes stored by a user, including attachments of tasks in the trash
+  async sumSizeByUser(userId, options = {}) {
+    const total = await TaskAttachment.sum('size', {
+      where: {
+        userId: userId
+      },
+      ...options
+    });
+    return total || 0;
+  }
+
+  async delete(id, userId) {
+    return TaskAttachment.destroy({
+      where: {
+        id,
+        userId: userId
+      }
+    });
+  }
+
+  // Storage keys of the files of tasks (and their subtasks) that have been in
+  // the trash since before `cutoff`, i.e. the ones the next purge removes
+  async findStorageKeysInTrashBefore(cutoff) {
+    const trashed = `SELECT id FROM tasks WHERE "deletedAt" < ${sequelize.escape(cutoff)}`;
+
+    const rows = await TaskAttachment.findAll({
+      where: {
+        [Op.or]: [
+          { taskId: { [Op.in]: literal(`(${trashed})`) } },
+          { taskId: { [Op.in]: literal(`(SELECT id FROM tasks WHERE "parentId" IN (${trashed}))`) } }
+        ]
+      },
+      attributes: ['storageKey'],
+      raw: true
+    });
+
+    return rows.map(row => row.storageKey);
+  }
+}
+
+module.exports = new AttachmentRepository();
@@ -0,0 +1,95 @@
+const { TaskComment, TaskCommentEdit, sequelize } = require('../models');
+const { Op } = require('sequelize');
+
+class CommentRepository {
+  async create(commentData) {
+    return TaskComment.create({
+      taskId: commentData.taskId,
+      userId: commentData.userId,
+      authorId: commentData.authorId,
+      authorEmail: commentData.authorEmail || null,
+      authorName: commentData.authorName || null,
+      body: commentData.body,
+      mentions: commentData.mentions || []
+    });
+  }
+
+  async findById(id, taskId, userId) {
+    return TaskComment.findOne({
+      where: {
+        id,
+        taskId,
+        userId: userId
+      }
+    });
+  }
+
+  // Oldest comments first, like a conversation
+  async findByTask(taskId, userId, options = {}) {
+    const {
+      limit = 50,
+      offset = 0
+    } = options;
+
+    return TaskComment.findAndCountAll({
+      where: {
+        taskId,
+        userId: userId
+      },
+      limit,
+      offset,
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  // Replace the body and keep the previous one as an edit
+  async updateBody(comment, { body, mentions }) {
+    return sequelize.transaction(async (transaction) => {
+      await TaskCommentEdit.create({
+        commentId: comment.id,
+        body: comment.body
+      }, { transaction });
+
+      return comment.update({
+        body,
+        mentions,
+        editedAt: new Date()
+      }, { transaction });
+    });
+  }
+
+  // Previous versions of a comment, newest first
+  async findEdits(commentId) {
+    return TaskCommentEdit.findAll({
+      where: {
+        commentId
+      },
+      order: [['createdAt', 'DESC'], ['id', 'ASC']]
+    });
+  }
+
+  // The emails the given users commented on a task with
+  async findAuthorEmails(taskId, authorIds) {
+    const comments = await TaskComment.findAll({
+      where: {
+        taskId,
+        authorId: authorIds,
+        authorEmail: { [Op.ne]: null }
+      },
+      attributes: ['authorId', 'authorEmail'],
+      group: ['authorId', 'authorEmail']
+    });
+    return comments.map(comment => ({ userId: comment.authorId, email: comment.authorEmail }));
+  }
+
+  async delete(id, userId) {
+    return TaskComment.destroy({
+      where: {
+        id,
+        userId: userId
+      }
+    });
+  }
+}
+
+module.exports = new CommentRepository();
@@ -0,0 +1,74 @@
+const { Label } = require('../models');
+
+class LabelRepository {
+  async create(labelData, options = {}) {
+    return Label.create({
+      userId: labelData.userId,
+      name: labelData.name,
+      color: labelData.color
+    }, options);
+  }
+
+  async findById(id, userId) {
+    return Label.findOne({
+      where: {
+        id,
+        userId: userId
+      }
+    });
+  }
+
+  async findByIds(ids, userId, options = {}) {
+    return Label.findAll({
+      where: {
+        id: ids,
+        userId: userId
+      },
+      transaction: options.transaction
+    });
+  }
+
+  async findByNames(names, userId) {
+    return Label.findAll({
+      where: {
+        name: names,
+        userId: userId
+      }
+    });
+  }
+
+  async findAllByUser(userId) {
+    return Label.findAll({
+      where: {
+        userId: userId
+      },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  async update(id, userId, updateData) {
+    const [updatedRowsCount] = await Label.update(updateData, {
+      where: {
+        id,
+        userId: userId
+      }
+    });
+
+    if (updatedRowsCount === 0) {
+      return null;
+    }
+
+    return this.findById(id, userId);
+  }
+
+  async delete(id, userId) {
+    return Label.destroy({
+      where: {
+        id,
+        userId: userId
+      }
+    });
+  }
+}
+
+module.exports = new LabelRepository();
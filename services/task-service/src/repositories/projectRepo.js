@@ -0,0 +1,88 @@
+const { Project } = require('../models');
+
+class ProjectRepository {
+  async create(projectData) {
+    return Project.create({
+      userId: projectData.userId,
+      workspaceId: projectData.workspaceId || projectData.userId,
+      name: projectData.name,
+      description: projectData.description,
+      color: projectData.color
+    });
+  }
+
+  // A project the user created, in any workspace
+  async findById(id, userId) {
+    return Project.findOne({
+      where: {
+        id,
+        userId: userId
+      }
+    });
+  }
+
+  // Projects are shared by the members of their workspace; workspaceId may be a list
+  async findInWorkspace(id, workspaceId) {
+    return Project.findOne({
+      where: {
+        id,
+        workspaceId: workspaceId
+      }
+    });
+  }
+
+  // Names are unique within a workspace
+  async findByName(name, workspaceId) {
+    return Project.findOne({
+      where: {
+        name,
+        workspaceId: workspaceId
+      }
+    });
+  }
+
+  async findAllByWorkspace(workspaceId, options = {}) {
+    return Project.findAll({
+      where: {
+        workspaceId: workspaceId
+      },
+      order: [['name', 'ASC']],
+      ...options
+    });
+  }
+
+  // Moves a project of a deleted workspace, under a name free in the new one
+  async moveToWorkspace(id, workspaceId, name, options = {}) {
+    const [updatedRowsCount] = await Project.update({ workspaceId, name }, {
+      where: { id },
+      ...options
+    });
+    return updatedRowsCount;
+  }
+
+  async update(id, workspaceId, updateData) {
+    const [updatedRowsCount] = await Project.update(updateData, {
+      where: {
+        id,
+        workspaceId: workspaceId
+      }
+    });
+
+    if (updatedRowsCount === 0) {
+      return null;
+    }
+
+    return this.findInWorkspace(id, workspaceId);
+  }
+
+  async delete(id, workspaceId) {
+    return Project.destroy({
+      where: {
+        id,
+        workspaceId: workspaceId
+      }
+    });
+  }
+}
+
+module.exports = new ProjectRepository();
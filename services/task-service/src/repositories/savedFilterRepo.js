@@ -0,0 +1,64 @@
+const { SavedFilter } = require('../models');
+
+class SavedFilterRepository {
+  async create(filterData) {
+    return SavedFilter.create({
+      userId: filterData.userId,
+      name: filterData.name,
+      query: filterData.query
+    });
+  }
+
+  async findById(id, userId) {
+    return SavedFilter.findOne({
+      where: {
+        id,
+        userId: userId
+      }
+    });
+  }
+
+  async findByName(name, userId) {
+    return SavedFilter.findOne({
+      where: {
+        name,
+        userId: userId
+      }
+    });
+  }
+
+  async findAllByUser(userId) {
+    return SavedFilter.findAll({
+      where: {
+        userId: userId
+      },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  async update(id, userId, updateData) {
+    const [updatedRowsCount] = await SavedFilter.update(updateData, {
+      where: {
+        id,
+        userId: userId
+      }
+    });
+
+    if (updatedRowsCount === 0) {
+      return null;
+    }
+
+    return this.findById(id, userId);
+  }
+
+  async delete(id, userId) {
+    return SavedFilter.destroy({
+      where: {
+        id,
+        userId: userId
+      }
+    });
+  }
+}
+
+module.exports = new SavedFilterRepository();
@@ -0,0 +1,106 @@
+const { Share } = require('../models');
+const { Op } = require('sequelize');
+
+// resource is { taskId } or { projectId }
+class ShareRepository {
+  async create(shareData) {
+    return Share.create({
+      taskId: shareData.taskId || null,
+      projectId: shareData.projectId || null,
+      ownerId: shareData.ownerId,
+      email: shareData.email,
+      userId: shareData.userId || null,
+      role: shareData.role
+    });
+  }
+
+  async findById(id, resource, ownerId) {
+    return Share.findOne({
+      where: {
+        id,
+        ...resource,
+        ownerId: ownerId
+      }
+    });
+  }
+
+  async findByEmail(resource, email) {
+    return Share.findOne({
+      where: {
+        ...resource,
+        email
+      }
+    });
+  }
+
+  async findAllByResource(resource, ownerId) {
+    return Share.findAll({
+      where: {
+        ...resource,
+        ownerId: ownerId
+      },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  async update(id, resource, ownerId, updateData) {
+    const [updatedRowsCount] = await Share.update(updateData, {
+      where: {
+        id,
+        ...resource,
+        ownerId: ownerId
+      }
+    });
+
+    if (updatedRowsCount === 0) {
+      return null;
+    }
+
+    return this.findById(id, resource, ownerId);
+  }
+
+  async delete(id, resource, ownerId) {
+    return Share.destroy({
+      where: {
+        id,
+        ...resource,
+        ownerId: ownerId
+      }
+    });
+  }
+
+  // The user an email was bound to by an earlier accepted invitation, if any
+  async findUserIdByEmail(email) {
+    const share = await Share.findOne({
+      where: {
+        email,
+        userId: { [Op.ne]: null }
+      },
+      attributes: ['userId']
+    });
+    return share ? share.userId : null;
+  }
+
+  // The emails the given users accepted invitations with
+  async findEmailsByUserIds(userIds) {
+    return Share.findAll({
+      where: { userId: userIds },
+      attributes: ['userId', 'email'],
+      group: ['userId', 'email']
+    });
+  }
+
+  // Accept the pending invitations for email, returns the accepted shares
+  async claimByEmail(userId, email) {
+    const [, shares] = await Share.update({ userId }, {
+      where: {
+        email,
+        userId: null
+      },
+      returning: true
+    });
+    return shares;
+  }
+}
+
+module.exports = new ShareRepository();
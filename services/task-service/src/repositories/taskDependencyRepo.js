@@ -0,0 +1,59 @@
+const { TaskDependency } = require('../models');
+
+class TaskDependencyRepository {
+  async create(dependencyData) {
+    return TaskDependency.create({
+      userId: dependencyData.userId,
+      taskId: dependencyData.taskId,
+      dependsOnId: dependencyData.dependsOnId
+    });
+  }
+
+  async find(taskId, dependsOnId, userId) {
+    return TaskDependency.findOne({
+      where: {
+        taskId,
+        dependsOnId,
+        userId: userId
+      }
+    });
+  }
+
+  async delete(taskId, dependsOnId, userId) {
+    return TaskDependency.destroy({
+      where: {
+        taskId,
+        dependsOnId,
+        userId: userId
+      }
+    });
+  }
+
+  // IDs of the tasks that `taskId` depends on
+  async findDependencyIds(taskId, userId, options = {}) {
+    const dependencies = await TaskDependency.findAll({
+      where: {
+        taskId,
+        userId: userId
+      },
+      attributes: ['dependsOnId'],
+      transaction: options.transaction
+    });
+    return dependencies.map(dependency => dependency.dependsOnId);
+  }
+
+  // IDs of the tasks that depend on `dependsOnId`
+  async findDependentIds(dependsOnId, userId, options = {}) {
+    const dependents = await TaskDependency.findAll({
+      where: {
+        dependsOnId,
+        userId: userId
+      },
+      attributes: ['taskId'],
+      transaction: options.transaction
+    });
+    return dependents.map(dependent => dependent.taskId);
+  }
+}
+
+module.exports = new TaskDependencyRepository();
@@ -0,0 +1,35 @@
+const { TaskHistory } = require('../models');
+
+class TaskHistoryRepository {
+  async create(entryData, options = {}) {
+    return TaskHistory.create({
+      taskId: entryData.taskId,
+      userId: entryData.userId,
+      actorId: entryData.actorId || entryData.userId,
+      action: entryData.action,
+      changes: entryData.changes || {}
+    }, {
+      transaction: options.transaction
+    });
+  }
+
+  // Newest entries first
+  async findByTask(taskId, userId, options = {}) {
+    const {
+      limit = 50,
+      offset = 0
+    } = options;
+
+    return TaskHistory.findAndCountAll({
+      where: {
+        taskId,
+        userId: userId
+      },
+      limit,
+      offset,
+      order: [['createdAt', 'DESC'], ['id', 'ASC']]
+    });
+  }
+}
+
+module.exports = new TaskHistoryRepository();
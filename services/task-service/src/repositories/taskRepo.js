@@ -1,71 +1,843 @@
-const { Task } = require('../models');
-const { Op } = require('sequelize');
+const { Task, Label, TaskLabel, sequelize } = require('../models');
+const { Op, fn, col, literal } = require('sequelize');
+const { validate: isUuid } = require('uuid');
+const { dayBounds } = require('../utils/timezone');
+const { POSITION_STEP } = require('../utils/position');
+const { dueRange } = require('../utils/filterQuery');
+
+// Labels are returned with every task, without the join table columns
+const includeLabels = () => [{
+  model: Label,
+  as: 'labels',
+  attributes: ['id', 'name', 'color'],
+  through: { attributes: [] }
+}];
+
+const SHARE_ROLES = ['viewer', 'editor'];
+
+// Tasks shared with userId with at least `role`: shared directly, through their
+// parent task or through their project. Pending invitations don't count yet
+const sharedWith = (userId, role) => {
+  const roles = SHARE_ROLES.slice(SHARE_ROLES.indexOf(role)).map(name => sequelize.escape(name)).join(', ');
+  const sharedIds = (column) => literal(
+    `(SELECT "${column}" FROM shares WHERE "userId" = ${sequelize.escape(userId)} AND role IN (${roles}) AND "${column}" IS NOT NULL)`
+  );
+
+  return {
+    [Op.or]: [
+      { id: { [Op.in]: sharedIds('taskId') } },
+      { parentId: { [Op.in]: sharedIds('taskId') } },
+      { projectId: { [Op.in]: sharedIds('projectId') } }
+    ]
+  };
+};
+
+// Lists cover every member's tasks of the active workspace when one is given,
+// the calendar feed leaves it out to span every task the user created
+const scopeWhere = (userId, workspaceId) => (workspaceId ? { workspaceId: workspaceId } : { userId: userId });
+
+// Tasks of the user's active and personal workspace or, without a workspaceId,
+// tasks userId created. With a role also the tasks shared with them with that role
+const accessWhere = (userId, role, workspaceId) => {
+  const own = workspaceId ? { workspaceId: [...new Set([workspaceId, userId])] } : { userId: userId };
+  return role ? { [Op.or]: [own, sharedWith(userId, role)] } : own;
+};
 
 class TaskRepository {
-  async create(taskData) {
+  // Run callback(transaction) in one DB transaction, other methods accept { transaction }
+  // Inside another transaction ({ transaction }) this creates a savepoint instead
+  async transaction(callback, options = {}) {
+    return sequelize.transaction({ transaction: options.transaction }, callback);
+  }
+
+  // New tasks go to the end of their status column in the workspace
+  async create(taskData, options = {}) {
+    const status = taskData.status || 'pending';
+    const workspaceId = taskData.workspaceId || taskData.userId;
+    const last = await this.findLastPosition(workspaceId, status, options);
+
     return Task.create({
       userId: taskData.userId,
+      workspaceId: workspaceId,
       title: taskData.title,
       description: taskData.description,
       dueDate: taskData.dueDate,
       priority: taskData.priority || 'medium',
-      status: taskData.status || 'pending',
-      remindBefore: taskData.remindBefore
-    });
+      status,
+      position: last === null ? POSITION_STEP : last + POSITION_STEP,
+      remindBefore: taskData.remindBefore,
+      recurrenceRule: taskData.recurrenceRule,
+      seriesId: taskData.seriesId,
+      recurrenceId: taskData.recurrenceId,
+      parentId: taskData.parentId,
+      projectId: taskData.projectId,
+      externalId: taskData.externalId,
+      timezone: taskData.timezone
+    }, options);
   }
 
-  async findById(id, userId) {
+  // With { role: 'viewer' | 'editor' } tasks shared with the user are found too,
+  // with { workspaceId } the tasks of the workspace's members, see accessWhere
+  async findById(id, userId, options = {}) {
     return Task.findOne({
       where: {
         id,
-        userId: userId
-      }
+        ...accessWhere(userId, options.role, options.workspaceId)
+      },
+      include: includeLabels(),
+      transaction: options.transaction
     });
   }
 
-  async update(id, userId, updateData) {
-    const [updatedRowsCount] = await Task.update(updateData, {
-      where: {
-        id,
-        userId: userId
-      }
+  // Every update bumps the version; with { version } the task is only updated
+  // if it still has that version, otherwise null is returned. { role, workspaceId } as in findById
+  async update(id, userId, updateData, options = {}) {
+    const { version, role, workspaceId, ...queryOptions } = options;
+
+    const where = {
+      id,
+      ...accessWhere(userId, role, workspaceId)
+    };
+    if (version !== undefined && version !== null) {
+      where.version = version;
+    }
+
+    const [updatedRowsCount] = await Task.update({
+      ...updateData,
+      version: literal('"version" + 1')
+    }, {
+      where,
+      individualHooks: true, // Run afterUpdate so task events are published
+      ...queryOptions
     });
     
     if (updatedRowsCount === 0) {
       return null;
     }
     
-    return this.findById(id, userId);
+    return this.findById(id, userId, { ...queryOptions, role, workspaceId });
+  }
+
+  // Tasks matching imported IDs by externalId or, for our own exports, by id.
+  // Trashed tasks count too so a re-import doesn't bring them back as copies
+  async findByExternalIds(userId, externalIds) {
+    const ownIds = externalIds.filter(id => isUuid(id));
+
+    return Task.findAll({
+      where: {
+        userId: userId,
+        [Op.or]: [
+          { externalId: externalIds },
+          ...(ownIds.length ? [{ id: ownIds }] : [])
+        ]
+      },
+      attributes: ['id', 'externalId'],
+      paranoid: false
+    });
   }
 
-  async delete(id, userId) {
+  // Keyset batches ordered by id, for streaming every task of a user
+  // openWithDueDate limits the batch to unfinished tasks that have a due date
+  async findBatchAfter(userId, afterId, limit, { openWithDueDate = false, workspaceId } = {}) {
+    const where = scopeWhere(userId, workspaceId);
+    if (openWithDueDate) {
+      where.dueDate = {
+        [Op.ne]: null
+      };
+      where.status = {
+        [Op.ne]: 'completed'
+      };
+    }
+    if (afterId) {
+      where.id = {
+        [Op.gt]: afterId
+      };
+    }
+
+    return Task.findAll({
+      where,
+      include: includeLabels(),
+      order: [['id', 'ASC']],
+      limit
+    });
+  }
+
+  async findOpenBySeries(seriesId, userId, fromDate) {
+    const where = {
+      seriesId,
+      userId: userId,
+      status: {
+        [Op.ne]: 'completed'
+      }
+    };
+
+    if (fromDate) {
+      where.recurrenceId = {
+        [Op.gte]: fromDate
+      };
+    }
+
+    return Task.findAll({
+      where,
+      order: [['recurrenceId', 'ASC']]
+    });
+  }
+
+  async findLatestInSeries(seriesId, userId) {
+    return Task.findOne({
+      where: {
+        seriesId,
+        userId: userId
+      },
+      order: [['recurrenceId', 'DESC']]
+    });
+  }
+
+  // { workspaceId } as in findById
+  async findByIds(ids, userId, options = {}) {
+    return Task.findAll({
+      where: {
+        id: ids,
+        ...accessWhere(userId, null, options.workspaceId)
+      },
+      include: includeLabels(),
+      order: [['dueDate', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  async findSubtasks(parentId, userId, options = {}) {
+    return Task.findAll({
+      where: {
+        parentId,
+        userId: userId
+      },
+      order: [['createdAt', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  // IDs and creators of the tasks in a project, which every member of its workspace can fill
+  async findByProject(projectId) {
+    return Task.findAll({
+      where: {
+        projectId
+      },
+      attributes: ['id', 'userId']
+    });
+  }
+
+  // { role, workspaceId } as in findById
+  async delete(id, userId, options = {}) {
+    const { role, workspaceId, ...destroyOptions } = options;
+
     return Task.destroy({
       where: {
         id,
-        userId: userId
+        ...accessWhere(userId, role, workspaceId)
+      },
+      individualHooks: true, // Run afterDestroy so task.deleted is published
+      ...destroyOptions
+    });
+  }
+
+  // Tasks of other users shared with userId, soonest due first
+  async findSharedWith(userId, options = {}) {
+    const {
+      limit = 50,
+      offset = 0
+    } = options;
+
+    return Task.findAndCountAll({
+      where: {
+        [Op.and]: [
+          sharedWith(userId, 'viewer'),
+          { userId: { [Op.ne]: userId } }
+        ]
+      },
+      include: includeLabels(),
+      distinct: true,
+      limit,
+      offset,
+      order: [[literal('"Task"."dueDate" IS NULL'), 'ASC'], ['dueDate', 'ASC'], ['createdAt', 'DESC']]
+    });
+  }
+
+  // Tasks assigned to userId that they can still access, soonest due first
+  async findAssignedTo(userId, options = {}) {
+    const {
+      limit = 50,
+      offset = 0,
+      status,
+      workspaceId
+    } = options;
+
+    return Task.findAndCountAll({
+      where: {
+        assigneeId: userId,
+        ...accessWhere(userId, 'viewer', workspaceId),
+        ...(status ? { status } : {})
+      },
+      include: includeLabels(),
+      distinct: true,
+      limit,
+      offset,
+      order: [[literal('"Task"."dueDate" IS NULL'), 'ASC'], ['dueDate', 'ASC'], ['createdAt', 'DESC']]
+    });
+  }
+
+  // Unassign the owner's tasks from a user who can no longer access them, neither
+  // through a share nor as a member of the task's workspace (workspaceIds, the
+  // workspaces the assignee is a member of).
+  // Runs the hooks, so history is recorded and task.updated published
+  async unassignWithoutAccess(ownerId, assigneeId, workspaceIds = []) {
+    const assigned = await Task.findAll({
+      where: {
+        userId: ownerId,
+        assigneeId
+      },
+      attributes: ['id', 'workspaceId']
+    });
+    // Personal workspaces have only their owner as a member
+    const outsideWorkspace = assigned
+      .filter(task => task.workspaceId === ownerId || !workspaceIds.includes(task.workspaceId))
+      .map(task => task.id);
+    if (!outsideWorkspace.length) {
+      return 0;
+    }
+
+    const accessible = await Task.findAll({
+      where: {
+        id: outsideWorkspace,
+        ...sharedWith(assigneeId, 'viewer')
+      },
+      attributes: ['id']
+    });
+    const accessibleIds = accessible.map(task => task.id);
+    const lostIds = outsideWorkspace.filter(id => !accessibleIds.includes(id));
+    if (!lostIds.length) {
+      return 0;
+    }
+
+    const [updatedRowsCount] = await Task.update({
+      assigneeId: null,
+      version: literal('"version" + 1')
+    }, {
+      where: {
+        id: lostIds,
+        userId: ownerId
+      },
+      individualHooks: true
+    });
+    return updatedRowsCount;
+  }
+
+  // Every task of a workspace, trashed ones too, in board order
+  async findAllInWorkspace(workspaceId, options = {}) {
+    return Task.findAll({
+      where: { workspaceId: workspaceId },
+      attributes: ['id', 'userId', 'status', 'projectId', 'parentId'],
+      order: [['position', 'ASC'], ['id', 'ASC']],
+      paranoid: false,
+      ...options
+    });
+  }
+
+  // Moves a task of a deleted workspace, trashed or not
+  async moveToWorkspace(id, updateData, options = {}) {
+    const [updatedRowsCount] = await Task.update({
+      ...updateData,
+      version: literal('"version" + 1')
+    }, {
+      where: { id },
+      paranoid: false,
+      individualHooks: true,
+      ...options
+    });
+    return updatedRowsCount;
+  }
+
+  // Unassigns the given tasks from assignees other than their owner who
+  // can't open them through a share
+  async unassignUnshared(ids, options = {}) {
+    const assigned = await Task.findAll({
+      where: {
+        id: ids,
+        assigneeId: { [Op.ne]: null }
+      },
+      attributes: ['id', 'userId', 'assigneeId'],
+      paranoid: false,
+      ...options
+    });
+
+    const lostIds = [];
+    for (const task of assigned) {
+      if (task.assigneeId === task.userId) {
+        continue;
       }
+      const accessible = await Task.count({
+        where: {
+          id: task.id,
+          ...sharedWith(task.assigneeId, 'viewer')
+        },
+        paranoid: false,
+        ...options
+      });
+      if (!accessible) {
+        lostIds.push(task.id);
+      }
+    }
+    if (!lostIds.length) {
+      return 0;
+    }
+
+    const [updatedRowsCount] = await Task.update({
+      assigneeId: null,
+      version: literal('"version" + 1')
+    }, {
+      where: { id: lostIds },
+      paranoid: false,
+      individualHooks: true,
+      ...options
     });
+    return updatedRowsCount;
   }
 
-  async findAllByUser(userId, options = {}) {
+  // Users a task is shared with, see Task.collaboratorIds
+  async findCollaboratorIds(task) {
+    return Task.collaboratorIds(task);
+  }
+
+  // Which of the given tasks userId may edit as a collaborator
+  async findEditableIds(userId, ids) {
+    if (!ids.length) {
+      return [];
+    }
+
+    const tasks = await Task.findAll({
+      where: {
+        id: ids,
+        ...sharedWith(userId, 'editor')
+      },
+      attributes: ['id']
+    });
+    return tasks.map(task => task.id);
+  }
+
+  // Trash: soft-deleted tasks are only visible to these methods. With
+  // { workspaceId } the trash of the workspace, with every member's tasks
+  async findTrash(userId, options = {}) {
     const {
       limit = 50,
       offset = 0,
-      order = [['createdAt', 'DESC']],
-      where = {}
+      workspaceId
     } = options;
 
     return Task.findAndCountAll({
       where: {
-        userId: userId,
-        ...where
+        ...scopeWhere(userId, workspaceId),
+        deletedAt: {
+          [Op.ne]: null
+        }
       },
+      include: includeLabels(),
+      distinct: true,
+      paranoid: false,
       limit,
       offset,
-      order
+      order: [['deletedAt', 'DESC']]
+    });
+  }
+
+  async findDeletedById(id, userId, options = {}) {
+    return Task.findOne({
+      where: {
+        id,
+        ...accessWhere(userId, null, options.workspaceId),
+        deletedAt: {
+          [Op.ne]: null
+        }
+      },
+      paranoid: false
     });
   }
 
+  async findDeletedSubtasks(parentId, userId) {
+    return Task.findAll({
+      where: {
+        parentId,
+        userId: userId,
+        deletedAt: {
+          [Op.ne]: null
+        }
+      },
+      paranoid: false
+    });
+  }
+
+  async restore(id, userId) {
+    await Task.restore({
+      where: {
+        id,
+        userId: userId
+      },
+      individualHooks: true // Run afterRestore so task.created is published
+    });
+
+    return this.findById(id, userId);
+  }
+
+  // Permanently delete tasks that have been in the trash since before `cutoff`
+  async purgeDeletedBefore(cutoff) {
+    return Task.destroy({
+      where: {
+        deletedAt: {
+          [Op.lt]: cutoff
+        }
+      },
+      // Subtasks and every row of the task (labels, dependencies, history, comments,
+      // time entries, attachments, shares) go with it by the ON DELETE CASCADE
+      // foreign keys the models declare, so sync() creates them as well
+      force: true
+    });
+  }
+
+  // Keyset pagination: tasks ordered by sort.field then id, starting after cursor
+  async findAllByUser(userId, options = {}) {
+    const {
+      limit = 50,
+      sort = { field: 'createdAt', direction: 'DESC' },
+      cursor = null,
+      where = {},
+      filters = {},
+      workspaceId
+    } = options;
+
+    const baseWhere = {
+      ...scopeWhere(userId, workspaceId),
+      ...this.buildFilterWhere(filters),
+      ...where
+    };
+    // Terms of a filter query, see filterQueryWhere
+    if (filters.query) {
+      baseWhere[Op.and] = this.filterQueryWhere(userId, filters.query, { timezone: filters.timezone, workspaceId });
+    }
+
+    const [rows, count] = await Promise.all([
+      Task.findAll({
+        where: cursor
+          ? { ...baseWhere, [Op.and]: [...(baseWhere[Op.and] || []), this.cursorWhere(sort, cursor)] }
+          : baseWhere,
+        include: includeLabels(),
+        limit,
+        // Tasks without a due date always come last, id breaks ties
+        order: [
+          [sort.field, `${sort.direction} NULLS LAST`],
+          ['id', 'ASC']
+        ]
+      }),
+      Task.count({
+        where: baseWhere
+      })
+    ]);
+
+    return { rows, count };
+  }
+
+  // Rows strictly after the cursor position in the given sort order
+  cursorWhere({ field, direction }, cursor) {
+    if (cursor.value === null) {
+      return {
+        [field]: null,
+        id: { [Op.gt]: cursor.id }
+      };
+    }
+
+    const clauses = [
+      { [field]: { [direction === 'ASC' ? Op.gt : Op.lt]: cursor.value } },
+      { [field]: cursor.value, id: { [Op.gt]: cursor.id } }
+    ];
+
+    // Nulls are sorted last, so they follow every non-null value
+    if (field === 'dueDate') {
+      clauses.push({ [field]: null });
+    }
+
+    return { [Op.or]: clauses };
+  }
+
+  // Board columns hold the tasks of a workspace with one status.
+  // Highest position in a column, null when it is empty
+  async findLastPosition(workspaceId, status, options = {}) {
+    return Task.max('position', {
+      where: { workspaceId: workspaceId, status },
+      transaction: options.transaction
+    });
+  }
+
+  // Position of the task next to a position in a column, null at either end
+  async findAdjacentPosition(workspaceId, status, position, direction, excludeId) {
+    const next = direction === 'after';
+    const task = await Task.findOne({
+      where: {
+        workspaceId: workspaceId,
+        status,
+        id: { [Op.ne]: excludeId },
+        position: { [next ? Op.gt : Op.lt]: position }
+      },
+      attributes: ['position'],
+      order: [['position', next ? 'ASC' : 'DESC']]
+    });
+    return task ? task.position : null;
+  }
+
+  // Spaces out the positions of a column again, keeping the order. Moves only
+  // need this once halving has used up the precision between two tasks, so it
+  // bypasses hooks and versions: the tasks themselves don't change.
+  async respacePositions(workspaceId, status) {
+    await sequelize.query(`
+      UPDATE "tasks" SET "position" = ordered."rank" * :step
+      FROM (
+        SELECT "id", ROW_NUMBER() OVER (ORDER BY "position", "id") AS "rank"
+        FROM "tasks"
+        WHERE "workspaceId" = :workspaceId AND "status" = :status AND "deletedAt" IS NULL
+      ) AS ordered
+      WHERE "tasks"."id" = ordered."id"
+    `, {
+      replacements: { workspaceId, status, step: POSITION_STEP }
+    });
+  }
+
+  // Task counts grouped by project and status
+  async countByProject(userId, options = {}) {
+    return Task.findAll({
+      where: scopeWhere(userId, options.workspaceId),
+      attributes: ['projectId', 'status', [fn('COUNT', col('id')), 'count']],
+      group: ['projectId', 'status'],
+      raw: true
+    });
+  }
+
+  // Task counts grouped by a column such as status or priority
+  async countBy(userId, field, options = {}) {
+    const { openOnly = false, createdSince, workspaceId } = options;
+
+    const where = scopeWhere(userId, workspaceId);
+    if (openOnly) {
+      where.status = { [Op.ne]: 'completed' };
+    }
+    if (createdSince) {
+      where.createdAt = { [Op.gte]: createdSince };
+    }
+
+    return Task.findAll({
+      where,
+      attributes: [field, [fn('COUNT', col('id')), 'count']],
+      group: [field],
+      raw: true
+    });
+  }
+
+  // Completion times of the tasks completed since a time
+  async findCompletedSince(userId, since, options = {}) {
+    const tasks = await Task.findAll({
+      where: {
+        ...scopeWhere(userId, options.workspaceId),
+        status: 'completed',
+        completedAt: { [Op.gte]: since }
+      },
+      attributes: ['completedAt'],
+      raw: true
+    });
+    return tasks.map(task => task.completedAt);
+  }
+
+  // Calendar days (YYYY-MM-DD in timeZone) with a completed task, oldest first
+  async findCompletionDays(userId, timeZone, options = {}) {
+    const day = fn('to_char', literal(`"completedAt" AT TIME ZONE ${sequelize.escape(timeZone)}`), 'YYYY-MM-DD');
+    const rows = await Task.findAll({
+      where: {
+        ...scopeWhere(userId, options.workspaceId),
+        status: 'completed',
+        completedAt: { [Op.ne]: null }
+      },
+      attributes: [[day, 'day']],
+      group: [day],
+      order: [[day, 'ASC']],
+      raw: true
+    });
+    return rows.map(row => row.day);
+  }
+
+  // Mean hours from creation to completion of completed tasks, null without any
+  async averageCompletionHours(userId, options = {}) {
+    const [row] = await Task.findAll({
+      where: {
+        ...scopeWhere(userId, options.workspaceId),
+        status: 'completed',
+        completedAt: { [Op.ne]: null }
+      },
+      attributes: [[fn('AVG', literal('EXTRACT(EPOCH FROM "completedAt" - "createdAt") / 3600')), 'hours']],
+      raw: true
+    });
+    return row && row.hours !== null ? Number(row.hours) : null;
+  }
+
+  // Tasks due before a time that are open or were completed after openSince
+  async findDueBefore(userId, dueBefore, openSince, options = {}) {
+    return Task.findAll({
+      where: {
+        ...scopeWhere(userId, options.workspaceId),
+        dueDate: { [Op.lt]: dueBefore },
+        [Op.or]: [
+          { status: { [Op.ne]: 'completed' } },
+          { completedAt: { [Op.gte]: openSince } }
+        ]
+      },
+      attributes: ['status', 'dueDate', 'createdAt', 'completedAt'],
+      raw: true
+    });
+  }
+
+  buildFilterWhere(filters) {
+    const where = {};
+
+    if (filters.status) {
+      where.status = filters.status;
+    }
+    if (filters.priority) {
+      where.priority = filters.priority;
+    }
+    if (filters.search) {
+      where.title = {
+        [Op.iLike]: `%${filters.search}%`
+      };
+    }
+    if (filters.projectId !== undefined) {
+      where.projectId = filters.projectId;
+    }
+    if (filters.labelIds) {
+      where.id = {
+        [Op.in]: this.labelFilterQuery(filters.labelIds, filters.labelMatch)
+      };
+    }
+    // Both ends are inclusive, tasks without a due date never match
+    if (filters.dueFrom || filters.dueTo) {
+      where.dueDate = {};
+      if (filters.dueFrom) {
+        where.dueDate[Op.gte] = filters.dueFrom;
+      }
+      if (filters.dueTo) {
+        where.dueDate[Op.lte] = filters.dueTo;
+      }
+    }
+
+    return where;
+  }
+
+  // Conditions of a parsed filter query (utils/filterQuery), to be ANDed.
+  // Due dates are resolved in the user's time zone at the time of the query,
+  // project names among the projects of the workspace
+  filterQueryWhere(userId, terms, { timezone = 'UTC', now = new Date(), workspaceId } = {}) {
+    return terms.map(term => {
+      const condition = {
+        [Op.or]: term.values.map(value => this.filterValueWhere(userId, term.field, value, { timezone, now, workspaceId }))
+      };
+      if (!term.negate) {
+        return condition;
+      }
+
+      // NOT over a NULL column is NULL, tasks without a due date or project are added back
+      const column = { due: 'dueDate', project: 'projectId' }[term.field];
+      return column && !term.values.includes('none')
+        ? { [Op.or]: [{ [column]: null }, { [Op.not]: condition }] }
+        : { [Op.not]: condition };
+    });
+  }
+
+  filterValueWhere(userId, field, value, { timezone, now, workspaceId }) {
+    switch (field) {
+      case 'status':
+        return { status: value };
+      case 'priority':
+        return { priority: value };
+      case 'due': {
+        const range = dueRange(value, { now, timeZone: timezone });
+        if (!range) {
+          return { dueDate: null };
+        }
+        const where = { dueDate: {} };
+        if (range.from) {
+          where.dueDate[Op.gte] = range.from;
+        }
+        if (range.to) {
+          where.dueDate[Op.lt] = range.to;
+        }
+        if (range.openOnly) {
+          where.status = { [Op.ne]: 'completed' };
+        }
+        return where;
+      }
+      // Projects and labels are matched by name, ignoring case
+      case 'project': {
+        if (value === 'none') {
+          return { projectId: null };
+        }
+        const owner = workspaceId
+          ? `"workspaceId" = ${sequelize.escape(workspaceId)}`
+          : `"userId" = ${sequelize.escape(userId)}`;
+        return { projectId: { [Op.in]: literal(`(SELECT id FROM projects WHERE ${owner} AND lower(name) = lower(${sequelize.escape(value)}))`) } };
+      }
+      case 'label':
+        return {
+          id: {
+            [Op.in]: literal(`(SELECT tl."taskId" FROM task_labels tl JOIN labels l ON l.id = tl."labelId" WHERE l."userId" = ${sequelize.escape(userId)} AND lower(l.name) = lower(${sequelize.escape(value)}))`)
+          }
+        };
+      default:
+        return { title: { [Op.iLike]: `%${value}%` } };
+    }
+  }
+
+  // Number of tasks matching the conditions of filterQueryWhere
+  async countMatching(userId, conditions, options = {}) {
+    return Task.count({
+      where: {
+        ...scopeWhere(userId, options.workspaceId),
+        [Op.and]: conditions
+      }
+    });
+  }
+
+  // Task IDs carrying any (or, with match "all", every one) of the given labels
+  labelFilterQuery(labelIds, match = 'any') {
+    if (!labelIds.length) {
+      return literal('(NULL)');
+    }
+
+    const ids = labelIds.map(id => sequelize.escape(id)).join(', ');
+    const having = match === 'all'
+      ? ` GROUP BY "taskId" HAVING COUNT(DISTINCT "labelId") = ${labelIds.length}`
+      : '';
+
+    return literal(`(SELECT "taskId" FROM task_labels WHERE "labelId" IN (${ids})${having})`);
+  }
+
+  async setLabels(taskId, labelIds, options = {}) {
+    await TaskLabel.destroy({
+      where: {
+        taskId
+      },
+      transaction: options.transaction
+    });
+
+    if (labelIds.length) {
+      await TaskLabel.bulkCreate(labelIds.map(labelId => ({ taskId, labelId })), {
+        transaction: options.transaction
+      });
+    }
+  }
+
   async findByStatus(userId, status, options = {}) {
     const {
       limit = 50,
@@ -100,22 +872,29 @@ class TaskRepository {
     });
   }
 
+  // Overdue tasks were due before today began in the user's time zone,
+  // tasks due earlier today are still listed as due today
   async findOverdue(userId, options = {}) {
     const {
       limit = 50,
-      offset = 0
+      offset = 0,
+      timezone = 'UTC',
+      workspaceId
     } = options;
 
+    const { start } = dayBounds(new Date(), timezone);
+
     return Task.findAndCountAll({
       where: {
-        userId: userId,
+        ...scopeWhere(userId, workspaceId),
         dueDate: {
-          [Op.lt]: new Date()
+          [Op.lt]: start
         },
         status: {
           [Op.ne]: 'completed'
         }
       },
+      include: includeLabels(),
       limit,
       offset,
       order: [['dueDate', 'ASC']]
@@ -125,31 +904,62 @@ class TaskRepository {
   async findDueToday(userId, options = {}) {
     const {
       limit = 50,
-      offset = 0
+      offset = 0,
+      timezone = 'UTC',
+      workspaceId
     } = options;
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const { start, end } = dayBounds(new Date(), timezone);
 
     return Task.findAndCountAll({
       where: {
-        userId: userId,
+        ...scopeWhere(userId, workspaceId),
         dueDate: {
-          [Op.gte]: today,
-          [Op.lt]: tomorrow
+          [Op.gte]: start,
+          [Op.lt]: end
         },
         status: {
           [Op.ne]: 'completed'
         }
       },
+      include: includeLabels(),
       limit,
       offset,
       order: [['priority', 'DESC'], ['dueDate', 'ASC']]
     });
   }
 
+  // Full-text search over the generated "searchVector" column, best matches first
+  async search(userId, query, options = {}) {
+    const {
+      limit = 50,
+      offset = 0,
+      filters = {},
+      workspaceId
+    } = options;
+
+    const tsQuery = `websearch_to_tsquery('english', ${sequelize.escape(query)})`;
+    const where = {
+      ...scopeWhere(userId, workspaceId),
+      ...this.buildFilterWhere(filters),
+      [Op.and]: [literal(`"searchVector" @@ ${tsQuery}`)]
+    };
+
+    return Task.findAndCountAll({
+      where,
+      attributes: {
+        include: [
+          [literal(`ts_rank_cd("searchVector", ${tsQuery})`), 'rank'],
+          [literal(`ts_headline('english', title, ${tsQuery}, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')`), 'titleHighlight'],
+          [literal(`ts_headline('english', coalesce(description, ''), ${tsQuery}, 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2')`), 'snippet']
+        ]
+      },
+      limit,
+      offset,
+      order: [[literal('rank'), 'DESC'], ['updatedAt', 'DESC'], ['id', 'ASC']]
+    });
+  }
+
   async searchByTitle(userId, searchTerm, options = {}) {
     const {
       limit = 50,
@@ -0,0 +1,51 @@
+const { TaskSeries } = require('../models');
+
+class TaskSeriesRepository {
+  async create(seriesData, options = {}) {
+    return TaskSeries.create({
+      userId: seriesData.userId,
+      recurrenceRule: seriesData.recurrenceRule,
+      startDate: seriesData.startDate,
+      title: seriesData.title,
+      description: seriesData.description,
+      priority: seriesData.priority || 'medium',
+      remindBefore: seriesData.remindBefore
+    }, options);
+  }
+
+  async findById(id, userId) {
+    return TaskSeries.findOne({
+      where: {
+        id,
+        userId: userId
+      }
+    });
+  }
+
+  async update(id, userId, updateData) {
+    const [updatedRowsCount] = await TaskSeries.update(updateData, {
+      where: {
+        id,
+        userId: userId
+      }
+    });
+
+    if (updatedRowsCount === 0) {
+      return null;
+    }
+
+    return this.findById(id, userId);
+  }
+
+  async incrementOccurrenceCount(id, userId, options = {}) {
+    return TaskSeries.increment('occurrenceCount', {
+      where: {
+        id,
+        userId: userId
+      },
+      transaction: options.transaction
+    });
+  }
+}
+
+module.exports = new TaskSeriesRepository();
@@ -0,0 +1,117 @@
+const { TimeEntry, Task } = require('../models');
+const { Op, fn, literal } = require('sequelize');
+
+// Running entries count up to now
+const ENTRY_SECONDS = literal('FLOOR(EXTRACT(EPOCH FROM (COALESCE("endedAt", NOW()) - "startedAt")))');
+
+// Tasks are included with their title, also when they are in the trash
+const includeTask = () => [{
+  model: Task,
+  as: 'task',
+  attributes: ['id', 'title'],
+  paranoid: false
+}];
+
+class TimeEntryRepository {
+  async create(entryData) {
+    return TimeEntry.create({
+      taskId: entryData.taskId,
+      userId: entryData.userId,
+      startedAt: entryData.startedAt,
+      endedAt: entryData.endedAt || null,
+      note: entryData.note || null
+    });
+  }
+
+  async findById(id, taskId) {
+    return TimeEntry.findOne({
+      where: {
+        id,
+        taskId
+      }
+    });
+  }
+
+  // The user's running timer, at most one
+  async findRunning(userId) {
+    return TimeEntry.findOne({
+      where: {
+        userId: userId,
+        endedAt: null
+      },
+      include: includeTask()
+    });
+  }
+
+  // Newest entries first
+  async findByTask(taskId, options = {}) {
+    const {
+      limit = 50,
+      offset = 0
+    } = options;
+
+    return TimeEntry.findAndCountAll({
+      where: {
+        taskId
+      },
+      limit,
+      offset,
+      order: [['startedAt', 'DESC'], ['id', 'ASC']]
+    });
+  }
+
+  // Seconds tracked on a task per user
+  async sumByUser(taskId) {
+    return TimeEntry.findAll({
+      where: {
+        taskId
+      },
+      attributes: ['userId', [fn('SUM', ENTRY_SECONDS), 'seconds']],
+      group: ['userId'],
+      raw: true
+    });
+  }
+
+  // The user's entries overlapping [start, end), with their task
+  async findOverlapping(userId, start, end) {
+    return TimeEntry.findAll({
+      where: {
+        userId: userId,
+        startedAt: { [Op.lt]: end },
+        [Op.or]: [
+          { endedAt: null },
+          { endedAt: { [Op.gt]: start } }
+        ]
+      },
+      include: includeTask(),
+      order: [['startedAt', 'ASC']]
+    });
+  }
+
+  async update(entry, updateData) {
+    return entry.update(updateData);
+  }
+
+  // Stop every running timer on a task now, returns how many were stopped
+  async stopRunningByTask(taskId, options = {}) {
+    const [stopped] = await TimeEntry.update({ endedAt: literal(`date_trunc('second', NOW())`) }, {
+      where: {
+        taskId,
+        endedAt: null
+      },
+      transaction: options.transaction
+    });
+    return stopped;
+  }
+
+  async delete(id, taskId) {
+    return TimeEntry.destroy({
+      where: {
+        id,
+        taskId
+      }
+    });
+  }
+}
+
+module.exports = new TimeEntryRepository();
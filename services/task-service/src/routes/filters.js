@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFilters,
+  getFilter,
+  getFilterTasks,
+  createFilter,
+  updateFilter,
+  deleteFilter
+} = require('../controllers/savedFilterController');
+
+/**
+ * @swagger
+ * /api/filters:
+ *   get:
+ *     summary: Get all saved filters for the authenticated user
+ *     description: Each filter includes the number of tasks it currently matches.
+ *     tags: [Saved Filters]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of saved filters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 filters:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/SavedFilter'
+ *                       - type: object
+ *                         properties:
+ *                           count:
+ *                             type: integer
+ *                             description: Number of matching tasks
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a saved filter
+ *     tags: [Saved Filters]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedFilterRequest'
+ *     responses:
+ *       201:
+ *         description: Saved filter created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedFilter'
+ *       400:
+ *         description: Missing name or invalid filter query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A saved filter with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', getFilters);
+router.post('/', createFilter);
+
+/**
+ * @swagger
+ * /api/filters/{id}/tasks:
+ *   get:
+ *     summary: Get the tasks matching a saved filter
+ *     description: Paginated and sorted like GET /api/tasks. Relative due dates are resolved in the user's time zone.
+ *     tags: [Saved Filters]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved filter ID
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only tasks of this project, "none" for tasks without a project
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, dueDate, priority, updatedAt, title, position]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from nextCursor of the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of matching tasks, shaped like the response of GET /api/tasks
+ *       400:
+ *         description: Invalid sort, order, cursor or limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Saved filter not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/tasks', getFilterTasks);
+
+/**
+ * @swagger
+ * /api/filters/{id}:
+ *   get:
+ *     summary: Get a saved filter
+ *     tags: [Saved Filters]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved filter ID
+ *     responses:
+ *       200:
+ *         description: Saved filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedFilter'
+ *       404:
+ *         description: Saved filter not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Rename a saved filter or change its query
+ *     tags: [Saved Filters]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved filter ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedFilterRequest'
+ *     responses:
+ *       200:
+ *         description: Saved filter updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedFilter'
+ *       400:
+ *         description: Invalid name or filter query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Saved filter not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A saved filter with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a saved filter
+ *     description: The tasks it matched are not affected.
+ *     tags: [Saved Filters]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved filter ID
+ *     responses:
+ *       204:
+ *         description: Saved filter deleted successfully
+ *       404:
+ *         description: Saved filter not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', getFilter);
+router.put('/:id', updateFilter);
+router.delete('/:id', deleteFilter);
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel
+} = require('../controllers/labelController');
+
+/**
+ * @swagger
+ * /api/labels:
+ *   get:
+ *     summary: Get all labels for the authenticated user
+ *     tags: [Labels]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of labels
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 labels:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Label'
+ *   post:
+ *     summary: Create a label
+ *     tags: [Labels]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LabelRequest'
+ *     responses:
+ *       201:
+ *         description: Label created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Label'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A label with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', getLabels);
+router.post('/', createLabel);
+
+/**
+ * @swagger
+ * /api/labels/{id}:
+ *   put:
+ *     summary: Rename or recolor a label
+ *     description: Tasks reference labels by ID, so the change applies to every task carrying the label.
+ *     tags: [Labels]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Label ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LabelRequest'
+ *     responses:
+ *       200:
+ *         description: Label updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Label'
+ *       404:
+ *         description: Label not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A label with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a label
+ *     description: The label is removed from all tasks.
+ *     tags: [Labels]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Label ID
+ *     responses:
+ *       204:
+ *         description: Label deleted successfully
+ *       404:
+ *         description: Label not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id', updateLabel);
+router.delete('/:id', deleteLabel);
+
+module.exports = router;
@@ -2,16 +2,69 @@ const express = require('express');
 const router = express.Router();
 const {
   getAllTasks,
+  searchTasks,
+  bulkUpdateTasks,
+  exportTasks,
+  parseTask,
+  getCalendarFeed,
+  importTasks,
   getOverdueTasks,
   getTasksDueToday,
+  getTaskStats,
+  getTrash,
+  restoreTask,
+  getTaskHistory,
+  getTaskById,
   createTask,
   updateTask,
+  updateFutureOccurrences,
   deleteTask,
   markTaskAsCompleted,
   markTaskAsInProgress,
   updateTaskPriority,
-  updateTaskDueDate
+  updateTaskDueDate,
+  moveTask,
+  assignTask,
+  getAssignedToMe,
+  getSubtasks,
+  createSubtask,
+  updateSubtask,
+  deleteSubtask,
+  getBlockedBy,
+  addDependency,
+  removeDependency
 } = require('../controllers/taskController');
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  getCommentEdits
+} = require('../controllers/commentController');
+const {
+  getSharedWithMe,
+  getTaskShares,
+  shareTask,
+  updateTaskShare,
+  deleteTaskShare
+} = require('../controllers/shareController');
+const {
+  getTimer,
+  startTimer,
+  stopTimer,
+  getTimeReport,
+  getTimeEntries,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry
+} = require('../controllers/timeEntryController');
+const { requireIfMatch } = require('../middlewares/ifMatch');
 
 
 
@@ -45,51 +98,212 @@ const {
  *         description: Search tasks by title
  *         example: documentation
  *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Filter tasks by project, use "none" for tasks without a project
+ *         example: 7d9f2c1e-3b4a-4c5d-8e6f-1a2b3c4d5e6f
+ *       - in: query
+ *         name: labels
+ *         schema:
+ *           type: string
+ *         description: Comma separated label names
+ *         example: work,urgent
+ *       - in: query
+ *         name: match
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether tasks need any or all of the given labels
+ *       - in: query
+ *         name: dueFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only tasks due at or after this time
+ *         example: 2024-03-01T00:00:00.000Z
+ *       - in: query
+ *         name: dueTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only tasks due at or before this time
+ *         example: 2024-03-31T23:59:59.999Z
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *         description: Filter query as used by saved filters, relative due dates are resolved in the user's time zone
+ *         example: priority:high due:this-week status:pending
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, dueDate, priority, updatedAt, title, position]
+ *         description: Field to sort by (position is the board order), defaults to dueDate when filtering by status or priority and createdAt otherwise
+ *         example: dueDate
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Sort direction, defaults to asc for dueDate and title and desc for the other fields
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from nextCursor of the previous page, must be used with the same sort and order
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 50
+ *           maximum: 100
  *         description: Number of tasks to return
  *         example: 10
+ *     responses:
+ *       200:
+ *         description: A page of tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 total:
+ *                   type: integer
+ *                   description: Number of tasks matching the filters
+ *                 limit:
+ *                   type: integer
+ *                 sort:
+ *                   type: string
+ *                 order:
+ *                   type: string
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor for the next page, null on the last page
+ *       400:
+ *         description: Invalid sort, order, cursor, limit, due date range or filter query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', getAllTasks);
+
+/**
+ * @swagger
+ * /api/tasks/search:
+ *   get:
+ *     summary: Full-text search across task titles and descriptions
+ *     description: |
+ *       Results are ranked by relevance (title matches weigh more than description matches).
+ *       Matches in titleHighlight and snippet are wrapped in <mark></mark>.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search query, supports "quoted phrases", OR and -exclusions
+ *         example: release notes
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_progress, completed]
+ *         description: Filter results by status
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         description: Filter results by priority
+ *       - in: query
+ *         name: dueFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only tasks due at or after this date
+ *       - in: query
+ *         name: dueTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only tasks due at or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of results to return
  *       - in: query
  *         name: offset
  *         schema:
  *           type: integer
  *           default: 0
- *         description: Number of tasks to skip
- *         example: 0
+ *         description: Number of results to skip
  *     responses:
  *       200:
- *         description: List of tasks
+ *         description: Ranked search results
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 query:
+ *                   type: string
  *                 tasks:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Task'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Task'
+ *                       - type: object
+ *                         properties:
+ *                           rank:
+ *                             type: number
+ *                             example: 0.6
+ *                           titleHighlight:
+ *                             type: string
+ *                             example: Write <mark>release</mark> <mark>notes</mark>
+ *                           snippet:
+ *                             type: string
+ *                             example: Summarize the changes for the <mark>release</mark>
  *                 total:
  *                   type: integer
  *                 limit:
  *                   type: integer
  *                 offset:
  *                   type: integer
- *       401:
- *         description: Unauthorized
+ *       400:
+ *         description: Missing query or invalid filter
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', getAllTasks);
+router.get('/search', searchTasks);
 
 /**
  * @swagger
  * /api/tasks/overdue:
  *   get:
  *     summary: Get overdue tasks for the authenticated user
+ *     description: Open tasks due before the start of today in the user's time zone
  *     tags: [Tasks]
  *     security:
  *       - ApiKeyAuth: []
@@ -138,6 +352,7 @@ router.get('/overdue', getOverdueTasks);
  * /api/tasks/due-today:
  *   get:
  *     summary: Get tasks due today for the authenticated user
+ *     description: Tasks due between midnight and midnight in the user's time zone
  *     tags: [Tasks]
  *     security:
  *       - ApiKeyAuth: []
@@ -183,70 +398,22 @@ router.get('/due-today', getTasksDueToday);
 
 /**
  * @swagger
- * /api/tasks:
- *   post:
- *     summary: Create a new task
+ * /api/tasks/stats:
+ *   get:
+ *     summary: Get task counts and productivity metrics for the authenticated user
+ *     description: |
+ *       Days (due today, overdue, the daily trends and streaks) are calendar days in the
+ *       user's time zone. Completion rates cover tasks created in the last 7, 30 and 90 days.
  *     tags: [Tasks]
  *     security:
  *       - ApiKeyAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - title
- *             properties:
- *               title:
- *                 type: string
- *                 description: Task title
- *                 example: Complete project documentation
- *               description:
- *                 type: string
- *                 description: Task description
- *                 example: Write comprehensive documentation for the new feature
- *               due_date:
- *                 type: string
- *                 format: date-time
- *                 description: Task due date
- *                 example: 2024-03-20T15:30:00.000Z
- *               priority:
- *                 type: string
- *                 enum: [low, medium, high]
- *                 description: Task priority
- *                 example: high
- *               status:
- *                 type: string
- *                 enum: [pending, in_progress, completed]
- *                 description: Task status
- *                 example: pending
- *           examples:
- *             example1:
- *               summary: Basic task
- *               value:
- *                 title: Complete project documentation
- *                 description: Write comprehensive documentation for the new feature
- *                 due_date: 2024-03-20T15:30:00.000Z
- *                 priority: high
- *                 status: pending
- *             example2:
- *               summary: Simple task
- *               value:
- *                 title: Review code changes
  *     responses:
- *       201:
- *         description: Task created successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Task'
- *       400:
- *         description: Invalid input
+ *       200:
+ *         description: Task statistics
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               $ref: '#/components/schemas/TaskStats'
  *       401:
  *         description: Unauthorized
  *         content:
@@ -254,76 +421,60 @@ router.get('/due-today', getTasksDueToday);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', createTask);
+router.get('/stats', getTaskStats);
 
 /**
  * @swagger
- * /api/tasks/{id}:
- *   put:
- *     summary: Update an existing task
+ * /api/tasks/trash:
+ *   get:
+ *     summary: Get deleted tasks that can still be restored
+ *     description: Tasks stay in the trash for TRASH_RETENTION_DAYS days (default 30) and are then purged permanently.
  *     tags: [Tasks]
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: limit
  *         schema:
- *           type: string
- *         description: Task ID
- *         example: 123e4567-e89b-12d3-a456-426614174000
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 description: Task title
- *                 example: Updated task title
- *               description:
- *                 type: string
- *                 description: Task description
- *                 example: Updated task description
- *               due_date:
- *                 type: string
- *                 format: date-time
- *                 description: Task due date
- *                 example: 2024-03-21T16:00:00.000Z
- *               priority:
- *                 type: string
- *                 enum: [low, medium, high]
- *                 description: Task priority
- *                 example: medium
- *               status:
- *                 type: string
- *                 enum: [pending, in_progress, completed]
- *                 description: Task status
- *                 example: in_progress
- *           examples:
- *             example1:
- *               summary: Update task details
- *               value:
- *                 title: Updated task title
- *                 description: Updated task description
- *                 due_date: 2024-03-21T16:00:00.000Z
- *                 priority: medium
- *                 status: in_progress
+ *           type: integer
+ *           default: 50
+ *         description: Number of tasks to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of tasks to skip
  *     responses:
  *       200:
- *         description: Task updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Task'
- *       404:
- *         description: Task not found
+ *         description: Deleted tasks, most recently deleted first
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: object
+ *               properties:
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Task'
+ *                       - type: object
+ *                         properties:
+ *                           deletedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           purgeAt:
+ *                             type: string
+ *                             format: date-time
+ *                             description: When the task will be deleted permanently
+ *                 total:
+ *                   type: integer
+ *                 retentionDays:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
  *       401:
  *         description: Unauthorized
  *         content:
@@ -331,30 +482,2165 @@ router.post('/', createTask);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', updateTask);
+router.get('/trash', getTrash);
 
 /**
  * @swagger
- * /api/tasks/{id}:
- *   delete:
- *     summary: Delete a task
- *     tags: [Tasks]
+ * /api/tasks/shared:
+ *   get:
+ *     summary: Get the tasks other users shared with you
+ *     description: |
+ *       Tasks shared directly, as subtasks of a shared task or through a shared project,
+ *       soonest due first. Pending invitations for your email are accepted first once
+ *       the email is verified.
+ *     tags: [Shares]
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: limit
  *         schema:
- *           type: string
- *         description: Task ID
- *         example: 123e4567-e89b-12d3-a456-426614174000
- *     responses:
- *       204:
- *         description: Task deleted successfully
- *       404:
- *         description: Task not found
- *         content:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *         description: Number of tasks to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of tasks to skip
+ *     responses:
+ *       200:
+ *         description: Tasks shared with the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Task'
+ *                       - type: object
+ *                         properties:
+ *                           role:
+ *                             type: string
+ *                             enum: [viewer, editor]
+ *                             description: Your role on the task
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/shared', getSharedWithMe);
+
+/**
+ * @swagger
+ * /api/tasks/assigned-to-me:
+ *   get:
+ *     summary: Get the tasks assigned to you
+ *     description: Your own tasks and tasks shared with you that are assigned to you, soonest due first.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_progress, completed]
+ *         description: Only tasks with this status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *         description: Number of tasks to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of tasks to skip
+ *     responses:
+ *       200:
+ *         description: Tasks assigned to the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Task'
+ *                       - type: object
+ *                         properties:
+ *                           role:
+ *                             type: string
+ *                             enum: [viewer, editor]
+ *                             description: Your role on the task, only on tasks shared with you
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       400:
+ *         description: Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/assigned-to-me', getAssignedToMe);
+
+/**
+ * @swagger
+ * /api/tasks/timer:
+ *   get:
+ *     summary: Get your running timer
+ *     description: A user has at most one running timer, a time entry without endedAt.
+ *     tags: [Time tracking]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The running timer with its task, null when none is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 timer:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/TimeEntry'
+ *                   nullable: true
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/timer', getTimer);
+
+/**
+ * @swagger
+ * /api/tasks/timer/stop:
+ *   post:
+ *     summary: Stop your running timer
+ *     description: Stops the timer whichever task it runs on, also tasks in the trash.
+ *     tags: [Time tracking]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The stopped time entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TimeEntry'
+ *       404:
+ *         description: No timer is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/timer/stop', stopTimer);
+
+/**
+ * @swagger
+ * /api/tasks/time-report:
+ *   get:
+ *     summary: Get the time you tracked over a period
+ *     description: |
+ *       Totals per calendar day and per task in your time zone (x-user-timezone).
+ *       Entries crossing midnight are split between their days, running timers
+ *       count up to now. Time on tasks in the trash is included.
+ *     tags: [Time tracking]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the period, defaults to six days before to
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the period, defaults to today; at most 366 days after from
+ *     responses:
+ *       200:
+ *         description: Time tracked in the period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TimeReport'
+ *       400:
+ *         description: Invalid dates or a period that is too long
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/time-report', getTimeReport);
+
+/**
+ * @swagger
+ * /api/tasks:
+ *   post:
+ *     summary: Create a new task
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Task title
+ *                 example: Complete project documentation
+ *               description:
+ *                 type: string
+ *                 description: Task description
+ *                 example: Write comprehensive documentation for the new feature
+ *               due_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Task due date
+ *                 example: 2024-03-20T15:30:00.000Z
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *                 description: Task priority
+ *                 example: high
+ *               status:
+ *                 type: string
+ *                 enum: [pending, in_progress, completed]
+ *                 description: Task status
+ *                 example: pending
+ *               recurrenceRule:
+ *                 type: string
+ *                 description: RRULE-style recurrence rule (requires a due date)
+ *                 example: FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0
+ *           examples:
+ *             example1:
+ *               summary: Basic task
+ *               value:
+ *                 title: Complete project documentation
+ *                 description: Write comprehensive documentation for the new feature
+ *                 due_date: 2024-03-20T15:30:00.000Z
+ *                 priority: high
+ *                 status: pending
+ *             example2:
+ *               summary: Simple task
+ *               value:
+ *                 title: Review code changes
+ *             example3:
+ *               summary: Recurring task (last business day of the month)
+ *               value:
+ *                 title: Submit timesheet
+ *                 dueDate: 2024-03-29T17:00:00.000Z
+ *                 recurrenceRule: FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;BYHOUR=17;BYMINUTE=0
+ *     responses:
+ *       201:
+ *         description: Task created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', createTask);
+
+/**
+ * @swagger
+ * /api/tasks/parse:
+ *   post:
+ *     summary: Parse quick-add text
+ *     description: |
+ *       Extracts the due date, priority and reminder from natural-language text such as
+ *       "Pay rent tomorrow 5pm !high remind 1h before" and returns the remaining text as
+ *       the title. Understands today, tonight, tomorrow, weekdays (friday, next friday),
+ *       next week, in 3 days, in 2 hours, April 15, 2024-04-15, times (5pm, 17:30, at 9,
+ *       noon), priority markers (!high, !medium, !low, !1 to !3) and reminder offsets
+ *       (remind 30m before). Dates without a time are due at 9:00 in the given time zone.
+ *       Nothing is created.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Pay rent tomorrow 5pm !high remind 1h before
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone of the user, defaults to the one in the user's profile
+ *                 example: Europe/Berlin
+ *     responses:
+ *       200:
+ *         description: Parsed task fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ParsedTask'
+ *       400:
+ *         description: Missing text or invalid time zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/parse', parseTask);
+
+/**
+ * @swagger
+ * /api/tasks/bulk:
+ *   post:
+ *     summary: Apply operations to many tasks in one transaction
+ *     description: |
+ *       Each operation is applied in its own savepoint of a single transaction; an
+ *       operation that fails is reported in its result and undone, the others are
+ *       committed. Task events are published as one task.batch message.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   $ref: '#/components/schemas/BulkOperation'
+ *           example:
+ *             operations:
+ *               - action: complete
+ *                 taskId: 123e4567-e89b-12d3-a456-426614174000
+ *               - action: setPriority
+ *                 taskId: 9b2e4f7a-1c3d-4e5f-8a9b-0c1d2e3f4a5b
+ *                 priority: low
+ *               - action: moveToProject
+ *                 taskId: 9b2e4f7a-1c3d-4e5f-8a9b-0c1d2e3f4a5b
+ *                 projectId: null
+ *     responses:
+ *       200:
+ *         description: Per-operation results, in request order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BulkOperationResult'
+ *                 succeeded:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *       400:
+ *         description: Missing, empty or too many operations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/bulk', bulkUpdateTasks);
+
+/**
+ * @swagger
+ * /api/tasks/export:
+ *   get:
+ *     summary: Export all tasks of the authenticated user
+ *     description: |
+ *       Streams every task as a file download. CSV and JSON carry the same fields,
+ *       iCalendar exports one VTODO per task. Files can be imported again with
+ *       POST /api/tasks/import without creating duplicates.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ics]
+ *           default: json
+ *         description: File format
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         headers:
+ *           Content-Disposition:
+ *             description: attachment; filename="tasks-YYYY-MM-DD.<format>"
+ *             schema:
+ *               type: string
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExportedTask'
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', exportTasks);
+
+/**
+ * @swagger
+ * /api/tasks/calendar.ics:
+ *   get:
+ *     summary: Calendar subscription feed
+ *     description: |
+ *       iCalendar feed with one event per unfinished task that has a due date,
+ *       with the task reminder as its alarm. Calendar apps subscribe to it through
+ *       the API Gateway at /calendar/{token}.ics, which needs no JWT.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/calendar.ics', getCalendarFeed);
+
+/**
+ * @swagger
+ * /api/tasks/import:
+ *   post:
+ *     summary: Import tasks from a CSV, JSON or iCalendar file
+ *     description: |
+ *       Rows are validated and created one by one like POST /api/tasks, so events and
+ *       reminders fire for every new task. Rows whose externalId (or id, for CSV/JSON)
+ *       matches an existing task, or an earlier row, are skipped. Labels are matched by
+ *       name and created when missing. At most 1000 rows per import.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *               - content
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json, ics]
+ *               content:
+ *                 description: Text of the file; for json also the parsed array or export document
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/ExportedTask'
+ *           example:
+ *             format: csv
+ *             content: "externalId,title,priority,dueDate,labels\r\nT-1,Pay rent,high,2024-04-01T09:00:00Z,\"home,bills\"\r\n"
+ *     responses:
+ *       200:
+ *         description: Import summary with a result per row, in file order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 created:
+ *                   type: integer
+ *                 skipped:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRowResult'
+ *       400:
+ *         description: Unsupported format, unreadable content or too many rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/import', importTasks);
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   get:
+ *     summary: Get a task by ID
+ *     description: |
+ *       The ETag header carries the task version, send it back in If-Match when updating the task.
+ *       Tasks shared with you can be read too.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task details
+ *         headers:
+ *           ETag:
+ *             description: Task version, e.g. "3"
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', getTaskById);
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   put:
+ *     summary: Update an existing task
+ *     description: Editors of a shared task can update it as well.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *         example: 123e4567-e89b-12d3-a456-426614174000
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Task title
+ *                 example: Updated task title
+ *               description:
+ *                 type: string
+ *                 description: Task description
+ *                 example: Updated task description
+ *               due_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Task due date
+ *                 example: 2024-03-21T16:00:00.000Z
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *                 description: Task priority
+ *                 example: medium
+ *               status:
+ *                 type: string
+ *                 enum: [pending, in_progress, completed]
+ *                 description: Task status
+ *                 example: in_progress
+ *           examples:
+ *             example1:
+ *               summary: Update task details
+ *               value:
+ *                 title: Updated task title
+ *                 description: Updated task description
+ *                 due_date: 2024-03-21T16:00:00.000Z
+ *                 priority: medium
+ *                 status: in_progress
+ *     responses:
+ *       200:
+ *         description: Task updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       403:
+ *         description: The task is shared with you as viewer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ */
+router.put('/:id', requireIfMatch, updateTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/occurrence:
+ *   put:
+ *     summary: Update only this occurrence of a recurring task
+ *     description: Same as PUT /api/tasks/{id}. Changes are not copied into future occurrences.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateTaskRequest'
+ *     responses:
+ *       200:
+ *         description: Occurrence updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ */
+router.put('/:id/occurrence', requireIfMatch, updateTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/series:
+ *   put:
+ *     summary: Update this and all future occurrences of a recurring task
+ *     description: |
+ *       Updates the series template and every open occurrence from this one onwards.
+ *       A new dueDate re-anchors the series; setting recurrenceRule to null stops the series.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *               remindBefore:
+ *                 type: integer
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               recurrenceRule:
+ *                 type: string
+ *                 nullable: true
+ *           examples:
+ *             example1:
+ *               summary: Move the series to Tuesdays
+ *               value:
+ *                 recurrenceRule: FREQ=WEEKLY;BYDAY=TU;BYHOUR=9;BYMINUTE=0
+ *             example2:
+ *               summary: Stop repeating
+ *               value:
+ *                 recurrenceRule: null
+ *     responses:
+ *       200:
+ *         description: Series updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Task is not recurring or the rule is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ */
+router.put('/:id/series', requireIfMatch, updateFutureOccurrences);
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   delete:
+ *     summary: Move a task to the trash
+ *     description: |
+ *       The task and its subtasks can be restored until the trash is purged. Editors of a
+ *       shared task can trash it too; it goes to the owner's trash. In a shared workspace
+ *       only the task's creator and the workspace's owner and admins can trash it.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *         example: 123e4567-e89b-12d3-a456-426614174000
+ *     responses:
+ *       204:
+ *         description: Task deleted successfully
+ *       403:
+ *         description: The task is shared with you as viewer, or another member of the workspace created it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', deleteTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a task from the trash
+ *     description: Restores the task with its subtasks and publishes task.created again so its reminder is rebuilt.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       403:
+ *         description: Another member of the workspace created the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The parent task of this subtask is still in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/restore', restoreTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/history:
+ *   get:
+ *     summary: Get the change history of a task
+ *     description: Field-level changes for every create, update, status change, delete and restore, newest first.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of entries to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of entries to skip
+ *     responses:
+ *       200:
+ *         description: History entries of the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 taskId:
+ *                   type: string
+ *                   format: uuid
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskHistoryEntry'
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/history', getTaskHistory);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   get:
+ *     summary: Get the comments of a task
+ *     description: Oldest comments first. Comments of tasks in the trash can still be read.
+ *     tags: [Comments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *         description: Number of comments to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of comments to skip
+ *     responses:
+ *       200:
+ *         description: Comments of the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 taskId:
+ *                   type: string
+ *                   format: uuid
+ *                 comments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Comment on a task
+ *     description: |
+ *       The body is markdown. Users mentioned as @ followed by their email address
+ *       (@alice@example.com) are emailed through a task.comment.created event when they
+ *       own the task or it is shared with them.
+ *     tags: [Comments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentRequest'
+ *     responses:
+ *       201:
+ *         description: Comment created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Missing or too long body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/comments', getComments);
+router.post('/:id/comments', createComment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: |
+ *       Only the author can edit a comment. The previous body is kept in the edit history
+ *       and users mentioned for the first time are notified (task.comment.updated).
+ *     tags: [Comments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentRequest'
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Missing or too long body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The comment was written by someone else
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Only the author can delete a comment, its edit history is removed with it.
+ *     tags: [Comments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       204:
+ *         description: Comment deleted
+ *       403:
+ *         description: The comment was written by someone else
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/comments/:commentId', updateComment);
+router.delete('/:id/comments/:commentId', deleteComment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}/edits:
+ *   get:
+ *     summary: Get the edit history of a comment
+ *     description: Earlier versions of the body, newest first.
+ *     tags: [Comments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Earlier versions of the comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 commentId:
+ *                   type: string
+ *                   format: uuid
+ *                 edits:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommentEdit'
+ *       404:
+ *         description: Task or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/comments/:commentId/edits', getCommentEdits);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/start:
+ *   post:
+ *     summary: Start a timer on a task
+ *     description: Owners and editors can track time. Only one timer can run per user.
+ *     tags: [Time tracking]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Timer started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TimeEntry'
+ *       403:
+ *         description: The task is shared with you as a viewer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A timer is already running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/timer/start', startTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time-entries:
+ *   get:
+ *     summary: Get the time tracked on a task
+ *     description: Entries of every user, newest first, with the total of the task and of each user.
+ *     tags: [Time tracking]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *         description: Number of entries to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of entries to skip
+ *     responses:
+ *       200:
+ *         description: Time entries of the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 taskId:
+ *                   type: string
+ *                   format: uuid
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TimeEntry'
+ *                 totalSeconds:
+ *                   type: integer
+ *                   description: Time tracked on the task, running timers up to now
+ *                 byUser:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                         format: uuid
+ *                       seconds:
+ *                         type: integer
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Add time to a task manually
+ *     tags: [Time tracking]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TimeEntryRequest'
+ *     responses:
+ *       201:
+ *         description: Time entry created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TimeEntry'
+ *       400:
+ *         description: Invalid period or note
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The task is shared with you as a viewer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/time-entries', getTimeEntries);
+router.post('/:id/time-entries', createTimeEntry);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time-entries/{entryId}:
+ *   put:
+ *     summary: Change a time entry
+ *     description: |
+ *       Only the user who tracked the entry can change it. A running entry only
+ *       takes a new startedAt or note, it is ended by stopping the timer.
+ *     tags: [Time tracking]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Time entry ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TimeEntryRequest'
+ *     responses:
+ *       200:
+ *         description: Time entry updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TimeEntry'
+ *       400:
+ *         description: Invalid period or note
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not your time entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or time entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a time entry
+ *     description: Only the user who tracked the entry can delete it. Deleting a running entry discards the timer.
+ *     tags: [Time tracking]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Time entry ID
+ *     responses:
+ *       204:
+ *         description: Time entry deleted
+ *       403:
+ *         description: Not your time entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or time entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/time-entries/:entryId', updateTimeEntry);
+router.delete('/:id/time-entries/:entryId', deleteTimeEntry);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/shares:
+ *   get:
+ *     summary: Get the users a task is shared with
+ *     description: Only the owner of the task can see and manage its shares.
+ *     tags: [Shares]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Shares of the task, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shares:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Share'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Share a task
+ *     description: |
+ *       Invite a user by email as viewer (read and comment) or editor (also change,
+ *       trash and attach files). Subtasks are shared with the task. The invitation is
+ *       pending until the user opens their shared tasks with a verified email. Sharing with an email again
+ *       changes the role.
+ *     tags: [Shares]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShareRequest'
+ *     responses:
+ *       201:
+ *         description: Task shared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       200:
+ *         description: Already shared with this email, role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       400:
+ *         description: Invalid email or role, or your own email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/shares', getTaskShares);
+router.post('/:id/shares', shareTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/shares/{shareId}:
+ *   put:
+ *     summary: Change the role of a task share
+ *     tags: [Shares]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor]
+ *     responses:
+ *       200:
+ *         description: Share updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       400:
+ *         description: Invalid role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or share not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Stop sharing a task with a user
+ *     tags: [Shares]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share ID
+ *     responses:
+ *       204:
+ *         description: Share deleted
+ *       404:
+ *         description: Task or share not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/shares/:shareId', updateTaskShare);
+router.delete('/:id/shares/:shareId', deleteTaskShare);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments:
+ *   get:
+ *     summary: List the files attached to a task
+ *     description: Also returns how much of the storage quota the user has used. Attachments of tasks in the trash count too.
+ *     tags: [Attachments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Attachments of the task, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attachments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *                 usage:
+ *                   $ref: '#/components/schemas/AttachmentUsage'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Attach a file to a task
+ *     description: |
+ *       Upload one file as multipart/form-data in a field named "file". Files are limited to
+ *       MAX_ATTACHMENT_BYTES (default 10 MB) and all files of a user to ATTACHMENT_QUOTA_BYTES
+ *       (default 100 MB).
+ *     tags: [Attachments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File attached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: No file in the request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: The file is too large (PAYLOAD_TOO_LARGE) or does not fit into the quota (QUOTA_EXCEEDED, details carry used and quota)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/attachments', getAttachments);
+router.post('/:id/attachments', uploadAttachment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     description: Sent with Content-Disposition attachment and the original file name.
+ *     tags: [Attachments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: File content
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Task or attachment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete an attachment
+ *     tags: [Attachments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       204:
+ *         description: Attachment and file deleted
+ *       404:
+ *         description: Task or attachment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/attachments/:attachmentId', downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', deleteAttachment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/complete:
+ *   post:
+ *     summary: Mark a task as completed
+ *     description: |
+ *       Completing an occurrence of a recurring task creates the next occurrence.
+ *       Running timers on the task are stopped.
+ *       Rejected with 409 while the task has open dependencies, unless override is set.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *         example: 123e4567-e89b-12d3-a456-426614174000
+ *       - in: query
+ *         name: override
+ *         schema:
+ *           type: boolean
+ *         description: Ignore open dependencies
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               completeSubtasks:
+ *                 type: boolean
+ *                 description: Also complete all open subtasks
+ *                 example: true
+ *               override:
+ *                 type: boolean
+ *                 description: Ignore open dependencies
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Task marked as completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       409:
+ *         description: Task is blocked by open dependencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/complete', markTaskAsCompleted);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/progress:
+ *   post:
+ *     summary: Mark a task as in progress
+ *     description: Rejected with 409 while the task has open dependencies, unless override is set.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *         example: 123e4567-e89b-12d3-a456-426614174000
+ *       - in: query
+ *         name: override
+ *         schema:
+ *           type: boolean
+ *         description: Ignore open dependencies
+ *     responses:
+ *       200:
+ *         description: Task marked as in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       409:
+ *         description: Task is blocked by open dependencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/progress', markTaskAsInProgress);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/priority:
+ *   patch:
+ *     summary: Update task priority
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *         example: 123e4567-e89b-12d3-a456-426614174000
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - priority
+ *             properties:
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *                 description: New task priority
+ *                 example: high
+ *           examples:
+ *             example1:
+ *               summary: Set high priority
+ *               value:
+ *                 priority: high
+ *             example2:
+ *               summary: Set medium priority
+ *               value:
+ *                 priority: medium
+ *     responses:
+ *       200:
+ *         description: Task priority updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid priority value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ */
+router.patch('/:id/priority', requireIfMatch, updateTaskPriority);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/move:
+ *   patch:
+ *     summary: Move a task on the board
+ *     description: |
+ *       Moves the task into a status column and places it directly after afterId and/or
+ *       before beforeId (tasks of that column). Without either it goes to the end of the
+ *       column. List a column in board order with GET /api/tasks?status=...&sort=position.
+ *       Changing the status is rejected with 409 while the task has open dependencies,
+ *       unless override is set.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, in_progress, completed]
+ *                 description: Target column, defaults to the current status
+ *               afterId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Task the moved task should follow
+ *               beforeId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Task the moved task should precede
+ *               override:
+ *                 type: boolean
+ *                 default: false
+ *           example:
+ *             status: in_progress
+ *             afterId: 123e4567-e89b-12d3-a456-426614174000
+ *     responses:
+ *       200:
+ *         description: Task moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid status or neighbors not in the target column
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or neighbor task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Task is blocked by open dependencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ */
+router.patch('/:id/move', requireIfMatch, moveTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/due-date:
+ *   patch:
+ *     summary: Update task due date
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *         example: 123e4567-e89b-12d3-a456-426614174000
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dueDate
+ *             properties:
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New task due date
+ *                 example: 2024-03-25T14:00:00.000Z
+ *           examples:
+ *             example1:
+ *               summary: Set due date
+ *               value:
+ *                 dueDate: 2024-03-25T14:00:00.000Z
+ *             example2:
+ *               summary: Set due date for next week
+ *               value:
+ *                 dueDate: 2024-03-27T09:00:00.000Z
+ *     responses:
+ *       200:
+ *         description: Task due date updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid due date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
@@ -364,14 +2650,24 @@ router.put('/:id', updateTask);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
  */
-router.delete('/:id', deleteTask);
+router.patch('/:id/due-date', requireIfMatch, updateTaskDueDate);
 
 /**
  * @swagger
- * /api/tasks/{id}/complete:
- *   post:
- *     summary: Mark a task as completed
+ * /api/tasks/{id}/assign:
+ *   patch:
+ *     summary: Assign a task
+ *     description: |
+ *       The owner or an editor assigns the task to its owner, to a member of its workspace
+ *       or to a user it is shared with (directly, through its parent task or its project).
+ *       Membership is checked with the user service. Reminders go to the assignee
+ *       instead of the owner, and the assignee is emailed through a task.assigned event
+ *       unless they assigned the task to themselves.
  *     tags: [Tasks]
  *     security:
  *       - ApiKeyAuth: []
@@ -382,34 +2678,65 @@ router.delete('/:id', deleteTask);
  *         schema:
  *           type: string
  *         description: Task ID
- *         example: 123e4567-e89b-12d3-a456-426614174000
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assigneeId
+ *             properties:
+ *               assigneeId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: User to assign the task to, null to unassign it
  *     responses:
  *       200:
- *         description: Task marked as completed
+ *         description: Task assigned
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Missing assigneeId, or the user has no access to the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The task is shared with you as viewer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Task not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       503:
+ *         description: The user service could not be reached to check the assignee's workspaces
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/complete', markTaskAsCompleted);
+router.patch('/:id/assign', requireIfMatch, assignTask);
 
 /**
  * @swagger
- * /api/tasks/{id}/progress:
- *   post:
- *     summary: Mark a task as in progress
+ * /api/tasks/{id}/subtasks:
+ *   get:
+ *     summary: Get subtasks of a task
+ *     description: Returns the subtasks together with the parent's completion progress.
  *     tags: [Tasks]
  *     security:
  *       - ApiKeyAuth: []
@@ -419,35 +2746,82 @@ router.post('/:id/complete', markTaskAsCompleted);
  *         required: true
  *         schema:
  *           type: string
- *         description: Task ID
- *         example: 123e4567-e89b-12d3-a456-426614174000
+ *         description: Parent task ID
  *     responses:
  *       200:
- *         description: Task marked as in progress
+ *         description: Subtasks and progress
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Task'
+ *               type: object
+ *               properties:
+ *                 subtasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 total:
+ *                   type: integer
+ *                   example: 4
+ *                 completed:
+ *                   type: integer
+ *                   example: 1
+ *                 progress:
+ *                   type: integer
+ *                   description: Percentage of completed subtasks
+ *                   example: 25
  *       404:
  *         description: Task not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
+ *   post:
+ *     summary: Create a subtask
+ *     description: Subtasks are regular tasks with a parent. They cannot be recurring or have subtasks of their own.
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateTaskRequest'
+ *     responses:
+ *       201:
+ *         description: Subtask created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Parent task not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/progress', markTaskAsInProgress);
+router.get('/:id/subtasks', getSubtasks);
+router.post('/:id/subtasks', createSubtask);
 
 /**
  * @swagger
- * /api/tasks/{id}/priority:
- *   patch:
- *     summary: Update task priority
+ * /api/tasks/{id}/subtasks/{subtaskId}:
+ *   put:
+ *     summary: Update a subtask
  *     tags: [Tasks]
  *     security:
  *       - ApiKeyAuth: []
@@ -457,64 +2831,119 @@ router.post('/:id/progress', markTaskAsInProgress);
  *         required: true
  *         schema:
  *           type: string
- *         description: Task ID
- *         example: 123e4567-e89b-12d3-a456-426614174000
+ *         description: Parent task ID
+ *       - in: path
+ *         name: subtaskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Subtask ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - priority
- *             properties:
- *               priority:
- *                 type: string
- *                 enum: [low, medium, high]
- *                 description: New task priority
- *                 example: high
- *           examples:
- *             example1:
- *               summary: Set high priority
- *               value:
- *                 priority: high
- *             example2:
- *               summary: Set medium priority
- *               value:
- *                 priority: medium
+ *             $ref: '#/components/schemas/UpdateTaskRequest'
  *     responses:
  *       200:
- *         description: Task priority updated
+ *         description: Subtask updated successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Task'
- *       400:
- *         description: Invalid priority value
+ *       404:
+ *         description: Subtask not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *   delete:
+ *     summary: Delete a subtask
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *       - in: path
+ *         name: subtaskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Subtask ID
+ *     responses:
+ *       204:
+ *         description: Subtask deleted successfully
  *       404:
- *         description: Task not found
+ *         description: Subtask not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
+ */
+router.put('/:id/subtasks/:subtaskId', requireIfMatch, updateSubtask);
+router.delete('/:id/subtasks/:subtaskId', deleteSubtask);
+ 
+/**
+ * @swagger
+ * /api/tasks/{id}/blocked-by:
+ *   get:
+ *     summary: Get the tasks a task depends on
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Dependencies of the task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 blocked:
+ *                   type: boolean
+ *                   description: Whether any dependency is still open
+ *                 blockers:
+ *                   type: array
+ *                   description: Dependencies that are not completed yet
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 dependencies:
+ *                   type: array
+ *                   description: All dependencies
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *       404:
+ *         description: Task not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id/priority', updateTaskPriority);
+router.get('/:id/blocked-by', getBlockedBy);
 
 /**
  * @swagger
- * /api/tasks/{id}/due-date:
- *   patch:
- *     summary: Update task due date
+ * /api/tasks/{id}/dependencies:
+ *   post:
+ *     summary: Add a dependency to a task
+ *     description: The task cannot be started or completed until the dependency is completed.
  *     tags: [Tasks]
  *     security:
  *       - ApiKeyAuth: []
@@ -525,39 +2954,23 @@ router.patch('/:id/priority', updateTaskPriority);
  *         schema:
  *           type: string
  *         description: Task ID
- *         example: 123e4567-e89b-12d3-a456-426614174000
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - dueDate
+ *             required: [dependsOnId]
  *             properties:
- *               dueDate:
+ *               dependsOnId:
  *                 type: string
- *                 format: date-time
- *                 description: New task due date
- *                 example: 2024-03-25T14:00:00.000Z
- *           examples:
- *             example1:
- *               summary: Set due date
- *               value:
- *                 dueDate: 2024-03-25T14:00:00.000Z
- *             example2:
- *               summary: Set due date for next week
- *               value:
- *                 dueDate: 2024-03-27T09:00:00.000Z
+ *                 format: uuid
+ *                 description: Task that must be completed first
  *     responses:
- *       200:
- *         description: Task due date updated
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Task'
+ *       201:
+ *         description: Dependency added
  *       400:
- *         description: Invalid due date
+ *         description: Invalid dependency or dependency would create a cycle
  *         content:
  *           application/json:
  *             schema:
@@ -568,13 +2981,46 @@ router.patch('/:id/priority', updateTaskPriority);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
+ *       409:
+ *         description: Dependency already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/dependencies', addDependency);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies/{dependsOnId}:
+ *   delete:
+ *     summary: Remove a dependency from a task
+ *     tags: [Tasks]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: dependsOnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Dependency task ID
+ *     responses:
+ *       204:
+ *         description: Dependency removed
+ *       404:
+ *         description: Dependency not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id/due-date', updateTaskDueDate);
+router.delete('/:id/dependencies/:dependsOnId', removeDependency);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,180 @@
+const attachmentRepo = require('../repositories/attachmentRepo');
+const taskRepo = require('../repositories/taskRepo');
+const storage = require('../storage');
+const { logger } = require('../config/logger');
+const {
+  NotFoundError,
+  ValidationError,
+  PayloadTooLargeError,
+  QuotaExceededError,
+  ForbiddenError
+} = require('../utils/errors');
+const { workspaceAccess } = require('../utils/workspaceAccess');
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_ATTACHMENT_BYTES || String(10 * 1024 * 1024), 10);
+const ATTACHMENT_QUOTA_BYTES = parseInt(process.env.ATTACHMENT_QUOTA_BYTES || String(100 * 1024 * 1024), 10);
+
+const CONTENT_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+
+// The storage location stays internal
+const withoutStorageKey = (attachment) => {
+  const { storageKey, ...rest } = attachment.toJSON();
+  return rest;
+};
+
+// Base name without control characters, e.g. for "C:\shots\bug.png" -> "bug.png"
+const cleanFilename = (name) => {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return base.slice(0, 255) || 'file';
+};
+
+class AttachmentService {
+  async getUsage(userId) {
+    return {
+      used: await attachmentRepo.sumSizeByUser(userId),
+      quota: ATTACHMENT_QUOTA_BYTES,
+      maxFileSize: MAX_ATTACHMENT_BYTES
+    };
+  }
+
+  // Storage usage is the task owner's, also for collaborators.
+  // options.workspaceId is the user's active workspace, see utils/workspaceAccess
+  async getAttachments(userId, taskId, options = {}) {
+    const task = await this.getTask(userId, taskId, 'viewer', options);
+
+    const [attachments, usage] = await Promise.all([
+      attachmentRepo.findAllByTask(taskId, task.userId),
+      this.getUsage(task.userId)
+    ]);
+
+    return {
+      attachments: attachments.map(withoutStorageKey),
+      usage
+    };
+  }
+
+  // receive({ maxBytes }) stores the uploaded file, see middlewares/upload.
+  // The file may use up what is left of the quota but no more. The early check
+  // saves receiving files that can't fit, the one when the row is created holds
+  // with concurrent uploads. Editors of a shared task and workspace members
+  // upload into the owner's quota
+  async addAttachment(userId, taskId, receive, options = {}) {
+    const { userId: ownerId } = await this.getTask(userId, taskId, 'editor', options);
+
+    const { used, quota } = await this.getUsage(ownerId);
+    const remaining = quota - used;
+    if (remaining <= 0) {
+      throw new QuotaExceededError('Attachment storage quota exceeded', { used, quota });
+    }
+
+    let file;
+    try {
+      file = await receive({ maxBytes: Math.min(MAX_ATTACHMENT_BYTES, remaining) });
+    } catch (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        throw remaining < MAX_ATTACHMENT_BYTES
+          ? new QuotaExceededError('The file does not fit into the attachment storage quota', { used, quota })
+          : new PayloadTooLargeError(`Files must be at most ${MAX_ATTACHMENT_BYTES} bytes`);
+      }
+      if (error.name === 'MulterError') {
+        throw new ValidationError(`Invalid upload: ${error.message}`);
+      }
+      throw error;
+    }
+
+    if (!file) {
+      throw new ValidationError('Send the file as multipart/form-data in a field named "file"');
+    }
+
+    try {
+      const { attachment, used: usedBefore } = await attachmentRepo.createWithinQuota({
+        taskId,
+        userId: ownerId,
+        filename: cleanFilename(file.originalname),
+        contentType: CONTENT_TYPE_PATTERN.test(file.mimetype) ? file.mimetype.toLowerCase() : 'application/octet-stream',
+        size: file.size,
+        storageKey: file.storageKey
+      }, quota);
+
+      if (!attachment) {
+        throw new QuotaExceededError('The file does not fit into the attachment storage quota', { used: usedBefore, quota });
+      }
+
+      logger.info('Attachment added', {
+        attachmentId: attachment.id,
+        taskId,
+        userId,
+        size: file.size
+      });
+
+      return withoutStorageKey(attachment);
+    } catch (error) {
+      await storage.remove(file.storageKey);
+      throw error;
+    }
+  }
+
+  // Attachment metadata plus a stream of its content
+  async getAttachmentFile(userId, taskId, attachmentId, options = {}) {
+    const task = await this.getTask(userId, taskId, 'viewer', options);
+    const attachment = await this.getAttachment(task.userId, taskId, attachmentId);
+
+    return {
+      attachment: withoutStorageKey(attachment),
+      stream: storage.createReadStream(attachment.storageKey)
+    };
+  }
+
+  async deleteAttachment(userId, taskId, attachmentId, options = {}) {
+    const { userId: ownerId } = await this.getTask(userId, taskId, 'editor', options);
+    const attachment = await this.getAttachment(ownerId, taskId, attachmentId);
+
+    await attachmentRepo.delete(attachmentId, ownerId);
+    await storage.remove(attachment.storageKey);
+
+    logger.info('Attachment deleted', {
+      attachmentId,
+      taskId,
+      userId
+    });
+  }
+
+  // Files of purged tasks; their rows are removed with the tasks (ON DELETE CASCADE).
+  // Trashed tasks keep their files until then, so restoring brings them back.
+  // A file that cannot be removed is logged and left behind
+  async removeFiles(storageKeys) {
+    for (const storageKey of storageKeys) {
+      try {
+        await storage.remove(storageKey);
+      } catch (error) {
+        logger.warn('Failed to remove attachment file', {
+          storageKey,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  // Viewers of a shared task can download its files, editors and workspace members
+  // can change them too
+  async getTask(userId, taskId, role = 'viewer', options = {}) {
+    const task = await taskRepo.findById(taskId, userId, { role: 'viewer', workspaceId: options.workspaceId });
+    if (!task) {
+      throw new NotFoundError('Task not found');
+    }
+    if (role === 'editor' && !workspaceAccess(task, userId, options) && !(await taskRepo.findEditableIds(userId, [taskId])).length) {
+      throw new ForbiddenError('You can view this task but not change it');
+    }
+    return task;
+  }
+
+  async getAttachment(userId, taskId, attachmentId) {
+    const attachment = await attachmentRepo.findById(attachmentId, taskId, userId);
+    if (!attachment) {
+      throw new NotFoundError('Attachment not found');
+    }
+    return attachment;
+  }
+}
+
+module.exports = new AttachmentService();
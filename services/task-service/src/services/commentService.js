@@ -0,0 +1,209 @@
+const commentRepo = require('../repositories/commentRepo');
+const taskRepo = require('../repositories/taskRepo');
+const shareRepo = require('../repositories/shareRepo');
+const rabbitmq = require('../messaging/rabbitmq');
+const { logger } = require('../config/logger');
+const { NotFoundError, ValidationError, ForbiddenError } = require('../utils/errors');
+const { parseMentions, resolveMentions } = require('../utils/mentions');
+
+const MAX_BODY_LENGTH = 10000;
+
+// Nobody is notified about their own mentions
+const mentionsFor = (body, author) => parseMentions(body)
+  .filter(email => email !== (author.email || '').toLowerCase());
+
+// Everyone who can see a task can comment on it, including viewers it is shared with
+// and the members of its workspace. Comments are stored with the task owner as userId
+class CommentService {
+  // Comments stay readable while the task is in the trash
+  async getComments(userId, taskId, options = {}) {
+    const task = await this.getReadableTask(userId, taskId, options);
+
+    const limit = Math.min(parseInt(options.limit) || 50, 100);
+    const offset = parseInt(options.offset) || 0;
+    const result = await commentRepo.findByTask(taskId, task.userId, { limit, offset });
+
+    return {
+      taskId,
+      comments: result.rows,
+      total: result.count,
+      limit,
+      offset
+    };
+  }
+
+  // author is the authenticated user ({ id, email, fullName, workspaceId })
+  async createComment(author, taskId, commentData) {
+    const task = await this.getTask(author.id, taskId, author);
+    const body = this.validateBody(commentData.body);
+
+    const comment = await commentRepo.create({
+      taskId,
+      userId: task.userId,
+      authorId: author.id,
+      authorEmail: author.email,
+      authorName: author.fullName,
+      body,
+      mentions: mentionsFor(body, author)
+    });
+
+    logger.info('Comment created', {
+      commentId: comment.id,
+      taskId,
+      userId: author.id,
+      mentionCount: comment.mentions.length
+    });
+
+    const mentionedUsers = await this.resolveMentions(task, comment.mentions, author);
+    await this.publishCommentEvent('task.comment.created', task, comment, mentionedUsers);
+
+    return comment;
+  }
+
+  // Only the author can edit a comment; the previous body is kept as an edit
+  async updateComment(author, taskId, commentId, updateData) {
+    const task = await this.getTask(author.id, taskId, author);
+    const comment = await this.getOwnComment(author, task, commentId);
+    const body = this.validateBody(updateData.body);
+
+    if (body === comment.body) {
+      return comment;
+    }
+
+    const previousMentions = comment.mentions;
+    const updatedComment = await commentRepo.updateBody(comment, {
+      body,
+      mentions: mentionsFor(body, author)
+    });
+
+    logger.info('Comment updated', {
+      commentId,
+      taskId,
+      userId: author.id
+    });
+
+    // Only people mentioned for the first time are notified about an edit
+    const newMentions = updatedComment.mentions.filter(email => !previousMentions.includes(email));
+    const mentionedUsers = await this.resolveMentions(task, newMentions, author);
+    if (mentionedUsers.length) {
+      await this.publishCommentEvent('task.comment.updated', task, updatedComment, mentionedUsers);
+    }
+
+    return updatedComment;
+  }
+
+  async deleteComment(author, taskId, commentId) {
+    const task = await this.getTask(author.id, taskId, author);
+    await this.getOwnComment(author, task, commentId);
+
+    await commentRepo.delete(commentId, task.userId);
+
+    logger.info('Comment deleted', {
+      commentId,
+      taskId,
+      userId: author.id
+    });
+  }
+
+  // Earlier versions of a comment, newest first
+  async getCommentEdits(userId, taskId, commentId, options = {}) {
+    const task = await this.getReadableTask(userId, taskId, options);
+    const comment = await this.getComment(task, commentId);
+
+    return {
+      commentId,
+      edits: await commentRepo.findEdits(comment.id)
+    };
+  }
+
+  // Only the owner and the users the task is shared with are notified, anyone else
+  // mentioned would get the task title and the comment by email. Their addresses are
+  // the ones they accepted an invitation or commented on the task with
+  async resolveMentions(task, emails, author) {
+    if (!emails.length) {
+      return [];
+    }
+
+    const userIds = [task.userId, ...await taskRepo.findCollaboratorIds(task)]
+      .filter(userId => userId !== author.id);
+    const shares = await shareRepo.findEmailsByUserIds(userIds);
+    const accounts = [
+      ...shares.map(share => ({ userId: share.userId, email: share.email })),
+      ...await commentRepo.findAuthorEmails(task.id, userIds)
+    ];
+    return resolveMentions(emails, accounts);
+  }
+
+  // Events are best effort, a broker outage doesn't fail the comment
+  async publishCommentEvent(eventType, task, comment, mentionedUsers) {
+    try {
+      await rabbitmq.publishCommentEvent(eventType, {
+        commentId: comment.id,
+        taskId: task.id,
+        taskTitle: task.title,
+        userId: task.userId,
+        authorId: comment.authorId,
+        authorEmail: comment.authorEmail,
+        authorName: comment.authorName,
+        body: comment.body,
+        mentionedUsers,
+        createdAt: comment.createdAt
+      });
+    } catch (error) {
+      logger.error(`Failed to publish ${eventType} event:`, {
+        error: error.message,
+        commentId: comment.id,
+        taskId: task.id
+      });
+    }
+  }
+
+  // options.workspaceId is the user's active workspace, see utils/workspaceAccess
+  async getTask(userId, taskId, options = {}) {
+    const task = await taskRepo.findById(taskId, userId, { role: 'viewer', workspaceId: options.workspaceId });
+    if (!task) {
+      throw new NotFoundError('Task not found');
+    }
+    return task;
+  }
+
+  // Also finds the tasks of the user's workspaces in the trash
+  async getReadableTask(userId, taskId, options = {}) {
+    const { workspaceId } = options;
+    const task = await taskRepo.findById(taskId, userId, { role: 'viewer', workspaceId })
+      || await taskRepo.findDeletedById(taskId, userId, { workspaceId });
+    if (!task) {
+      throw new NotFoundError('Task not found');
+    }
+    return task;
+  }
+
+  async getComment(task, commentId) {
+    const comment = await commentRepo.findById(commentId, task.id, task.userId);
+    if (!comment) {
+      throw new NotFoundError('Comment not found');
+    }
+    return comment;
+  }
+
+  async getOwnComment(author, task, commentId) {
+    const comment = await this.getComment(task, commentId);
+    if (comment.authorId !== author.id) {
+      throw new ForbiddenError('Only the author can change a comment');
+    }
+    return comment;
+  }
+
+  validateBody(body) {
+    const trimmed = typeof body === 'string' ? body.trim() : '';
+    if (!trimmed) {
+      throw new ValidationError('Comment body is required');
+    }
+    if (trimmed.length > MAX_BODY_LENGTH) {
+      throw new ValidationError(`Comment body must be at most ${MAX_BODY_LENGTH} characters`);
+    }
+    return trimmed;
+  }
+}
+
+module.exports = new CommentService();
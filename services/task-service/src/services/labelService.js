@@ -0,0 +1,112 @@
+const labelRepo = require('../repositories/labelRepo');
+const { logger } = require('../config/logger');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+class LabelService {
+  async getLabels(userId) {
+    return labelRepo.findAllByUser(userId);
+  }
+
+  async validateLabelData(userId, labelData, labelId = null) {
+    if (labelData.color !== undefined && !COLOR_PATTERN.test(labelData.color)) {
+      throw new ValidationError('Label color must be a hex color like #2563EB');
+    }
+
+    if (labelData.name === undefined) {
+      return undefined;
+    }
+
+    const name = (labelData.name || '').trim();
+    if (!name || name.length > 50) {
+      throw new ValidationError('Label name must be between 1 and 50 characters');
+    }
+    // Names are used in ?labels= filters, which are comma separated
+    if (name.includes(',')) {
+      throw new ValidationError('Label name cannot contain commas');
+    }
+
+    const [existing] = await labelRepo.findByNames([name], userId);
+    if (existing && existing.id !== labelId) {
+      throw new ConflictError('A label with this name already exists');
+    }
+
+    return name;
+  }
+
+  // options.transaction creates the label as part of a larger change, e.g. an import row
+  async createLabel(userId, labelData, options = {}) {
+    if (!labelData.name) {
+      throw new ValidationError('Label name is required');
+    }
+
+    const name = await this.validateLabelData(userId, labelData);
+    const label = await labelRepo.create({
+      userId: userId,
+      name: name,
+      color: labelData.color
+    }, options);
+
+    logger.info('Label created', {
+      labelId: label.id,
+      userId: userId,
+      name: label.name
+    });
+
+    return label;
+  }
+
+  // Tasks reference labels by id, so renames show up on every task immediately
+  async updateLabel(userId, labelId, updateData) {
+    const label = await labelRepo.findById(labelId, userId);
+    if (!label) {
+      throw new NotFoundError('Label not found');
+    }
+
+    const name = await this.validateLabelData(userId, updateData, labelId);
+    const updatedLabel = await labelRepo.update(labelId, userId, {
+      name: name,
+      color: updateData.color
+    });
+
+    logger.info('Label updated', {
+      labelId: labelId,
+      userId: userId,
+      name: updatedLabel.name
+    });
+
+    return updatedLabel;
+  }
+
+  // Removing the label from its tasks is handled by ON DELETE CASCADE on task_labels
+  async deleteLabel(userId, labelId) {
+    const deletedCount = await labelRepo.delete(labelId, userId);
+    if (deletedCount === 0) {
+      throw new NotFoundError('Label not found');
+    }
+
+    logger.info('Label deleted', {
+      labelId: labelId,
+      userId: userId
+    });
+  }
+
+  // Resolve label IDs sent with a task, all of them must belong to the user.
+  // options.transaction also finds labels created in it
+  async resolveLabelIds(userId, labelIds, options = {}) {
+    if (!Array.isArray(labelIds)) {
+      throw new ValidationError('labelIds must be an array');
+    }
+
+    const uniqueIds = [...new Set(labelIds)];
+    const labels = uniqueIds.length ? await labelRepo.findByIds(uniqueIds, userId, options) : [];
+    if (labels.length !== uniqueIds.length) {
+      throw new NotFoundError('Label not found');
+    }
+
+    return uniqueIds;
+  }
+}
+
+module.exports = new LabelService();
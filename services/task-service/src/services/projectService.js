@@ -0,0 +1,133 @@
+const projectRepo = require('../repositories/projectRepo');
+const taskRepo = require('../repositories/taskRepo');
+const { logger } = require('../config/logger');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const { assertWorkspaceAccess } = require('../utils/workspaceAccess');
+
+// Projects are shared like the tasks of their workspace: every member sees them and
+// files tasks in them, renaming and deleting is up to their creator and the
+// workspace's owner and admins. options.workspaceId and workspaceRole are the
+// user's active workspace, see utils/workspaceAccess
+class ProjectService {
+  // Projects of the active workspace, the inbox counts its tasks without a project
+  async getProjects(userId, workspaceId = userId) {
+    const [projects, counts] = await Promise.all([
+      projectRepo.findAllByWorkspace(workspaceId),
+      this.getProjectCounts(userId, workspaceId)
+    ]);
+
+    return {
+      projects: projects.map(project => ({
+        ...project.toJSON(),
+        counts: counts[project.id] || { total: 0, completed: 0, open: 0 }
+      })),
+      inbox: counts.inbox || { total: 0, completed: 0, open: 0 }
+    };
+  }
+
+  // Task counts per project; tasks without a project are counted under "inbox"
+  async getProjectCounts(userId, workspaceId) {
+    const rows = await taskRepo.countByProject(userId, { workspaceId });
+
+    return rows.reduce((counts, row) => {
+      const key = row.projectId || 'inbox';
+      const count = parseInt(row.count, 10);
+      const entry = counts[key] || { total: 0, completed: 0, open: 0 };
+
+      entry.total += count;
+      if (row.status === 'completed') {
+        entry.completed += count;
+      } else {
+        entry.open += count;
+      }
+
+      counts[key] = entry;
+      return counts;
+    }, {});
+  }
+
+  // A project of the active or the personal workspace
+  async getProject(userId, projectId, options = {}) {
+    const workspaceIds = [...new Set([options.workspaceId || userId, userId])];
+    const project = await projectRepo.findInWorkspace(projectId, workspaceIds);
+    if (!project) {
+      throw new NotFoundError('Project not found');
+    }
+    return project;
+  }
+
+  // Names are unique within the workspace the project is created in
+  async createProject(userId, projectData, workspaceId = userId) {
+    if (!projectData.name || !projectData.name.trim()) {
+      throw new ValidationError('Project name is required');
+    }
+
+    const name = projectData.name.trim();
+    if (await projectRepo.findByName(name, workspaceId)) {
+      throw new ConflictError('A project with this name already exists');
+    }
+
+    const project = await projectRepo.create({
+      userId: userId,
+      workspaceId: workspaceId,
+      name: name,
+      description: projectData.description,
+      color: projectData.color
+    });
+
+    logger.info('Project created', {
+      projectId: project.id,
+      userId: userId,
+      workspaceId: workspaceId,
+      name: project.name
+    });
+
+    return project;
+  }
+
+  async updateProject(userId, projectId, updateData, options = {}) {
+    const current = await this.getProject(userId, projectId, options);
+    assertWorkspaceAccess(current, userId, options, 'manage', 'Project');
+
+    let name;
+    if (updateData.name !== undefined) {
+      name = (updateData.name || '').trim();
+      if (!name) {
+        throw new ValidationError('Project name is required');
+      }
+
+      const existing = await projectRepo.findByName(name, current.workspaceId);
+      if (existing && existing.id !== projectId) {
+        throw new ConflictError('A project with this name already exists');
+      }
+    }
+
+    const project = await projectRepo.update(projectId, current.workspaceId, {
+      name: name,
+      description: updateData.description,
+      color: updateData.color
+    });
+
+    logger.info('Project updated', {
+      projectId: projectId,
+      userId: userId
+    });
+
+    return project;
+  }
+
+  async deleteProject(userId, projectId, options = {}) {
+    const project = await this.getProject(userId, projectId, options);
+    assertWorkspaceAccess(project, userId, options, 'manage', 'Project');
+
+    // Tasks are kept and moved to the inbox (projectId ON DELETE SET NULL)
+    await projectRepo.delete(projectId, project.workspaceId);
+
+    logger.info('Project deleted', {
+      projectId: projectId,
+      userId: userId
+    });
+  }
+}
+
+module.exports = new ProjectService();
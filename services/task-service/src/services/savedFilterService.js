@@ -0,0 +1,125 @@
+const savedFilterRepo = require('../repositories/savedFilterRepo');
+const taskRepo = require('../repositories/taskRepo');
+const taskService = require('./taskService');
+const { logger } = require('../config/logger');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const { parseFilterQuery } = require('../utils/filterQuery');
+
+class SavedFilterService {
+  // Saved filters with the number of tasks each one matches right now in the
+  // active workspace (options.workspaceId)
+  async getFilters(userId, options = {}) {
+    const filters = await savedFilterRepo.findAllByUser(userId);
+
+    const counts = await Promise.all(filters.map(filter => taskRepo.countMatching(
+      userId,
+      taskRepo.filterQueryWhere(userId, parseFilterQuery(filter.query), { timezone: options.timezone, workspaceId: options.workspaceId }),
+      { workspaceId: options.workspaceId }
+    )));
+
+    return {
+      filters: filters.map((filter, index) => ({
+        ...filter.toJSON(),
+        count: counts[index]
+      }))
+    };
+  }
+
+  async getFilter(userId, filterId) {
+    const filter = await savedFilterRepo.findById(filterId, userId);
+    if (!filter) {
+      throw new NotFoundError('Saved filter not found');
+    }
+    return filter;
+  }
+
+  // A page of the filter's tasks, paginated and sorted like GET /api/tasks
+  async getFilterTasks(userId, filterId, params = {}) {
+    const filter = await this.getFilter(userId, filterId);
+
+    return taskService.getAllTasks(userId, {
+      ...params,
+      filter: filter.query
+    });
+  }
+
+  async createFilter(userId, filterData) {
+    const name = this.validateName(filterData.name);
+    const query = this.validateQuery(filterData.query);
+
+    if (await savedFilterRepo.findByName(name, userId)) {
+      throw new ConflictError('A saved filter with this name already exists');
+    }
+
+    const filter = await savedFilterRepo.create({
+      userId: userId,
+      name: name,
+      query: query
+    });
+
+    logger.info('Saved filter created', {
+      filterId: filter.id,
+      userId: userId,
+      query: query
+    });
+
+    return filter;
+  }
+
+  async updateFilter(userId, filterId, updateData) {
+    await this.getFilter(userId, filterId);
+
+    let name;
+    if (updateData.name !== undefined) {
+      name = this.validateName(updateData.name);
+
+      const existing = await savedFilterRepo.findByName(name, userId);
+      if (existing && existing.id !== filterId) {
+        throw new ConflictError('A saved filter with this name already exists');
+      }
+    }
+
+    const query = updateData.query !== undefined ? this.validateQuery(updateData.query) : undefined;
+
+    const filter = await savedFilterRepo.update(filterId, userId, {
+      name: name,
+      query: query
+    });
+
+    logger.info('Saved filter updated', {
+      filterId: filterId,
+      userId: userId
+    });
+
+    return filter;
+  }
+
+  async deleteFilter(userId, filterId) {
+    await this.getFilter(userId, filterId);
+    await savedFilterRepo.delete(filterId, userId);
+
+    logger.info('Saved filter deleted', {
+      filterId: filterId,
+      userId: userId
+    });
+  }
+
+  validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new ValidationError('Saved filter name is required');
+    }
+    if (trimmed.length > 100) {
+      throw new ValidationError('Saved filter name must be at most 100 characters');
+    }
+    return trimmed;
+  }
+
+  // Queries are stored as written once they parse
+  validateQuery(query) {
+    parseFilterQuery(query);
+    return query.trim();
+  }
+}
+
+module.exports = new SavedFilterService();
@@ -0,0 +1,210 @@
+const shareRepo = require('../repositories/shareRepo');
+const taskRepo = require('../repositories/taskRepo');
+const projectRepo = require('../repositories/projectRepo');
+const taskService = require('./taskService');
+const userDirectory = require('./userDirectory');
+const { logger } = require('../config/logger');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const SHARE_ROLES = ['viewer', 'editor'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Tasks and projects are shared by email. An invitation is pending until the
+// invited user opens their shared tasks, then it is bound to their user id.
+// Only the owner manages the shares; resource is { taskId } or { projectId }
+class ShareService {
+  async getShares(userId, resource) {
+    await this.getOwnResource(userId, resource);
+
+    return {
+      shares: await shareRepo.findAllByResource(resource, userId)
+    };
+  }
+
+  // Sharing again with the same email changes the role. Returns { share, created }
+  async shareResource(owner, resource, shareData) {
+    await this.getOwnResource(owner.id, resource);
+    const email = this.validateEmail(shareData.email);
+    const role = this.validateRole(shareData.role === undefined ? 'viewer' : shareData.role);
+
+    if (email === (owner.email || '').toLowerCase()) {
+      throw new ValidationError('You cannot share with yourself');
+    }
+
+    const existing = await shareRepo.findByEmail(resource, email);
+    if (existing) {
+      return {
+        share: await this.updateShare(owner.id, resource, existing.id, { role }),
+        created: false
+      };
+    }
+
+    // Someone who accepted another invitation already has access
+    const share = await shareRepo.create({
+      ...resource,
+      ownerId: owner.id,
+      email,
+      userId: await shareRepo.findUserIdByEmail(email),
+      role
+    });
+
+    logger.info('Share created', {
+      shareId: share.id,
+      ...resource,
+      userId: owner.id,
+      role,
+      pending: !share.userId
+    });
+
+    if (share.userId) {
+      await this.publishSharedTasks(owner.id, resource);
+    }
+
+    return { share, created: true };
+  }
+
+  async updateShare(userId, resource, shareId, updateData) {
+    await this.getOwnResource(userId, resource);
+    await this.getShare(userId, resource, shareId);
+    const role = this.validateRole(updateData.role);
+
+    const share = await shareRepo.update(shareId, resource, userId, { role });
+
+    logger.info('Share updated', {
+      shareId,
+      ...resource,
+      userId,
+      role
+    });
+
+    return share;
+  }
+
+  async deleteShare(userId, resource, shareId) {
+    await this.getOwnResource(userId, resource);
+    const share = await this.getShare(userId, resource, shareId);
+
+    await shareRepo.delete(shareId, resource, userId);
+
+    logger.info('Share deleted', {
+      shareId,
+      ...resource,
+      userId
+    });
+
+    if (share.userId) {
+      // Tasks they can no longer open are not theirs to do anymore; members of the
+      // task's workspace still open it without the share
+      const workspaceIds = await this.findWorkspaceIds(share.userId);
+      const unassigned = await taskRepo.unassignWithoutAccess(userId, share.userId, workspaceIds);
+      if (unassigned > 0) {
+        logger.info('Tasks unassigned after unsharing', {
+          userId,
+          assigneeId: share.userId,
+          count: unassigned
+        });
+      }
+
+      await this.publishSharedTasks(userId, resource);
+    }
+  }
+
+  // Workspaces the user is a member of, from the user service. Without an answer
+  // none: losing an assignment is better than keeping one without access
+  async findWorkspaceIds(userId) {
+    try {
+      const user = await userDirectory.findUser(userId);
+      return user ? user.workspaceIds : [];
+    } catch (error) {
+      logger.warn('Could not look up the workspaces of a user', {
+        userId,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  // Accepts the pending invitations for the user's email first, once they verified
+  // it (x-user-email-verified), so nobody gets the invitations of an address they
+  // don't own. Each task comes with the user's role on it
+  async getSharedWithMe(user, options = {}) {
+    if (user.email && user.emailVerified === 'true') {
+      const accepted = await shareRepo.claimByEmail(user.id, user.email.toLowerCase());
+      for (const share of accepted) {
+        logger.info('Share accepted', {
+          shareId: share.id,
+          userId: user.id
+        });
+        await this.publishSharedTasks(share.ownerId, share.taskId ? { taskId: share.taskId } : { projectId: share.projectId });
+      }
+    }
+
+    const limit = Math.min(parseInt(options.limit) || 50, 100);
+    const offset = parseInt(options.offset) || 0;
+    const result = await taskRepo.findSharedWith(user.id, { limit, offset });
+    const editableIds = await taskRepo.findEditableIds(user.id, result.rows.map(task => task.id));
+
+    return {
+      tasks: result.rows.map(task => ({
+        ...task.toJSON(),
+        role: editableIds.includes(task.id) ? 'editor' : 'viewer'
+      })),
+      total: result.count,
+      limit,
+      offset
+    };
+  }
+
+  // Collaborators are reminded too, so the shared tasks are published again
+  // with their current collaborators
+  async publishSharedTasks(ownerId, resource) {
+    const tasks = resource.taskId
+      ? [{ id: resource.taskId, userId: ownerId }, ...await taskRepo.findSubtasks(resource.taskId, ownerId)]
+      : await taskRepo.findByProject(resource.projectId);
+
+    for (const task of tasks) {
+      await taskService.publishTaskUpdated(task.userId, task.id);
+    }
+  }
+
+  async getOwnResource(userId, resource) {
+    if (resource.taskId) {
+      const task = await taskRepo.findById(resource.taskId, userId);
+      if (!task) {
+        throw new NotFoundError('Task not found');
+      }
+      return task;
+    }
+
+    const project = await projectRepo.findById(resource.projectId, userId);
+    if (!project) {
+      throw new NotFoundError('Project not found');
+    }
+    return project;
+  }
+
+  async getShare(userId, resource, shareId) {
+    const share = await shareRepo.findById(shareId, resource, userId);
+    if (!share) {
+      throw new NotFoundError('Share not found');
+    }
+    return share;
+  }
+
+  validateEmail(email) {
+    const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(normalized) || normalized.length > 255) {
+      throw new ValidationError('A valid email is required');
+    }
+    return normalized;
+  }
+
+  validateRole(role) {
+    if (!SHARE_ROLES.includes(role)) {
+      throw new ValidationError(`role must be one of: ${SHARE_ROLES.join(', ')}`);
+    }
+    return role;
+  }
+}
+
+module.exports = new ShareService();
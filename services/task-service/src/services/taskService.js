@@ -1,23 +1,159 @@
 const taskRepo = require('../repositories/taskRepo');
+const taskSeriesRepo = require('../repositories/taskSeriesRepo');
+const taskDependencyRepo = require('../repositories/taskDependencyRepo');
+const projectRepo = require('../repositories/projectRepo');
+const labelRepo = require('../repositories/labelRepo');
+const taskHistoryRepo = require('../repositories/taskHistoryRepo');
+const labelService = require('./labelService');
+const attachmentService = require('./attachmentService');
+const attachmentRepo = require('../repositories/attachmentRepo');
+const timeEntryRepo = require('../repositories/timeEntryRepo');
+const rabbitmq = require('../messaging/rabbitmq');
+const userDirectory = require('./userDirectory');
 const { logger } = require('../config/logger');
-const { NotFoundError, ValidationError } = require('../utils/errors');
+const { validate: isUuid } = require('uuid');
+const {
+  ServiceError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  PreconditionFailedError,
+  ForbiddenError
+} = require('../utils/errors');
+const { parseRule, nextOccurrence } = require('../utils/recurrence');
+const { parseSort, encodeCursor, decodeCursor } = require('../utils/cursor');
+const { parseQuickAdd } = require('../utils/quickAdd');
+const { isValidTimeZone } = require('../utils/timezone');
+const { positionBetween } = require('../utils/position');
+const { parseFilterQuery } = require('../utils/filterQuery');
+const { workspaceAccess, assertWorkspaceAccess } = require('../utils/workspaceAccess');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_OPERATIONS = 100;
+const MAX_QUICK_ADD_LENGTH = 500;
+const BULK_ACTIONS = ['complete', 'delete', 'setPriority', 'setDueDate', 'moveToProject'];
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class TaskService {
   async getAllTasks(userId, filters = {}) {
-    const { status, priority, search, limit, offset } = filters;
+    const { status, priority, search, projectId, labels, match, sort, order, cursor, timezone, workspaceId } = filters;
+    const { dueFrom, dueTo } = this.parseDueRange(filters.dueFrom, filters.dueTo);
+    // ?filter= takes a filter query like the ones of saved filters
+    const query = filters.filter ? parseFilterQuery(filters.filter) : undefined;
+
+    const limit = parseInt(filters.limit) || DEFAULT_PAGE_SIZE;
+    if (limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    // Filtered lists used to be ordered by due date, keep that as their default
+    const sortOrder = parseSort(sort || (status || priority ? 'dueDate' : 'createdAt'), order);
+    const position = cursor ? decodeCursor(cursor, sortOrder) : null;
+
+    const labelFilter = labels ? await this.resolveLabelFilter(userId, labels, match) : {};
+
+    // Fetch one extra task to know whether there is a next page
+    // projectId=none selects tasks that are not in any project
+    const result = await taskRepo.findAllByUser(userId, {
+      limit: limit + 1,
+      sort: sortOrder,
+      cursor: position,
+      workspaceId,
+      filters: {
+        status,
+        priority,
+        search,
+        projectId: projectId === 'none' ? null : projectId,
+        dueFrom,
+        dueTo,
+        query,
+        timezone,
+        ...labelFilter
+      }
+    });
+
+    const tasks = result.rows.slice(0, limit);
+    const hasMore = result.rows.length > limit;
+
+    return {
+      tasks,
+      total: result.count,
+      limit,
+      sort: sortOrder.field,
+      order: sortOrder.direction.toLowerCase(),
+      nextCursor: hasMore ? encodeCursor(tasks[tasks.length - 1], sortOrder) : null
+    };
+  }
+
+  // ?dueFrom=&dueTo= as dates, either end may be left open
+  parseDueRange(dueFrom, dueTo) {
+    const range = {};
+    for (const [name, value] of [['dueFrom', dueFrom], ['dueTo', dueTo]]) {
+      if (value) {
+        range[name] = new Date(value);
+        if (isNaN(range[name].getTime())) {
+          throw new ValidationError(`Invalid ${name} date`);
+        }
+      }
+    }
+    if (range.dueFrom && range.dueTo && range.dueFrom > range.dueTo) {
+      throw new ValidationError('dueFrom must not be after dueTo');
+    }
+    return range;
+  }
+
+  // ?labels=a,b&match=all|any, label names are resolved to IDs of the user's labels
+  async resolveLabelFilter(userId, labels, match = 'any') {
+    if (!['all', 'any'].includes(match)) {
+      throw new ValidationError('match must be either "all" or "any"');
+    }
+
+    const names = [...new Set(labels.split(',').map(name => name.trim()).filter(Boolean))];
+    if (!names.length) {
+      return {};
+    }
+
+    const found = await labelRepo.findByNames(names, userId);
+
+    // A task cannot carry a label that doesn't exist
+    if (match === 'all' && found.length !== names.length) {
+      return { labelIds: [], labelMatch: match };
+    }
+
+    return {
+      labelIds: found.map(label => label.id),
+      labelMatch: match
+    };
+  }
+
+  async searchTasks(userId, params = {}) {
+    const { q, status, priority, dueFrom, dueTo, limit, offset, workspaceId } = params;
 
-    let result;
-    if (status) {
-      result = await taskRepo.findByStatus(userId, status, { limit, offset });
-    } else if (priority) {
-      result = await taskRepo.findByPriority(userId, priority, { limit, offset });
-    } else if (search) {
-      result = await taskRepo.searchByTitle(userId, search, { limit, offset });
-    } else {
-      result = await taskRepo.findAllByUser(userId, { limit, offset });
+    if (!q || !q.trim()) {
+      throw new ValidationError('Search query (q) is required');
+    }
+    if (status && !['pending', 'in_progress', 'completed'].includes(status)) {
+      throw new ValidationError('Invalid status value');
+    }
+    if (priority && !['low', 'medium', 'high'].includes(priority)) {
+      throw new ValidationError('Invalid priority value');
     }
 
+    const result = await taskRepo.search(userId, q.trim(), {
+      limit,
+      offset,
+      workspaceId,
+      filters: {
+        status,
+        priority,
+        ...this.parseDueRange(dueFrom, dueTo)
+      }
+    });
+
     return {
+      query: q.trim(),
       tasks: result.rows,
       total: result.count,
       limit: parseInt(limit) || 50,
@@ -45,22 +181,66 @@ class TaskService {
     };
   }
 
-  async createTask(userId, taskData) {
+  // taskData.workspaceId is the active workspace, subtasks stay in their parent's.
+  // Subtasks belong to the creator of their parent like its other changes by
+  // workspace members and editors, history records the actor.
+  // The series, the task and its labels are created in one transaction, or in
+  // options.transaction when the task is part of a larger change (e.g. an import row)
+  async createTask(userId, taskData, options = {}) {
     // Validate required fields
     if (!taskData.title) {
       throw new ValidationError('Title is required');
     }
 
+    let ownerId = userId;
+    let workspaceId = taskData.workspaceId || userId;
+    if (taskData.parentId) {
+      const parent = await this.validateParent(userId, taskData);
+      ownerId = parent.userId;
+      workspaceId = parent.workspaceId;
+    }
+    if (taskData.projectId) {
+      await this.validateProject(taskData.projectId, workspaceId);
+    }
+    const labelIds = taskData.labelIds
+      ? await labelService.resolveLabelIds(ownerId, taskData.labelIds, { transaction: options.transaction })
+      : [];
+
     // Create task (event publishing handled by Sequelize hooks)
-    const task = await taskRepo.create({
-      userId: userId,
-      title: taskData.title,
-      description: taskData.description,
-      dueDate: taskData.dueDate,
-      priority: taskData.priority,
-      status: taskData.status,
-      remindBefore: taskData.remindBefore
-    });
+    const create = async (transaction) => {
+      const series = taskData.recurrenceRule
+        ? await this.createSeries(ownerId, taskData, { transaction })
+        : null;
+
+      const created = await taskRepo.create({
+        userId: ownerId,
+        workspaceId: workspaceId,
+        title: taskData.title,
+        description: taskData.description,
+        dueDate: taskData.dueDate,
+        priority: taskData.priority,
+        status: taskData.status,
+        remindBefore: taskData.remindBefore,
+        recurrenceRule: series ? series.recurrenceRule : undefined,
+        seriesId: series ? series.id : undefined,
+        recurrenceId: series ? series.startDate : undefined,
+        parentId: taskData.parentId,
+        projectId: taskData.projectId,
+        externalId: taskData.externalId,
+        timezone: taskData.timezone
+      }, {
+        actorId: userId,
+        transaction
+      });
+
+      if (labelIds.length) {
+        await taskRepo.setLabels(created.id, labelIds, { transaction });
+      }
+      return created;
+    };
+    const task = options.transaction
+      ? await create(options.transaction)
+      : await taskRepo.transaction(create);
 
     logger.info('Task created', {
       taskId: task.id,
@@ -68,74 +248,1101 @@ class TaskService {
       title: task.title
     });
 
-    return task;
+    if (task.parentId) {
+      await this.publishTaskUpdated(ownerId, task.parentId);
+    }
+
+    // Reload so the response includes labels
+    return taskRepo.findById(task.id, ownerId, { transaction: options.transaction });
   }
 
-  async updateTask(userId, taskId, updateData) {
-    // Check if task exists and belongs to user
-    const task = await taskRepo.findById(taskId, userId);
+  // Quick-add text is only parsed, the client creates the task from the result
+  parseTaskText(text, timezone = 'UTC') {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new ValidationError('text is required');
+    }
+    if (text.length > MAX_QUICK_ADD_LENGTH) {
+      throw new ValidationError(`text must be at most ${MAX_QUICK_ADD_LENGTH} characters`);
+    }
+    if (!isValidTimeZone(timezone)) {
+      throw new ValidationError(`Invalid time zone: ${timezone}`);
+    }
+
+    return parseQuickAdd(text, { timeZone: timezone });
+  }
+
+  // A task of the user's active or personal workspace (options.workspaceId,
+  // see utils/workspaceAccess) or one shared with them
+  async getTaskById(userId, taskId, options = {}) {
+    const task = await taskRepo.findById(taskId, userId, { role: 'viewer', workspaceId: options.workspaceId });
     if (!task) {
       throw new NotFoundError('Task not found');
     }
+    return task;
+  }
 
-    // Update task (event publishing handled by Sequelize hooks)
-    const updatedTask = await taskRepo.update(taskId, userId, {
-      title: updateData.title,
-      description: updateData.description,
-      dueDate: updateData.dueDate,
-      priority: updateData.priority,
-      status: updateData.status,
-      remindBefore: updateData.remindBefore
+  // A task of the user's workspaces, which every member may change, or one they
+  // may change as an editor. Viewers get a 403, not a 404, since they can see the task
+  async getEditableTask(userId, taskId, options = {}) {
+    const task = await this.getTaskById(userId, taskId, options);
+    if (!workspaceAccess(task, userId, options)) {
+      const editableIds = await taskRepo.findEditableIds(userId, [taskId]);
+      if (!editableIds.length) {
+        throw new ForbiddenError('You can view this task but not change it');
+      }
+    }
+    return task;
+  }
+
+  // Members delete the tasks of a workspace they created, the owner and admins
+  // (options.workspaceRole) every one of them. Editors can delete a shared task
+  async getDeletableTask(userId, taskId, options = {}) {
+    const task = await this.getEditableTask(userId, taskId, options);
+    if (workspaceAccess(task, userId, options)) {
+      assertWorkspaceAccess(task, userId, options, 'manage');
+    }
+    return task;
+  }
+
+  // options.expectedVersion rejects the update if the task changed in the meantime,
+  // options.timezone is stored with a new due date, options.position is set by moveTask,
+  // options.workspaceId and workspaceRole are the user's active workspace.
+  // Workspace members and editors of a shared task update it on behalf of the owner:
+  // labels are the owner's, history records the member or editor as the actor
+  async updateTask(userId, taskId, updateData, options = {}) {
+    const task = await this.getEditableTask(userId, taskId, options);
+    const ownerId = task.userId;
+    this.assertVersion(task, options.expectedVersion);
+
+    // Starting or completing a task requires its dependencies to be completed
+    const startsWork = ['in_progress', 'completed'].includes(updateData.status);
+    if (startsWork && updateData.status !== task.status && !updateData.override) {
+      await this.assertNotBlocked(ownerId, taskId);
+    }
+
+    if (updateData.projectId) {
+      await this.validateProject(updateData.projectId, task.workspaceId);
+    }
+    const labelIds = updateData.labelIds !== undefined
+      ? await labelService.resolveLabelIds(ownerId, updateData.labelIds)
+      : null;
+
+    // Update task (event publishing handled by Sequelize hooks, after the commit).
+    // Labels change in the same transaction, once the version check has passed
+    const updatedTask = await taskRepo.transaction(async (transaction) => {
+      const updated = await taskRepo.update(taskId, ownerId, {
+        title: updateData.title,
+        description: updateData.description,
+        dueDate: updateData.dueDate,
+        priority: updateData.priority,
+        status: updateData.status,
+        remindBefore: updateData.remindBefore,
+        projectId: updateData.projectId,
+        timezone: updateData.dueDate ? options.timezone : undefined,
+        position: options.position
+      }, {
+        version: options.expectedVersion,
+        actorId: userId,
+        transaction
+      });
+      if (!updated || !labelIds) {
+        return updated;
+      }
+
+      await taskRepo.setLabels(taskId, labelIds, { transaction });
+      const labelled = await taskRepo.findById(taskId, ownerId, { transaction });
+
+      // Label changes don't touch the task row, so the hooks can't record them
+      await this.recordLabelChanges(task, labelled, { actorId: userId, transaction });
+      return labelled;
     });
 
+    // Another request updated the task between the check above and the update,
+    // or it was deleted or changed in a way the version check doesn't catch
+    if (!updatedTask) {
+      this.assertVersion(await this.getTaskById(userId, taskId, options), options.expectedVersion);
+      throw new NotFoundError('Task not found');
+    }
+
     logger.info('Task updated', {
       taskId: updatedTask.id,
       userId: updatedTask.userId,
       title: updatedTask.title
     });
 
+    const wasCompleted = task.status !== 'completed' && updatedTask.status === 'completed';
+
+    // Completing an occurrence of a recurring task schedules the next one
+    if (updatedTask.seriesId && wasCompleted) {
+      await this.generateNextOccurrence(ownerId, updatedTask);
+    }
+
+    if (wasCompleted && updateData.completeSubtasks) {
+      await this.completeSubtasks(ownerId, updatedTask.id);
+    }
+
+    if (wasCompleted) {
+      await this.stopTimers(updatedTask.id);
+    }
+
+    // Parent progress depends on the status of its subtasks
+    if (updatedTask.parentId && task.status !== updatedTask.status) {
+      await this.publishTaskUpdated(ownerId, updatedTask.parentId);
+    }
+
+    // Completing or reopening a task changes whether its dependents are blocked
+    if ((task.status === 'completed') !== (updatedTask.status === 'completed')) {
+      await this.publishDependentsUpdated(ownerId, updatedTask.id);
+    }
+
     return updatedTask;
   }
 
-  async deleteTask(userId, taskId) {
-    // Check if task exists and belongs to user
+  // The current version travels with the error so clients can merge or reload
+  assertVersion(task, expectedVersion) {
+    if (expectedVersion !== undefined && expectedVersion !== null && task.version !== expectedVersion) {
+      throw new PreconditionFailedError('Task was modified by another request', {
+        currentVersion: task.version,
+        task
+      });
+    }
+  }
+
+  async recordLabelChanges(before, after, options = {}) {
+    const names = (task) => (task.labels || []).map(label => label.name).sort();
+    const from = names(before);
+    const to = names(after);
+
+    if (from.join(',') !== to.join(',')) {
+      await taskHistoryRepo.create({
+        taskId: after.id,
+        userId: after.userId,
+        actorId: options.actorId,
+        action: 'updated',
+        changes: { labels: { from, to } }
+      }, { transaction: options.transaction });
+    }
+  }
+
+  // History of a task, also available while the task is in the trash
+  async getTaskHistory(userId, taskId, options = {}) {
+    const { workspaceId } = options;
+    const task = await taskRepo.findById(taskId, userId, { role: 'viewer', workspaceId })
+      || await taskRepo.findDeletedById(taskId, userId, { workspaceId });
+    if (!task) {
+      throw new NotFoundError('Task not found');
+    }
+
+    const result = await taskHistoryRepo.findByTask(taskId, task.userId, options);
+
+    return {
+      taskId,
+      history: result.rows,
+      total: result.count,
+      limit: parseInt(options.limit) || 50,
+      offset: parseInt(options.offset) || 0
+    };
+  }
+
+  // Tasks can only be put in a project of their workspace
+  async validateProject(projectId, workspaceId) {
+    const project = await projectRepo.findInWorkspace(projectId, workspaceId);
+    if (!project) {
+      throw new NotFoundError('Project not found');
+    }
+    return project;
+  }
+
+  // Subtasks are added to tasks the user may change
+  async validateParent(userId, taskData) {
+    const parent = await taskRepo.findById(taskData.parentId, userId, { role: 'editor', workspaceId: taskData.workspaceId });
+    if (!parent) {
+      throw new NotFoundError('Parent task not found');
+    }
+    if (parent.parentId) {
+      throw new ValidationError('Subtasks cannot have subtasks of their own');
+    }
+    if (taskData.recurrenceRule) {
+      throw new ValidationError('Subtasks cannot be recurring');
+    }
+    return parent;
+  }
+
+  async getSubtasks(userId, taskId, options = {}) {
+    const task = await this.getTaskById(userId, taskId, options);
+
+    const subtasks = await taskRepo.findSubtasks(taskId, task.userId);
+    const completed = subtasks.filter(subtask => subtask.status === 'completed').length;
+
+    return {
+      subtasks,
+      total: subtasks.length,
+      completed,
+      progress: subtasks.length ? Math.round((completed / subtasks.length) * 100) : 0
+    };
+  }
+
+  async createSubtask(userId, taskId, taskData) {
+    return this.createTask(userId, { ...taskData, parentId: taskId });
+  }
+
+  async findSubtask(userId, taskId, subtaskId, options = {}) {
+    const subtask = await taskRepo.findById(subtaskId, userId, { role: 'viewer', workspaceId: options.workspaceId });
+    if (!subtask || subtask.parentId !== taskId) {
+      throw new NotFoundError('Subtask not found');
+    }
+    return subtask;
+  }
+
+  async updateSubtask(userId, taskId, subtaskId, updateData, options = {}) {
+    await this.findSubtask(userId, taskId, subtaskId, options);
+    return this.updateTask(userId, subtaskId, updateData, options);
+  }
+
+  async deleteSubtask(userId, taskId, subtaskId, options = {}) {
+    await this.findSubtask(userId, taskId, subtaskId, options);
+    return this.deleteTask(userId, subtaskId, options);
+  }
+
+  async completeSubtasks(userId, taskId) {
+    const subtasks = await taskRepo.findSubtasks(taskId, userId);
+    const openSubtasks = subtasks.filter(subtask => subtask.status !== 'completed');
+
+    // task.completed is published for each subtask by Sequelize hooks
+    for (const subtask of openSubtasks) {
+      await taskRepo.update(subtask.id, userId, { status: 'completed' });
+    }
+
+    logger.info('Subtasks completed with parent', {
+      taskId,
+      userId,
+      completedSubtasks: openSubtasks.length
+    });
+  }
+
+  // Dependencies
+  async getOpenBlockers(userId, taskId, options = {}) {
+    const dependencyIds = await taskDependencyRepo.findDependencyIds(taskId, userId, options);
+    if (!dependencyIds.length) {
+      return [];
+    }
+
+    const dependencies = await taskRepo.findByIds(dependencyIds, userId, options);
+    return dependencies.filter(dependency => dependency.status !== 'completed');
+  }
+
+  async assertNotBlocked(userId, taskId, options = {}) {
+    const blockers = await this.getOpenBlockers(userId, taskId, options);
+    if (blockers.length) {
+      throw new ConflictError(`Task is blocked by ${blockers.length} open task(s)`);
+    }
+  }
+
+  async getBlockedBy(userId, taskId, options = {}) {
+    const task = await this.getTaskById(userId, taskId, options);
+
+    const dependencyIds = await taskDependencyRepo.findDependencyIds(taskId, task.userId);
+    const dependencies = dependencyIds.length
+      ? await taskRepo.findByIds(dependencyIds, task.userId)
+      : [];
+    const blockers = dependencies.filter(dependency => dependency.status !== 'completed');
+
+    return {
+      blocked: blockers.length > 0,
+      blockers,
+      dependencies
+    };
+  }
+
+  // Dependencies link tasks of the same creator, members and editors of the
+  // task add them on the creator's behalf
+  async addDependency(userId, taskId, dependsOnId, options = {}) {
+    if (!dependsOnId) {
+      throw new ValidationError('dependsOnId is required');
+    }
+    if (dependsOnId === taskId) {
+      throw new ValidationError('A task cannot depend on itself');
+    }
+
+    const task = await this.getEditableTask(userId, taskId, options);
+    const ownerId = task.userId;
+    const blocker = await taskRepo.findById(dependsOnId, ownerId);
+    if (!blocker) {
+      throw new NotFoundError('Dependency task not found');
+    }
+
+    if (await taskDependencyRepo.find(taskId, dependsOnId, ownerId)) {
+      throw new ConflictError('Dependency already exists');
+    }
+    if (await this.createsCycle(ownerId, taskId, dependsOnId)) {
+      throw new ValidationError('Dependency would create a cycle');
+    }
+
+    const dependency = await taskDependencyRepo.create({ userId: ownerId, taskId, dependsOnId });
+
+    logger.info('Task dependency added', { taskId, dependsOnId, userId });
+
+    // Let consumers know the task may now be blocked
+    await this.publishTaskUpdated(ownerId, taskId);
+
+    return dependency;
+  }
+
+  async removeDependency(userId, taskId, dependsOnId, options = {}) {
+    const task = await this.getEditableTask(userId, taskId, options);
+
+    const deletedCount = await taskDependencyRepo.delete(taskId, dependsOnId, task.userId);
+    if (deletedCount === 0) {
+      throw new NotFoundError('Dependency not found');
+    }
+
+    logger.info('Task dependency removed', { taskId, dependsOnId, userId });
+
+    await this.publishTaskUpdated(task.userId, taskId);
+  }
+
+  // Adding taskId -> dependsOnId closes a cycle when taskId is reachable from dependsOnId
+  async createsCycle(userId, taskId, dependsOnId) {
+    const visited = new Set();
+    const queue = [dependsOnId];
+
+    while (queue.length) {
+      const current = queue.shift();
+      if (current === taskId) {
+        return true;
+      }
+      if (visited.has(current)) {
+        continue;
+      }
+      visited.add(current);
+      queue.push(...await taskDependencyRepo.findDependencyIds(current, userId));
+    }
+
+    return false;
+  }
+
+  async publishDependentsUpdated(userId, taskId) {
+    const dependentIds = await taskDependencyRepo.findDependentIds(taskId, userId);
+    for (const dependentId of dependentIds) {
+      await this.publishTaskUpdated(userId, dependentId);
+    }
+  }
+
+  // Publish task.updated for changes that don't touch the task row itself
+  async publishTaskUpdated(userId, taskId) {
     const task = await taskRepo.findById(taskId, userId);
     if (!task) {
+      return;
+    }
+
+    try {
+      const blockers = await this.getOpenBlockers(userId, taskId);
+      await rabbitmq.publishReminderEvent('task.updated', {
+        ...task.toJSON(),
+        blocked: blockers.length > 0,
+        collaboratorIds: await taskRepo.findCollaboratorIds(task)
+      });
+    } catch (error) {
+      logger.error('Failed to publish task.updated event:', {
+        error: error.message,
+        taskId,
+        userId
+      });
+      // Don't throw error to avoid interrupting the related change
+    }
+  }
+
+  // Recurring tasks
+  async createSeries(userId, taskData, options = {}) {
+    parseRule(taskData.recurrenceRule);
+
+    if (!taskData.dueDate || isNaN(new Date(taskData.dueDate).getTime())) {
+      throw new ValidationError('A valid due date is required for recurring tasks');
+    }
+
+    return taskSeriesRepo.create({
+      userId: userId,
+      recurrenceRule: taskData.recurrenceRule.trim(),
+      startDate: new Date(taskData.dueDate),
+      title: taskData.title,
+      description: taskData.description,
+      priority: taskData.priority,
+      remindBefore: taskData.remindBefore
+    }, options);
+  }
+
+  async generateNextOccurrence(userId, task, options = {}) {
+    const series = await taskSeriesRepo.findById(task.seriesId, userId);
+    if (!series || !series.isActive) {
+      return null;
+    }
+
+    // Only the most recent occurrence advances the series
+    const latest = await taskRepo.findLatestInSeries(series.id, userId);
+    if (latest && latest.id !== task.id) {
+      return null;
+    }
+
+    const rule = parseRule(series.recurrenceRule);
+    if (rule.count && series.occurrenceCount >= rule.count) {
+      return null;
+    }
+
+    // The rule follows the wall clock of the zone the due date was set in
+    const timeZone = isValidTimeZone(task.timezone) ? task.timezone : 'UTC';
+    const dueDate = nextOccurrence(rule, series.startDate, task.recurrenceId || task.dueDate, timeZone);
+    if (!dueDate) {
+      return null;
+    }
+
+    // Create next occurrence (task.created published by Sequelize hooks). The task,
+    // its labels and the occurrence count change together, in options.transaction if given
+    const create = async (transaction) => {
+      const created = await taskRepo.create({
+        userId: userId,
+        workspaceId: task.workspaceId,
+        title: series.title,
+        description: series.description,
+        dueDate: dueDate,
+        priority: series.priority,
+        remindBefore: series.remindBefore,
+        recurrenceRule: series.recurrenceRule,
+        seriesId: series.id,
+        recurrenceId: dueDate,
+        timezone: task.timezone
+      }, { ...options, transaction });
+      await taskRepo.setLabels(created.id, (task.labels || []).map(label => label.id), { transaction });
+      await taskSeriesRepo.incrementOccurrenceCount(series.id, userId, { transaction });
+      return created;
+    };
+
+    const nextTask = options.transaction
+      ? await create(options.transaction)
+      : await taskRepo.transaction(create);
+
+    logger.info('Next task occurrence created', {
+      taskId: nextTask.id,
+      seriesId: series.id,
+      userId: userId,
+      dueDate: dueDate
+    });
+
+    return nextTask;
+  }
+
+  // The series belongs to the creator of its tasks, see updateTask
+  async updateFutureOccurrences(userId, taskId, updateData, options = {}) {
+    const task = await this.getEditableTask(userId, taskId, options);
+    const ownerId = task.userId;
+    this.assertVersion(task, options.expectedVersion);
+    if (!task.seriesId) {
+      throw new ValidationError('Task is not part of a recurring series');
+    }
+
+    const series = await taskSeriesRepo.findById(task.seriesId, ownerId);
+    if (!series) {
+      throw new NotFoundError('Task series not found');
+    }
+
+    const openTasks = await taskRepo.findOpenBySeries(series.id, ownerId, task.recurrenceId);
+
+    // Clearing the rule stops the series after the current occurrences
+    if (updateData.recurrenceRule === null) {
+      await taskSeriesRepo.update(series.id, ownerId, { isActive: false });
+      for (const openTask of openTasks) {
+        await taskRepo.update(openTask.id, ownerId, { recurrenceRule: null }, { actorId: userId });
+      }
+
+      logger.info('Task series stopped', { seriesId: series.id, userId });
+      return taskRepo.findById(taskId, ownerId);
+    }
+
+    if (updateData.recurrenceRule !== undefined) {
+      parseRule(updateData.recurrenceRule);
+    }
+    if (updateData.dueDate && isNaN(new Date(updateData.dueDate).getTime())) {
+      throw new ValidationError('Invalid due date');
+    }
+
+    const template = {
+      title: updateData.title,
+      description: updateData.description,
+      priority: updateData.priority,
+      remindBefore: updateData.remindBefore,
+      recurrenceRule: updateData.recurrenceRule ? updateData.recurrenceRule.trim() : undefined
+    };
+
+    await taskSeriesRepo.update(series.id, ownerId, {
+      ...template,
+      startDate: updateData.dueDate ? new Date(updateData.dueDate) : undefined
+    });
+
+    for (const openTask of openTasks) {
+      const rescheduled = updateData.dueDate && openTask.id === task.id;
+      await taskRepo.update(openTask.id, ownerId, {
+        ...template,
+        dueDate: rescheduled ? updateData.dueDate : undefined,
+        recurrenceId: rescheduled ? new Date(updateData.dueDate) : undefined,
+        timezone: rescheduled ? options.timezone : undefined
+      }, {
+        actorId: userId
+      });
+    }
+
+    logger.info('Task series updated', {
+      seriesId: series.id,
+      userId,
+      updatedOccurrences: openTasks.length
+    });
+
+    return taskRepo.findById(taskId, ownerId);
+  }
+
+  // Assignment
+  // The owner or an editor assigns the task to the owner or one of its collaborators,
+  // assigneeId null unassigns it. actor is the authenticated user ({ id, email, fullName })
+  async assignTask(actor, taskId, assigneeId, options = {}) {
+    const task = await this.getEditableTask(actor.id, taskId, options);
+    this.assertVersion(task, options.expectedVersion);
+
+    if (assigneeId === undefined) {
+      throw new ValidationError('assigneeId is required, use null to unassign');
+    }
+    if (assigneeId !== null && !isUuid(assigneeId)) {
+      throw new ValidationError('assigneeId must be a user ID or null');
+    }
+    if (assigneeId && assigneeId !== task.userId && !await this.canBeAssigned(task, assigneeId)) {
+      throw new ValidationError('Tasks can only be assigned to their owner, a member of their workspace or a user they are shared with');
+    }
+
+    if (assigneeId === task.assigneeId) {
+      return task;
+    }
+
+    // task.updated from the hooks moves the reminder to the new assignee
+    const updatedTask = await taskRepo.update(taskId, task.userId, { assigneeId }, {
+      version: options.expectedVersion,
+      actorId: actor.id
+    });
+    if (!updatedTask) {
+      this.assertVersion(await this.getTaskById(actor.id, taskId, options), options.expectedVersion);
       throw new NotFoundError('Task not found');
     }
 
-    // Delete task (event publishing handled by Sequelize hooks)
-    await taskRepo.delete(taskId, userId);
+    logger.info('Task assigned', {
+      taskId,
+      userId: actor.id,
+      assigneeId
+    });
+
+    // Nobody is notified about assigning a task to themselves
+    if (assigneeId && assigneeId !== actor.id) {
+      await this.publishAssigned(actor, updatedTask);
+    }
+
+    return updatedTask;
+  }
+
+  // Users who can open the task besides its owner: the users it is shared with and,
+  // unless it is in the owner's personal workspace, the members of its workspace
+  async canBeAssigned(task, assigneeId) {
+    const collaboratorIds = await taskRepo.findCollaboratorIds(task);
+    if (collaboratorIds.includes(assigneeId)) {
+      return true;
+    }
+    if (task.workspaceId === task.userId) {
+      return false;
+    }
+
+    let assignee;
+    try {
+      assignee = await userDirectory.findUser(assigneeId);
+    } catch (error) {
+      logger.error('Failed to look up the assignee in the user service:', {
+        error: error.message,
+        assigneeId
+      });
+      throw new ServiceError('Cannot verify the assignee right now', 503, 'SERVICE_UNAVAILABLE');
+    }
+    return Boolean(assignee && assignee.workspaceIds.includes(task.workspaceId));
+  }
+
+  // task.assigned is best effort, the assignment stands without it. The notification
+  // service looks up the assignee's email in the user service
+  async publishAssigned(actor, task) {
+    try {
+      await rabbitmq.publishAssignmentEvent({
+        ...task.toJSON(),
+        assignedById: actor.id,
+        assignedByEmail: actor.email,
+        assignedByName: actor.fullName
+      });
+    } catch (error) {
+      logger.error('Failed to publish task.assigned event:', {
+        error: error.message,
+        taskId: task.id,
+        assigneeId: task.assigneeId
+      });
+    }
+  }
+
+  // Tasks assigned to the user in their workspaces (options.workspaceId) and shared
+  // ones. Shared tasks come with the user's role on them
+  async getAssignedToMe(userId, options = {}) {
+    const { status } = options;
+    if (status && !['pending', 'in_progress', 'completed'].includes(status)) {
+      throw new ValidationError('Invalid status value');
+    }
+
+    const limit = Math.min(parseInt(options.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = parseInt(options.offset) || 0;
+    const result = await taskRepo.findAssignedTo(userId, { limit, offset, status, workspaceId: options.workspaceId });
+    const isShared = (task) => !workspaceAccess(task, userId, options);
+    const sharedIds = result.rows.filter(isShared).map(task => task.id);
+    const editableIds = await taskRepo.findEditableIds(userId, sharedIds);
 
-    logger.info('Task deleted', {
+    return {
+      tasks: result.rows.map(task => (!isShared(task) ? task.toJSON() : {
+        ...task.toJSON(),
+        role: editableIds.includes(task.id) ? 'editor' : 'viewer'
+      })),
+      total: result.count,
+      limit,
+      offset
+    };
+  }
+
+  // Tasks go to the trash of their workspace, see getDeletableTask for who may delete them
+  async deleteTask(userId, taskId, options = {}) {
+    const task = await this.getDeletableTask(userId, taskId, options);
+    const ownerId = task.userId;
+
+    // Dependents are unblocked once the task is gone
+    const dependentIds = await taskDependencyRepo.findDependentIds(taskId, ownerId);
+
+    // Trash subtasks first so each one publishes its own task.deleted event
+    const subtasks = await taskRepo.findSubtasks(taskId, ownerId);
+    for (const subtask of subtasks) {
+      await taskRepo.delete(subtask.id, ownerId, { actorId: userId });
+    }
+
+    // Move task to the trash (event publishing handled by Sequelize hooks)
+    await taskRepo.delete(taskId, ownerId, { actorId: userId });
+
+    logger.info('Task moved to trash', {
       taskId,
-      userId
+      userId,
+      deletedSubtasks: subtasks.length
     });
+
+    if (task.parentId) {
+      await this.publishTaskUpdated(ownerId, task.parentId);
+    }
+    for (const dependentId of dependentIds) {
+      await this.publishTaskUpdated(ownerId, dependentId);
+    }
+  }
+
+  // Trash
+  async getTrash(userId, options = {}) {
+    const result = await taskRepo.findTrash(userId, options);
+
+    return {
+      tasks: result.rows.map(task => ({
+        ...task.toJSON(),
+        purgeAt: new Date(task.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS)
+      })),
+      total: result.count,
+      retentionDays: TRASH_RETENTION_DAYS,
+      limit: parseInt(options.limit) || 50,
+      offset: parseInt(options.offset) || 0
+    };
+  }
+
+  // Restoring takes the same rights as deleting
+  async restoreTask(userId, taskId, options = {}) {
+    const task = await taskRepo.findDeletedById(taskId, userId, { workspaceId: options.workspaceId });
+    if (!task) {
+      throw new NotFoundError('Task not found in trash');
+    }
+    assertWorkspaceAccess(task, userId, options, 'manage');
+    const ownerId = task.userId;
+
+    if (task.parentId && !await taskRepo.findById(task.parentId, ownerId)) {
+      throw new ConflictError('Restore the parent task first');
+    }
+
+    // task.created is published again (Sequelize hooks) so reminders are rebuilt
+    const restoredTask = await taskRepo.restore(taskId, ownerId);
+
+    // Subtasks went to the trash with their parent and come back with it
+    const subtasks = await taskRepo.findDeletedSubtasks(taskId, ownerId);
+    for (const subtask of subtasks) {
+      await taskRepo.restore(subtask.id, ownerId);
+    }
+
+    logger.info('Task restored from trash', {
+      taskId,
+      userId,
+      restoredSubtasks: subtasks.length
+    });
+
+    if (restoredTask.parentId) {
+      await this.publishTaskUpdated(ownerId, restoredTask.parentId);
+    }
+    await this.publishDependentsUpdated(ownerId, taskId);
+
+    return restoredTask;
+  }
+
+  // Permanently delete tasks that have been in the trash longer than the retention period,
+  // their attachment files are removed once the rows are gone
+  async purgeTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+    const storageKeys = await attachmentRepo.findStorageKeysInTrashBefore(cutoff);
+    const purged = await taskRepo.purgeDeletedBefore(cutoff);
+    await attachmentService.removeFiles(storageKeys);
+
+    logger.info('Trash purged', {
+      purged,
+      removedFiles: storageKeys.length,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+
+    return purged;
   }
 
+  // Bulk operations: every operation runs in a savepoint of one transaction, so a
+  // failing item is reported and undone on its own while the others are committed.
+  // Events are published afterwards as a single task.batch message.
+  // options.workspaceId and workspaceRole are the active workspace, as in updateTask
+  async bulkUpdate(userId, operations, options = {}) {
+    if (!Array.isArray(operations) || !operations.length) {
+      throw new ValidationError('operations must be a non-empty array');
+    }
+    if (operations.length > MAX_BULK_OPERATIONS) {
+      throw new ValidationError(`At most ${MAX_BULK_OPERATIONS} operations are allowed per request`);
+    }
+
+    const results = [];
+    const changes = [];
 
+    await taskRepo.transaction(async (transaction) => {
+      for (const [index, operation] of operations.entries()) {
+        const { action, taskId } = operation || {};
+
+        try {
+          const change = await taskRepo.transaction(
+            (savepoint) => this.applyBulkOperation(userId, operation || {}, savepoint, options),
+            { transaction }
+          );
+
+          changes.push(change);
+          results.push({
+            index,
+            taskId,
+            action,
+            success: true,
+            task: change.task
+          });
+        } catch (error) {
+          // Only client errors are reported per item, anything else aborts the batch
+          if (!(error instanceof ServiceError) || error.statusCode >= 500) {
+            throw error;
+          }
+
+          results.push({
+            index,
+            taskId,
+            action,
+            success: false,
+            error: {
+              code: error.code,
+              message: error.message
+            }
+          });
+        }
+      }
+    });
+
+    await this.publishBulkEvents(userId, changes, options);
+
+    const succeeded = results.filter(result => result.success).length;
+    logger.info('Bulk task operations applied', {
+      userId,
+      succeeded,
+      failed: results.length - succeeded
+    });
+
+    return {
+      results,
+      succeeded,
+      failed: results.length - succeeded
+    };
+  }
+
+  // Tasks of the user's workspaces are changed on behalf of their creator
+  async applyBulkOperation(userId, operation, transaction, workspace = {}) {
+    const { action, taskId } = operation;
+    const options = { transaction, skipEvents: true, actorId: userId };
+
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new ValidationError(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+    }
+    if (typeof taskId !== 'string' || !isUuid(taskId)) {
+      throw new ValidationError('taskId must be a valid UUID');
+    }
+
+    const task = await taskRepo.findById(taskId, userId, { transaction, workspaceId: workspace.workspaceId });
+    if (!task) {
+      throw new NotFoundError('Task not found');
+    }
+    const ownerId = task.userId;
+
+    const change = {
+      action,
+      taskId,
+      before: task.toJSON(),
+      relatedIds: [],
+      deletedTasks: [],
+      task: null
+    };
+
+    // Parents and dependents are republished once the batch is committed
+    if (task.parentId) {
+      change.relatedIds.push(task.parentId);
+    }
+
+    switch (action) {
+      case 'complete': {
+        if (task.status !== 'completed' && !operation.override) {
+          await this.assertNotBlocked(ownerId, taskId, { transaction });
+        }
+        change.task = await taskRepo.update(taskId, ownerId, { status: 'completed' }, options);
+        await timeEntryRepo.stopRunningByTask(taskId, { transaction });
+        change.relatedIds.push(...await taskDependencyRepo.findDependentIds(taskId, ownerId, { transaction }));
+        break;
+      }
+      case 'delete': {
+        assertWorkspaceAccess(task, userId, workspace, 'manage');
+        change.relatedIds.push(...await taskDependencyRepo.findDependentIds(taskId, ownerId, { transaction }));
+
+        const subtasks = await taskRepo.findSubtasks(taskId, ownerId, { transaction });
+        for (const subtask of subtasks) {
+          await taskRepo.delete(subtask.id, ownerId, options);
+        }
+        await taskRepo.delete(taskId, ownerId, options);
+
+        change.deletedTasks = [...subtasks.map(subtask => subtask.toJSON()), change.before];
+        break;
+      }
+      case 'setPriority': {
+        if (!['low', 'medium', 'high'].includes(operation.priority)) {
+          throw new ValidationError('Invalid priority value');
+        }
+        change.task = await taskRepo.update(taskId, ownerId, { priority: operation.priority }, options);
+        break;
+      }
+      case 'setDueDate': {
+        const { dueDate } = operation;
+        if (dueDate === undefined || (dueDate !== null && isNaN(new Date(dueDate).getTime()))) {
+          throw new ValidationError('Invalid due date');
+        }
+        change.task = await taskRepo.update(taskId, ownerId, { dueDate }, options);
+        break;
+      }
+      case 'moveToProject': {
+        // projectId null moves the task to the inbox
+        const projectId = operation.projectId ?? null;
+        if (projectId && !isUuid(projectId)) {
+          throw new ValidationError('projectId must be a valid UUID');
+        }
+        if (projectId) {
+          await this.validateProject(projectId, task.workspaceId);
+        }
+        change.task = await taskRepo.update(taskId, ownerId, { projectId }, options);
+        break;
+      }
+    }
+
+    return change;
+  }
+
+  // One task.batch message for the committed changes and the tasks they affect
+  async publishBulkEvents(userId, changes, workspace = {}) {
+    const events = [];
+    const deletedIds = new Set();
+    const completedIds = new Set();
+    const updatedIds = new Set();
+
+    for (const change of changes) {
+      for (const deletedTask of change.deletedTasks) {
+        deletedIds.add(deletedTask.id);
+        events.push({ type: 'task.deleted', data: deletedTask });
+      }
+
+      // Only tasks that weren't completed before emit task.completed
+      if (change.action === 'complete' && change.before.status !== 'completed') {
+        completedIds.add(change.taskId);
+      } else if (change.action !== 'delete') {
+        updatedIds.add(change.taskId);
+      }
+      change.relatedIds.forEach(id => updatedIds.add(id));
+    }
+
+    try {
+      const ids = [...new Set([...completedIds, ...updatedIds])].filter(id => !deletedIds.has(id));
+      const tasks = ids.length ? await taskRepo.findByIds(ids, userId, { workspaceId: workspace.workspaceId }) : [];
+
+      for (const task of tasks) {
+        const blockers = await this.getOpenBlockers(task.userId, task.id);
+        events.push({
+          type: completedIds.has(task.id) ? 'task.completed' : 'task.updated',
+          data: {
+            ...task.toJSON(),
+            blocked: blockers.length > 0,
+            collaboratorIds: await taskRepo.findCollaboratorIds(task)
+          }
+        });
+
+        // Completing an occurrence of a recurring task schedules the next one
+        if (completedIds.has(task.id) && task.seriesId) {
+          const nextTask = await this.generateNextOccurrence(task.userId, task, { skipEvents: true });
+          if (nextTask) {
+            events.push({ type: 'task.created', data: nextTask.toJSON() });
+          }
+        }
+      }
+
+      await rabbitmq.publishEventBatch(events);
+    } catch (error) {
+      logger.error('Failed to publish bulk task events:', {
+        error: error.message,
+        userId,
+        eventCount: events.length
+      });
+      // The changes are committed, don't fail the request
+    }
+  }
+
+  // Time tracking ends with the task, for everyone tracking time on it
+  async stopTimers(taskId) {
+    const stopped = await timeEntryRepo.stopRunningByTask(taskId);
+    if (stopped > 0) {
+      logger.info('Timers stopped on completion', {
+        taskId,
+        count: stopped
+      });
+    }
+  }
 
   // Additional business logic methods
-  async markTaskAsCompleted(userId, taskId) {
-    return this.updateTask(userId, taskId, { status: 'completed' });
+  async markTaskAsCompleted(userId, taskId, options = {}) {
+    const { completeSubtasks, override, ...updateOptions } = options;
+    return this.updateTask(userId, taskId, {
+      status: 'completed',
+      completeSubtasks,
+      override
+    }, updateOptions);
   }
 
-  async markTaskAsInProgress(userId, taskId) {
-    return this.updateTask(userId, taskId, { status: 'in_progress' });
+  async markTaskAsInProgress(userId, taskId, options = {}) {
+    const { override, ...updateOptions } = options;
+    return this.updateTask(userId, taskId, {
+      status: 'in_progress',
+      override
+    }, updateOptions);
   }
 
-  async updateTaskPriority(userId, taskId, priority) {
+  async updateTaskPriority(userId, taskId, priority, options = {}) {
     if (!['low', 'medium', 'high'].includes(priority)) {
       throw new ValidationError('Invalid priority value');
     }
-    return this.updateTask(userId, taskId, { priority });
+    return this.updateTask(userId, taskId, { priority }, options);
+  }
+
+  /**
+   * Move a task on the board: into the status column `status` (default: its
+   * own), directly after the task afterId and/or before the task beforeId.
+   * Without either it goes to the end of the column. Columns are shared by the
+   * members of the task's workspace. Status changes go through updateTask, so
+   * blocked tasks can't be started without override.
+   */
+  async moveTask(userId, taskId, { status, afterId, beforeId, override } = {}, options = {}) {
+    const task = await this.getEditableTask(userId, taskId, options);
+    const { workspaceId } = task;
+    this.assertVersion(task, options.expectedVersion);
+
+    const column = status || task.status;
+    if (!['pending', 'in_progress', 'completed'].includes(column)) {
+      throw new ValidationError('Invalid status value');
+    }
+
+    // Neighbors are tasks the user can see in the task's column
+    const findNeighbor = (neighborId) => taskRepo.findById(neighborId, userId, { role: 'viewer', workspaceId: options.workspaceId });
+    const neighbor = async (neighborId, name) => {
+      if (neighborId === undefined || neighborId === null) {
+        return null;
+      }
+      if (neighborId === taskId) {
+        throw new ValidationError(`${name} cannot be the task itself`);
+      }
+      const other = isUuid(neighborId) ? await findNeighbor(neighborId) : null;
+      if (!other || other.workspaceId !== workspaceId) {
+        throw new NotFoundError(`${name} task not found`);
+      }
+      if (other.status !== column) {
+        throw new ValidationError(`${name} task is not in the ${column} column`);
+      }
+      return other;
+    };
+    const after = await neighbor(afterId, 'afterId');
+    const before = await neighbor(beforeId, 'beforeId');
+    if (after && before && after.position >= before.position) {
+      throw new ValidationError('afterId must come before beforeId');
+    }
+
+    let position = await this.positionInColumn(workspaceId, taskId, column, after, before);
+    if (position === null) {
+      await taskRepo.respacePositions(workspaceId, column);
+      position = await this.positionInColumn(
+        workspaceId,
+        taskId,
+        column,
+        after && await findNeighbor(after.id),
+        before && await findNeighbor(before.id)
+      );
+    }
+
+    return this.updateTask(userId, taskId, {
+      status: column !== task.status ? column : undefined,
+      override
+    }, {
+      ...options,
+      position
+    });
+  }
+
+  // Position between the given neighbors, looking up the missing one; null without room
+  async positionInColumn(workspaceId, taskId, column, after, before) {
+    if (after && !before) {
+      return positionBetween(after.position, await taskRepo.findAdjacentPosition(workspaceId, column, after.position, 'after', taskId));
+    }
+    if (before && !after) {
+      return positionBetween(await taskRepo.findAdjacentPosition(workspaceId, column, before.position, 'before', taskId), before.position);
+    }
+    if (after && before) {
+      return positionBetween(after.position, before.position);
+    }
+    const last = await taskRepo.findLastPosition(workspaceId, column);
+    return positionBetween(last, null);
   }
 
-  async updateTaskDueDate(userId, taskId, dueDate) {
+  async updateTaskDueDate(userId, taskId, dueDate, options = {}) {
     if (dueDate && isNaN(new Date(dueDate).getTime())) {
       throw new ValidationError('Invalid due date');
     }
-    return this.updateTask(userId, taskId, { dueDate: dueDate });
+    return this.updateTask(userId, taskId, { dueDate: dueDate }, options);
   }
 }
 
@@ -0,0 +1,80 @@
+const taskRepo = require('../repositories/taskRepo');
+const { ValidationError } = require('../utils/errors');
+const { isValidTimeZone, dayBounds } = require('../utils/timezone');
+const { dailyCounts, overdueTrend, streaks } = require('../utils/stats');
+
+const STATUSES = ['pending', 'in_progress', 'completed'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const COMPLETION_WINDOWS = [7, 30, 90];
+const TREND_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grouped count rows as { value: count } with every value present
+const countsOf = (rows, field, values) => {
+  const counts = Object.fromEntries(values.map(value => [value, 0]));
+  for (const row of rows) {
+    counts[row[field]] = parseInt(row.count, 10);
+  }
+  return counts;
+};
+
+class TaskStatsService {
+  /**
+   * Counts and productivity metrics of a user's tasks. Days, such as in
+   * "due today" and the daily trends, are calendar days in options.timezone.
+   * options.workspaceId limits them to the tasks of that workspace.
+   * Completed tasks are aggregated in the database, only the completions of
+   * the trend window are loaded.
+   */
+  async getStats(userId, options = {}) {
+    const { timezone = 'UTC', workspaceId } = options;
+    if (!isValidTimeZone(timezone)) {
+      throw new ValidationError(`Invalid time zone: ${timezone}`);
+    }
+
+    const now = new Date();
+    const today = dayBounds(now, timezone);
+    // A day of margin covers the longest offset between the zone and UTC
+    const trendStart = new Date(today.start.getTime() - TREND_DAYS * DAY_MS);
+
+    const [statusRows, priorityRows, completedAt, completionDays, averageHours, dueTasks, windowRows] = await Promise.all([
+      taskRepo.countBy(userId, 'status', { workspaceId }),
+      taskRepo.countBy(userId, 'priority', { openOnly: true, workspaceId }),
+      taskRepo.findCompletedSince(userId, trendStart, { workspaceId }),
+      taskRepo.findCompletionDays(userId, timezone, { workspaceId }),
+      taskRepo.averageCompletionHours(userId, { workspaceId }),
+      taskRepo.findDueBefore(userId, today.end, trendStart, { workspaceId }),
+      Promise.all(COMPLETION_WINDOWS.map(days => (
+        taskRepo.countBy(userId, 'status', { createdSince: new Date(now.getTime() - days * DAY_MS), workspaceId })
+      )))
+    ]);
+
+    const byStatus = countsOf(statusRows, 'status', STATUSES);
+    const overdue = overdueTrend(dueTasks, TREND_DAYS, { now, timeZone: timezone });
+
+    return {
+      timezone,
+      total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      byStatus,
+      byPriority: countsOf(priorityRows, 'priority', PRIORITIES),
+      dueToday: dueTasks.filter(task => task.status !== 'completed' && new Date(task.dueDate) >= today.start).length,
+      overdue: overdue[overdue.length - 1].count,
+      completionRate: COMPLETION_WINDOWS.map((days, index) => {
+        const counts = countsOf(windowRows[index], 'status', STATUSES);
+        const created = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        return {
+          days,
+          created,
+          completed: counts.completed,
+          rate: created ? Math.round((counts.completed / created) * 100) / 100 : null
+        };
+      }),
+      averageCompletionHours: averageHours === null ? null : Math.round(averageHours * 10) / 10,
+      completedPerDay: dailyCounts(completedAt, TREND_DAYS, { now, timeZone: timezone }),
+      overdueTrend: overdue,
+      streak: streaks(completionDays, { now, timeZone: timezone })
+    };
+  }
+}
+
+module.exports = new TaskStatsService();
@@ -0,0 +1,328 @@
+const taskRepo = require('../repositories/taskRepo');
+const labelRepo = require('../repositories/labelRepo');
+const taskService = require('./taskService');
+const labelService = require('./labelService');
+const { logger } = require('../config/logger');
+const { ServiceError, ValidationError } = require('../utils/errors');
+const { formatCsvRow, parseCsvRecords } = require('../utils/csv');
+const {
+  formatCalendarStart,
+  formatCalendarEnd,
+  formatVTodo,
+  formatVEvent,
+  parseVTodos
+} = require('../utils/ical');
+
+const EXPORT_BATCH_SIZE = 500;
+const MAX_IMPORT_ROWS = 1000;
+const FORMATS = ['csv', 'json', 'ics'];
+const FEED_REFRESH_INTERVAL = 'PT1H';
+
+// Columns of CSV exports, also the fields of JSON exports
+const EXPORT_FIELDS = [
+  'id',
+  'externalId',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'remindBefore',
+  'completedAt',
+  'recurrenceRule',
+  'labels',
+  'createdAt',
+  'updatedAt'
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8'
+};
+
+const exportRecord = (task) => ({
+  id: task.id,
+  externalId: task.externalId,
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate,
+  remindBefore: task.remindBefore,
+  completedAt: task.completedAt,
+  recurrenceRule: task.recurrenceRule,
+  labels: (task.labels || []).map(label => label.name),
+  createdAt: task.createdAt,
+  updatedAt: task.updatedAt
+});
+
+const validateFormat = (format) => {
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+};
+
+class TaskTransferService {
+  // Streams are generated batch by batch, so exports of any size use constant memory
+  // Exports cover the active workspace, the calendar feed spans all of them
+  exportTasks(userId, format = 'json', workspaceId) {
+    validateFormat(format);
+
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      contentType: CONTENT_TYPES[format],
+      filename: `tasks-${date}.${format}`,
+      chunks: this.generateExport(userId, format, workspaceId)
+    };
+  }
+
+  async *generateExport(userId, format, workspaceId) {
+    const now = new Date();
+
+    if (format === 'csv') {
+      yield formatCsvRow(EXPORT_FIELDS);
+    } else if (format === 'json') {
+      yield `{"exportedAt":${JSON.stringify(now)},"tasks":[`;
+    } else {
+      yield formatCalendarStart('Tasks');
+    }
+
+    let afterId = null;
+    let count = 0;
+    for (;;) {
+      const tasks = await taskRepo.findBatchAfter(userId, afterId, EXPORT_BATCH_SIZE, { workspaceId });
+
+      for (const task of tasks) {
+        const record = exportRecord(task);
+
+        if (format === 'csv') {
+          yield formatCsvRow(EXPORT_FIELDS.map(field => (
+            field === 'labels' ? record.labels.join(',') : record[field]
+          )));
+        } else if (format === 'json') {
+          yield `${count ? ',' : ''}${JSON.stringify(record)}`;
+        } else {
+          yield formatVTodo(task, now);
+        }
+        count++;
+      }
+
+      if (tasks.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+      afterId = tasks[tasks.length - 1].id;
+    }
+
+    if (format === 'json') {
+      yield ']}';
+    } else if (format === 'ics') {
+      yield formatCalendarEnd();
+    }
+
+    logger.info('Tasks exported', { userId, format, count });
+  }
+
+  // Subscription feed of the due dates of unfinished tasks, one VEVENT per task
+  async *generateCalendarFeed(userId) {
+    const now = new Date();
+
+    yield formatCalendarStart('Tasks', { refreshInterval: FEED_REFRESH_INTERVAL });
+
+    let afterId = null;
+    for (;;) {
+      const tasks = await taskRepo.findBatchAfter(userId, afterId, EXPORT_BATCH_SIZE, { openWithDueDate: true });
+
+      for (const task of tasks) {
+        yield formatVEvent(task, now);
+      }
+
+      if (tasks.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+      afterId = tasks[tasks.length - 1].id;
+    }
+
+    yield formatCalendarEnd();
+  }
+
+  calendarFeed(userId) {
+    return {
+      contentType: CONTENT_TYPES.ics,
+      chunks: this.generateCalendarFeed(userId)
+    };
+  }
+
+  // Records of every format have the same task fields, values are mostly strings
+  parseImport(format, content) {
+    validateFormat(format);
+
+    if (format === 'json') {
+      let data = content;
+      if (typeof content === 'string') {
+        try {
+          data = JSON.parse(content);
+        } catch (error) {
+          throw new ValidationError('content is not valid JSON');
+        }
+      }
+      // Accept our own export document as well as a plain array
+      const records = Array.isArray(data) ? data : data && data.tasks;
+      if (!Array.isArray(records)) {
+        throw new ValidationError('JSON content must be an array of tasks or an object with a tasks array');
+      }
+      return records;
+    }
+
+    if (typeof content !== 'string') {
+      throw new ValidationError('content must be the text of the file');
+    }
+    return format === 'csv' ? parseCsvRecords(content) : parseVTodos(content);
+  }
+
+  // Rows are validated and created one by one through the normal create path,
+  // so task.created is published and reminders are scheduled for each new task.
+  // Each row is one transaction: a row that fails leaves no labels or series behind
+  async importTasks(userId, { format, content, timezone, workspaceId } = {}) {
+    const records = this.parseImport(format, content);
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError(`An import can contain at most ${MAX_IMPORT_ROWS} tasks`);
+    }
+
+    const externalIds = records
+      .map(record => this.externalIdOf(record))
+      .filter(Boolean);
+    const existing = externalIds.length
+      ? await taskRepo.findByExternalIds(userId, [...new Set(externalIds)])
+      : [];
+    const seen = new Set(existing.flatMap(task => [task.id, task.externalId]).filter(Boolean));
+
+    const labelCache = new Map();
+    const results = [];
+
+    for (const [index, record] of records.entries()) {
+      const row = index + 1;
+      const externalId = this.externalIdOf(record);
+
+      if (externalId && seen.has(externalId)) {
+        results.push({ row, externalId, success: true, skipped: true });
+        continue;
+      }
+
+      try {
+        const taskData = this.validateRecord(record);
+        // Labels created for the row are only cached once it is committed
+        const rowLabels = new Map(labelCache);
+
+        const task = await taskRepo.transaction(async (transaction) => {
+          const { labels, ...fields } = taskData;
+          const labelIds = await this.resolveLabels(userId, labels, rowLabels, { transaction });
+          return taskService.createTask(userId, { ...fields, labelIds, externalId, timezone, workspaceId }, { transaction });
+        });
+        rowLabels.forEach((labelId, name) => labelCache.set(name, labelId));
+        if (externalId) {
+          seen.add(externalId);
+        }
+        results.push({ row, externalId, success: true, taskId: task.id });
+      } catch (error) {
+        // Only client errors are row errors, anything else aborts the import
+        if (!(error instanceof ServiceError) || error.statusCode >= 500) {
+          throw error;
+        }
+        results.push({ row, externalId, success: false, error: { code: error.code, message: error.message } });
+      }
+    }
+
+    const summary = {
+      total: records.length,
+      created: results.filter(result => result.taskId).length,
+      skipped: results.filter(result => result.skipped).length,
+      failed: results.filter(result => !result.success).length
+    };
+
+    logger.info('Tasks imported', { userId, format, ...summary });
+
+    return { ...summary, results };
+  }
+
+  externalIdOf(record) {
+    const value = record && (record.externalId || record.id);
+    return value ? String(value).trim().slice(0, 255) : null;
+  }
+
+  validateRecord(record) {
+    if (!record || typeof record !== 'object') {
+      throw new ValidationError('Row must be an object');
+    }
+
+    const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+    const title = text(record.title);
+    if (!title) {
+      throw new ValidationError('Title is required');
+    }
+    if (title.length > 255) {
+      throw new ValidationError('Title must be at most 255 characters');
+    }
+
+    const status = text(record.status) || 'pending';
+    if (!['pending', 'in_progress', 'completed'].includes(status)) {
+      throw new ValidationError(`Invalid status: ${status}`);
+    }
+
+    const priority = text(record.priority) || 'medium';
+    if (!['low', 'medium', 'high'].includes(priority)) {
+      throw new ValidationError(`Invalid priority: ${priority}`);
+    }
+
+    const dueDate = text(record.dueDate) ? new Date(text(record.dueDate)) : undefined;
+    if (dueDate && isNaN(dueDate.getTime())) {
+      throw new ValidationError(`Invalid due date: ${text(record.dueDate)}`);
+    }
+
+    let remindBefore;
+    if (text(record.remindBefore)) {
+      remindBefore = Number(text(record.remindBefore));
+      if (!Number.isInteger(remindBefore) || remindBefore < 0) {
+        throw new ValidationError('remindBefore must be a non-negative number of minutes');
+      }
+    }
+
+    // CSV and iCalendar list labels comma separated, JSON as an array
+    const labels = Array.isArray(record.labels)
+      ? record.labels.map(text)
+      : text(record.labels).split(',').map(name => name.trim());
+
+    return {
+      title,
+      description: text(record.description) || undefined,
+      status,
+      priority,
+      dueDate,
+      remindBefore,
+      recurrenceRule: text(record.recurrenceRule) || undefined,
+      labels: [...new Set(labels.filter(Boolean))]
+    };
+  }
+
+  // Labels are matched by name, missing ones are created (in options.transaction)
+  async resolveLabels(userId, names, cache, options = {}) {
+    const missing = names.filter(name => !cache.has(name));
+    if (missing.length) {
+      const found = await labelRepo.findByNames(missing, userId);
+      found.forEach(label => cache.set(label.name, label.id));
+    }
+
+    const labelIds = [];
+    for (const name of names) {
+      if (!cache.has(name)) {
+        const label = await labelService.createLabel(userId, { name }, options);
+        cache.set(name, label.id);
+      }
+      labelIds.push(cache.get(name));
+    }
+    return labelIds;
+  }
+}
+
+module.exports = new TaskTransferService();
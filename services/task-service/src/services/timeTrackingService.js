@@ -0,0 +1,283 @@
+const timeEntryRepo = require('../repositories/timeEntryRepo');
+const taskService = require('./taskService');
+const { logger } = require('../config/logger');
+const { NotFoundError, ValidationError, ForbiddenError, ConflictError } = require('../utils/errors');
+const { isValidTimeZone, zonedParts, zonedTimeToUtc, addDays } = require('../utils/timezone');
+const { dayKey, entrySeconds, parseDay, daysBetween, timeReport } = require('../utils/timeTracking');
+
+const MAX_NOTE_LENGTH = 500;
+const MAX_ENTRY_HOURS = 24;
+const MAX_REPORT_DAYS = 366;
+const DEFAULT_REPORT_DAYS = 7;
+
+// Times are stored in whole seconds, like the durations computed from them
+const wholeSeconds = (date) => new Date(Math.floor(new Date(date).getTime() / 1000) * 1000);
+
+const isRunningConflict = (error) => error.name === 'SequelizeUniqueConstraintError';
+
+// Time is tracked by users on tasks they can change: the ones of their workspaces
+// and the ones shared with them as editors. Everyone who can see a task sees the
+// time tracked on it, only the user who tracked an entry can change or delete it.
+// A user has one running timer at most, it is an entry without endedAt.
+// options.workspaceId is the user's active workspace, see utils/workspaceAccess
+class TimeTrackingService {
+  async getTimer(userId) {
+    return timeEntryRepo.findRunning(userId);
+  }
+
+  async startTimer(userId, taskId, timerData = {}, options = {}) {
+    await taskService.getEditableTask(userId, taskId, options);
+    const note = this.validateNote(timerData.note);
+
+    const running = await timeEntryRepo.findRunning(userId);
+    if (running) {
+      throw this.runningConflict(running);
+    }
+
+    let entry;
+    try {
+      entry = await timeEntryRepo.create({
+        taskId,
+        userId: userId,
+        startedAt: wholeSeconds(new Date()),
+        note
+      });
+    } catch (error) {
+      // Another request started a timer in the meantime
+      if (isRunningConflict(error)) {
+        throw this.runningConflict(await timeEntryRepo.findRunning(userId));
+      }
+      throw error;
+    }
+
+    logger.info('Timer started', {
+      entryId: entry.id,
+      taskId,
+      userId: userId
+    });
+
+    return entry;
+  }
+
+  // Stops the user's running timer, whichever task it runs on
+  async stopTimer(userId) {
+    const running = await timeEntryRepo.findRunning(userId);
+    if (!running) {
+      throw new NotFoundError('No timer is running');
+    }
+
+    const entry = await timeEntryRepo.update(running, { endedAt: wholeSeconds(new Date()) });
+
+    logger.info('Timer stopped', {
+      entryId: entry.id,
+      taskId: entry.taskId,
+      userId: userId,
+      seconds: entrySeconds(entry)
+    });
+
+    return entry;
+  }
+
+  // Entries of every user, newest first, with the totals of the task
+  async getTimeEntries(userId, taskId, options = {}) {
+    await taskService.getTaskById(userId, taskId, options);
+
+    const limit = Math.min(parseInt(options.limit) || 50, 100);
+    const offset = parseInt(options.offset) || 0;
+    const [result, sums] = await Promise.all([
+      timeEntryRepo.findByTask(taskId, { limit, offset }),
+      timeEntryRepo.sumByUser(taskId)
+    ]);
+    const byUser = sums.map(row => ({ userId: row.userId, seconds: parseInt(row.seconds, 10) || 0 }));
+
+    return {
+      taskId,
+      entries: result.rows,
+      totalSeconds: byUser.reduce((sum, row) => sum + row.seconds, 0),
+      byUser,
+      total: result.count,
+      limit,
+      offset
+    };
+  }
+
+  // Manual entries are stopped entries
+  async createTimeEntry(userId, taskId, entryData, options = {}) {
+    await taskService.getEditableTask(userId, taskId, options);
+    const { startedAt, endedAt } = this.validatePeriod(entryData.startedAt, entryData.endedAt);
+    const note = this.validateNote(entryData.note);
+
+    const entry = await timeEntryRepo.create({
+      taskId,
+      userId: userId,
+      startedAt,
+      endedAt,
+      note
+    });
+
+    logger.info('Time entry created', {
+      entryId: entry.id,
+      taskId,
+      userId: userId
+    });
+
+    return entry;
+  }
+
+  // The end of a running entry is set by stopping the timer
+  async updateTimeEntry(userId, taskId, entryId, updateData, options = {}) {
+    await taskService.getTaskById(userId, taskId, options);
+    const entry = await this.getOwnEntry(userId, taskId, entryId);
+
+    const changes = {};
+    if (updateData.startedAt !== undefined || updateData.endedAt !== undefined) {
+      if (!entry.endedAt && updateData.endedAt !== undefined) {
+        throw new ValidationError('Stop the timer to end a running entry');
+      }
+      Object.assign(changes, this.validatePeriod(
+        updateData.startedAt !== undefined ? updateData.startedAt : entry.startedAt,
+        entry.endedAt ? (updateData.endedAt !== undefined ? updateData.endedAt : entry.endedAt) : null
+      ));
+    }
+    if (updateData.note !== undefined) {
+      changes.note = this.validateNote(updateData.note);
+    }
+
+    const updatedEntry = await timeEntryRepo.update(entry, changes);
+
+    logger.info('Time entry updated', {
+      entryId,
+      taskId,
+      userId: userId
+    });
+
+    return updatedEntry;
+  }
+
+  // Deleting a running entry discards the timer
+  async deleteTimeEntry(userId, taskId, entryId, options = {}) {
+    await taskService.getTaskById(userId, taskId, options);
+    await this.getOwnEntry(userId, taskId, entryId);
+
+    await timeEntryRepo.delete(entryId, taskId);
+
+    logger.info('Time entry deleted', {
+      entryId,
+      taskId,
+      userId: userId
+    });
+  }
+
+  /**
+   * Time the user tracked per day and per task from the calendar day `from` to
+   * `to` (YYYY-MM-DD, both included) in options.timezone. Defaults to the last
+   * seven days up to today.
+   */
+  async getTimeReport(userId, options = {}) {
+    const { timezone = 'UTC' } = options;
+    if (!isValidTimeZone(timezone)) {
+      throw new ValidationError(`Invalid time zone: ${timezone}`);
+    }
+
+    const { year, month, day } = zonedParts(new Date(), timezone);
+    const today = { year, month, day };
+    const to = options.to ? this.validateDay('to', options.to) : today;
+    const from = options.from ? this.validateDay('from', options.from) : addDays(to, 1 - DEFAULT_REPORT_DAYS);
+
+    const days = daysBetween(from, to);
+    if (days < 1) {
+      throw new ValidationError('from must not be after to');
+    }
+    if (days > MAX_REPORT_DAYS) {
+      throw new ValidationError(`A report can cover at most ${MAX_REPORT_DAYS} days`);
+    }
+
+    const entries = await timeEntryRepo.findOverlapping(
+      userId,
+      zonedTimeToUtc(from, timezone),
+      zonedTimeToUtc(addDays(to, 1), timezone)
+    );
+    const report = timeReport(entries, { from, to, timeZone: timezone });
+    const titles = new Map(entries.filter(entry => entry.task).map(entry => [entry.taskId, entry.task.title]));
+
+    return {
+      from: dayKey(from),
+      to: dayKey(to),
+      timezone,
+      totalSeconds: report.totalSeconds,
+      byDay: report.byDay,
+      byTask: report.byTask.map(row => ({ ...row, title: titles.get(row.taskId) || null }))
+    };
+  }
+
+  async getOwnEntry(userId, taskId, entryId) {
+    const entry = await timeEntryRepo.findById(entryId, taskId);
+    if (!entry) {
+      throw new NotFoundError('Time entry not found');
+    }
+    if (entry.userId !== userId) {
+      throw new ForbiddenError('Only the user who tracked the time can change it');
+    }
+    return entry;
+  }
+
+  runningConflict(running) {
+    const title = running && running.task ? running.task.title : null;
+    return new ConflictError(title
+      ? `A timer is already running on "${title}", stop it first`
+      : 'A timer is already running, stop it first');
+  }
+
+  // endedAt may be null for a running entry
+  validatePeriod(startedAt, endedAt) {
+    const start = new Date(startedAt);
+    if (!startedAt || isNaN(start.getTime())) {
+      throw new ValidationError('startedAt must be a valid date');
+    }
+    if (start > new Date()) {
+      throw new ValidationError('startedAt must not be in the future');
+    }
+    if (endedAt === null) {
+      return { startedAt: wholeSeconds(start) };
+    }
+
+    const end = new Date(endedAt);
+    if (!endedAt || isNaN(end.getTime())) {
+      throw new ValidationError('endedAt must be a valid date');
+    }
+    if (end <= start) {
+      throw new ValidationError('endedAt must be after startedAt');
+    }
+    if (end > new Date()) {
+      throw new ValidationError('endedAt must not be in the future');
+    }
+    if (end - start > MAX_ENTRY_HOURS * 60 * 60 * 1000) {
+      throw new ValidationError(`An entry can be at most ${MAX_ENTRY_HOURS} hours long`);
+    }
+    return { startedAt: wholeSeconds(start), endedAt: wholeSeconds(end) };
+  }
+
+  validateNote(note) {
+    if (note === undefined || note === null) {
+      return null;
+    }
+    if (typeof note !== 'string') {
+      throw new ValidationError('note must be a string');
+    }
+    const trimmed = note.trim();
+    if (trimmed.length > MAX_NOTE_LENGTH) {
+      throw new ValidationError(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    return trimmed || null;
+  }
+
+  validateDay(name, value) {
+    const day = parseDay(value);
+    if (!day) {
+      throw new ValidationError(`${name} must be a date as YYYY-MM-DD`);
+    }
+    return day;
+  }
+}
+
+module.exports = new TimeTrackingService();
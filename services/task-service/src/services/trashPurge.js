@@ -0,0 +1,45 @@
+const taskService = require('./taskService');
+const { logger } = require('../config/logger');
+
+const TRASH_PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const TRASH_PURGE_ENABLED = process.env.TRASH_PURGE_ENABLED !== 'false';
+
+let purgeInterval;
+
+async function purgeTrash() {
+  try {
+    await taskService.purgeTrash();
+  } catch (error) {
+    logger.error('Trash purge failed:', {
+      error: error.message
+    });
+  }
+}
+
+function startTrashPurge() {
+  if (!TRASH_PURGE_ENABLED) {
+    logger.info('Trash purge disabled');
+    return;
+  }
+
+  // Clear any existing interval
+  stopTrashPurge();
+
+  purgeTrash();
+  purgeInterval = setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS);
+
+  logger.info(`Trash purge started with interval ${TRASH_PURGE_INTERVAL_MS}ms`);
+}
+
+function stopTrashPurge() {
+  if (purgeInterval) {
+    clearInterval(purgeInterval);
+    purgeInterval = null;
+    logger.info('Trash purge stopped');
+  }
+}
+
+module.exports = {
+  startTrashPurge,
+  stopTrashPurge
+};
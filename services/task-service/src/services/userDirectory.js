@@ -0,0 +1,47 @@
+const axios = require('axios');
+
+const SERVICE_REGISTRY_URL = process.env.SERVICE_REGISTRY_URL;
+// Skips the registry lookup when set, e.g. http://localhost:3001 in development
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL;
+const USER_SERVICE_NAME = process.env.USER_SERVICE_NAME || 'user-service';
+const USER_SERVICE_TIMEOUT_MS = parseInt(process.env.USER_SERVICE_TIMEOUT_MS || '3000', 10);
+
+async function resolveUserServiceUrl() {
+  if (USER_SERVICE_URL) {
+    return USER_SERVICE_URL;
+  }
+
+  const response = await axios.get(`${SERVICE_REGISTRY_URL}/resolve/${USER_SERVICE_NAME}`, {
+    timeout: USER_SERVICE_TIMEOUT_MS
+  });
+  const [instance] = response.data.instances;
+  return `http://${instance.ip}:${instance.port}`;
+}
+
+// A user of the user service with their email and the ids of the workspaces they
+// are a member of, null when there is no such active user. Throws when the user
+// service can't be reached
+async function findUser(userId) {
+  const baseUrl = await resolveUserServiceUrl();
+
+  try {
+    const { data } = await axios.get(`${baseUrl}/auth/users/${encodeURIComponent(userId)}`, {
+      timeout: USER_SERVICE_TIMEOUT_MS
+    });
+    return {
+      id: data.id,
+      email: data.email,
+      fullName: data.full_name,
+      workspaceIds: data.workspace_ids || []
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  findUser
+};
@@ -0,0 +1,82 @@
+const taskRepo = require('../repositories/taskRepo');
+const projectRepo = require('../repositories/projectRepo');
+const { logger } = require('../config/logger');
+const { POSITION_STEP } = require('../utils/position');
+
+// The first of name, "name (2)", "name (3)"... that isn't in names
+const freeName = (name, names) => {
+  if (!names.has(name)) {
+    return name;
+  }
+
+  let suffix = 2;
+  while (names.has(`${name.slice(0, 240)} (${suffix})`)) {
+    suffix++;
+  }
+  return `${name.slice(0, 240)} (${suffix})`;
+};
+
+class WorkspaceService {
+  // When the user service deletes a workspace, its tasks and projects go back to
+  // the personal workspace of whoever created them (the one with their user id).
+  // Tasks leave projects and parent tasks of other members, which the owner can't
+  // open anymore, and assignees without a share are unassigned. Moved tasks are
+  // appended to their board columns in their previous order. Nothing is left to
+  // move when the event is delivered again.
+  async releaseWorkspace(workspaceId) {
+    const { projects, tasks } = await taskRepo.transaction(async (transaction) => {
+      const projects = await projectRepo.findAllByWorkspace(workspaceId, { transaction });
+      const projectOwners = new Map(projects.map(project => [project.id, project.userId]));
+
+      const namesByOwner = new Map();
+      for (const project of projects) {
+        if (!namesByOwner.has(project.userId)) {
+          const existing = await projectRepo.findAllByWorkspace(project.userId, { transaction });
+          namesByOwner.set(project.userId, new Set(existing.map(({ name }) => name)));
+        }
+        const names = namesByOwner.get(project.userId);
+        const name = freeName(project.name, names);
+        names.add(name);
+
+        await projectRepo.moveToWorkspace(project.id, project.userId, name, { transaction });
+      }
+
+      const tasks = await taskRepo.findAllInWorkspace(workspaceId, { transaction });
+      const taskOwners = new Map(tasks.map(task => [task.id, task.userId]));
+
+      const lastPositions = new Map();
+      for (const task of tasks) {
+        const column = `${task.userId}:${task.status}`;
+        if (!lastPositions.has(column)) {
+          lastPositions.set(column, await taskRepo.findLastPosition(task.userId, task.status, { transaction }));
+        }
+        const last = lastPositions.get(column);
+        const position = last === null ? POSITION_STEP : last + POSITION_STEP;
+        lastPositions.set(column, position);
+
+        await taskRepo.moveToWorkspace(task.id, {
+          workspaceId: task.userId,
+          position,
+          projectId: task.projectId && projectOwners.get(task.projectId) !== task.userId ? null : task.projectId,
+          // Parents outside the workspace are in the owner's personal one already
+          parentId: task.parentId && taskOwners.has(task.parentId) && taskOwners.get(task.parentId) !== task.userId
+            ? null
+            : task.parentId
+        }, { transaction, actorId: task.userId });
+      }
+
+      await taskRepo.unassignUnshared(tasks.map(task => task.id), { transaction });
+
+      return { projects, tasks };
+    });
+
+    logger.info('Deleted workspace released', {
+      workspaceId,
+      projects: projects.length,
+      tasks: tasks.length
+    });
+    return { projects: projects.length, tasks: tasks.length };
+  }
+}
+
+module.exports = new WorkspaceService();
@@ -0,0 +1,17 @@
+const path = require('path');
+const LocalDiskStorage = require('./localDiskStorage');
+
+// Attachment storage. Backends implement save(key, stream) -> { size },
+// createReadStream(key) and remove(key); ATTACHMENT_STORAGE selects one.
+const backends = {
+  local: () => new LocalDiskStorage(
+    process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, '../../uploads')
+  )
+};
+
+const backend = process.env.ATTACHMENT_STORAGE || 'local';
+if (!backends[backend]) {
+  throw new Error(`Unknown ATTACHMENT_STORAGE "${backend}", use one of: ${Object.keys(backends).join(', ')}`);
+}
+
+module.exports = backends[backend]();
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores each file under <root>/<key>. Keys are generated by the service
+// (userId/uuid), never taken from file names.
+class LocalDiskStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  pathFor(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Write a stream to key, resolves with the number of bytes written
+  async save(key, stream) {
+    const filePath = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+    });
+
+    try {
+      await pipeline(stream, fs.createWriteStream(filePath, { flags: 'wx' }));
+    } catch (error) {
+      // Clean up a partial write, but never a file that was already there
+      if (error.code !== 'EEXIST') {
+        await this.remove(key);
+      }
+      throw error;
+    }
+
+    return { size };
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.pathFor(key));
+  }
+
+  // Removing a missing file is not an error
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.pathFor(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalDiskStorage;
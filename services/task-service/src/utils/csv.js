@@ -0,0 +1,87 @@
+// RFC 4180 CSV used by task import and export
+
+// Values starting with these are run as formulas by spreadsheet apps, so export
+// prefixes them with an apostrophe and import strips it again
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+// Rows as arrays of strings; quoted fields may contain commas, quotes and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(values => values.length > 1 || values[0] !== '');
+};
+
+// Rows as objects keyed by the header row
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return rows.map(values => Object.fromEntries(
+    columns.map((column, index) => [column, (values[index] || '').replace(ESCAPED_FORMULA, '')])
+  ));
+};
+
+module.exports = {
+  formatCsvValue,
+  formatCsvRow,
+  parseCsv,
+  parseCsvRecords
+};
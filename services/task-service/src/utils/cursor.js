@@ -0,0 +1,71 @@
+const { ValidationError } = require('./errors');
+
+// Opaque cursors for keyset pagination. A cursor holds the sort it was issued
+// for plus the sort value and id of the last task on the page, so the next
+// page starts strictly after that task no matter what was inserted meanwhile.
+
+const SORT_FIELDS = ['createdAt', 'dueDate', 'priority', 'updatedAt', 'title', 'position'];
+const DATE_FIELDS = ['createdAt', 'dueDate', 'updatedAt'];
+const DEFAULT_DIRECTIONS = {
+  createdAt: 'DESC',
+  dueDate: 'ASC',
+  priority: 'DESC',
+  updatedAt: 'DESC',
+  title: 'ASC',
+  position: 'ASC'
+};
+
+const parseSort = (sort = 'createdAt', order) => {
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new ValidationError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const direction = order ? String(order).toUpperCase() : DEFAULT_DIRECTIONS[sort];
+  if (!['ASC', 'DESC'].includes(direction)) {
+    throw new ValidationError('order must be either "asc" or "desc"');
+  }
+
+  return { field: sort, direction };
+};
+
+const encodeCursor = (task, { field, direction }) => {
+  const value = task.get ? task.get(field) : task[field];
+
+  return Buffer.from(JSON.stringify({
+    f: field,
+    d: direction,
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    id: task.id
+  })).toString('base64url');
+};
+
+const decodeCursor = (cursor, { field, direction }) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded.id !== 'string' || !('v' in decoded)) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  // A cursor only makes sense for the ordering it was created with
+  if (decoded.f !== field || decoded.d !== direction) {
+    throw new ValidationError('Cursor does not match the requested sort order');
+  }
+
+  if (decoded.v !== null && DATE_FIELDS.includes(field) && isNaN(new Date(decoded.v).getTime())) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  return { value: decoded.v, id: decoded.id };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseSort,
+  encodeCursor,
+  decodeCursor
+};
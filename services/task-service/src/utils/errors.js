@@ -26,6 +26,46 @@ class UnauthorizedError extends ServiceError {
   }
 }
 
+class ForbiddenError extends ServiceError {
+  constructor(message) {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
+class ConflictError extends ServiceError {
+  constructor(message) {
+    super(message, 409, 'CONFLICT');
+  }
+}
+
+// The resource changed since the client read it, details carry the current version
+class PreconditionFailedError extends ServiceError {
+  constructor(message, details) {
+    super(message, 412, 'PRECONDITION_FAILED');
+    this.details = details;
+  }
+}
+
+class PreconditionRequiredError extends ServiceError {
+  constructor(message) {
+    super(message, 428, 'PRECONDITION_REQUIRED');
+  }
+}
+
+class PayloadTooLargeError extends ServiceError {
+  constructor(message) {
+    super(message, 413, 'PAYLOAD_TOO_LARGE');
+  }
+}
+
+// The upload would take the user over their storage quota
+class QuotaExceededError extends ServiceError {
+  constructor(message, details) {
+    super(message, 413, 'QUOTA_EXCEEDED');
+    this.details = details;
+  }
+}
+
 class DatabaseError extends ServiceError {
   constructor(message) {
     super(message, 500, 'DATABASE_ERROR');
@@ -50,7 +90,8 @@ function handleError(error) {
       statusCode: error.statusCode,
       error: {
         code: error.code,
-        message: error.message
+        message: error.message,
+        ...(error.details && { details: error.details })
       }
     };
   }
@@ -81,6 +122,12 @@ module.exports = {
   ValidationError,
   NotFoundError,
   UnauthorizedError,
+  ForbiddenError,
+  ConflictError,
+  PreconditionFailedError,
+  PreconditionRequiredError,
+  PayloadTooLargeError,
+  QuotaExceededError,
   DatabaseError,
   RabbitMQError,
   RegistryError,
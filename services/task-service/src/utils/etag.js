@@ -0,0 +1,25 @@
+// ETags of tasks are their version, e.g. "3"
+const { ValidationError } = require('./errors');
+
+const formatETag = (version) => `"${version}"`;
+
+// Version expected by an If-Match header, null for "*" (any version).
+// Weak validators (W/"3") are accepted since the version is the only validator.
+const parseIfMatch = (header) => {
+  const value = header.trim();
+  if (value === '*') {
+    return null;
+  }
+
+  const match = /^(?:W\/)?"(\d+)"$/.exec(value) || /^(\d+)$/.exec(value);
+  if (!match) {
+    throw new ValidationError('If-Match must be a task ETag such as "3"');
+  }
+
+  return parseInt(match[1], 10);
+};
+
+module.exports = {
+  formatETag,
+  parseIfMatch
+};
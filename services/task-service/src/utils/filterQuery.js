@@ -0,0 +1,154 @@
+const { ValidationError } = require('./errors');
+const { zonedParts, zonedTimeToUtc, addDays } = require('./timezone');
+
+// Filter queries of saved filters (smart lists), e.g.
+//   priority:high due:this-week status:pending
+// Terms are separated by spaces and must all match. A term is field:value,
+// comma-separated values match any of them and a leading "-" negates the term
+// (-status:completed). Values with spaces are quoted (project:"Home office").
+// Other words match the task title.
+
+const MAX_QUERY_LENGTH = 500;
+
+const STATUSES = ['pending', 'in_progress', 'completed'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const DUE_KEYWORDS = ['today', 'tomorrow', 'overdue', 'this-week', 'next-week', 'this-month', 'next-7-days', 'none'];
+
+const TERM_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const parseDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+};
+
+// due: takes a keyword, a day (2024-05-01) or a range of days (2024-05-01..2024-05-31,
+// either end may be left out)
+const isDueValue = (value) => {
+  if (DUE_KEYWORDS.includes(value)) {
+    return true;
+  }
+  const [from, to, ...rest] = value.split('..');
+  if (rest.length) {
+    return false;
+  }
+  if (to === undefined) {
+    return parseDate(from) !== null;
+  }
+  return (from || to) && (!from || parseDate(from)) && (!to || parseDate(to));
+};
+
+const FIELDS = {
+  status: (value) => (value === 'open' ? ['pending', 'in_progress'] : STATUSES.includes(value) && [value]),
+  priority: (value) => PRIORITIES.includes(value) && [value],
+  due: (value) => isDueValue(value) && [value],
+  project: (value) => [value],
+  label: (value) => [value]
+};
+
+/**
+ * Parse a filter query into terms [{ field, values, negate }]; words outside
+ * of a field are { field: 'text' } terms. Throws a ValidationError naming the
+ * first invalid term.
+ */
+const parseFilterQuery = (query) => {
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new ValidationError('Filter query must be a non-empty string');
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new ValidationError(`Filter query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const terms = [];
+  for (const [term, negate, name, quoted, bare] of query.matchAll(TERM_PATTERN)) {
+    const value = quoted !== undefined ? quoted : bare;
+
+    if (!name) {
+      if (value) {
+        terms.push({ field: 'text', values: [value], negate: negate === '-' });
+      }
+      continue;
+    }
+
+    const field = name.toLowerCase();
+    if (!FIELDS[field]) {
+      throw new ValidationError(`Unknown filter field "${field}", use one of: ${Object.keys(FIELDS).join(', ')}`);
+    }
+
+    // Names are matched as written, keywords in any case
+    const raw = quoted !== undefined ? [quoted] : value.split(',');
+    const values = [];
+    for (const item of raw) {
+      const normalized = field === 'project' || field === 'label' ? item.trim() : item.trim().toLowerCase();
+      const accepted = normalized && FIELDS[field](normalized);
+      if (!accepted) {
+        throw new ValidationError(`Invalid value in filter term: ${term.trim()}`);
+      }
+      values.push(...accepted);
+    }
+
+    terms.push({ field, values: [...new Set(values)], negate: negate === '-' });
+  }
+
+  return terms;
+};
+
+const startOfDay = (date, timeZone) => zonedTimeToUtc(date, timeZone);
+
+/**
+ * Due date range of a due: value in the user's time zone as { from, to }
+ * (from inclusive, to exclusive, either may be missing). Overdue tasks also
+ * have to be open ({ openOnly: true }). Returns null for "none".
+ */
+const dueRange = (value, { now = new Date(), timeZone = 'UTC' } = {}) => {
+  const { year, month, day, weekday } = zonedParts(now, timeZone);
+  const today = { year, month, day };
+  // Weeks start on Monday
+  const monday = addDays(today, -((weekday + 6) % 7));
+
+  switch (value) {
+    case 'none':
+      return null;
+    case 'today':
+      return { from: startOfDay(today, timeZone), to: startOfDay(addDays(today, 1), timeZone) };
+    case 'tomorrow':
+      return { from: startOfDay(addDays(today, 1), timeZone), to: startOfDay(addDays(today, 2), timeZone) };
+    case 'overdue':
+      return { to: startOfDay(today, timeZone), openOnly: true };
+    case 'this-week':
+      return { from: startOfDay(monday, timeZone), to: startOfDay(addDays(monday, 7), timeZone) };
+    case 'next-week':
+      return { from: startOfDay(addDays(monday, 7), timeZone), to: startOfDay(addDays(monday, 14), timeZone) };
+    case 'this-month':
+      return {
+        from: startOfDay({ year, month, day: 1 }, timeZone),
+        to: startOfDay(month === 12 ? { year: year + 1, month: 1, day: 1 } : { year, month: month + 1, day: 1 }, timeZone)
+      };
+    case 'next-7-days':
+      return { from: startOfDay(today, timeZone), to: startOfDay(addDays(today, 7), timeZone) };
+    default: {
+      const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+      const range = {};
+      if (from) {
+        range.from = startOfDay(parseDate(from), timeZone);
+      }
+      if (to) {
+        range.to = startOfDay(addDays(parseDate(to), 1), timeZone);
+      }
+      return range;
+    }
+  }
+};
+
+module.exports = {
+  parseFilterQuery,
+  dueRange
+};
@@ -0,0 +1,49 @@
+// Field-level diffs for the task history (audit trail)
+
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'remindBefore',
+  'completedAt',
+  'recurrenceRule',
+  'parentId',
+  'projectId',
+  'assigneeId'
+];
+
+// Dates are compared and stored as ISO strings, missing values as null
+const normalize = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  return value === undefined ? null : value;
+};
+
+// { field: { from, to } } for every tracked field that differs
+const diffFields = (previous = {}, current = {}) => {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const from = normalize(previous[field]);
+    const to = normalize(current[field]);
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+// History action for a set of changes, status transitions are called out
+const actionForChanges = (changes) => {
+  return changes.status ? 'status_changed' : 'updated';
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffFields,
+  actionForChanges
+};
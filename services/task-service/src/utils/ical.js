@@ -0,0 +1,261 @@
+// iCalendar (RFC 5545) VTODO components for task import and export,
+// VEVENT components for calendar subscription feeds
+
+const PRODID = '-//To-Do Microservices//Task Service//EN';
+const MAX_LINE_OCTETS = 75;
+const EVENT_DURATION = 'PT15M';
+
+const STATUS_TO_ICAL = {
+  pending: 'NEEDS-ACTION',
+  in_progress: 'IN-PROCESS',
+  completed: 'COMPLETED'
+};
+
+const STATUS_FROM_ICAL = {
+  'NEEDS-ACTION': 'pending',
+  'IN-PROCESS': 'in_progress',
+  COMPLETED: 'completed'
+};
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest), 0 is undefined
+const PRIORITY_TO_ICAL = { high: 1, medium: 5, low: 9 };
+
+const priorityFromIcal = (value) => {
+  const priority = parseInt(value, 10);
+  if (!priority) {
+    return undefined;
+  }
+  if (priority < 5) {
+    return 'high';
+  }
+  return priority === 5 ? 'medium' : 'low';
+};
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// UTC date-time, e.g. 20240320T153000Z
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Floating times and dates without a time are read as UTC
+const parseDateTime = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const alarmLines = (task, trigger) => [
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  `DESCRIPTION:${escapeText(task.title)}`,
+  `${trigger}:-PT${task.remindBefore}M`,
+  'END:VALARM'
+];
+
+const formatLines = (lines) => lines.map(line => `${foldLine(line)}\r\n`).join('');
+
+// Subscribed calendars poll again after refreshInterval, an iCalendar duration such as PT1H
+const formatCalendarStart = (name, { refreshInterval } = {}) => formatLines([
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODID}`,
+  'CALSCALE:GREGORIAN',
+  ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+  ...(refreshInterval ? [
+    `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+    `X-PUBLISHED-TTL:${refreshInterval}`
+  ] : [])
+]);
+
+const formatCalendarEnd = () => formatLines(['END:VCALENDAR']);
+
+// Tasks exported before keep their original UID so re-imports are deduplicated
+const formatVTodo = (task, now = new Date()) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${task.externalId || task.id}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `CREATED:${formatDateTime(task.createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+    `SUMMARY:${escapeText(task.title)}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+  if (task.dueDate) {
+    lines.push(`DUE:${formatDateTime(task.dueDate)}`);
+  }
+  lines.push(`STATUS:${STATUS_TO_ICAL[task.status]}`);
+  lines.push(`PRIORITY:${PRIORITY_TO_ICAL[task.priority]}`);
+  if (task.completedAt) {
+    lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+  }
+  if (task.labels && task.labels.length) {
+    lines.push(`CATEGORIES:${task.labels.map(label => escapeText(label.name)).join(',')}`);
+  }
+  if (task.recurrenceRule) {
+    lines.push(`RRULE:${task.recurrenceRule}`);
+  }
+  if (task.dueDate && task.remindBefore) {
+    lines.push(...alarmLines(task, 'TRIGGER;RELATED=END'));
+  }
+  lines.push('END:VTODO');
+
+  return formatLines(lines);
+};
+
+// Calendar apps show events rather than todos, so feeds list each due date as a
+// short event with the task reminder as its alarm
+const formatVEvent = (task, now = new Date()) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${task.id}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(task.dueDate)}`,
+    `DURATION:${EVENT_DURATION}`,
+    `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+    `SUMMARY:${escapeText(task.title)}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+  lines.push(`PRIORITY:${PRIORITY_TO_ICAL[task.priority]}`);
+  if (task.labels && task.labels.length) {
+    lines.push(`CATEGORIES:${task.labels.map(label => escapeText(label.name)).join(',')}`);
+  }
+  if (task.remindBefore) {
+    lines.push(...alarmLines(task, 'TRIGGER'));
+  }
+  lines.push('END:VEVENT');
+
+  return formatLines(lines);
+};
+
+// Minutes before the due date of a negative TRIGGER duration such as -PT30M or -P1D
+const parseTrigger = (value) => {
+  const match = /^-P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value.trim());
+  if (!match) {
+    return undefined;
+  }
+
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match.map(part => parseInt(part, 10) || 0);
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+};
+
+// "NAME;PARAM=x:value" -> { name, params, value }
+const parseContentLine = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: params.join(';').toUpperCase(),
+    value: line.slice(colon + 1)
+  };
+};
+
+// Task-shaped records, one per VTODO; values are strings like CSV records
+const parseVTodos = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const records = [];
+  let record = null;
+  let inAlarm = false;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN' && value === 'VTODO') {
+      record = {};
+    } else if (!record) {
+      continue;
+    } else if (name === 'END' && value === 'VTODO') {
+      records.push(record);
+      record = null;
+    } else if (name === 'BEGIN' && value === 'VALARM') {
+      inAlarm = true;
+    } else if (name === 'END' && value === 'VALARM') {
+      inAlarm = false;
+    } else if (inAlarm) {
+      // Only alarms relative to the due date map to remindBefore
+      if (name === 'TRIGGER' && !params.includes('VALUE=DATE-TIME') && record.remindBefore === undefined) {
+        const minutes = parseTrigger(value);
+        if (minutes !== undefined) {
+          record.remindBefore = String(minutes);
+        }
+      }
+    } else if (name === 'UID') {
+      record.externalId = value;
+    } else if (name === 'SUMMARY') {
+      record.title = unescapeText(value);
+    } else if (name === 'DESCRIPTION') {
+      record.description = unescapeText(value);
+    } else if (name === 'DUE') {
+      const due = parseDateTime(value);
+      record.dueDate = due ? due.toISOString() : value;
+    } else if (name === 'STATUS') {
+      record.status = STATUS_FROM_ICAL[value.toUpperCase()] || 'pending';
+    } else if (name === 'PRIORITY') {
+      record.priority = priorityFromIcal(value);
+    } else if (name === 'CATEGORIES') {
+      const categories = value.split(/(?<!\\),/).map(unescapeText);
+      record.labels = [record.labels, ...categories].filter(Boolean).join(',');
+    } else if (name === 'RRULE') {
+      record.recurrenceRule = value;
+    }
+  }
+
+  return records;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  parseDateTime,
+  foldLine,
+  formatCalendarStart,
+  formatCalendarEnd,
+  formatVTodo,
+  formatVEvent,
+  parseTrigger,
+  parseVTodos
+};
@@ -0,0 +1,56 @@
+// @mentions in comment bodies, written as @ followed by an email address:
+//   "Can you take a look, @alice@example.com?"
+// Mentions inside code (`inline` or fenced ``` blocks) are ignored.
+
+const MAX_MENTIONS = 20;
+
+const FENCED_CODE_PATTERN = /```[\s\S]*?(?:```|$)/g;
+const INLINE_CODE_PATTERN = /`[^`\n]*`/g;
+// The @ must not follow a word character, so plain addresses are not mentions
+const MENTION_PATTERN = /(^|[^\w@.+-])@([\w.%+-]+@[a-z\d-]+(?:\.[a-z\d-]+)*\.[a-z]{2,})/gi;
+
+/**
+ * Email addresses mentioned in a markdown body, lowercased and in order of
+ * first appearance, at most MAX_MENTIONS of them.
+ */
+const parseMentions = (body) => {
+  if (typeof body !== 'string') {
+    return [];
+  }
+
+  const text = body
+    .replace(FENCED_CODE_PATTERN, ' ')
+    .replace(INLINE_CODE_PATTERN, ' ');
+
+  const emails = [];
+  for (const [, , email] of text.matchAll(MENTION_PATTERN)) {
+    const normalized = email.toLowerCase();
+    if (!emails.includes(normalized)) {
+      emails.push(normalized);
+    }
+  }
+
+  return emails.slice(0, MAX_MENTIONS);
+};
+
+/**
+ * The users behind mentioned emails, given the accounts ({ userId, email }) of
+ * the users who may be mentioned. Addresses without an account are dropped,
+ * users mentioned with several of their addresses are listed once.
+ */
+const resolveMentions = (emails, accounts) => {
+  const users = [];
+  for (const email of emails) {
+    const account = accounts.find(candidate => candidate.email.toLowerCase() === email);
+    if (account && !users.some(user => user.userId === account.userId)) {
+      users.push({ userId: account.userId, email });
+    }
+  }
+  return users;
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  MAX_MENTIONS
+};
@@ -0,0 +1,33 @@
+// Manual ordering with fractional positions: a task moved between two others
+// gets a position halfway between theirs, so no other task has to change.
+// When halving runs out of precision the column is spaced out again.
+
+const POSITION_STEP = 1024;
+
+// Smallest gap still split in half, far above double precision at typical positions
+const MIN_GAP = 1e-6;
+
+/**
+ * Position between two neighbors, either of which may be null (start or end
+ * of the column). Returns null when they are too close to fit a task between.
+ */
+const positionBetween = (before, after) => {
+  if (before === null && after === null) {
+    return POSITION_STEP;
+  }
+  if (after === null) {
+    return before + POSITION_STEP;
+  }
+  if (before === null) {
+    return after - POSITION_STEP;
+  }
+  if (after - before < MIN_GAP) {
+    return null;
+  }
+  return before + (after - before) / 2;
+};
+
+module.exports = {
+  POSITION_STEP,
+  positionBetween
+};
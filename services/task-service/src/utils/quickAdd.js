@@ -0,0 +1,231 @@
+const { zonedParts, zonedTimeToUtc, addDays } = require('./timezone');
+
+// Natural-language quick-add, e.g.
+//   "Pay rent tomorrow 5pm !high remind 1h before"
+//     -> { title: 'Pay rent', dueDate: <tomorrow 17:00 in the user's zone>, priority: 'high', remindBefore: 60 }
+// Recognized phrases are removed from the title. Dates without a time are due
+// at 9:00, times without a date on their next occurrence.
+
+const DEFAULT_TIME = { hour: 9, minute: 0 };
+const TONIGHT_TIME = { hour: 20, minute: 0 };
+
+const MINUTE_MS = 60 * 1000;
+
+// Phrases must be separate words, optionally followed by punctuation
+const END = '(?=[\\s,.;]|$)';
+const START = '(?:^|\\s)';
+
+const UNIT_MINUTES = {
+  m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+  h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+  d: 1440, day: 1440, days: 1440,
+  w: 10080, week: 10080, weeks: 10080
+};
+const UNITS = '(minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w)';
+
+const PRIORITIES = {
+  high: 'high', h: 'high', 1: 'high',
+  medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+  low: 'low', l: 'low', 3: 'low'
+};
+
+// "sun" and "sat" are left out, they are too common in titles
+const WEEKDAYS = {
+  sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  saturday: 6
+};
+const WEEKDAY_NAMES = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAMES = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+const amount = (value) => (/^(an?|one)$/i.test(value) ? 1 : parseInt(value, 10));
+
+const isValidDate = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const compareDates = (a, b) => (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+
+// Dates without a year are in the current year, or the next one once passed
+const dateOfMonthDay = (month, day, year, today) => {
+  const date = { year: year ? parseInt(year, 10) : today.year, month, day: parseInt(day, 10) };
+  if (!year && compareDates(date, today) < 0) {
+    date.year++;
+  }
+  return isValidDate(date) ? date : null;
+};
+
+const monthOf = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
+// Each matcher returns what it recognized, or null to leave the text alone
+const DATE_MATCHERS = [
+  {
+    pattern: new RegExp(`${START}(?:in\\s+)?(an?|one|\\d+)\\s+${UNITS}\\s+from\\s+now${END}|${START}in\\s+(an?|one|\\d+)\\s+${UNITS}${END}`, 'i'),
+    parse: (match, today) => {
+      const count = amount(match[1] || match[3]);
+      const unit = UNIT_MINUTES[(match[2] || match[4]).toLowerCase()];
+      // Minutes and hours are relative to now, days and weeks keep the time of day
+      return unit < UNIT_MINUTES.day
+        ? { offset: count * unit }
+        : { date: addDays(today, count * unit / UNIT_MINUTES.day) };
+    }
+  },
+  {
+    pattern: new RegExp(`${START}(?:on\\s+)?(?:the\\s+)?day\\s+after\\s+tomorrow${END}`, 'i'),
+    parse: (match, today) => ({ date: addDays(today, 2) })
+  },
+  {
+    pattern: new RegExp(`${START}(?:on\\s+)?(today|tonight|tomorrow|tmrw|tmr)${END}`, 'i'),
+    parse: (match, today) => {
+      const word = match[1].toLowerCase();
+      if (word === 'tonight') {
+        return { date: today, time: TONIGHT_TIME };
+      }
+      return { date: word === 'today' ? today : addDays(today, 1) };
+    }
+  },
+  {
+    pattern: new RegExp(`${START}next\\s+week${END}`, 'i'),
+    parse: (match, today) => ({ date: addDays(today, ((8 - today.weekday) % 7) || 7) })
+  },
+  {
+    // "friday" is the next Friday after today, "next friday" the one in the following week
+    pattern: new RegExp(`${START}(?:on\\s+)?(next\\s+|this\\s+)?(${WEEKDAY_NAMES})${END}`, 'i'),
+    parse: (match, today) => {
+      const weekday = WEEKDAYS[match[2].toLowerCase()];
+      let days = ((weekday - today.weekday + 7) % 7) || 7;
+      if (match[1] && /^next/i.test(match[1])) {
+        const daysToNextMonday = ((8 - today.weekday) % 7) || 7;
+        days = daysToNextMonday + ((weekday + 6) % 7);
+      }
+      return { date: addDays(today, days) };
+    }
+  },
+  {
+    pattern: new RegExp(`${START}(?:on\\s+)?(\\d{4})-(\\d{2})-(\\d{2})${END}`),
+    parse: (match) => {
+      const date = { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+      return isValidDate(date) ? { date } : null;
+    }
+  },
+  {
+    pattern: new RegExp(`${START}(?:on\\s+)?${MONTH_NAMES}\\s+${ORDINAL}(?:,?\\s+(\\d{4}))?${END}`, 'i'),
+    parse: (match, today) => {
+      const date = dateOfMonthDay(monthOf(match[1]), match[2], match[3], today);
+      return date ? { date } : null;
+    }
+  },
+  {
+    pattern: new RegExp(`${START}(?:on\\s+)?(?:the\\s+)?${ORDINAL}(?:\\s+of)?\\s+${MONTH_NAMES}(?:,?\\s+(\\d{4}))?${END}`, 'i'),
+    parse: (match, today) => {
+      const date = dateOfMonthDay(monthOf(match[2]), match[1], match[3], today);
+      return date ? { date } : null;
+    }
+  }
+];
+
+const TIME_MATCHERS = [
+  {
+    pattern: new RegExp(`${START}(?:at\\s+|@\\s*)?(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)${END}`, 'i'),
+    parse: (match) => {
+      const hour = parseInt(match[1], 10);
+      if (hour < 1 || hour > 12) {
+        return null;
+      }
+      const pm = match[3].toLowerCase().startsWith('p');
+      return { hour: (hour % 12) + (pm ? 12 : 0), minute: parseInt(match[2] || '0', 10) };
+    }
+  },
+  {
+    pattern: new RegExp(`${START}(?:at\\s+|@\\s*)?([01]?\\d|2[0-3]):([0-5]\\d)${END}`, 'i'),
+    parse: (match) => ({ hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) })
+  },
+  {
+    // A bare hour needs "at", otherwise "Buy 2 apples" would be due at 2:00
+    pattern: new RegExp(`${START}(?:at\\s+|@\\s*)([01]?\\d|2[0-3])${END}`, 'i'),
+    parse: (match) => ({ hour: parseInt(match[1], 10), minute: 0 })
+  },
+  {
+    pattern: new RegExp(`${START}(?:at\\s+)?(noon|midnight)${END}`, 'i'),
+    parse: (match) => ({ hour: match[1].toLowerCase() === 'noon' ? 12 : 0, minute: 0 })
+  }
+];
+
+const PRIORITY_PATTERN = new RegExp(`${START}!(high|medium|med|low|h|m|l|1|2|3)${END}`, 'i');
+
+const REMINDER_PATTERN = new RegExp(
+  `${START}remind(?:\\s+me)?\\s+(an?|one|\\d+)\\s*${UNITS}(?:\\s+(?:before|early|earlier|ahead))?${END}`,
+  'i'
+);
+
+/**
+ * Parse quick-add text into task fields.
+ * now and timeZone (IANA name) decide what "tomorrow" and "5pm" mean.
+ * Returns { title, dueDate, priority, remindBefore, matches } where unrecognized
+ * fields are null and matches lists the recognized phrases.
+ */
+const parseQuickAdd = (text, { now = new Date(), timeZone = 'UTC' } = {}) => {
+  const current = zonedParts(now, timeZone);
+  const today = { year: current.year, month: current.month, day: current.day, weekday: current.weekday };
+
+  let rest = ` ${text} `;
+  const matches = [];
+
+  // Removes the first phrase a matcher recognizes from the remaining text
+  const take = (type, matchers) => {
+    for (const { pattern, parse } of matchers) {
+      const match = pattern.exec(rest);
+      const value = match && parse(match, today);
+      if (value) {
+        rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+        matches.push({ type, text: match[0].trim() });
+        return value;
+      }
+    }
+    return null;
+  };
+
+  const reminder = take('reminder', [{
+    pattern: REMINDER_PATTERN,
+    parse: (match) => ({ minutes: amount(match[1]) * UNIT_MINUTES[match[2].toLowerCase()] })
+  }]);
+  const priority = take('priority', [{
+    pattern: PRIORITY_PATTERN,
+    parse: (match) => ({ value: PRIORITIES[match[1].toLowerCase()] })
+  }]);
+  const day = take('date', DATE_MATCHERS);
+  const time = take('time', TIME_MATCHERS);
+
+  let dueDate = null;
+  if (day && day.offset !== undefined) {
+    dueDate = new Date(now.getTime() + day.offset * MINUTE_MS);
+  } else if (day || time) {
+    const date = day ? day.date : today;
+    dueDate = zonedTimeToUtc({ ...date, ...(time || day.time || DEFAULT_TIME) }, timeZone);
+
+    // A time on its own means its next occurrence
+    if (!day && dueDate <= now) {
+      dueDate = zonedTimeToUtc({ ...addDays(today, 1), ...time }, timeZone);
+    }
+  }
+
+  return {
+    title: rest.replace(/\s+/g, ' ').trim(),
+    dueDate: dueDate ? dueDate.toISOString() : null,
+    priority: priority ? priority.value : null,
+    remindBefore: reminder ? reminder.minutes : null,
+    matches
+  };
+};
+
+module.exports = {
+  parseQuickAdd
+};
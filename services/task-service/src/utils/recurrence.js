@@ -0,0 +1,359 @@
+const { ValidationError } = require('./errors');
+const { zonedParts, zonedTimeToUtc } = require('./timezone');
+
+// RRULE-style recurrence rules (subset of RFC 5545), e.g.
+//   FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0            -> every Monday 9am
+//   FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1       -> last business day of month
+// Rules are expanded on the wall clock of a time zone, so "every Monday 9am" stays
+// at 9am across daylight saving time changes. The calculations below work on
+// wall-clock times stored as UTC dates, which are converted back to instants.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PERIODS = 1000;
+
+const parseIntList = (name, value, min, max, allowNegative = false) => {
+  return value.split(',').map(item => {
+    const number = parseInt(item, 10);
+    const magnitude = Math.abs(number);
+
+    if (!/^[+-]?\d+$/.test(item) || magnitude < min || magnitude > max || (number < 0 && !allowNegative)) {
+      throw new ValidationError(`Invalid ${name} value in recurrence rule: ${item}`);
+    }
+    return number;
+  });
+};
+
+const parseByDay = (value) => {
+  return value.split(',').map(item => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+    if (!match) {
+      throw new ValidationError(`Invalid BYDAY value in recurrence rule: ${item}`);
+    }
+
+    const ordinal = match[1] ? parseInt(match[1], 10) : null;
+    if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+      throw new ValidationError(`Invalid BYDAY ordinal in recurrence rule: ${item}`);
+    }
+
+    return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+  });
+};
+
+const parseUntil = (value) => {
+  // Accept both RFC 5545 basic format (20241231T235959Z) and ISO 8601
+  const basic = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = basic
+    ? new Date(Date.UTC(+basic[1], +basic[2] - 1, +basic[3], +(basic[4] || 23), +(basic[5] || 59), +(basic[6] || 59)))
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid UNTIL value in recurrence rule: ${value}`);
+  }
+  return date;
+};
+
+/**
+ * Parse an RRULE string into a rule object.
+ * Throws ValidationError when the rule is malformed or unsupported.
+ */
+const parseRule = (ruleString) => {
+  if (!ruleString || typeof ruleString !== 'string') {
+    throw new ValidationError('Recurrence rule must be a non-empty string');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    byHour: [],
+    byMinute: [],
+    bySetPos: []
+  };
+
+  const body = ruleString.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+
+    if (!value) {
+      throw new ValidationError(`Invalid recurrence rule part: ${part}`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new ValidationError(`Unsupported recurrence frequency: ${value}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        [rule.interval] = parseIntList('INTERVAL', value, 1, 1000);
+        break;
+      case 'COUNT':
+        [rule.count] = parseIntList('COUNT', value, 1, 10000);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = parseByDay(value.toUpperCase());
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList('BYMONTHDAY', value, 1, 31, true);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList('BYMONTH', value, 1, 12);
+        break;
+      case 'BYHOUR':
+        rule.byHour = parseIntList('BYHOUR', value, 0, 23);
+        break;
+      case 'BYMINUTE':
+        rule.byMinute = parseIntList('BYMINUTE', value, 0, 59);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntList('BYSETPOS', value, 1, 366, true);
+        break;
+      case 'WKST':
+        if (value.toUpperCase() !== 'MO') {
+          throw new ValidationError('Only WKST=MO is supported in recurrence rules');
+        }
+        break;
+      default:
+        throw new ValidationError(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new ValidationError('Recurrence rule must specify FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new ValidationError('Recurrence rule cannot specify both COUNT and UNTIL');
+  }
+
+  return rule;
+};
+
+// Date helpers (wall-clock times as UTC dates)
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  const offset = (day.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(day.getTime() - offset * DAY_MS);
+};
+
+const startOfPeriod = (freq, date) => {
+  switch (freq) {
+    case 'DAILY':
+      return startOfDay(date);
+    case 'WEEKLY':
+      return startOfWeek(date);
+    case 'MONTHLY':
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    default:
+      return new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+  }
+};
+
+const periodIndex = (freq, date) => {
+  switch (freq) {
+    case 'DAILY':
+      return Math.round(startOfDay(date).getTime() / DAY_MS);
+    case 'WEEKLY':
+      return Math.round(startOfWeek(date).getTime() / (7 * DAY_MS));
+    case 'MONTHLY':
+      return date.getUTCFullYear() * 12 + date.getUTCMonth();
+    default:
+      return date.getUTCFullYear();
+  }
+};
+
+const addPeriods = (freq, periodStart, amount) => {
+  switch (freq) {
+    case 'DAILY':
+      return new Date(periodStart.getTime() + amount * DAY_MS);
+    case 'WEEKLY':
+      return new Date(periodStart.getTime() + amount * 7 * DAY_MS);
+    case 'MONTHLY':
+      return new Date(Date.UTC(periodStart.getUTCFullYear(), periodStart.getUTCMonth() + amount, 1));
+    default:
+      return new Date(Date.UTC(periodStart.getUTCFullYear() + amount, 0, 1));
+  }
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const matchesMonthDay = (day, byMonthDay) => {
+  const total = daysInMonth(day.getUTCFullYear(), day.getUTCMonth());
+  const date = day.getUTCDate();
+  return byMonthDay.some(value => (value > 0 ? value === date : total + value + 1 === date));
+};
+
+const matchesByDay = (day, byDay) => {
+  const weekday = day.getUTCDay();
+  const date = day.getUTCDate();
+  const total = daysInMonth(day.getUTCFullYear(), day.getUTCMonth());
+
+  return byDay.some(({ weekday: wanted, ordinal }) => {
+    if (wanted !== weekday) return false;
+    if (ordinal === null) return true;
+    return ordinal > 0
+      ? Math.ceil(date / 7) === ordinal
+      : Math.ceil((total - date + 1) / 7) === -ordinal;
+  });
+};
+
+// Candidate days of a month, honoring BYMONTHDAY/BYDAY or falling back to the start day
+const expandMonth = (rule, start, year, month) => {
+  const days = [];
+  for (let date = 1; date <= daysInMonth(year, month); date++) {
+    days.push(new Date(Date.UTC(year, month, date)));
+  }
+
+  if (!rule.byMonthDay.length && !rule.byDay.length) {
+    return days.filter(day => day.getUTCDate() === start.getUTCDate());
+  }
+
+  return days.filter(day =>
+    (!rule.byMonthDay.length || matchesMonthDay(day, rule.byMonthDay)) &&
+    (!rule.byDay.length || matchesByDay(day, rule.byDay))
+  );
+};
+
+const expandDays = (rule, start, periodStart) => {
+  let days;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      days = [periodStart].filter(day =>
+        (!rule.byDay.length || rule.byDay.some(({ weekday }) => weekday === day.getUTCDay())) &&
+        (!rule.byMonthDay.length || matchesMonthDay(day, rule.byMonthDay))
+      );
+      break;
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length
+        ? rule.byDay.map(({ weekday }) => weekday)
+        : [start.getUTCDay()];
+      days = [];
+      for (let offset = 0; offset < 7; offset++) {
+        const day = new Date(periodStart.getTime() + offset * DAY_MS);
+        if (weekdays.includes(day.getUTCDay())) {
+          days.push(day);
+        }
+      }
+      break;
+    }
+    case 'MONTHLY':
+      days = expandMonth(rule, start, periodStart.getUTCFullYear(), periodStart.getUTCMonth());
+      break;
+    default: {
+      const months = rule.byMonth.length ? rule.byMonth.map(month => month - 1) : [start.getUTCMonth()];
+      days = months.flatMap(month => expandMonth(rule, start, periodStart.getUTCFullYear(), month));
+    }
+  }
+
+  if (rule.byMonth.length) {
+    days = days.filter(day => rule.byMonth.includes(day.getUTCMonth() + 1));
+  }
+
+  return days;
+};
+
+const expandPeriod = (rule, start, periodStart) => {
+  const hours = rule.byHour.length ? rule.byHour : [start.getUTCHours()];
+  const minutes = rule.byMinute.length ? rule.byMinute : [start.getUTCMinutes()];
+  const seconds = rule.byHour.length || rule.byMinute.length ? 0 : start.getUTCSeconds();
+
+  const occurrences = [];
+  for (const day of expandDays(rule, start, periodStart)) {
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        occurrences.push(new Date(Date.UTC(
+          day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute, seconds
+        )));
+      }
+    }
+  }
+  occurrences.sort((a, b) => a - b);
+
+  if (!rule.bySetPos.length) {
+    return occurrences;
+  }
+
+  return rule.bySetPos
+    .map(position => occurrences[position > 0 ? position - 1 : occurrences.length + position])
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+};
+
+// Wall-clock time of an instant in a time zone, as a UTC date
+const toWallClock = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+// Instant of a wall-clock time (a UTC date) in a time zone
+const fromWallClock = (wallClock, timeZone) => {
+  const instant = zonedTimeToUtc({
+    year: wallClock.getUTCFullYear(),
+    month: wallClock.getUTCMonth() + 1,
+    day: wallClock.getUTCDate(),
+    hour: wallClock.getUTCHours(),
+    minute: wallClock.getUTCMinutes()
+  }, timeZone);
+  return new Date(instant.getTime() + wallClock.getUTCSeconds() * 1000);
+};
+
+/**
+ * Compute the first occurrence of a rule strictly after `after`.
+ * `start` is the series anchor (DTSTART); it fixes the default day/time and the
+ * INTERVAL alignment. Days and times of the rule are on the wall clock of
+ * `timeZone` (an IANA name). Returns null when the rule has no further occurrences.
+ * COUNT is not evaluated here since it depends on how many instances exist.
+ */
+const nextOccurrence = (ruleOrString, start, after = start, timeZone = 'UTC') => {
+  const rule = typeof ruleOrString === 'string' ? parseRule(ruleOrString) : ruleOrString;
+  const startDate = new Date(start);
+  const afterDate = new Date(after);
+
+  if (isNaN(startDate.getTime()) || isNaN(afterDate.getTime())) {
+    throw new ValidationError('Invalid start date for recurrence');
+  }
+
+  const localStart = toWallClock(startDate, timeZone);
+  const firstPeriod = startOfPeriod(rule.freq, localStart);
+  const elapsed = Math.max(0, periodIndex(rule.freq, toWallClock(afterDate, timeZone)) - periodIndex(rule.freq, firstPeriod));
+  let offset = Math.floor(elapsed / rule.interval) * rule.interval;
+
+  for (let i = 0; i < MAX_PERIODS; i++, offset += rule.interval) {
+    const periodStart = addPeriods(rule.freq, firstPeriod, offset);
+
+    // UNTIL is an instant, a day of margin covers the offset of any time zone
+    if (rule.until && periodStart.getTime() - DAY_MS > rule.until.getTime()) {
+      return null;
+    }
+
+    const candidate = expandPeriod(rule, localStart, periodStart)
+      .map(occurrence => fromWallClock(occurrence, timeZone))
+      .find(occurrence => occurrence > afterDate && occurrence >= startDate);
+
+    if (candidate) {
+      return rule.until && candidate > rule.until ? null : candidate;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseRule,
+  nextOccurrence
+};
@@ -0,0 +1,30 @@
+// Full-text search runs on "searchVector", a column PostgreSQL generates from the
+// title (weight A) and the description (weight B), with a GIN index on it.
+// Sequelize can't declare generated columns, so the Task model creates it after
+// sync() with these statements. They do nothing when the column and the index
+// exist, e.g. on a database set up by the migrations.
+
+const SEARCH_VECTOR_STATEMENTS = [
+  `ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS "searchVector" tsvector
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED`,
+  'CREATE INDEX IF NOT EXISTS tasks_search_vector_idx ON tasks USING GIN ("searchVector")'
+];
+
+/**
+ * Create the "searchVector" column and its index if they are missing.
+ * options are passed to every query, e.g. { transaction } or { logging }.
+ */
+const ensureSearchVector = async (sequelize, options = {}) => {
+  for (const statement of SEARCH_VECTOR_STATEMENTS) {
+    await sequelize.query(statement, options);
+  }
+};
+
+module.exports = {
+  SEARCH_VECTOR_STATEMENTS,
+  ensureSearchVector
+};
@@ -0,0 +1,97 @@
+const { zonedParts, zonedTimeToUtc, addDays } = require('./timezone');
+
+// Productivity metrics computed from task timestamps. Days are calendar days
+// in the user's time zone and are keyed as YYYY-MM-DD.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const dayKey = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+const dayOf = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return { year, month, day };
+};
+
+// The last `days` calendar days up to and including today, oldest first
+const lastDays = (days, { now, timeZone }) => {
+  const today = dayOf(now, timeZone);
+  return Array.from({ length: days }, (_, index) => {
+    const date = addDays(today, index - days + 1);
+    return {
+      date: dayKey(date),
+      start: zonedTimeToUtc(date, timeZone),
+      end: zonedTimeToUtc(addDays(date, 1), timeZone)
+    };
+  });
+};
+
+/**
+ * Number of dates on each of the last `days` days, e.g. completions per day.
+ * Returns [{ date, count }] oldest first, days without dates count 0.
+ */
+const dailyCounts = (dates, days, { now = new Date(), timeZone = 'UTC' } = {}) => {
+  const counts = new Map(lastDays(days, { now, timeZone }).map(({ date }) => [date, 0]));
+
+  for (const date of dates) {
+    const key = dayKey(dayOf(date, timeZone));
+    if (counts.has(key)) {
+      counts.set(key, counts.get(key) + 1);
+    }
+  }
+
+  return Array.from(counts, ([date, count]) => ({ date, count }));
+};
+
+/**
+ * Tasks still overdue at the end of each of the last `days` days: due before
+ * the day began, created by its end and not completed by then.
+ * Today counts the tasks overdue right now.
+ */
+const overdueTrend = (tasks, days, { now = new Date(), timeZone = 'UTC' } = {}) => {
+  return lastDays(days, { now, timeZone }).map(({ date, start, end }) => {
+    const until = end > now ? now : end;
+    const count = tasks.filter(task => (
+      new Date(task.dueDate) < start &&
+      new Date(task.createdAt) < until &&
+      (!task.completedAt || new Date(task.completedAt) >= until)
+    )).length;
+    return { date, count };
+  });
+};
+
+/**
+ * Consecutive days with at least one completion, given those days as
+ * YYYY-MM-DD. The current streak is still alive when nothing has been
+ * completed today yet but yesterday counts.
+ */
+const streaks = (days, { now = new Date(), timeZone = 'UTC' } = {}) => {
+  const keys = new Set(days);
+  const sorted = Array.from(keys).sort();
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const key of sorted) {
+    const [year, month, day] = key.split('-').map(Number);
+    const expected = previous && dayKey(addDays(previous, 1));
+    run = key === expected ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = { year, month, day };
+  }
+
+  const today = dayOf(now, timeZone);
+  let cursor = keys.has(dayKey(today)) ? today : addDays(today, -1);
+  let current = 0;
+  while (keys.has(dayKey(cursor))) {
+    current++;
+    cursor = addDays(cursor, -1);
+  }
+
+  return { current, longest };
+};
+
+module.exports = {
+  dailyCounts,
+  overdueTrend,
+  streaks
+};
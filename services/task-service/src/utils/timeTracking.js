@@ -0,0 +1,87 @@
+const { zonedTimeToUtc, addDays } = require('./timezone');
+
+// Tracked time. Entries are { startedAt, endedAt }, endedAt is null while the
+// timer runs. Durations are whole seconds, so day totals add up to the total.
+// Days are calendar days in the user's time zone and are keyed as YYYY-MM-DD.
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const dayKey = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+const seconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Start and end of an entry in seconds, running entries end now
+const spanOf = (entry, now) => ({
+  start: seconds(entry.startedAt),
+  end: seconds(entry.endedAt || now)
+});
+
+const entrySeconds = (entry, now = new Date()) => {
+  const { start, end } = spanOf(entry, now);
+  return Math.max(0, end - start);
+};
+
+// Calendar day of a YYYY-MM-DD string, null when it isn't a valid date
+const parseDay = (value) => {
+  const match = DAY_PATTERN.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+};
+
+// Number of calendar days from `from` to `to`, both included
+const daysBetween = (from, to) => (
+  Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / 86400000) + 1
+);
+
+/**
+ * Time tracked on each calendar day from `from` to `to` (both included), with
+ * entries crossing midnight split between their days. Returns
+ * { totalSeconds, byDay: [{ date, seconds }], byTask: [{ taskId, seconds }] },
+ * days oldest first including empty ones, tasks with the most time first.
+ */
+const timeReport = (entries, { from, to, timeZone = 'UTC', now = new Date() }) => {
+  const spans = entries.map(entry => ({ taskId: entry.taskId, ...spanOf(entry, now) }));
+  const byTask = new Map();
+  const byDay = [];
+
+  for (let index = 0; index < daysBetween(from, to); index++) {
+    const date = addDays(from, index);
+    const dayStart = seconds(zonedTimeToUtc(date, timeZone));
+    const dayEnd = seconds(zonedTimeToUtc(addDays(date, 1), timeZone));
+
+    let daySeconds = 0;
+    for (const span of spans) {
+      const overlap = Math.min(span.end, dayEnd) - Math.max(span.start, dayStart);
+      if (overlap > 0) {
+        daySeconds += overlap;
+        byTask.set(span.taskId, (byTask.get(span.taskId) || 0) + overlap);
+      }
+    }
+    byDay.push({ date: dayKey(date), seconds: daySeconds });
+  }
+
+  return {
+    totalSeconds: byDay.reduce((sum, day) => sum + day.seconds, 0),
+    byDay,
+    byTask: Array.from(byTask, ([taskId, taskSeconds]) => ({ taskId, seconds: taskSeconds }))
+      .sort((a, b) => b.seconds - a.seconds)
+  };
+};
+
+module.exports = {
+  dayKey,
+  entrySeconds,
+  parseDay,
+  daysBetween,
+  timeReport
+};
@@ -0,0 +1,114 @@
+// Wall-clock calculations in IANA time zones (e.g. Europe/Berlin) using Intl,
+// so daylight saving time is handled without a date library
+
+const formatters = new Map();
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Calendar date and time of an instant in a time zone.
+ * Months run from 1 to 12, weekdays from 0 (Sunday) to 6.
+ */
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Milliseconds the zone is ahead of UTC at an instant
+const offsetAt = (date, timeZone) => {
+  const time = new Date(date).getTime();
+  const parts = zonedParts(time, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return wallClock - (time - (((time % 1000) + 1000) % 1000));
+};
+
+/**
+ * Instant of a wall-clock time in a time zone. Times skipped by a DST change
+ * are moved forward by the change, repeated times resolve to the first one.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const before = offsetAt(wallClock - 24 * 60 * 60 * 1000, timeZone);
+  const after = offsetAt(wallClock + 24 * 60 * 60 * 1000, timeZone);
+
+  for (const offset of [before, after]) {
+    const candidate = wallClock - offset;
+    if (offsetAt(candidate, timeZone) === offset) {
+      return new Date(candidate);
+    }
+  }
+  return new Date(wallClock - before);
+};
+
+// Calendar date a number of days after another, e.g. { year, month, day } + 1
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+};
+
+// Start (inclusive) and end (exclusive) of the calendar day an instant falls on
+const dayBounds = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+
+  return {
+    start: zonedTimeToUtc({ year, month, day }, timeZone),
+    end: zonedTimeToUtc(addDays({ year, month, day }, 1), timeZone)
+  };
+};
+
+module.exports = {
+  isValidTimeZone,
+  zonedParts,
+  zonedTimeToUtc,
+  addDays,
+  dayBounds
+};
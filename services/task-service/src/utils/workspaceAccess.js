@@ -0,0 +1,56 @@
+// Workspaces are shared by their members: every member sees and changes the tasks
+// and projects of the workspace. Deleting them is up to whoever created them and
+// to the owner and admins. The active workspace and the user's role in it come
+// from the gateway (x-workspace-id, x-workspace-role), which takes them from the
+// signed token the user service issued when the user switched to the workspace.
+const { NotFoundError, ForbiddenError } = require('./errors');
+
+const WORKSPACE_ROLES = ['owner', 'admin', 'member'];
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// The personal workspace has the user's id and the user as its only member.
+// Unknown roles get the fewest rights
+const resolveWorkspaceRole = (userId, workspaceId, role) => {
+  if (workspaceId === userId) {
+    return 'owner';
+  }
+  return WORKSPACE_ROLES.includes(role) ? role : 'member';
+};
+
+/**
+ * What the user may do with a task or project (anything with userId and
+ * workspaceId) through workspace membership, given their active workspace
+ * ({ workspaceId, workspaceRole }): 'manage' (change and delete), 'edit'
+ * (change) or null when it belongs to neither the active workspace nor the
+ * user's personal one.
+ */
+const workspaceAccess = (resource, userId, { workspaceId = userId, workspaceRole } = {}) => {
+  if (resource.workspaceId === resource.userId) {
+    return resource.userId === userId ? 'manage' : null;
+  }
+  if (!resource.workspaceId || resource.workspaceId !== workspaceId) {
+    return null;
+  }
+  return resource.userId === userId || MANAGER_ROLES.includes(resolveWorkspaceRole(userId, workspaceId, workspaceRole))
+    ? 'manage'
+    : 'edit';
+};
+
+// 404 outside the user's workspaces, 403 when they need 'manage' access but only have 'edit'
+const assertWorkspaceAccess = (resource, userId, workspace, access = 'edit', name = 'Task') => {
+  const granted = workspaceAccess(resource, userId, workspace);
+  if (!granted) {
+    throw new NotFoundError(`${name} not found`);
+  }
+  if (access === 'manage' && granted !== 'manage') {
+    throw new ForbiddenError(`Only the creator of this ${name.toLowerCase()} and the workspace's owner and admins can do that`);
+  }
+  return granted;
+};
+
+module.exports = {
+  WORKSPACE_ROLES,
+  resolveWorkspaceRole,
+  workspaceAccess,
+  assertWorkspaceAccess
+};
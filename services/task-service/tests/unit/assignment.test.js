@@ -0,0 +1,51 @@
+const taskService = require('../../src/services/taskService');
+const taskRepo = require('../../src/repositories/taskRepo');
+const userDirectory = require('../../src/services/userDirectory');
+
+describe('taskService.canBeAssigned', () => {
+  const ownerId = '22222222-2222-4222-8222-222222222222';
+  const workspaceId = '33333333-3333-4333-8333-333333333333';
+  const assigneeId = '44444444-4444-4444-8444-444444444444';
+  let findUser;
+
+  beforeEach(() => {
+    jest.spyOn(taskRepo, 'findCollaboratorIds').mockResolvedValue([]);
+    findUser = jest.spyOn(userDirectory, 'findUser');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should accept a user the task is shared with', async () => {
+    taskRepo.findCollaboratorIds.mockResolvedValue([assigneeId]);
+
+    await expect(taskService.canBeAssigned({ userId: ownerId, workspaceId }, assigneeId)).resolves.toBe(true);
+    expect(findUser).not.toHaveBeenCalled();
+  });
+
+  it('should accept a member of the task workspace', async () => {
+    findUser.mockResolvedValue({ id: assigneeId, workspaceIds: [workspaceId] });
+
+    await expect(taskService.canBeAssigned({ userId: ownerId, workspaceId }, assigneeId)).resolves.toBe(true);
+  });
+
+  it('should refuse users outside the workspace and unknown users', async () => {
+    findUser.mockResolvedValueOnce({ id: assigneeId, workspaceIds: [assigneeId] }).mockResolvedValueOnce(null);
+
+    await expect(taskService.canBeAssigned({ userId: ownerId, workspaceId }, assigneeId)).resolves.toBe(false);
+    await expect(taskService.canBeAssigned({ userId: ownerId, workspaceId }, assigneeId)).resolves.toBe(false);
+  });
+
+  it('should never look up members of a personal workspace', async () => {
+    await expect(taskService.canBeAssigned({ userId: ownerId, workspaceId: ownerId }, assigneeId)).resolves.toBe(false);
+    expect(findUser).not.toHaveBeenCalled();
+  });
+
+  it('should fail with 503 when the user service is unreachable', async () => {
+    findUser.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(taskService.canBeAssigned({ userId: ownerId, workspaceId }, assigneeId))
+      .rejects.toMatchObject({ statusCode: 503, code: 'SERVICE_UNAVAILABLE' });
+  });
+});
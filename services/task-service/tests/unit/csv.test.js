@@ -0,0 +1,40 @@
+const { formatCsvRow, parseCsv, parseCsvRecords } = require('../../src/utils/csv');
+
+describe('csv', () => {
+  it('should quote values with separators, quotes and newlines', () => {
+    expect(formatCsvRow(['a', 'b,c', 'say "hi"', 'two\nlines', null])).toBe(
+      'a,"b,c","say ""hi""","two\nlines",\r\n'
+    );
+  });
+
+  it('should write dates as ISO strings', () => {
+    expect(formatCsvRow([new Date('2024-03-20T15:30:00Z')])).toBe('2024-03-20T15:30:00.000Z\r\n');
+  });
+
+  it('should escape values that spreadsheets would run as formulas', () => {
+    expect(formatCsvRow(['=SUM(A1:A2)', '@cmd'])).toBe("'=SUM(A1:A2),'@cmd\r\n");
+  });
+
+  it('should parse quoted fields and mixed line endings', () => {
+    expect(parseCsv('a,"b,c"\r\n"say ""hi""","two\nlines"\n\nlast,\n')).toEqual([
+      ['a', 'b,c'],
+      ['say "hi"', 'two\nlines'],
+      ['last', '']
+    ]);
+  });
+
+  it('should key records by the header and undo formula escaping', () => {
+    const text = formatCsvRow(['title', 'description', 'labels']) +
+      formatCsvRow(['Plan trip', '- book hotel', 'travel,home']);
+
+    expect(parseCsvRecords(`\uFEFF${text}`)).toEqual([
+      { title: 'Plan trip', description: '- book hotel', labels: 'travel,home' }
+    ]);
+  });
+
+  it('should fill missing trailing columns with empty strings', () => {
+    expect(parseCsvRecords('title,priority\nShort row\n')).toEqual([
+      { title: 'Short row', priority: '' }
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+const { parseSort, encodeCursor, decodeCursor } = require('../../src/utils/cursor');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('cursor', () => {
+  describe('parseSort', () => {
+    it('should use the default direction of each field', () => {
+      expect(parseSort()).toEqual({ field: 'createdAt', direction: 'DESC' });
+      expect(parseSort('dueDate')).toEqual({ field: 'dueDate', direction: 'ASC' });
+      expect(parseSort('title')).toEqual({ field: 'title', direction: 'ASC' });
+      expect(parseSort('position')).toEqual({ field: 'position', direction: 'ASC' });
+    });
+
+    it('should accept an explicit order', () => {
+      expect(parseSort('priority', 'asc')).toEqual({ field: 'priority', direction: 'ASC' });
+    });
+
+    it('should reject unknown fields and orders', () => {
+      expect(() => parseSort('userId')).toThrow(ValidationError);
+      expect(() => parseSort('title', 'sideways')).toThrow(ValidationError);
+    });
+  });
+
+  describe('encodeCursor / decodeCursor', () => {
+    const sort = { field: 'dueDate', direction: 'ASC' };
+
+    it('should round-trip the sort value and id', () => {
+      const task = { id: 'a1', dueDate: new Date('2024-03-20T15:30:00.000Z') };
+      const cursor = encodeCursor(task, sort);
+
+      expect(decodeCursor(cursor, sort)).toEqual({ value: '2024-03-20T15:30:00.000Z', id: 'a1' });
+    });
+
+    it('should keep null sort values', () => {
+      const cursor = encodeCursor({ id: 'a1', dueDate: null }, sort);
+
+      expect(decodeCursor(cursor, sort)).toEqual({ value: null, id: 'a1' });
+    });
+
+    it('should reject a cursor issued for another sort', () => {
+      const cursor = encodeCursor({ id: 'a1', title: 'Write docs' }, { field: 'title', direction: 'ASC' });
+
+      expect(() => decodeCursor(cursor, sort)).toThrow('Cursor does not match the requested sort order');
+      expect(() => decodeCursor(cursor, { field: 'title', direction: 'DESC' })).toThrow(ValidationError);
+    });
+
+    it.each(['not-a-cursor', Buffer.from('{"f":"dueDate"}').toString('base64url')])(
+      'should reject malformed cursor %s',
+      (cursor) => {
+        expect(() => decodeCursor(cursor, sort)).toThrow(ValidationError);
+      }
+    );
+  });
+});
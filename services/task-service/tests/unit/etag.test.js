@@ -0,0 +1,23 @@
+const { formatETag, parseIfMatch } = require('../../src/utils/etag');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('etag', () => {
+  it('should round-trip a task version', () => {
+    expect(formatETag(3)).toBe('"3"');
+    expect(parseIfMatch(formatETag(3))).toBe(3);
+  });
+
+  it('should accept weak and unquoted validators', () => {
+    expect(parseIfMatch('W/"7"')).toBe(7);
+    expect(parseIfMatch(' 12 ')).toBe(12);
+  });
+
+  it('should treat * as any version', () => {
+    expect(parseIfMatch('*')).toBeNull();
+  });
+
+  it('should reject values that are not a version', () => {
+    expect(() => parseIfMatch('"abc"')).toThrow(ValidationError);
+    expect(() => parseIfMatch('"1", "2"')).toThrow(ValidationError);
+  });
+});
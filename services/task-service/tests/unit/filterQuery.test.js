@@ -0,0 +1,81 @@
+const { parseFilterQuery, dueRange } = require('../../src/utils/filterQuery');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('filterQuery', () => {
+  describe('parseFilterQuery', () => {
+    it('should parse field terms, alternatives and negation', () => {
+      expect(parseFilterQuery('priority:high,medium due:this-week -status:completed')).toEqual([
+        { field: 'priority', values: ['high', 'medium'], negate: false },
+        { field: 'due', values: ['this-week'], negate: false },
+        { field: 'status', values: ['completed'], negate: true }
+      ]);
+    });
+
+    it('should expand status:open and accept keywords in any case', () => {
+      expect(parseFilterQuery('Status:OPEN')).toEqual([
+        { field: 'status', values: ['pending', 'in_progress'], negate: false }
+      ]);
+    });
+
+    it('should keep quoted names and other words as title terms', () => {
+      expect(parseFilterQuery('project:"Home office" label:urgent "weekly report" -draft')).toEqual([
+        { field: 'project', values: ['Home office'], negate: false },
+        { field: 'label', values: ['urgent'], negate: false },
+        { field: 'text', values: ['weekly report'], negate: false },
+        { field: 'text', values: ['draft'], negate: true }
+      ]);
+    });
+
+    it('should accept due dates and ranges', () => {
+      expect(parseFilterQuery('due:2024-05-01 due:2024-05-01..2024-05-31 due:..2024-06-01')
+        .map(term => term.values[0]))
+        .toEqual(['2024-05-01', '2024-05-01..2024-05-31', '..2024-06-01']);
+    });
+
+    it('should reject unknown fields and invalid values', () => {
+      expect(() => parseFilterQuery('owner:me')).toThrow(ValidationError);
+      expect(() => parseFilterQuery('priority:urgent')).toThrow('Invalid value in filter term: priority:urgent');
+      expect(() => parseFilterQuery('due:someday')).toThrow(ValidationError);
+      expect(() => parseFilterQuery('due:2024-02-30')).toThrow(ValidationError);
+      expect(() => parseFilterQuery('due:..')).toThrow(ValidationError);
+      expect(() => parseFilterQuery('   ')).toThrow(ValidationError);
+    });
+  });
+
+  describe('dueRange', () => {
+    // Thursday
+    const now = new Date('2024-03-21T10:00:00Z');
+
+    it('should resolve days in the time zone', () => {
+      expect(dueRange('today', { now, timeZone: 'Europe/Berlin' })).toEqual({
+        from: new Date('2024-03-20T23:00:00Z'),
+        to: new Date('2024-03-21T23:00:00Z')
+      });
+      expect(dueRange('overdue', { now, timeZone: 'UTC' })).toEqual({
+        to: new Date('2024-03-21T00:00:00Z'),
+        openOnly: true
+      });
+    });
+
+    it('should start weeks on Monday', () => {
+      expect(dueRange('this-week', { now, timeZone: 'UTC' })).toEqual({
+        from: new Date('2024-03-18T00:00:00Z'),
+        to: new Date('2024-03-25T00:00:00Z')
+      });
+      expect(dueRange('next-week', { now, timeZone: 'UTC' }).from).toEqual(new Date('2024-03-25T00:00:00Z'));
+    });
+
+    it('should include the whole last day of a range', () => {
+      expect(dueRange('2024-03-01..2024-03-31', { now, timeZone: 'UTC' })).toEqual({
+        from: new Date('2024-03-01T00:00:00Z'),
+        to: new Date('2024-04-01T00:00:00Z')
+      });
+      expect(dueRange('this-month', { now, timeZone: 'UTC' })).toEqual(dueRange('2024-03-01..2024-03-31', { now, timeZone: 'UTC' }));
+      expect(dueRange('..2024-03-31', { now, timeZone: 'UTC' })).toEqual({ to: new Date('2024-04-01T00:00:00Z') });
+    });
+
+    it('should return null for tasks without a due date', () => {
+      expect(dueRange('none', { now })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { diffFields, actionForChanges } = require('../../src/utils/history');
+
+describe('history', () => {
+  describe('diffFields', () => {
+    it('should list only the tracked fields that changed', () => {
+      const changes = diffFields(
+        { title: 'Write docs', priority: 'low', status: 'pending', updatedAt: new Date('2024-03-18T10:00:00Z') },
+        { title: 'Write docs', priority: 'high', status: 'pending', updatedAt: new Date('2024-03-19T10:00:00Z') }
+      );
+
+      expect(changes).toEqual({ priority: { from: 'low', to: 'high' } });
+    });
+
+    it('should compare dates by value and store them as ISO strings', () => {
+      const due = '2024-03-20T15:30:00.000Z';
+
+      expect(diffFields({ dueDate: new Date(due) }, { dueDate: new Date(due) })).toEqual({});
+      expect(diffFields({ dueDate: null }, { dueDate: new Date(due) })).toEqual({
+        dueDate: { from: null, to: due }
+      });
+    });
+
+    it('should treat missing values as null', () => {
+      expect(diffFields({}, { title: 'New task', description: undefined })).toEqual({
+        title: { from: null, to: 'New task' }
+      });
+    });
+  });
+
+  describe('actionForChanges', () => {
+    it('should call out status transitions', () => {
+      expect(actionForChanges({ status: { from: 'pending', to: 'completed' } })).toBe('status_changed');
+      expect(actionForChanges({ title: { from: 'a', to: 'b' } })).toBe('updated');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const {
+  formatDateTime,
+  parseDateTime,
+  foldLine,
+  formatCalendarStart,
+  formatVTodo,
+  formatVEvent,
+  parseTrigger,
+  parseVTodos
+} = require('../../src/utils/ical');
+
+const task = {
+  id: '123e4567-e89b-12d3-a456-426614174000',
+  externalId: null,
+  title: 'Pay rent; then, relax',
+  description: 'Line one\nLine two',
+  status: 'in_progress',
+  priority: 'high',
+  dueDate: new Date('2024-04-01T09:00:00Z'),
+  remindBefore: 60,
+  completedAt: null,
+  recurrenceRule: 'FREQ=MONTHLY;BYMONTHDAY=1',
+  labels: [{ name: 'home' }, { name: 'bills' }],
+  createdAt: new Date('2024-03-01T08:00:00Z'),
+  updatedAt: new Date('2024-03-02T08:00:00Z')
+};
+
+describe('ical', () => {
+  it('should format and parse UTC date-times', () => {
+    expect(formatDateTime('2024-04-01T09:00:00.000Z')).toBe('20240401T090000Z');
+    expect(parseDateTime('20240401T090000Z').toISOString()).toBe('2024-04-01T09:00:00.000Z');
+    expect(parseDateTime('20240401').toISOString()).toBe('2024-04-01T00:00:00.000Z');
+    expect(parseDateTime('April 1st')).toBeNull();
+  });
+
+  it('should fold long lines at 75 octets', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(80)}`);
+
+    for (const line of folded.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(80)}`);
+  });
+
+  it('should convert alarm triggers to minutes', () => {
+    expect(parseTrigger('-PT30M')).toBe(30);
+    expect(parseTrigger('-PT1H30M')).toBe(90);
+    expect(parseTrigger('-P1D')).toBe(1440);
+    expect(parseTrigger('PT5M')).toBeUndefined();
+  });
+
+  it('should round-trip a task through a VTODO', () => {
+    const ics = formatVTodo(task, new Date('2024-03-03T00:00:00Z'));
+
+    expect(ics).toContain('STATUS:IN-PROCESS\r\n');
+    expect(ics).toContain('PRIORITY:1\r\n');
+    expect(ics).toContain('TRIGGER;RELATED=END:-PT60M\r\n');
+
+    expect(parseVTodos(`BEGIN:VCALENDAR\r\n${ics}END:VCALENDAR\r\n`)).toEqual([{
+      externalId: task.id,
+      title: 'Pay rent; then, relax',
+      description: 'Line one\nLine two',
+      dueDate: '2024-04-01T09:00:00.000Z',
+      status: 'in_progress',
+      priority: 'high',
+      labels: 'home,bills',
+      recurrenceRule: 'FREQ=MONTHLY;BYMONTHDAY=1',
+      remindBefore: '60'
+    }]);
+  });
+
+  it('should format a due date as a feed event with its reminder', () => {
+    const ics = formatVEvent(task, new Date('2024-03-03T00:00:00Z'));
+
+    expect(ics).toContain('BEGIN:VEVENT\r\n');
+    expect(ics).toContain('DTSTART:20240401T090000Z\r\nDURATION:PT15M\r\n');
+    expect(ics).toContain('TRIGGER:-PT60M\r\n');
+    expect(ics).not.toContain('RRULE');
+    expect(formatVEvent({ ...task, remindBefore: null })).not.toContain('VALARM');
+  });
+
+  it('should announce the refresh interval of feeds', () => {
+    expect(formatCalendarStart('Tasks', { refreshInterval: 'PT1H' }))
+      .toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H\r\nX-PUBLISHED-TTL:PT1H\r\n');
+    expect(formatCalendarStart('Tasks')).not.toContain('REFRESH-INTERVAL');
+  });
+
+  it('should read VTODOs from other tools', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VTODO',
+      'UID:abc@example.com',
+      'SUMMARY:Renew passp',
+      ' ort',
+      'DUE;VALUE=DATE:20240510',
+      'PRIORITY:7',
+      'END:VTODO',
+      'BEGIN:VEVENT',
+      'SUMMARY:Not a task',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\n');
+
+    expect(parseVTodos(ics)).toEqual([{
+      externalId: 'abc@example.com',
+      title: 'Renew passport',
+      dueDate: '2024-05-10T00:00:00.000Z',
+      priority: 'low'
+    }]);
+  });
+});
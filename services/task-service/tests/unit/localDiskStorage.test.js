@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalDiskStorage = require('../../src/storage/localDiskStorage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('LocalDiskStorage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    storage = new LocalDiskStorage(root);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should save, read and remove a file', async () => {
+    const { size } = await storage.save('user-1/file-1', Readable.from(['hello ', 'world']));
+
+    expect(size).toBe(11);
+    expect(await readAll(storage.createReadStream('user-1/file-1'))).toBe('hello world');
+
+    await storage.remove('user-1/file-1');
+    await storage.remove('user-1/file-1');
+    expect(fs.existsSync(path.join(root, 'user-1/file-1'))).toBe(false);
+  });
+
+  it('should not overwrite an existing file', async () => {
+    await storage.save('user-1/file-1', Readable.from(['first']));
+
+    await expect(storage.save('user-1/file-1', Readable.from(['second']))).rejects.toThrow();
+    expect(await readAll(storage.createReadStream('user-1/file-1'))).toBe('first');
+  });
+
+  it('should reject keys outside of the root', () => {
+    expect(() => storage.pathFor('../outside')).toThrow('Invalid storage key');
+    expect(() => storage.pathFor('/etc/passwd')).toThrow('Invalid storage key');
+  });
+});
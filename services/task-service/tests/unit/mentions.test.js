@@ -0,0 +1,66 @@
+const { parseMentions, resolveMentions, MAX_MENTIONS } = require('../../src/utils/mentions');
+
+describe('mentions', () => {
+  describe('parseMentions', () => {
+    it('should find mentioned email addresses', () => {
+      expect(parseMentions('@alice@example.com can you check this with @Bob.Smith@Mail.example.org?'))
+        .toEqual(['alice@example.com', 'bob.smith@mail.example.org']);
+    });
+
+    it('should drop trailing punctuation and duplicates', () => {
+      expect(parseMentions('Thanks @alice@example.com. (cc @alice@example.com, @bob@example.com)'))
+        .toEqual(['alice@example.com', 'bob@example.com']);
+    });
+
+    it('should ignore plain addresses and incomplete mentions', () => {
+      expect(parseMentions('Write to alice@example.com or @bob, not @carol@localhost')).toEqual([]);
+    });
+
+    it('should ignore mentions in code', () => {
+      const body = [
+        'Use `@alice@example.com` as the sender.',
+        '```',
+        'notify(@bob@example.com)',
+        '```',
+        'Done, @carol@example.com'
+      ].join('\n');
+
+      expect(parseMentions(body)).toEqual(['carol@example.com']);
+    });
+
+    it('should keep at most MAX_MENTIONS addresses', () => {
+      const body = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => `@user${i}@example.com`).join(' ');
+
+      expect(parseMentions(body)).toHaveLength(MAX_MENTIONS);
+    });
+
+    it('should return nothing for missing bodies', () => {
+      expect(parseMentions(undefined)).toEqual([]);
+    });
+  });
+
+  describe('resolveMentions', () => {
+    const accounts = [
+      { userId: 'owner', email: 'Owner@example.com' },
+      { userId: 'editor', email: 'editor@example.com' },
+      { userId: 'editor', email: 'editor@work.example.com' }
+    ];
+
+    it('should map mentioned addresses to the users who may be mentioned', () => {
+      expect(resolveMentions(['editor@example.com', 'owner@example.com'], accounts)).toEqual([
+        { userId: 'editor', email: 'editor@example.com' },
+        { userId: 'owner', email: 'owner@example.com' }
+      ]);
+    });
+
+    it('should drop addresses of anyone else', () => {
+      expect(resolveMentions(['stranger@example.com'], accounts)).toEqual([]);
+    });
+
+    it('should list a user mentioned with several addresses once', () => {
+      expect(resolveMentions(['editor@work.example.com', 'editor@example.com'], accounts)).toEqual([
+        { userId: 'editor', email: 'editor@work.example.com' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const { POSITION_STEP, positionBetween } = require('../../src/utils/position');
+
+describe('position', () => {
+  it('should place tasks halfway between their neighbors', () => {
+    expect(positionBetween(1024, 2048)).toBe(1536);
+    expect(positionBetween(-1, 0)).toBe(-0.5);
+  });
+
+  it('should step away from a single neighbor at the ends of a column', () => {
+    expect(positionBetween(null, null)).toBe(POSITION_STEP);
+    expect(positionBetween(3072, null)).toBe(3072 + POSITION_STEP);
+    expect(positionBetween(null, 1024)).toBe(0);
+  });
+
+  it('should keep splitting the same gap until it runs out of room', () => {
+    let before = 1024;
+    const after = 2048;
+    let moves = 0;
+    let position = positionBetween(before, after);
+    while (position !== null) {
+      expect(position).toBeGreaterThan(before);
+      expect(position).toBeLessThan(after);
+      before = position;
+      moves++;
+      position = positionBetween(before, after);
+    }
+
+    // Enough for many moves into one gap before the column is spaced out again
+    expect(moves).toBeGreaterThan(25);
+  });
+});
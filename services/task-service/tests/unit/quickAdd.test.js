@@ -0,0 +1,66 @@
+const { parseQuickAdd } = require('../../src/utils/quickAdd');
+
+// Wednesday, 2024-03-20 10:00 UTC
+const now = new Date('2024-03-20T10:00:00Z');
+
+const parse = (text, timeZone = 'UTC') => parseQuickAdd(text, { now, timeZone });
+
+describe('quickAdd', () => {
+  it('should parse date, time and priority out of the title', () => {
+    expect(parse('Pay rent tomorrow 5pm !high')).toEqual({
+      title: 'Pay rent',
+      dueDate: '2024-03-21T17:00:00.000Z',
+      priority: 'high',
+      remindBefore: null,
+      matches: [
+        { type: 'priority', text: '!high' },
+        { type: 'date', text: 'tomorrow' },
+        { type: 'time', text: '5pm' }
+      ]
+    });
+  });
+
+  it('should read reminder offsets', () => {
+    expect(parse('Call dentist friday remind 1h before').remindBefore).toBe(60);
+    expect(parse('Call dentist remind me 2 days').remindBefore).toBe(2880);
+    expect(parse('Call dentist remind 30 min before').title).toBe('Call dentist');
+  });
+
+  it('should resolve weekdays and relative dates', () => {
+    expect(parse('Standup friday').dueDate).toBe('2024-03-22T09:00:00.000Z');
+    expect(parse('Standup wednesday').dueDate).toBe('2024-03-27T09:00:00.000Z');
+    expect(parse('Standup next friday').dueDate).toBe('2024-03-29T09:00:00.000Z');
+    expect(parse('Plan sprint next week').dueDate).toBe('2024-03-25T09:00:00.000Z');
+    expect(parse('Renew visa in 2 weeks').dueDate).toBe('2024-04-03T09:00:00.000Z');
+    expect(parse('Check oven in 45 minutes').dueDate).toBe('2024-03-20T10:45:00.000Z');
+    expect(parse('Check build in 36 hours').dueDate).toBe('2024-03-21T22:00:00.000Z');
+  });
+
+  it('should read calendar dates and roll past ones into next year', () => {
+    expect(parse('Taxes on April 15th').dueDate).toBe('2024-04-15T09:00:00.000Z');
+    expect(parse('Party 1 Jan at 20:30').dueDate).toBe('2025-01-01T20:30:00.000Z');
+    expect(parse('Trip 2024-06-01 noon').dueDate).toBe('2024-06-01T12:00:00.000Z');
+    expect(parse('Trip 2024-02-30').dueDate).toBeNull();
+  });
+
+  it('should use the next occurrence of a time without a date', () => {
+    expect(parse('Lunch at 12').dueDate).toBe('2024-03-20T12:00:00.000Z');
+    expect(parse('Breakfast 8am').dueDate).toBe('2024-03-21T08:00:00.000Z');
+  });
+
+  it('should leave numbers and words that are not dates in the title', () => {
+    const result = parse('Buy 2 apples for the Sun magazine');
+
+    expect(result.title).toBe('Buy 2 apples for the Sun magazine');
+    expect(result.dueDate).toBeNull();
+    expect(result.priority).toBeNull();
+  });
+
+  it('should interpret dates and times in the user time zone', () => {
+    expect(parse('Call home tomorrow 9am', 'Asia/Tokyo').dueDate).toBe('2024-03-21T00:00:00.000Z');
+    // 10:00 UTC is already Thursday at UTC+14
+    expect(parse('Call home tomorrow 9am', 'Pacific/Kiritimati').dueDate).toBe('2024-03-21T19:00:00.000Z');
+    expect(parse('Call home tonight', 'America/New_York').dueDate).toBe('2024-03-21T00:00:00.000Z');
+  });
+
+});
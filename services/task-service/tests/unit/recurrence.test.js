@@ -0,0 +1,105 @@
+const { parseRule, nextOccurrence } = require('../../src/utils/recurrence');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('recurrence', () => {
+  describe('parseRule', () => {
+    it('should parse a weekly rule', () => {
+      const rule = parseRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;BYHOUR=9;BYMINUTE=0');
+
+      expect(rule.freq).toBe('WEEKLY');
+      expect(rule.interval).toBe(2);
+      expect(rule.byDay).toEqual([
+        { weekday: 1, ordinal: null },
+        { weekday: 3, ordinal: null }
+      ]);
+      expect(rule.byHour).toEqual([9]);
+      expect(rule.byMinute).toEqual([0]);
+    });
+
+    it('should parse ordinal weekdays and negative positions', () => {
+      const rule = parseRule('FREQ=MONTHLY;BYDAY=-1FR;BYSETPOS=-1');
+
+      expect(rule.byDay).toEqual([{ weekday: 5, ordinal: -1 }]);
+      expect(rule.bySetPos).toEqual([-1]);
+    });
+
+    it.each([
+      '',
+      'BYDAY=MO',
+      'FREQ=HOURLY',
+      'FREQ=DAILY;BYHOUR=24',
+      'FREQ=DAILY;INTERVAL=0',
+      'FREQ=WEEKLY;BYDAY=XX',
+      'FREQ=DAILY;COUNT=3;UNTIL=20240101',
+      'FREQ=DAILY;FOO=1'
+    ])('should reject invalid rule %p', (value) => {
+      expect(() => parseRule(value)).toThrow(ValidationError);
+    });
+  });
+
+  describe('nextOccurrence', () => {
+    it('should schedule every Monday at 9am', () => {
+      // Wednesday 2024-03-20
+      const start = new Date('2024-03-18T09:00:00.000Z');
+      const next = nextOccurrence('FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0', start, new Date('2024-03-20T12:00:00.000Z'));
+
+      expect(next.toISOString()).toBe('2024-03-25T09:00:00.000Z');
+    });
+
+    it('should use the start time for daily rules', () => {
+      const start = new Date('2024-03-18T07:30:00.000Z');
+
+      expect(nextOccurrence('FREQ=DAILY', start).toISOString()).toBe('2024-03-19T07:30:00.000Z');
+      expect(nextOccurrence('FREQ=DAILY;INTERVAL=3', start).toISOString()).toBe('2024-03-21T07:30:00.000Z');
+    });
+
+    it('should schedule the last business day of the month', () => {
+      const rule = 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;BYHOUR=17;BYMINUTE=0';
+      const start = new Date('2024-03-29T17:00:00.000Z');
+
+      // April 30th 2024 is a Tuesday, June 30th 2024 is a Sunday
+      expect(nextOccurrence(rule, start).toISOString()).toBe('2024-04-30T17:00:00.000Z');
+      expect(nextOccurrence(rule, start, new Date('2024-05-31T17:00:00.000Z')).toISOString())
+        .toBe('2024-06-28T17:00:00.000Z');
+    });
+
+    it('should skip months without the requested day', () => {
+      const start = new Date('2024-01-31T10:00:00.000Z');
+
+      expect(nextOccurrence('FREQ=MONTHLY', start).toISOString()).toBe('2024-03-31T10:00:00.000Z');
+      expect(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=-1', start).toISOString()).toBe('2024-02-29T10:00:00.000Z');
+    });
+
+    it('should respect INTERVAL alignment relative to the start', () => {
+      const start = new Date('2024-03-04T09:00:00.000Z'); // Monday
+      const next = nextOccurrence('FREQ=WEEKLY;INTERVAL=2', start, new Date('2024-03-05T00:00:00.000Z'));
+
+      expect(next.toISOString()).toBe('2024-03-18T09:00:00.000Z');
+    });
+
+    it('should return null after UNTIL', () => {
+      const start = new Date('2024-03-18T09:00:00.000Z');
+
+      expect(nextOccurrence('FREQ=WEEKLY;UNTIL=20240320T000000Z', start)).toBeNull();
+    });
+
+    it('should keep the wall-clock time across daylight saving time changes', () => {
+      const rule = 'FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0';
+
+      // Berlin moves from CET (UTC+1) to CEST (UTC+2) on March 31st 2024
+      expect(nextOccurrence(rule, new Date('2024-03-25T08:00:00.000Z'), undefined, 'Europe/Berlin').toISOString())
+        .toBe('2024-04-01T07:00:00.000Z');
+      // New York moves from EDT (UTC-4) to EST (UTC-5) on November 3rd 2024
+      expect(nextOccurrence(rule, new Date('2024-10-28T13:00:00.000Z'), undefined, 'America/New_York').toISOString())
+        .toBe('2024-11-04T14:00:00.000Z');
+    });
+
+    it('should match weekdays on the wall clock of the time zone', () => {
+      // Monday 8am in Sydney is Sunday in UTC, and Sydney leaves daylight saving time on April 7th 2024
+      const start = new Date('2024-03-31T21:00:00.000Z');
+
+      expect(nextOccurrence('FREQ=WEEKLY;BYDAY=MO', start, undefined, 'Australia/Sydney').toISOString())
+        .toBe('2024-04-07T22:00:00.000Z');
+    });
+  });
+});
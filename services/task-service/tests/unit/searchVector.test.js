@@ -0,0 +1,30 @@
+const { SEARCH_VECTOR_STATEMENTS, ensureSearchVector } = require('../../src/utils/searchVector');
+const { sequelize, Task } = require('../../src/models');
+
+describe('searchVector', () => {
+  it('should only create the column and the index when they are missing', () => {
+    expect(SEARCH_VECTOR_STATEMENTS).toHaveLength(2);
+    expect(SEARCH_VECTOR_STATEMENTS[0]).toMatch(/ADD COLUMN IF NOT EXISTS "searchVector" tsvector\s+GENERATED ALWAYS AS/);
+    expect(SEARCH_VECTOR_STATEMENTS[1]).toMatch(/CREATE INDEX IF NOT EXISTS tasks_search_vector_idx ON tasks USING GIN \("searchVector"\)/);
+  });
+
+  it('should run the statements in order with the given options', async () => {
+    const query = jest.fn().mockResolvedValue([]);
+
+    await ensureSearchVector({ query }, { logging: false });
+
+    expect(query.mock.calls).toEqual(SEARCH_VECTOR_STATEMENTS.map(statement => [statement, { logging: false }]));
+  });
+
+  it('should be created when the Task model is synced', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+
+    try {
+      await Task.runHooks('afterSync', { logging: false });
+
+      expect(query.mock.calls.map(([statement]) => statement)).toEqual(SEARCH_VECTOR_STATEMENTS);
+    } finally {
+      query.mockRestore();
+    }
+  });
+});
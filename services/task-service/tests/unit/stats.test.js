@@ -0,0 +1,76 @@
+const { dailyCounts, overdueTrend, streaks } = require('../../src/utils/stats');
+
+describe('stats', () => {
+  const now = new Date('2024-03-21T10:00:00Z');
+
+  describe('dailyCounts', () => {
+    it('should count dates per day in the time zone, oldest first', () => {
+      const counts = dailyCounts([
+        '2024-03-21T08:00:00Z',
+        '2024-03-20T23:30:00Z', // March 21 in Berlin
+        '2024-03-19T12:00:00Z',
+        '2024-03-01T12:00:00Z' // outside the window
+      ], 3, { now, timeZone: 'Europe/Berlin' });
+
+      expect(counts).toEqual([
+        { date: '2024-03-19', count: 1 },
+        { date: '2024-03-20', count: 0 },
+        { date: '2024-03-21', count: 2 }
+      ]);
+    });
+  });
+
+  describe('overdueTrend', () => {
+    it('should count tasks still overdue at the end of each day', () => {
+      const tasks = [
+        // Overdue since March 19, completed during March 20
+        { dueDate: '2024-03-18T12:00:00Z', createdAt: '2024-03-10T00:00:00Z', completedAt: '2024-03-20T09:00:00Z' },
+        // Due March 20, still open
+        { dueDate: '2024-03-20T12:00:00Z', createdAt: '2024-03-10T00:00:00Z', completedAt: null },
+        // Due earlier today, not overdue yet
+        { dueDate: '2024-03-21T08:00:00Z', createdAt: '2024-03-10T00:00:00Z', completedAt: null }
+      ];
+
+      expect(overdueTrend(tasks, 3, { now, timeZone: 'UTC' })).toEqual([
+        { date: '2024-03-19', count: 1 },
+        { date: '2024-03-20', count: 0 },
+        { date: '2024-03-21', count: 1 }
+      ]);
+    });
+
+    it('should not count tasks before they were created', () => {
+      const tasks = [{ dueDate: '2024-03-01T12:00:00Z', createdAt: '2024-03-20T12:00:00Z', completedAt: null }];
+
+      expect(overdueTrend(tasks, 2, { now, timeZone: 'UTC' }).map(day => day.count)).toEqual([1, 1]);
+      expect(overdueTrend(tasks, 3, { now, timeZone: 'UTC' })[0].count).toBe(0);
+    });
+  });
+
+  describe('streaks', () => {
+    it('should find the current and longest run of days', () => {
+      const days = ['2024-03-10', '2024-03-11', '2024-03-12', '2024-03-19', '2024-03-20'];
+
+      // Nothing completed today yet, the streak up to yesterday still counts
+      expect(streaks(days, { now, timeZone: 'UTC' })).toEqual({ current: 2, longest: 3 });
+    });
+
+    it('should end the current streak after a day without completions', () => {
+      expect(streaks(['2024-03-19'], { now, timeZone: 'UTC' })).toEqual({ current: 0, longest: 1 });
+      expect(streaks([], { now, timeZone: 'UTC' })).toEqual({ current: 0, longest: 0 });
+    });
+
+    it('should continue across month ends', () => {
+      const days = ['2024-02-28', '2024-02-29', '2024-03-01'];
+
+      expect(streaks(days, { now, timeZone: 'UTC' }).longest).toBe(3);
+    });
+
+    it("should count today in the user's time zone", () => {
+      // 20:00 UTC on March 21 is already March 22 in Auckland
+      const evening = new Date('2024-03-21T20:00:00Z');
+
+      expect(streaks(['2024-03-21', '2024-03-22'], { now: evening, timeZone: 'Pacific/Auckland' }).current).toBe(2);
+      expect(streaks(['2024-03-20', '2024-03-22'], { now: evening, timeZone: 'UTC' }).current).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { Task, TaskHistory, TaskDependency, Share } = require('../../src/models');
+const rabbitmq = require('../../src/messaging/rabbitmq');
+
+describe('Task hooks', () => {
+  let history;
+  let publish;
+
+  const buildTask = () => {
+    const task = Task.build({
+      id: '11111111-1111-4111-8111-111111111111',
+      userId: '22222222-2222-4222-8222-222222222222',
+      workspaceId: '22222222-2222-4222-8222-222222222222',
+      title: 'Write report',
+      status: 'pending'
+    }, { isNewRecord: false });
+    task.set('title', 'Write the report');
+    return task;
+  };
+
+  beforeEach(() => {
+    history = jest.spyOn(TaskHistory, 'create').mockResolvedValue({});
+    publish = jest.spyOn(rabbitmq, 'publishReminderEvent').mockResolvedValue(true);
+    jest.spyOn(TaskDependency, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Share, 'findAll').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should publish an update only after its transaction commits', async () => {
+    const callbacks = [];
+    const transaction = { afterCommit: callback => callbacks.push(callback) };
+
+    await Task.runHooks('afterUpdate', buildTask(), { transaction });
+
+    expect(history).toHaveBeenCalledWith(expect.objectContaining({
+      changes: expect.objectContaining({ title: { from: 'Write report', to: 'Write the report' } })
+    }), { transaction });
+    expect(publish).not.toHaveBeenCalled();
+
+    await Promise.all(callbacks.map(callback => callback()));
+
+    expect(publish).toHaveBeenCalledWith('task.updated', expect.objectContaining({ title: 'Write the report' }));
+  });
+
+  it('should never publish a deletion that is rolled back', async () => {
+    const transaction = { afterCommit: jest.fn() };
+
+    await Task.runHooks('afterDestroy', buildTask(), { transaction });
+
+    expect(transaction.afterCommit).toHaveBeenCalledTimes(1);
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  it('should publish right away without a transaction', async () => {
+    await Task.runHooks('afterDestroy', buildTask(), {});
+
+    expect(publish).toHaveBeenCalledWith('task.deleted', expect.objectContaining({ status: 'pending' }));
+  });
+
+  it('should fail the change when its history cannot be written', async () => {
+    history.mockRejectedValue(new Error('current transaction is aborted'));
+
+    await expect(Task.runHooks('afterUpdate', buildTask(), {})).rejects.toThrow('current transaction is aborted');
+    expect(publish).not.toHaveBeenCalled();
+  });
+});
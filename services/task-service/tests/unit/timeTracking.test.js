@@ -0,0 +1,80 @@
+const { entrySeconds, parseDay, daysBetween, timeReport } = require('../../src/utils/timeTracking');
+
+describe('timeTracking', () => {
+  const now = new Date('2024-03-21T10:00:00Z');
+
+  describe('entrySeconds', () => {
+    it('should count whole seconds of a stopped entry', () => {
+      expect(entrySeconds({
+        startedAt: '2024-03-21T08:00:00.900Z',
+        endedAt: '2024-03-21T08:30:15.100Z'
+      }, now)).toBe(1815);
+    });
+
+    it('should count a running entry up to now', () => {
+      expect(entrySeconds({ startedAt: '2024-03-21T09:15:00Z', endedAt: null }, now)).toBe(2700);
+    });
+  });
+
+  describe('parseDay', () => {
+    it('should parse calendar dates', () => {
+      expect(parseDay('2024-02-29')).toEqual({ year: 2024, month: 2, day: 29 });
+    });
+
+    it('should reject invalid dates', () => {
+      expect(parseDay('2023-02-29')).toBeNull();
+      expect(parseDay('2024-3-1')).toBeNull();
+      expect(parseDay(undefined)).toBeNull();
+    });
+  });
+
+  describe('daysBetween', () => {
+    it('should count both ends', () => {
+      expect(daysBetween({ year: 2024, month: 2, day: 28 }, { year: 2024, month: 3, day: 1 })).toBe(3);
+    });
+  });
+
+  describe('timeReport', () => {
+    it('should split entries at midnight in the time zone', () => {
+      const report = timeReport([
+        // 23:00 to 01:00 in Berlin, March 19 to 20
+        { taskId: 'a', startedAt: '2024-03-19T22:00:00Z', endedAt: '2024-03-20T00:00:00Z' },
+        { taskId: 'b', startedAt: '2024-03-20T08:00:00Z', endedAt: '2024-03-20T11:00:00Z' }
+      ], {
+        from: { year: 2024, month: 3, day: 19 },
+        to: { year: 2024, month: 3, day: 20 },
+        timeZone: 'Europe/Berlin',
+        now
+      });
+
+      expect(report).toEqual({
+        totalSeconds: 18000,
+        byDay: [
+          { date: '2024-03-19', seconds: 3600 },
+          { date: '2024-03-20', seconds: 14400 }
+        ],
+        byTask: [
+          { taskId: 'b', seconds: 10800 },
+          { taskId: 'a', seconds: 7200 }
+        ]
+      });
+    });
+
+    it('should leave out time outside the period and count running entries up to now', () => {
+      const report = timeReport([
+        { taskId: 'a', startedAt: '2024-03-20T23:00:00Z', endedAt: '2024-03-21T01:00:00Z' },
+        { taskId: 'b', startedAt: '2024-03-21T09:30:00Z', endedAt: null }
+      ], {
+        from: { year: 2024, month: 3, day: 21 },
+        to: { year: 2024, month: 3, day: 21 },
+        now
+      });
+
+      expect(report.totalSeconds).toBe(5400);
+      expect(report.byTask).toEqual([
+        { taskId: 'a', seconds: 3600 },
+        { taskId: 'b', seconds: 1800 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const { isValidTimeZone, zonedParts, zonedTimeToUtc, addDays, dayBounds } = require('../../src/utils/timezone');
+
+describe('timezone', () => {
+  it('should validate IANA time zone names', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  it('should read the wall-clock time of an instant', () => {
+    expect(zonedParts(new Date('2024-03-20T23:30:00Z'), 'Asia/Tokyo')).toEqual({
+      year: 2024, month: 3, day: 21, hour: 8, minute: 30, second: 0, weekday: 4
+    });
+  });
+
+  it('should add days across month ends', () => {
+    expect(addDays({ year: 2024, month: 2, day: 28 }, 2)).toEqual({ year: 2024, month: 3, day: 1, weekday: 5 });
+  });
+
+  it('should convert wall-clock times across daylight saving changes', () => {
+    expect(zonedTimeToUtc({ year: 2024, month: 3, day: 10, hour: 1, minute: 30 }, 'America/New_York').toISOString())
+      .toBe('2024-03-10T06:30:00.000Z');
+    // 2:30 does not exist on the day clocks spring forward
+    expect(zonedTimeToUtc({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, 'America/New_York').toISOString())
+      .toBe('2024-03-10T07:30:00.000Z');
+    // 1:30 happens twice on the day clocks fall back
+    expect(zonedTimeToUtc({ year: 2024, month: 11, day: 3, hour: 1, minute: 30 }, 'America/New_York').toISOString())
+      .toBe('2024-11-03T05:30:00.000Z');
+  });
+
+  it('should find the day an instant falls on in a time zone', () => {
+    const { start, end } = dayBounds(new Date('2024-03-20T23:30:00Z'), 'Asia/Tokyo');
+    expect(start.toISOString()).toBe('2024-03-20T15:00:00.000Z');
+    expect(end.toISOString()).toBe('2024-03-21T15:00:00.000Z');
+  });
+
+  it('should give days with a daylight saving change their real length', () => {
+    const { start, end } = dayBounds(new Date('2024-03-10T12:00:00Z'), 'America/New_York');
+    expect(end - start).toBe(23 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  resolveWorkspaceRole,
+  workspaceAccess,
+  assertWorkspaceAccess
+} = require('../../src/utils/workspaceAccess');
+const { NotFoundError, ForbiddenError } = require('../../src/utils/errors');
+
+const WORKSPACE = '11111111-1111-4111-8111-111111111111';
+const ALICE = '22222222-2222-4222-8222-222222222222';
+const BOB = '33333333-3333-4333-8333-333333333333';
+const CAROL = '44444444-4444-4444-8444-444444444444';
+
+describe('workspaceAccess', () => {
+  const task = { userId: ALICE, workspaceId: WORKSPACE };
+
+  it('should give every member of the workspace access to its tasks', () => {
+    expect(workspaceAccess(task, ALICE, { workspaceId: WORKSPACE, workspaceRole: 'member' })).toBe('manage');
+    expect(workspaceAccess(task, BOB, { workspaceId: WORKSPACE, workspaceRole: 'member' })).toBe('edit');
+  });
+
+  it('should let the owner and admins manage tasks other members created', () => {
+    expect(workspaceAccess(task, BOB, { workspaceId: WORKSPACE, workspaceRole: 'admin' })).toBe('manage');
+    expect(workspaceAccess(task, BOB, { workspaceId: WORKSPACE, workspaceRole: 'owner' })).toBe('manage');
+  });
+
+  it('should give no access from another workspace', () => {
+    expect(workspaceAccess(task, CAROL, { workspaceId: CAROL, workspaceRole: 'owner' })).toBeNull();
+    expect(workspaceAccess(task, CAROL)).toBeNull();
+  });
+
+  it('should keep personal tasks to their owner in any workspace', () => {
+    const personal = { userId: ALICE, workspaceId: ALICE };
+
+    expect(workspaceAccess(personal, ALICE, { workspaceId: WORKSPACE, workspaceRole: 'member' })).toBe('manage');
+    expect(workspaceAccess(personal, BOB, { workspaceId: ALICE, workspaceRole: 'owner' })).toBeNull();
+  });
+
+  it('should hide tasks of other workspaces with a 404', () => {
+    expect(() => assertWorkspaceAccess(task, CAROL, { workspaceId: CAROL })).toThrow(NotFoundError);
+  });
+
+  it("should forbid members to delete other members' tasks", () => {
+    const workspace = { workspaceId: WORKSPACE, workspaceRole: 'member' };
+
+    expect(assertWorkspaceAccess(task, BOB, workspace)).toBe('edit');
+    expect(() => assertWorkspaceAccess(task, BOB, workspace, 'manage')).toThrow(ForbiddenError);
+    expect(assertWorkspaceAccess(task, ALICE, workspace, 'manage')).toBe('manage');
+  });
+
+  it('should name the resource in the errors', () => {
+    const project = { userId: ALICE, workspaceId: WORKSPACE };
+
+    expect(() => assertWorkspaceAccess(project, CAROL, {}, 'edit', 'Project')).toThrow('Project not found');
+  });
+});
+
+describe('resolveWorkspaceRole', () => {
+  it('should make the user the owner of their personal workspace', () => {
+    expect(resolveWorkspaceRole(ALICE, ALICE, 'member')).toBe('owner');
+  });
+
+  it('should fall back to member for missing or unknown roles', () => {
+    expect(resolveWorkspaceRole(ALICE, WORKSPACE, undefined)).toBe('member');
+    expect(resolveWorkspaceRole(ALICE, WORKSPACE, 'superuser')).toBe('member');
+    expect(resolveWorkspaceRole(ALICE, WORKSPACE, 'admin')).toBe('admin');
+  });
+});
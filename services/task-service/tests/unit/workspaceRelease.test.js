@@ -0,0 +1,53 @@
+const workspaceService = require('../../src/services/workspaceService');
+const taskRepo = require('../../src/repositories/taskRepo');
+const projectRepo = require('../../src/repositories/projectRepo');
+
+describe('workspaceService.releaseWorkspace', () => {
+  const workspaceId = '33333333-3333-4333-8333-333333333333';
+  const alice = '11111111-1111-4111-8111-111111111111';
+  const bob = '22222222-2222-4222-8222-222222222222';
+  const transaction = { id: 'transaction' };
+
+  beforeEach(() => {
+    jest.spyOn(taskRepo, 'transaction').mockImplementation(callback => callback(transaction));
+    jest.spyOn(projectRepo, 'findAllByWorkspace').mockImplementation(async (id) => ({
+      [workspaceId]: [
+        { id: 'launch', userId: alice, name: 'Launch' },
+        { id: 'website', userId: bob, name: 'Website' }
+      ],
+      [alice]: [{ name: 'Launch' }, { name: 'Launch (2)' }],
+      [bob]: []
+    })[id]);
+    jest.spyOn(projectRepo, 'moveToWorkspace').mockResolvedValue(1);
+    jest.spyOn(taskRepo, 'findAllInWorkspace').mockResolvedValue([
+      { id: 'plan', userId: alice, status: 'pending', projectId: 'launch', parentId: null },
+      { id: 'copy', userId: alice, status: 'pending', projectId: 'website', parentId: null },
+      { id: 'review', userId: bob, status: 'pending', projectId: null, parentId: 'plan' }
+    ]);
+    jest.spyOn(taskRepo, 'findLastPosition').mockImplementation(async (id) => (id === alice ? 2048 : null));
+    jest.spyOn(taskRepo, 'moveToWorkspace').mockResolvedValue(1);
+    jest.spyOn(taskRepo, 'unassignUnshared').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should move projects to their creators under a free name', async () => {
+    await workspaceService.releaseWorkspace(workspaceId);
+
+    expect(projectRepo.moveToWorkspace).toHaveBeenCalledWith('launch', alice, 'Launch (3)', { transaction });
+    expect(projectRepo.moveToWorkspace).toHaveBeenCalledWith('website', bob, 'Website', { transaction });
+  });
+
+  it('should append tasks to their creators\' columns and detach them from other members', async () => {
+    await workspaceService.releaseWorkspace(workspaceId);
+
+    expect(taskRepo.moveToWorkspace.mock.calls).toEqual([
+      ['plan', { workspaceId: alice, position: 3072, projectId: 'launch', parentId: null }, { transaction, actorId: alice }],
+      ['copy', { workspaceId: alice, position: 4096, projectId: null, parentId: null }, { transaction, actorId: alice }],
+      ['review', { workspaceId: bob, position: 1024, projectId: null, parentId: null }, { transaction, actorId: bob }]
+    ]);
+    expect(taskRepo.unassignUnshared).toHaveBeenCalledWith(['plan', 'copy', 'review'], { transaction });
+  });
+});
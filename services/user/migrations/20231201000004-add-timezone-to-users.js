@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'timezone');
+  }
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // A personal workspace has the id of its user, so data created before
+    // workspaces existed belongs to it
+    await queryInterface.createTable('workspaces', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      is_personal: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.createTable('workspace_members', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      workspace_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      role: {
+        type: Sequelize.ENUM('owner', 'admin', 'member'),
+        allowNull: false,
+        defaultValue: 'member'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('workspace_members', ['workspace_id', 'user_id'], {
+      unique: true,
+      name: 'workspace_members_workspace_user_unique'
+    });
+    await queryInterface.addIndex('workspace_members', ['user_id']);
+
+    // Workspace of the access tokens issued to the user, the personal one when null
+    await queryInterface.addColumn('users', 'active_workspace_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'active_workspace_id');
+    await queryInterface.dropTable('workspace_members');
+    await queryInterface.dropTable('workspaces');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_workspace_members_role";');
+  }
+};
@@ -65,6 +65,21 @@ const options = {
               type: 'boolean',
               description: 'Email verification status'
             },
+            timezone: {
+              type: 'string',
+              description: 'IANA time zone for due dates, reminders and emails',
+              example: 'Europe/Berlin'
+            },
+            workspace_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Active workspace, carried by the access token'
+            },
+            workspace_role: {
+              type: 'string',
+              enum: ['owner', 'admin', 'member'],
+              description: 'Role in the active workspace'
+            },
             last_login: {
               type: 'string',
               format: 'date-time',
@@ -77,6 +92,20 @@ const options = {
             }
           }
         },
+        CalendarFeed: {
+          type: 'object',
+          properties: {
+            token: {
+              type: 'string',
+              description: 'Secret token of the calendar feed'
+            },
+            feed_path: {
+              type: 'string',
+              description: 'Path of the feed on the API Gateway',
+              example: '/calendar/3f6c0d8e.ics'
+            }
+          }
+        },
         RegisterRequest: {
           type: 'object',
           required: ['email', 'password', 'full_name'],
@@ -99,6 +128,139 @@ const options = {
               maxLength: 100,
               description: 'User full name',
               example: 'John Doe'
+            },
+            timezone: {
+              type: 'string',
+              description: 'IANA time zone, defaults to UTC',
+              example: 'Europe/Berlin'
+            }
+          }
+        },
+        UpdatePreferencesRequest: {
+          type: 'object',
+          required: ['timezone'],
+          properties: {
+            timezone: {
+              type: 'string',
+              description: 'IANA time zone',
+              example: 'America/New_York'
+            }
+          }
+        },
+        UpdatePreferencesResponse: {
+          type: 'object',
+          properties: {
+            user: {
+              $ref: '#/components/schemas/User'
+            },
+            access_token: {
+              type: 'string',
+              description: 'New access token carrying the updated time zone'
+            }
+          }
+        },
+        Workspace: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Workspace ID, the user ID for a personal workspace'
+            },
+            name: {
+              type: 'string',
+              example: 'Marketing'
+            },
+            is_personal: {
+              type: 'boolean',
+              description: 'Personal workspaces cannot be shared or deleted'
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'admin', 'member'],
+              description: 'Your role in the workspace'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        WorkspaceRequest: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 100,
+              example: 'Marketing'
+            }
+          }
+        },
+        WorkspaceMember: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Membership ID'
+            },
+            user_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            email: {
+              type: 'string',
+              format: 'email'
+            },
+            full_name: {
+              type: 'string'
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'admin', 'member']
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        AddWorkspaceMemberRequest: {
+          type: 'object',
+          required: ['email'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'jane.doe@example.com'
+            },
+            role: {
+              type: 'string',
+              enum: ['admin', 'member'],
+              default: 'member'
+            }
+          }
+        },
+        UpdateWorkspaceMemberRequest: {
+          type: 'object',
+          required: ['role'],
+          properties: {
+            role: {
+              type: 'string',
+              enum: ['admin', 'member']
+            }
+          }
+        },
+        SwitchWorkspaceResponse: {
+          type: 'object',
+          properties: {
+            user: {
+              $ref: '#/components/schemas/User'
+            },
+            access_token: {
+              type: 'string',
+              description: 'New access token carrying the workspace'
             }
           }
         },
@@ -3,6 +3,18 @@ const authService = require('../services/authService');
 const { asyncErrorHandler } = require('../middlewares/errorHandler');
 const env = require('../config/env');
 
+// IANA time zone names such as Europe/Berlin, as understood by Intl
+const timezoneSchema = Joi.string().max(64).custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+}).messages({
+  'any.invalid': 'Timezone must be an IANA time zone such as Europe/Berlin'
+});
+
 // Validation schemas
 const registerSchema = Joi.object({
   email: Joi.string().email().required().messages({
@@ -17,6 +29,13 @@ const registerSchema = Joi.object({
     'string.min': 'Full name must be at least 2 characters long',
     'string.max': 'Full name must not exceed 100 characters',
     'any.required': 'Full name is required'
+  }),
+  timezone: timezoneSchema
+});
+
+const preferencesSchema = Joi.object({
+  timezone: timezoneSchema.required().messages({
+    'any.required': 'Timezone is required'
   })
 });
 
@@ -138,11 +157,61 @@ class AuthController {
       full_name: user.full_name,
       roles: user.roles,
       email_verified: user.email_verified,
+      timezone: user.timezone,
+      workspace_id: user.workspace_id,
+      workspace_role: user.workspace_role,
       last_login: user.last_login,
       created_at: user.created_at
     });
   });
 
+  // PATCH /auth/me
+  updatePreferences = asyncErrorHandler(async (req, res) => {
+    const { error, value } = preferencesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Validation failed',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          error: detail.message
+        }))
+      });
+    }
+
+    const result = await authService.updatePreferences(req.user.id, value);
+
+    res.status(200).json(result);
+  });
+
+  // GET /auth/calendar-feed
+  calendarFeed = asyncErrorHandler(async (req, res) => {
+    const feed = await authService.getCalendarFeed(req.user.id);
+
+    res.status(200).json(feed);
+  });
+
+  // POST /auth/calendar-feed/rotate
+  rotateCalendarFeed = asyncErrorHandler(async (req, res) => {
+    const feed = await authService.rotateCalendarFeed(req.user.id);
+
+    res.status(200).json(feed);
+  });
+
+  // GET /auth/calendar-feed/:token/user
+  resolveCalendarFeed = asyncErrorHandler(async (req, res) => {
+    const user = await authService.resolveCalendarToken(req.params.token);
+
+    res.status(200).json(user);
+  });
+
+  // GET /auth/users/:id
+  resolveUser = asyncErrorHandler(async (req, res) => {
+    const user = await authService.resolveUser(req.params.id);
+
+    res.status(200).json(user);
+  });
+
   // POST /auth/logout
   logout = asyncErrorHandler(async (req, res) => {
     const refreshToken = req.cookies.refresh_token;
@@ -0,0 +1,138 @@
+const Joi = require('joi');
+const authService = require('../services/authService');
+const workspaceService = require('../services/workspaceService');
+const { asyncErrorHandler } = require('../middlewares/errorHandler');
+
+// Validation schemas
+const workspaceSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Name is required',
+    'string.max': 'Name must not exceed 100 characters',
+    'any.required': 'Name is required'
+  })
+});
+
+// Owners are never added, a workspace has the one that created it
+const addMemberSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Email must be a valid email address',
+    'any.required': 'Email is required'
+  }),
+  role: Joi.string().valid('admin', 'member').default('member').messages({
+    'any.only': 'Role must be one of: admin, member'
+  })
+});
+
+const updateMemberSchema = Joi.object({
+  role: Joi.string().valid('admin', 'member').required().messages({
+    'any.only': 'Role must be one of: admin, member',
+    'any.required': 'Role is required'
+  })
+});
+
+const validationFailed = (res, error) => res.status(400).json({
+  error: 'Bad Request',
+  message: 'Validation failed',
+  details: error.details.map(detail => ({
+    field: detail.path.join('.'),
+    error: detail.message
+  }))
+});
+
+class WorkspaceController {
+  // GET /workspaces
+  list = asyncErrorHandler(async (req, res) => {
+    const workspaces = await workspaceService.listWorkspaces(req.user);
+
+    res.status(200).json({ workspaces });
+  });
+
+  // POST /workspaces
+  create = asyncErrorHandler(async (req, res) => {
+    const { error, value } = workspaceSchema.validate(req.body);
+    if (error) {
+      return validationFailed(res, error);
+    }
+
+    const workspace = await workspaceService.createWorkspace(req.user.id, value);
+
+    res.status(201).json(workspace);
+  });
+
+  // GET /workspaces/:id
+  get = asyncErrorHandler(async (req, res) => {
+    const workspace = await workspaceService.getWorkspace(req.user.id, req.params.id);
+
+    res.status(200).json(workspace);
+  });
+
+  // PATCH /workspaces/:id
+  rename = asyncErrorHandler(async (req, res) => {
+    const { error, value } = workspaceSchema.validate(req.body);
+    if (error) {
+      return validationFailed(res, error);
+    }
+
+    const workspace = await workspaceService.renameWorkspace(req.user.id, req.params.id, value);
+
+    res.status(200).json(workspace);
+  });
+
+  // DELETE /workspaces/:id
+  delete = asyncErrorHandler(async (req, res) => {
+    await workspaceService.deleteWorkspace(req.user.id, req.params.id);
+
+    res.status(200).json({
+      message: 'Workspace deleted'
+    });
+  });
+
+  // POST /workspaces/:id/switch
+  switch = asyncErrorHandler(async (req, res) => {
+    const result = await authService.switchWorkspace(req.user.id, req.params.id);
+
+    res.status(200).json(result);
+  });
+
+  // GET /workspaces/:id/members
+  listMembers = asyncErrorHandler(async (req, res) => {
+    const members = await workspaceService.listMembers(req.user.id, req.params.id);
+
+    res.status(200).json({ members });
+  });
+
+  // POST /workspaces/:id/members
+  addMember = asyncErrorHandler(async (req, res) => {
+    const { error, value } = addMemberSchema.validate(req.body);
+    if (error) {
+      return validationFailed(res, error);
+    }
+
+    const member = await workspaceService.addMember(req.user.id, req.params.id, value);
+
+    res.status(201).json(member);
+  });
+
+  // PATCH /workspaces/:id/members/:memberId
+  updateMember = asyncErrorHandler(async (req, res) => {
+    const { error, value } = updateMemberSchema.validate(req.body);
+    if (error) {
+      return validationFailed(res, error);
+    }
+
+    const member = await workspaceService.updateMemberRole(req.user.id, req.params.id, req.params.memberId, value);
+
+    res.status(200).json(member);
+  });
+
+  // DELETE /workspaces/:id/members/:memberId
+  removeMember = asyncErrorHandler(async (req, res) => {
+    await workspaceService.removeMember(req.user.id, req.params.id, req.params.memberId);
+
+    res.status(200).json({
+      message: 'Member removed'
+    });
+  });
+}
+
+module.exports = new WorkspaceController();
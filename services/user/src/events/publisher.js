@@ -173,6 +173,19 @@ class EventPublisher {
     return this.publish('auth.events', 'user.email_verified', event);
   }
 
+  async publishWorkspaceDeleted(workspaceData) {
+    const event = {
+      eventType: 'WorkspaceDeleted',
+      data: {
+        workspaceId: workspaceData.workspaceId,
+        deletedBy: workspaceData.deletedBy,
+        deletedAt: workspaceData.deletedAt
+      }
+    };
+
+    return this.publish('auth.events', 'workspace.deleted', event);
+  }
+
   async close() {
     try {
       if (this.channel) {
@@ -219,6 +232,7 @@ module.exports = {
   publishPasswordChanged: (userData) => eventPublisher.publishPasswordChanged(userData),
   publishAccountDeactivated: (userData) => eventPublisher.publishAccountDeactivated(userData),
   publishEmailVerified: (userData) => eventPublisher.publishEmailVerified(userData),
+  publishWorkspaceDeleted: (workspaceData) => eventPublisher.publishWorkspaceDeleted(workspaceData),
   connectEventPublisher: () => eventPublisher.connect(),
   closeEventPublisher: () => eventPublisher.close(),
   isEventPublisherHealthy: () => eventPublisher.isHealthy()
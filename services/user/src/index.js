@@ -7,6 +7,7 @@ const env = require('./config/env');
 const { sequelize } = require('./models');
 const { connectEventPublisher } = require('./events/publisher');
 const authRoutes = require('./routes/authRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
 const { errorHandler, notFoundHandler } = require('./middlewares/errorHandler');
 const { specs, swaggerUi } = require('./config/swagger');
 const serviceRegistry = require('./services/serviceRegistry');
@@ -122,6 +123,7 @@ class AuthServiceApp {
 
     // API routes
     this.app.use('/auth', authRoutes);
+    this.app.use('/workspaces', workspaceRoutes);
 
     // Registry status endpoint (for debugging)
     this.app.get('/registry-status', async (req, res) => {
@@ -153,6 +155,7 @@ class AuthServiceApp {
         endpoints: {
           health: '/health',
           auth: '/auth',
+          workspaces: '/workspaces',
           docs: '/api-docs',
           'docs-json': '/api-docs.json'
         }
@@ -41,6 +41,46 @@ const ERROR_MAPPINGS = {
     status: 404,
     error: 'Not Found',
     message: 'Token not found or does not belong to user'
+  },
+  CALENDAR_FEED_NOT_FOUND: {
+    status: 404,
+    error: 'Not Found',
+    message: 'Calendar feed not found'
+  },
+  WORKSPACE_NOT_FOUND: {
+    status: 404,
+    error: 'Not Found',
+    message: 'Workspace not found'
+  },
+  WORKSPACE_FORBIDDEN: {
+    status: 403,
+    error: 'Forbidden',
+    message: 'Your workspace role does not allow this'
+  },
+  WORKSPACE_MEMBER_NOT_FOUND: {
+    status: 404,
+    error: 'Not Found',
+    message: 'Workspace member not found'
+  },
+  WORKSPACE_MEMBER_EXISTS: {
+    status: 409,
+    error: 'Conflict',
+    message: 'User is already a member of this workspace'
+  },
+  WORKSPACE_OWNER_CANNOT_LEAVE: {
+    status: 400,
+    error: 'Bad Request',
+    message: 'The owner cannot leave the workspace, delete it instead'
+  },
+  PERSONAL_WORKSPACE: {
+    status: 400,
+    error: 'Bad Request',
+    message: 'Personal workspaces cannot be shared or deleted'
+  },
+  EVENTS_UNAVAILABLE: {
+    status: 503,
+    error: 'Service Unavailable',
+    message: 'The change could not be announced to the other services, try again later'
   }
 };
 
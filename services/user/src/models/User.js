@@ -59,6 +59,27 @@ module.exports = (sequelize, DataTypes) => {
     last_login: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    // IANA time zone (e.g. Europe/Berlin) for due dates, reminders and emails
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC'
+    },
+    // Secret of the user's iCalendar feed URL, rotating it invalidates old subscriptions
+    calendar_token: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true
+    },
+    // Workspace carried by the user's access tokens, the personal one when null
+    active_workspace_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      }
     }
   }, {
     tableName: 'users',
@@ -83,6 +104,11 @@ module.exports = (sequelize, DataTypes) => {
       as: 'refreshTokens',
       onDelete: 'CASCADE'
     });
+    User.hasMany(models.WorkspaceMember, {
+      foreignKey: 'user_id',
+      as: 'workspaceMemberships',
+      onDelete: 'CASCADE'
+    });
   };
 
   // Instance methods
@@ -93,6 +119,7 @@ module.exports = (sequelize, DataTypes) => {
   User.prototype.toJSON = function() {
     const values = { ...this.get() };
     delete values.password_hash;
+    delete values.calendar_token;
     return values;
   };
 
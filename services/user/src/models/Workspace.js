@@ -0,0 +1,51 @@
+module.exports = (sequelize, DataTypes) => {
+  const Workspace = sequelize.define('Workspace', {
+    // Personal workspaces use the id of their user
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Workspace name is required'
+        },
+        len: {
+          args: [1, 100],
+          msg: 'Workspace name must not exceed 100 characters'
+        }
+      }
+    },
+    // Every user has exactly one, it can't be shared or deleted
+    is_personal: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'workspaces',
+    underscored: true
+  });
+
+  Workspace.associate = function(models) {
+    Workspace.hasMany(models.WorkspaceMember, {
+      foreignKey: 'workspace_id',
+      as: 'members',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return Workspace;
+};
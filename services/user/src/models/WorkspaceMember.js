@@ -0,0 +1,62 @@
+// Workspace-level roles, independent of the user's global roles:
+// owner manages the workspace and its admins, admin manages members
+const WORKSPACE_ROLES = ['owner', 'admin', 'member'];
+
+module.exports = (sequelize, DataTypes) => {
+  const WorkspaceMember = sequelize.define('WorkspaceMember', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    workspace_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    role: {
+      type: DataTypes.ENUM(...WORKSPACE_ROLES),
+      allowNull: false,
+      defaultValue: 'member'
+    }
+  }, {
+    tableName: 'workspace_members',
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['workspace_id', 'user_id'],
+        name: 'workspace_members_workspace_user_unique'
+      }
+    ]
+  });
+
+  WorkspaceMember.associate = function(models) {
+    WorkspaceMember.belongsTo(models.Workspace, {
+      foreignKey: 'workspace_id',
+      as: 'workspace',
+      onDelete: 'CASCADE'
+    });
+    WorkspaceMember.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  WorkspaceMember.ROLES = WORKSPACE_ROLES;
+
+  return WorkspaceMember;
+};
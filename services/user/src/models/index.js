@@ -17,6 +17,8 @@ const db = {};
 // Import models
 db.User = require('./User')(sequelize, Sequelize.DataTypes);
 db.RefreshToken = require('./RefreshToken')(sequelize, Sequelize.DataTypes);
+db.Workspace = require('./Workspace')(sequelize, Sequelize.DataTypes);
+db.WorkspaceMember = require('./WorkspaceMember')(sequelize, Sequelize.DataTypes);
 
 // Set up associations
 Object.keys(db).forEach(modelName => {
@@ -7,6 +7,7 @@ class UserRepository {
       email: userData.email.toLowerCase(),
       password_hash: userData.password,
       full_name: userData.full_name,
+      timezone: userData.timezone,
       roles: userData.roles || ['member']
     });
   }
@@ -44,6 +45,15 @@ class UserRepository {
     return this.findById(id);
   }
 
+  async findActiveByCalendarToken(token) {
+    return User.findOne({
+      where: {
+        calendar_token: token,
+        is_active: true
+      }
+    });
+  }
+
   async updateLastLogin(id) {
     return User.update(
       { last_login: new Date() },
@@ -0,0 +1,140 @@
+const { Workspace, WorkspaceMember, User, sequelize } = require('../models');
+
+class WorkspaceRepository {
+  // Creates the workspace with its first member in one transaction
+  async create(workspaceData, ownerId) {
+    return sequelize.transaction(async (transaction) => {
+      const workspace = await Workspace.create({
+        id: workspaceData.id,
+        name: workspaceData.name,
+        is_personal: workspaceData.is_personal || false,
+        created_by: ownerId
+      }, { transaction });
+
+      await WorkspaceMember.create({
+        workspace_id: workspace.id,
+        user_id: ownerId,
+        role: 'owner'
+      }, { transaction });
+
+      return workspace;
+    });
+  }
+
+  async findById(id) {
+    return Workspace.findByPk(id);
+  }
+
+  async update(id, updateData) {
+    const [updatedRowsCount] = await Workspace.update(updateData, {
+      where: { id }
+    });
+
+    if (updatedRowsCount === 0) {
+      return null;
+    }
+
+    return this.findById(id);
+  }
+
+  // beforeCommit runs in the transaction of the deletion, which is rolled back
+  // when it throws
+  async delete(id, beforeCommit = async () => {}) {
+    return sequelize.transaction(async (transaction) => {
+      const deletedRowsCount = await Workspace.destroy({
+        where: { id },
+        transaction
+      });
+      await beforeCommit();
+      return deletedRowsCount;
+    });
+  }
+
+  // Memberships of the user with their workspaces, personal workspace first
+  async findMembershipsByUser(userId) {
+    return WorkspaceMember.findAll({
+      where: { user_id: userId },
+      include: [{
+        model: Workspace,
+        as: 'workspace'
+      }],
+      order: [
+        [{ model: Workspace, as: 'workspace' }, 'is_personal', 'DESC'],
+        [{ model: Workspace, as: 'workspace' }, 'name', 'ASC']
+      ]
+    });
+  }
+
+  async findMembership(workspaceId, userId) {
+    return WorkspaceMember.findOne({
+      where: {
+        workspace_id: workspaceId,
+        user_id: userId
+      },
+      include: [{
+        model: Workspace,
+        as: 'workspace'
+      }]
+    });
+  }
+
+  async findMemberById(workspaceId, memberId) {
+    return WorkspaceMember.findOne({
+      where: {
+        id: memberId,
+        workspace_id: workspaceId
+      },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'email', 'full_name']
+      }]
+    });
+  }
+
+  async findMembers(workspaceId) {
+    return WorkspaceMember.findAll({
+      where: { workspace_id: workspaceId },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'email', 'full_name']
+      }],
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  async addMember(workspaceId, userId, role) {
+    return WorkspaceMember.create({
+      workspace_id: workspaceId,
+      user_id: userId,
+      role
+    });
+  }
+
+  async updateMemberRole(workspaceId, memberId, role) {
+    const [updatedRowsCount] = await WorkspaceMember.update({ role }, {
+      where: {
+        id: memberId,
+        workspace_id: workspaceId
+      }
+    });
+
+    if (updatedRowsCount === 0) {
+      return null;
+    }
+
+    return this.findMemberById(workspaceId, memberId);
+  }
+
+  async removeMember(workspaceId, memberId) {
+    return WorkspaceMember.destroy({
+      where: {
+        id: memberId,
+        workspace_id: workspaceId
+      }
+    });
+  }
+}
+
+module.exports = new WorkspaceRepository();
@@ -211,6 +211,62 @@ router.post('/refresh', refreshLimiter, authController.refresh);
 // Protected endpoint - requires user info from Gateway headers
 router.get('/me', apiLimiter, jwtValidate, authController.me);
 
+/**
+ * @swagger
+ * /auth/me:
+ *   patch:
+ *     summary: Update preferences of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Sets the time zone used for due-today lists, reminders and emails. Other services read it from the access token, so the response carries a new one.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdatePreferencesRequest'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UpdatePreferencesResponse'
+ *       400:
+ *         description: Bad request - unknown time zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               error: "Bad Request"
+ *               message: "Validation failed"
+ *               details:
+ *                 - field: "timezone"
+ *                   error: "Timezone must be an IANA time zone such as Europe/Berlin"
+ *       401:
+ *         description: Unauthorized - missing or invalid access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many requests - rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+// Protected endpoint - requires user info from Gateway headers
+router.patch('/me', apiLimiter, jwtValidate, authController.updatePreferences);
+
 /**
  * @swagger
  * /auth/logout:
@@ -257,4 +313,164 @@ router.get('/me', apiLimiter, jwtValidate, authController.me);
 // Protected endpoint - requires user info from Gateway headers
 router.post('/logout', apiLimiter, jwtValidate, authController.logout);
 
+
+/**
+ * @swagger
+ * /auth/calendar-feed:
+ *   get:
+ *     summary: Get the calendar feed URL of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Returns the secret token of the user's iCalendar feed of due dates, creating it on first use. The feed is served by the API Gateway at feed_path without a JWT.
+ *     responses:
+ *       200:
+ *         description: Calendar feed retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeed'
+ *       401:
+ *         description: Unauthorized - missing or invalid access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many requests - rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+// Protected endpoint - requires user info from Gateway headers
+router.get('/calendar-feed', apiLimiter, jwtValidate, authController.calendarFeed);
+
+/**
+ * @swagger
+ * /auth/calendar-feed/rotate:
+ *   post:
+ *     summary: Replace the calendar feed token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     description: Generates a new feed token. Calendars subscribed to the previous URL stop receiving updates.
+ *     responses:
+ *       200:
+ *         description: Calendar feed token rotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeed'
+ *       401:
+ *         description: Unauthorized - missing or invalid access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many requests - rate limit exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+// Protected endpoint - requires user info from Gateway headers
+router.post('/calendar-feed/rotate', apiLimiter, jwtValidate, authController.rotateCalendarFeed);
+
+/**
+ * @swagger
+ * /auth/calendar-feed/{token}/user:
+ *   get:
+ *     summary: Resolve a calendar feed token to its user
+ *     tags: [Authentication]
+ *     description: Used by the API Gateway to authenticate calendar feed requests. Not exposed through the gateway.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Owner of the feed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: No active user has this feed token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               error: "Not Found"
+ *               message: "Calendar feed not found"
+ */
+// Internal endpoint - called by the API Gateway
+router.get('/calendar-feed/:token/user', authController.resolveCalendarFeed);
+
+/**
+ * @swagger
+ * /auth/users/{id}:
+ *   get:
+ *     summary: Resolve a user for another service
+ *     tags: [Authentication]
+ *     description: Used by the task and notification services, e.g. for the email of a task's assignee and the workspaces they are a member of. Not exposed through the gateway.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The user with the ids of their workspaces
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   format: uuid
+ *                 email:
+ *                   type: string
+ *                   format: email
+ *                 full_name:
+ *                   type: string
+ *                 timezone:
+ *                   type: string
+ *                 workspace_ids:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     format: uuid
+ *       404:
+ *         description: No active user has this id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               error: "Not Found"
+ *               message: "User not found"
+ */
+// Internal endpoint - called by the other services
+router.get('/users/:id', authController.resolveUser);
+
 module.exports = router; 
\ No newline at end of file
@@ -2,10 +2,13 @@ const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const path = require('path');
 const bcrypt = require('bcryptjs');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 
 const userRepo = require('../repositories/userRepo');
 const tokenRepo = require('../repositories/tokenRepo');
+const workspaceRepo = require('../repositories/workspaceRepo');
+const workspaceService = require('./workspaceService');
 const { publishUserRegistered } = require('../events/publisher');
 const env = require('../config/env');
 
@@ -26,13 +29,17 @@ class AuthService {
     }
   }
 
-  generateAccessToken(user) {
+  // membership is the user's membership of the workspace the token is for
+  generateAccessToken(user, membership) {
     const payload = {
       sub: user.id,
       email: user.email,
       full_name: user.full_name,
       roles: user.roles,
       email_verified: user.email_verified,
+      timezone: user.timezone,
+      workspace_id: membership.workspace_id,
+      workspace_role: membership.role,
       iat: Math.floor(Date.now() / 1000)
     };
 
@@ -46,7 +53,7 @@ class AuthService {
 
   async generateTokens(user, metadata = {}) {
     // Generate access token
-    const accessToken = this.generateAccessToken(user);
+    const accessToken = this.generateAccessToken(user, await this.resolveWorkspace(user));
 
     // Create refresh token
     const refreshToken = await tokenRepo.create({
@@ -77,9 +84,12 @@ class AuthService {
       email: userData.email,
       password: userData.password,
       full_name: userData.full_name,
+      timezone: userData.timezone,
       roles: ['user'] // Always assign member role, ignore any user input
     });
 
+    await workspaceService.ensurePersonalWorkspace(user);
+
     // Publish user registration event
     try {
       await publishUserRegistered({
@@ -152,6 +162,7 @@ class AuthService {
     if (!user || !user.is_active) {
       throw new Error('USER_NOT_FOUND');
     }
+    const membership = await this.resolveWorkspace(user);
 
     return {
       id: user.id,
@@ -159,11 +170,124 @@ class AuthService {
       full_name: user.full_name,
       roles: user.roles,
       email_verified: user.email_verified,
+      timezone: user.timezone,
+      workspace_id: membership.workspace_id,
+      workspace_role: membership.role,
       last_login: user.last_login,
       created_at: user.created_at
     };
   }
 
+  // The active workspace, or the personal one when the user isn't a member of
+  // it anymore (removed, or the workspace was deleted)
+  async resolveWorkspace(user) {
+    if (user.active_workspace_id) {
+      const membership = await workspaceRepo.findMembership(user.active_workspace_id, user.id);
+      if (membership) {
+        return membership;
+      }
+    }
+
+    return workspaceService.ensurePersonalWorkspace(user);
+  }
+
+  // Services scope their data by the workspace in the access token, so a new one is issued
+  async switchWorkspace(userId, workspaceId) {
+    const membership = await workspaceRepo.findMembership(workspaceId, userId);
+    if (!membership) {
+      throw new Error('WORKSPACE_NOT_FOUND');
+    }
+
+    const user = await userRepo.update(userId, { active_workspace_id: workspaceId });
+    if (!user || !user.is_active) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    return {
+      user: await this.me(userId),
+      access_token: this.generateAccessToken(user, membership)
+    };
+  }
+
+  // Services read the time zone from the access token, so a new one is issued
+  async updatePreferences(userId, preferences) {
+    const user = await userRepo.update(userId, { timezone: preferences.timezone });
+    if (!user || !user.is_active) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    return {
+      user: await this.me(userId),
+      access_token: this.generateAccessToken(user, await this.resolveWorkspace(user))
+    };
+  }
+
+  // The calendar feed URL is created on first use
+  async getCalendarFeed(userId) {
+    const user = await userRepo.findById(userId);
+    if (!user || !user.is_active) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    if (user.calendar_token) {
+      return this.formatCalendarFeed(user.calendar_token);
+    }
+    return this.rotateCalendarFeed(userId);
+  }
+
+  async rotateCalendarFeed(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const user = await userRepo.update(userId, { calendar_token: token });
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    return this.formatCalendarFeed(token);
+  }
+
+  formatCalendarFeed(token) {
+    return {
+      token,
+      feed_path: `/calendar/${token}.ics`
+    };
+  }
+
+  // Used by the API Gateway to authenticate feed requests, which carry no JWT
+  async resolveCalendarToken(token) {
+    const user = await userRepo.findActiveByCalendarToken(token);
+    if (!user) {
+      throw new Error('CALENDAR_FEED_NOT_FOUND');
+    }
+
+    return {
+      id: user.id,
+      email: user.email,
+      full_name: user.full_name,
+      roles: user.roles,
+      email_verified: user.email_verified,
+      timezone: user.timezone
+    };
+  }
+
+  // Used by the other services, e.g. for the email of a task's assignee or
+  // whether they are still a member of the task's workspace
+  async resolveUser(userId) {
+    const user = isUuid(userId) ? await userRepo.findById(userId) : null;
+    if (!user || !user.is_active) {
+      throw new Error('USER_NOT_FOUND');
+    }
+    const memberships = await workspaceRepo.findMembershipsByUser(user.id);
+
+    return {
+      id: user.id,
+      email: user.email,
+      full_name: user.full_name,
+      timezone: user.timezone,
+      workspace_ids: memberships.map(membership => membership.workspace_id)
+    };
+  }
+
   async logout(refreshTokenValue, userId) {
     if (refreshTokenValue) {
       // Revoke specific refresh token
@@ -0,0 +1,190 @@
+const workspaceRepo = require('../repositories/workspaceRepo');
+const userRepo = require('../repositories/userRepo');
+const { publishWorkspaceDeleted } = require('../events/publisher');
+
+// Who may grant or take away each role: admins manage members, the owner also admins
+const MANAGEABLE_ROLES = {
+  owner: ['admin', 'member'],
+  admin: ['member'],
+  member: []
+};
+
+class WorkspaceService {
+  // Every user has a personal workspace with their own id, created on first use
+  // so that users registered before workspaces existed get one too
+  async ensurePersonalWorkspace(user) {
+    const existing = await workspaceRepo.findMembership(user.id, user.id);
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      await workspaceRepo.create({
+        id: user.id,
+        name: 'Personal',
+        is_personal: true
+      }, user.id);
+    } catch (error) {
+      // Created by a concurrent request
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw error;
+      }
+    }
+
+    return workspaceRepo.findMembership(user.id, user.id);
+  }
+
+  async listWorkspaces(user) {
+    await this.ensurePersonalWorkspace(user);
+    const memberships = await workspaceRepo.findMembershipsByUser(user.id);
+
+    return memberships.map(membership => this.formatWorkspace(membership));
+  }
+
+  async createWorkspace(userId, workspaceData) {
+    const workspace = await workspaceRepo.create({ name: workspaceData.name }, userId);
+
+    return this.formatWorkspace(await workspaceRepo.findMembership(workspace.id, userId));
+  }
+
+  async getWorkspace(userId, workspaceId) {
+    const membership = await this.getMembership(userId, workspaceId);
+    return this.formatWorkspace(membership);
+  }
+
+  async renameWorkspace(userId, workspaceId, workspaceData) {
+    await this.getMembership(userId, workspaceId, ['owner', 'admin']);
+
+    await workspaceRepo.update(workspaceId, { name: workspaceData.name });
+
+    return this.formatWorkspace(await workspaceRepo.findMembership(workspaceId, userId));
+  }
+
+  // Tokens of the members still carry the workspace until they expire; the
+  // next refresh falls back to their personal workspace. The task service moves
+  // the tasks and projects back to their creators on workspace.deleted, so the
+  // workspace is only deleted once the event is published
+  async deleteWorkspace(userId, workspaceId) {
+    const membership = await this.getMembership(userId, workspaceId, ['owner']);
+    if (membership.workspace.is_personal) {
+      throw new Error('PERSONAL_WORKSPACE');
+    }
+
+    await workspaceRepo.delete(workspaceId, async () => {
+      try {
+        await publishWorkspaceDeleted({
+          workspaceId,
+          deletedBy: userId,
+          deletedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Failed to publish workspace deleted event:', error);
+        throw new Error('EVENTS_UNAVAILABLE');
+      }
+    });
+    return true;
+  }
+
+  async listMembers(userId, workspaceId) {
+    await this.getMembership(userId, workspaceId);
+    const members = await workspaceRepo.findMembers(workspaceId);
+
+    return members.map(member => this.formatMember(member));
+  }
+
+  // Members are added by the email of an existing user
+  async addMember(userId, workspaceId, memberData) {
+    const membership = await this.getMembership(userId, workspaceId, ['owner', 'admin']);
+    if (membership.workspace.is_personal) {
+      throw new Error('PERSONAL_WORKSPACE');
+    }
+    this.assertCanManage(membership.role, memberData.role);
+
+    const user = await userRepo.findActiveByEmail(memberData.email);
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+    if (await workspaceRepo.findMembership(workspaceId, user.id)) {
+      throw new Error('WORKSPACE_MEMBER_EXISTS');
+    }
+
+    const member = await workspaceRepo.addMember(workspaceId, user.id, memberData.role);
+
+    return this.formatMember(await workspaceRepo.findMemberById(workspaceId, member.id));
+  }
+
+  async updateMemberRole(userId, workspaceId, memberId, memberData) {
+    const membership = await this.getMembership(userId, workspaceId, ['owner', 'admin']);
+    const member = await this.getMember(workspaceId, memberId);
+
+    this.assertCanManage(membership.role, member.role);
+    this.assertCanManage(membership.role, memberData.role);
+
+    return this.formatMember(await workspaceRepo.updateMemberRole(workspaceId, memberId, memberData.role));
+  }
+
+  // Anyone but the owner can leave; admins remove members, the owner also admins
+  async removeMember(userId, workspaceId, memberId) {
+    const membership = await this.getMembership(userId, workspaceId);
+    const member = await this.getMember(workspaceId, memberId);
+
+    if (member.user_id === userId) {
+      if (member.role === 'owner') {
+        throw new Error('WORKSPACE_OWNER_CANNOT_LEAVE');
+      }
+    } else {
+      this.assertCanManage(membership.role, member.role);
+    }
+
+    await workspaceRepo.removeMember(workspaceId, memberId);
+    return true;
+  }
+
+  async getMembership(userId, workspaceId, roles = null) {
+    const membership = await workspaceRepo.findMembership(workspaceId, userId);
+    if (!membership) {
+      throw new Error('WORKSPACE_NOT_FOUND');
+    }
+    if (roles && !roles.includes(membership.role)) {
+      throw new Error('WORKSPACE_FORBIDDEN');
+    }
+    return membership;
+  }
+
+  async getMember(workspaceId, memberId) {
+    const member = await workspaceRepo.findMemberById(workspaceId, memberId);
+    if (!member) {
+      throw new Error('WORKSPACE_MEMBER_NOT_FOUND');
+    }
+    return member;
+  }
+
+  assertCanManage(actorRole, role) {
+    if (!MANAGEABLE_ROLES[actorRole].includes(role)) {
+      throw new Error('WORKSPACE_FORBIDDEN');
+    }
+  }
+
+  formatWorkspace(membership) {
+    return {
+      id: membership.workspace.id,
+      name: membership.workspace.name,
+      is_personal: membership.workspace.is_personal,
+      role: membership.role,
+      created_at: membership.workspace.created_at
+    };
+  }
+
+  formatMember(member) {
+    return {
+      id: member.id,
+      user_id: member.user_id,
+      email: member.user ? member.user.email : null,
+      full_name: member.user ? member.user.full_name : null,
+      role: member.role,
+      created_at: member.created_at
+    };
+  }
+}
+
+module.exports = new WorkspaceService();
@@ -257,4 +257,121 @@ describe('Auth Controller Integration Tests', () => {
       expect(cookies.some(cookie => cookie.includes('refresh_token=;'))).toBe(true);
     });
   });
+
+  describe('PATCH /auth/me', () => {
+    it('should update the timezone and return a new token', async () => {
+      const mockResult = {
+        user: { id: 'user-id', email: 'test@example.com', timezone: 'Europe/Berlin' },
+        access_token: 'jwt-access-token'
+      };
+
+      authService.updatePreferences.mockResolvedValue(mockResult);
+
+      const response = await request(app)
+        .patch('/auth/me')
+        .set('x-user-id', 'user-id')
+        .send({ timezone: 'Europe/Berlin' })
+        .expect(200);
+
+      expect(response.body).toEqual(mockResult);
+      expect(authService.updatePreferences).toHaveBeenCalledWith('user-id', { timezone: 'Europe/Berlin' });
+    });
+
+    it('should return 400 for an unknown timezone', async () => {
+      const response = await request(app)
+        .patch('/auth/me')
+        .set('x-user-id', 'user-id')
+        .send({ timezone: 'Mars/Olympus_Mons' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+      expect(authService.updatePreferences).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 without the user headers', async () => {
+      await request(app)
+        .patch('/auth/me')
+        .send({ timezone: 'Europe/Berlin' })
+        .expect(401);
+    });
+  });
+
+  describe('Calendar feed', () => {
+    const mockFeed = { token: 'feed-token', feed_path: '/calendar/feed-token.ics' };
+
+    it('should return the feed of the current user', async () => {
+      authService.getCalendarFeed.mockResolvedValue(mockFeed);
+
+      const response = await request(app)
+        .get('/auth/calendar-feed')
+        .set('x-user-id', 'user-id')
+        .expect(200);
+
+      expect(response.body).toEqual(mockFeed);
+      expect(authService.getCalendarFeed).toHaveBeenCalledWith('user-id');
+    });
+
+    it('should rotate the feed token', async () => {
+      authService.rotateCalendarFeed.mockResolvedValue(mockFeed);
+
+      const response = await request(app)
+        .post('/auth/calendar-feed/rotate')
+        .set('x-user-id', 'user-id')
+        .expect(200);
+
+      expect(response.body).toEqual(mockFeed);
+      expect(authService.rotateCalendarFeed).toHaveBeenCalledWith('user-id');
+    });
+
+    it('should resolve a feed token to its user', async () => {
+      const mockUser = { id: 'user-id', email: 'test@example.com', timezone: 'UTC' };
+      authService.resolveCalendarToken.mockResolvedValue(mockUser);
+
+      const response = await request(app)
+        .get('/auth/calendar-feed/feed-token/user')
+        .expect(200);
+
+      expect(response.body).toEqual(mockUser);
+      expect(authService.resolveCalendarToken).toHaveBeenCalledWith('feed-token');
+    });
+
+    it('should return 404 for an unknown feed token', async () => {
+      authService.resolveCalendarToken.mockRejectedValue(new Error('CALENDAR_FEED_NOT_FOUND'));
+
+      const response = await request(app)
+        .get('/auth/calendar-feed/unknown/user')
+        .expect(404);
+
+      expect(response.body.message).toBe('Calendar feed not found');
+    });
+  });
+
+  describe('GET /auth/users/:id', () => {
+    it('should resolve a user with their workspaces', async () => {
+      const mockUser = {
+        id: 'user-id',
+        email: 'test@example.com',
+        full_name: 'Test User',
+        timezone: 'UTC',
+        workspace_ids: ['user-id', 'workspace-id']
+      };
+      authService.resolveUser.mockResolvedValue(mockUser);
+
+      const response = await request(app)
+        .get('/auth/users/user-id')
+        .expect(200);
+
+      expect(response.body).toEqual(mockUser);
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      authService.resolveUser.mockRejectedValue(new Error('USER_NOT_FOUND'));
+
+      const response = await request(app)
+        .get('/auth/users/unknown')
+        .expect(404);
+
+      expect(response.body.message).toBe('User not found');
+    });
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,219 @@
+const request = require('supertest');
+const express = require('express');
+const workspaceRoutes = require('../../src/routes/workspaceRoutes');
+const { errorHandler } = require('../../src/middlewares/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/services/authService');
+jest.mock('../../src/services/workspaceService');
+jest.mock('../../src/models');
+
+const authService = require('../../src/services/authService');
+const workspaceService = require('../../src/services/workspaceService');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/workspaces', workspaceRoutes);
+app.use(errorHandler);
+
+describe('Workspace Controller Integration Tests', () => {
+  const workspace = {
+    id: 'workspace-id',
+    name: 'Marketing',
+    is_personal: false,
+    role: 'owner',
+    created_at: '2024-04-14T10:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return 401 without the user headers', async () => {
+    const response = await request(app)
+      .get('/workspaces')
+      .expect(401);
+
+    expect(response.body.error).toBe('Unauthorized');
+    expect(workspaceService.listWorkspaces).not.toHaveBeenCalled();
+  });
+
+  describe('GET /workspaces', () => {
+    it('should list the workspaces of the current user', async () => {
+      workspaceService.listWorkspaces.mockResolvedValue([workspace]);
+
+      const response = await request(app)
+        .get('/workspaces')
+        .set('x-user-id', 'user-id')
+        .expect(200);
+
+      expect(response.body).toEqual({ workspaces: [workspace] });
+      expect(workspaceService.listWorkspaces).toHaveBeenCalledWith(expect.objectContaining({ id: 'user-id' }));
+    });
+  });
+
+  describe('POST /workspaces', () => {
+    it('should create a workspace', async () => {
+      workspaceService.createWorkspace.mockResolvedValue(workspace);
+
+      const response = await request(app)
+        .post('/workspaces')
+        .set('x-user-id', 'user-id')
+        .send({ name: '  Marketing ' })
+        .expect(201);
+
+      expect(response.body).toEqual(workspace);
+      expect(workspaceService.createWorkspace).toHaveBeenCalledWith('user-id', { name: 'Marketing' });
+    });
+
+    it('should return 400 without a name', async () => {
+      const response = await request(app)
+        .post('/workspaces')
+        .set('x-user-id', 'user-id')
+        .send({})
+        .expect(400);
+
+      expect(response.body.details[0].error).toBe('Name is required');
+    });
+  });
+
+  describe('DELETE /workspaces/:id', () => {
+    it('should delete a workspace', async () => {
+      workspaceService.deleteWorkspace.mockResolvedValue(true);
+
+      const response = await request(app)
+        .delete('/workspaces/workspace-id')
+        .set('x-user-id', 'user-id')
+        .expect(200);
+
+      expect(response.body).toEqual({ message: 'Workspace deleted' });
+      expect(workspaceService.deleteWorkspace).toHaveBeenCalledWith('user-id', 'workspace-id');
+    });
+
+    it('should return 400 for the personal workspace', async () => {
+      workspaceService.deleteWorkspace.mockRejectedValue(new Error('PERSONAL_WORKSPACE'));
+
+      const response = await request(app)
+        .delete('/workspaces/user-id')
+        .set('x-user-id', 'user-id')
+        .expect(400);
+
+      expect(response.body.message).toBe('Personal workspaces cannot be shared or deleted');
+    });
+
+    it('should return 503 when the deletion cannot be announced', async () => {
+      workspaceService.deleteWorkspace.mockRejectedValue(new Error('EVENTS_UNAVAILABLE'));
+
+      const response = await request(app)
+        .delete('/workspaces/workspace-id')
+        .set('x-user-id', 'user-id')
+        .expect(503);
+
+      expect(response.body.error).toBe('Service Unavailable');
+    });
+
+    it('should return 403 for members who are not the owner', async () => {
+      workspaceService.deleteWorkspace.mockRejectedValue(new Error('WORKSPACE_FORBIDDEN'));
+
+      await request(app)
+        .delete('/workspaces/workspace-id')
+        .set('x-user-id', 'user-id')
+        .expect(403);
+    });
+  });
+
+  describe('POST /workspaces/:id/switch', () => {
+    it('should return the user with a token for the workspace', async () => {
+      const mockResult = { user: { id: 'user-id' }, access_token: 'jwt-access-token' };
+      authService.switchWorkspace.mockResolvedValue(mockResult);
+
+      const response = await request(app)
+        .post('/workspaces/workspace-id/switch')
+        .set('x-user-id', 'user-id')
+        .expect(200);
+
+      expect(response.body).toEqual(mockResult);
+      expect(authService.switchWorkspace).toHaveBeenCalledWith('user-id', 'workspace-id');
+    });
+
+    it('should return 404 when the user is not a member', async () => {
+      authService.switchWorkspace.mockRejectedValue(new Error('WORKSPACE_NOT_FOUND'));
+
+      const response = await request(app)
+        .post('/workspaces/workspace-id/switch')
+        .set('x-user-id', 'user-id')
+        .expect(404);
+
+      expect(response.body.message).toBe('Workspace not found');
+    });
+  });
+
+  describe('Members', () => {
+    const member = {
+      id: 'member-id',
+      user_id: 'other-user-id',
+      email: 'alice@example.com',
+      full_name: 'Alice',
+      role: 'member',
+      created_at: '2024-04-14T10:00:00.000Z'
+    };
+
+    it('should list the members', async () => {
+      workspaceService.listMembers.mockResolvedValue([member]);
+
+      const response = await request(app)
+        .get('/workspaces/workspace-id/members')
+        .set('x-user-id', 'user-id')
+        .expect(200);
+
+      expect(response.body).toEqual({ members: [member] });
+    });
+
+    it('should add a member as member by default', async () => {
+      workspaceService.addMember.mockResolvedValue(member);
+
+      await request(app)
+        .post('/workspaces/workspace-id/members')
+        .set('x-user-id', 'user-id')
+        .send({ email: 'alice@example.com' })
+        .expect(201);
+
+      expect(workspaceService.addMember).toHaveBeenCalledWith('user-id', 'workspace-id', {
+        email: 'alice@example.com',
+        role: 'member'
+      });
+    });
+
+    it('should return 400 for the owner role', async () => {
+      const response = await request(app)
+        .post('/workspaces/workspace-id/members')
+        .set('x-user-id', 'user-id')
+        .send({ email: 'alice@example.com', role: 'owner' })
+        .expect(400);
+
+      expect(response.body.details[0].error).toBe('Role must be one of: admin, member');
+    });
+
+    it('should return 409 for an existing member', async () => {
+      workspaceService.addMember.mockRejectedValue(new Error('WORKSPACE_MEMBER_EXISTS'));
+
+      await request(app)
+        .post('/workspaces/workspace-id/members')
+        .set('x-user-id', 'user-id')
+        .send({ email: 'alice@example.com' })
+        .expect(409);
+    });
+
+    it('should remove a member', async () => {
+      workspaceService.removeMember.mockResolvedValue(true);
+
+      const response = await request(app)
+        .delete('/workspaces/workspace-id/members/member-id')
+        .set('x-user-id', 'user-id')
+        .expect(200);
+
+      expect(response.body).toEqual({ message: 'Member removed' });
+    });
+  });
+});
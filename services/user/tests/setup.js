@@ -38,6 +38,7 @@ jest.mock('../src/events/publisher', () => ({
   publishUserRegistered: jest.fn().mockResolvedValue(true),
   publishUserLoggedIn: jest.fn().mockResolvedValue(true),
   publishUserLoggedOut: jest.fn().mockResolvedValue(true),
+  publishWorkspaceDeleted: jest.fn().mockResolvedValue(true),
   connectEventPublisher: jest.fn().mockResolvedValue(true),
   closeEventPublisher: jest.fn().mockResolvedValue(true),
   isEventPublisherHealthy: jest.fn().mockReturnValue(true)
@@ -0,0 +1,43 @@
+jest.mock('../../src/repositories/workspaceRepo');
+jest.mock('../../src/repositories/userRepo');
+jest.mock('../../src/models');
+
+const workspaceRepo = require('../../src/repositories/workspaceRepo');
+const { publishWorkspaceDeleted } = require('../../src/events/publisher');
+const workspaceService = require('../../src/services/workspaceService');
+
+describe('WorkspaceService.deleteWorkspace', () => {
+  const membership = { role: 'owner', workspace: { id: 'workspace-id', is_personal: false } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    workspaceRepo.findMembership.mockResolvedValue(membership);
+    workspaceRepo.delete.mockImplementation(async (id, beforeCommit) => {
+      await beforeCommit();
+      return 1;
+    });
+  });
+
+  it('should publish workspace.deleted before the deletion commits', async () => {
+    await expect(workspaceService.deleteWorkspace('user-id', 'workspace-id')).resolves.toBe(true);
+
+    expect(workspaceRepo.delete).toHaveBeenCalledWith('workspace-id', expect.any(Function));
+    expect(publishWorkspaceDeleted).toHaveBeenCalledWith(expect.objectContaining({
+      workspaceId: 'workspace-id',
+      deletedBy: 'user-id'
+    }));
+  });
+
+  it('should keep the workspace when the event cannot be published', async () => {
+    publishWorkspaceDeleted.mockRejectedValueOnce(new Error('Channel closed'));
+
+    await expect(workspaceService.deleteWorkspace('user-id', 'workspace-id')).rejects.toThrow('EVENTS_UNAVAILABLE');
+  });
+
+  it('should never delete a personal workspace', async () => {
+    workspaceRepo.findMembership.mockResolvedValue({ role: 'owner', workspace: { id: 'user-id', is_personal: true } });
+
+    await expect(workspaceService.deleteWorkspace('user-id', 'user-id')).rejects.toThrow('PERSONAL_WORKSPACE');
+    expect(workspaceRepo.delete).not.toHaveBeenCalled();
+  });
+});